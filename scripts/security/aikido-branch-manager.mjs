@@ -7,10 +7,66 @@
  * - AIKIDO security fix branches (aikido/*)
  * - GitHub Dependabot branches (dependabot/*)
  * - Manual security updates
+ *
+ * Each branch is listed with its open pull request (checks, review and
+ * merge state), age, the advisories it mentions and a risk level (see
+ * lib/branch-status.mjs). Pull request data comes from a provider (see
+ * lib/github.mjs): the GitHub API through the gh CLI, or a local JSON
+ * fixture with --fixture <file> / SECURITY_GITHUB_FIXTURE.
+ *
+ * The details view lists every dependency version a branch changes against
+ * the target, the current findings each change resolves and the findings it
+ * introduces, with a verdict such as "fixes 3 high, introduces 0" (see
+ * lib/branch-advisories.mjs).
+ *
+ * Merging goes through the safe merge pipeline (lib/merge-pipeline.mjs):
+ * the merge, lockfile regeneration and test/lint run in a temporary
+ * worktree, and the target branch is only fast-forwarded when all pass.
+ *
+ * Usage:
+ *   node scripts/security/aikido-branch-manager.mjs                  Interactive menu
+ *   node scripts/security/aikido-branch-manager.mjs list             List branches only
+ *   node scripts/security/aikido-branch-manager.mjs details <branch> Changes and advisory verdict of a branch
+ *   node scripts/security/aikido-branch-manager.mjs merge <branch>   Merge through the pipeline
+ *   node scripts/security/aikido-branch-manager.mjs cleanup          Delete merged/superseded, rebase stale
+ *
+ * Options:
+ *   --sort <risk|age|name>  Order of the list (default: risk, blocked first)
+ *   --fixture <file>        Read pull requests from a JSON fixture
+ *   --no-github             Skip pull request data
+ *   --target <branch>       Branch to merge into (default: origin/HEAD, main or master)
+ *   --advisory-db <dir>     Offline advisory database for the verdict (default: advisoryDatabase.path, else npm audit)
+ *   --older-than <days>     Stale threshold for cleanup (default: branches.staleDays)
+ *   --dry-run | --yes       Preview cleanup only | apply it without asking
+ *   --local-only            Do not delete or push remote branches
+ *
+ * Outside a terminal, or with --json, only the list is printed. Supports the
+ * shared --json/--quiet/NO_COLOR options (see lib/cli.mjs); exits 2 on errors.
  */
 
-import { execSync } from 'child_process';
+import path from 'path';
 import readline from 'readline';
+import { EXIT_CODES, configureOutput, exitWithError, formatCliHelp, parseCliOptions } from './lib/cli.mjs';
+import { createFixtureProvider, createGitHubProvider, extractAdvisoryIds, parseGitHubRepository } from './lib/github.mjs';
+import { STALE_DAYS, assessBranchRisk, getAgeDays, sortBranches } from './lib/branch-status.mjs';
+import { deleteBranch, describeAction, findCleanupCandidates, formatCommand, rebaseBranch } from './lib/branch-cleanup.mjs';
+import { analyzeBranchAdvisories, formatVerdict } from './lib/branch-advisories.mjs';
+import { printMergeReport, runMergePipeline, writeMergeReport } from './lib/merge-pipeline.mjs';
+import { loadAdvisoryDatabase } from './lib/advisory-db.mjs';
+import { createGitService } from './lib/git.mjs';
+import { loadPolicy } from './lib/policy.mjs';
+import { discoverWorkspaces } from './lib/workspaces.mjs';
+
+const SORT_KEYS = ['risk', 'age', 'name'];
+const RISK_ICONS = { blocked: '🔴', attention: '🟡', ready: '🟢' };
+const TOOL_ICONS = { aikido: '🛡️', dependabot: '🤖', other: '🔧' };
+const CLEANUP_ICONS = { merged: '✅', superseded: '⏫', stale: '🕸️' };
+const CLEANUP_ANSWERS = { d: 'delete', r: 'rebase', s: 'skip' };
+const SEVERITY_ICONS = { critical: '🔴', high: '🟠', moderate: '🟡', low: '🟢', info: '⚪' };
+
+// Every function takes a `git` option so it can run against a fixture repository
+const defaultGit = createGitService();
+const advisoryDatabases = new Map();
 
 const ask = (query) =>
   new Promise((resolve) => {
@@ -21,40 +77,109 @@ const ask = (query) =>
     });
   });
 
+/**
+ * Get the value of an option (`--flag value` or `--flag=value`)
+ */
+function getArgValue(args, flag) {
+  const index = args.indexOf(flag);
+  if (index !== -1 && args[index + 1] && !args[index + 1].startsWith('--')) return args[index + 1];
+  const inline = args.find(arg => arg.startsWith(`${flag}=`));
+  return inline ? inline.slice(flag.length + 1) : null;
+}
+
+/**
+ * The top-level directory of the repository
+ */
+function getProjectRoot(git = defaultGit) {
+  return git.getRoot() || process.cwd();
+}
+
+/**
+ * Create the pull request provider selected on the command line
+ *
+ * A fixture (--fixture or SECURITY_GITHUB_FIXTURE) wins; --no-github
+ * disables pull request data. Otherwise the GitHub API is used for
+ * GITHUB_REPOSITORY (set in Actions) or the origin remote.
+ */
+function createProvider(args) {
+  const fixture = getArgValue(args, '--fixture') || process.env.SECURITY_GITHUB_FIXTURE;
+  if (fixture) return createFixtureProvider(path.resolve(fixture));
+  if (args.includes('--no-github')) return null;
+
+  const [owner, name] = (process.env.GITHUB_REPOSITORY || '').split('/');
+  const repository = owner && name ? { owner, name } : parseGitHubRepository(defaultGit.getRemoteUrl('origin'));
+  if (!repository) {
+    console.warn('⚠️  origin is not a GitHub repository; listing branches without pull request data');
+    return null;
+  }
+
+  return createGitHubProvider(repository);
+}
+
+/**
+ * Find security branches
+ *
+ * Returns `{ branches, pullRequests }`: one entry per local or remote branch
+ * (`{ name, tool, local, remote, pr, ageDays, lastCommit, advisories, risk }`)
+ * and whether pull request data was `loaded`, `disabled` or `unavailable`
+ * (`pr` is then left undefined).
+ */
+function findSecurityBranches({ provider = null, staleDays = STALE_DAYS, git = defaultGit } = {}) {
+  const isSecurityBranch = branch =>
+    branch.includes('aikido') ||
+    branch.includes('dependabot') ||
+    branch.includes('security') ||
+    branch.includes('vulnerability');
+
+  const securityBranches = git.listBranches().filter(branch => isSecurityBranch(branch.name));
+
+  let pullRequests = [];
+  let pullRequestStatus = provider ? 'loaded' : 'disabled';
+  if (provider) {
+    try {
+      pullRequests = provider.listPullRequests();
+    } catch (error) {
+      console.warn(`⚠️  ${error.message}; listing branches without pull request data`);
+      pullRequestStatus = 'unavailable';
+    }
+  }
+  const pullRequestsByBranch = new Map(pullRequests.map(pr => [pr.branch, pr]));
+
+  const branches = securityBranches.map(({ name, local, remote, head, date }) => {
+    // Remote branches are listed as <remote>/<branch>; pull requests name the branch only
+    const pr = pullRequestsByBranch.get(remote ? name.slice(remote.length + 1) : name) || null;
+    const commit = git.getCommit(head);
+    const { body, ...prSummary } = pr || {};
+
+    const branch = {
+      name,
+      tool: name.includes('aikido') ? 'aikido' : name.includes('dependabot') ? 'dependabot' : 'other',
+      local,
+      remote,
+      pr: pullRequestStatus === 'loaded' ? (pr ? prSummary : null) : undefined,
+      ageDays: getAgeDays(date),
+      lastCommit: date,
+      advisories: extractAdvisoryIds([name, pr?.title, body, commit.subject, commit.body].join('\n'))
+    };
+    branch.risk = assessBranchRisk(branch, { staleDays });
+    return branch;
+  });
+
+  return { branches, pullRequests: pullRequestStatus };
+}
+
 /**
  * List security branches from multiple tools
+ *
+ * Returns the branch names in the listed order.
  */
-function listSecurityBranches() {
+function listSecurityBranches({ provider = null, sort = 'risk', staleDays = STALE_DAYS, git = defaultGit } = {}) {
   console.log('🔍 Checking for security branches from all tools...\n');
 
   try {
-    // Check for remote branches
-    const remoteBranches = execSync('git branch -r', { encoding: 'utf8' });
-    const securityBranches = remoteBranches
-      .split('\n')
-      .filter(branch =>
-        branch.includes('aikido') ||
-        branch.includes('dependabot') ||
-        branch.includes('security') ||
-        branch.includes('vulnerability')
-      )
-      .map(branch => branch.trim());
-
-    // Check for local security branches
-    const localBranches = execSync('git branch', { encoding: 'utf8' });
-    const localSecurityBranches = localBranches
-      .split('\n')
-      .filter(branch =>
-        branch.includes('aikido') ||
-        branch.includes('dependabot') ||
-        branch.includes('security') ||
-        branch.includes('vulnerability')
-      )
-      .map(branch => branch.trim().replace('* ', ''));
-
-    const allBranches = [...new Set([...securityBranches, ...localSecurityBranches])];
-
-    if (allBranches.length === 0) {
+    const { branches, pullRequests } = findSecurityBranches({ provider, staleDays, git });
+
+    if (branches.length === 0) {
       console.log('✅ No security branches found');
       console.log('💡 This means either:');
       console.log('   • No security issues detected by any tools');
@@ -63,46 +188,37 @@ function listSecurityBranches() {
       return [];
     }
 
-    // Categorize branches by tool
-    const aikidoBranches = allBranches.filter(b => b.includes('aikido'));
-    const dependabotBranches = allBranches.filter(b => b.includes('dependabot'));
-    const otherSecurityBranches = allBranches.filter(b =>
-      !b.includes('aikido') && !b.includes('dependabot')
-    );
-
-    console.log(`🔒 Found ${allBranches.length} security branch(es):\n`);
-
-    if (aikidoBranches.length > 0) {
-      console.log(`🛡️ AIKIDO Security Branches (${aikidoBranches.length}):`);
-      aikidoBranches.forEach((branch, index) => {
-        const isLocal = localSecurityBranches.includes(branch);
-        const marker = isLocal ? '📍 Local' : '🌐 Remote';
-        console.log(`   ${index + 1}. ${marker} ${branch}`);
-      });
-      console.log();
-    }
+    const sorted = sortBranches(branches, sort);
+    const count = level => branches.filter(branch => branch.risk.level === level).length;
 
-    if (dependabotBranches.length > 0) {
-      console.log(`🤖 Dependabot Branches (${dependabotBranches.length}):`);
-      dependabotBranches.forEach((branch, index) => {
-        const isLocal = localSecurityBranches.includes(branch);
-        const marker = isLocal ? '📍 Local' : '🌐 Remote';
-        console.log(`   ${index + 1}. ${marker} ${branch}`);
-      });
-      console.log();
-    }
+    console.log(`🔒 Found ${branches.length} security branch(es): ${count('ready')} ready, ${count('attention')} need attention, ${count('blocked')} blocked (sorted by ${sort})\n`);
 
-    if (otherSecurityBranches.length > 0) {
-      console.log(`🔧 Other Security Branches (${otherSecurityBranches.length}):`);
-      otherSecurityBranches.forEach((branch, index) => {
-        const isLocal = localSecurityBranches.includes(branch);
-        const marker = isLocal ? '📍 Local' : '🌐 Remote';
-        console.log(`   ${index + 1}. ${marker} ${branch}`);
-      });
-      console.log();
+    sorted.forEach((branch, index) => {
+      const marker = branch.local ? '📍 Local' : '🌐 Remote';
+      const age = branch.ageDays === null ? 'age unknown' : `${branch.ageDays} day(s) old`;
+      console.log(`   ${index + 1}. ${RISK_ICONS[branch.risk.level]} ${branch.risk.level.padEnd(9)} ${TOOL_ICONS[branch.tool]} ${marker} ${branch.name} · ${age}`);
+
+      if (branch.pr) {
+        const { pr } = branch;
+        console.log(`      🔗 #${pr.number} ${pr.title}${pr.draft ? ' (draft)' : ''}`);
+        console.log(`         checks: ${pr.checks} · review: ${pr.review} · ${pr.mergeable}`);
+      } else if (pullRequests === 'loaded') {
+        console.log('      🔗 No open pull request');
+      }
+      if (branch.advisories.length > 0) {
+        console.log(`      🛡️  Fixes: ${branch.advisories.join(', ')}`);
+      }
+      if (branch.risk.reasons.length > 0) {
+        console.log(`      ⚠️  ${branch.risk.reasons.join(', ')}`);
+      }
+    });
+    console.log();
+
+    if (pullRequests !== 'loaded') {
+      console.log('💡 Pull request, check and review state unavailable; use --fixture <file> or install the gh CLI\n');
     }
 
-    return allBranches;
+    return sorted.map(branch => branch.name);
   } catch (error) {
     console.error('❌ Error checking branches:', error.message);
     return [];
@@ -110,107 +226,220 @@ function listSecurityBranches() {
 }
 
 /**
- * Get details about an AIKIDO branch
+ * Analyse the advisories a branch fixes and introduces against the target
+ *
+ * Uses the offline advisory database of --advisory-db or
+ * advisoryDatabase.path when set (loaded once), npm audit otherwise.
+ */
+function analyzeBranch(branchName, target, { git = defaultGit, policy = loadPolicy(getProjectRoot(git)).policy, advisoryDb = null } = {}) {
+  const projectRoot = getProjectRoot(git);
+  const databaseDir = advisoryDb
+    ? path.resolve(advisoryDb)
+    : policy.advisoryDatabase?.path ? path.resolve(projectRoot, policy.advisoryDatabase.path) : null;
+
+  if (databaseDir && !advisoryDatabases.has(databaseDir)) {
+    advisoryDatabases.set(databaseDir, loadAdvisoryDatabase(databaseDir));
+  }
+
+  const { workspaces } = discoverWorkspaces(projectRoot);
+  return analyzeBranchAdvisories(branchName, target, {
+    git,
+    workspaces,
+    policy,
+    database: databaseDir ? advisoryDatabases.get(databaseDir) : null
+  });
+}
+
+/**
+ * Print the dependency changes of a branch with the findings each one
+ * fixes or introduces, and the verdict
+ */
+function printBranchAnalysis(analysis) {
+  const { target } = analysis;
+  const findings = new Map([...analysis.fixed, ...analysis.introduced].map(finding => [finding.id, finding]));
+  const describe = id => `${SEVERITY_ICONS[findings.get(id).severity] || '⚪'} ${id} ${findings.get(id).package} (${findings.get(id).severity})`;
+
+  if (analysis.changes.length === 0) {
+    console.log(`\n🧬 No dependency changes against ${target}`);
+    return;
+  }
+
+  console.log(`\n🧬 Dependency changes against ${target}:`);
+  analysis.changes.forEach(change => {
+    console.log(`   • ${change.package} ${change.from ?? '(added)'} → ${change.to ?? '(removed)'}  ${change.file} ${change.key}`);
+    change.fixes.forEach(id => console.log(`      ✅ fixes ${describe(id)}`));
+    change.introduces.forEach(id => console.log(`      🆕 introduces ${describe(id)}`));
+  });
+
+  const unattributed = [...analysis.fixed, ...analysis.introduced].filter(finding => finding.changes.length === 0);
+  unattributed.forEach(finding => console.log(`   ❔ ${describe(finding.id)}: not traced to a single change`));
+  if (analysis.alreadyFixed.length > 0) {
+    console.log(`   ♻️  Already fixed on ${target}: ${analysis.alreadyFixed.map(finding => finding.id).join(', ')}`);
+  }
+  analysis.failures.forEach(failure => console.log(`   ⚠️  ${failure.workspace} not scanned: ${failure.reason}`));
+
+  const icon = analysis.introduced.length > 0 ? '🚨' : analysis.status === 'complete' ? '🛡️' : '⚠️';
+  console.log(`\n${icon} Verdict: ${formatVerdict(analysis)}`);
+}
+
+/**
+ * Get details about an AIKIDO branch compared to the target branch
+ *
+ * Returns the advisory analysis (see analyzeBranch), or null when it failed.
  */
-function getBranchDetails(branchName) {
+function getBranchDetails(branchName, base = null, { git = defaultGit, policy, advisoryDb = null } = {}) {
+  base = base || git.getDefaultBranch();
+
   try {
     console.log(`\n📋 Details for branch: ${branchName}\n`);
 
     // Get commit information
-    const commits = execSync(`git log --oneline ${branchName} ^main | head -5`, { encoding: 'utf8' });
-    if (commits.trim()) {
+    const commits = git.listCommits([branchName, `^${base}`], { limit: 5 });
+    if (commits.length > 0) {
       console.log('📝 Recent commits:');
-      commits.trim().split('\n').forEach(commit => {
-        console.log(`   • ${commit}`);
+      commits.forEach(commit => {
+        console.log(`   • ${commit.sha.slice(0, 7)} ${commit.subject}`);
       });
     }
 
     // Get changed files
-    const changedFiles = execSync(`git diff --name-only main...${branchName}`, { encoding: 'utf8' });
-    if (changedFiles.trim()) {
+    const files = git.getChangedFiles(base, branchName);
+    if (files.length > 0) {
       console.log('\n📁 Changed files:');
-      changedFiles.trim().split('\n').forEach(file => {
-        console.log(`   • ${file}`);
+      files.forEach(file => {
+        console.log(`   • ${file.status} ${file.path} ${file.added === null ? '(binary)' : `(+${file.added} -${file.deleted})`}`);
       });
-    }
 
-    // Get diff summary
-    const diffStat = execSync(`git diff --stat main...${branchName}`, { encoding: 'utf8' });
-    if (diffStat.trim()) {
-      console.log('\n📊 Changes summary:');
-      console.log(diffStat);
+      const added = files.reduce((total, file) => total + (file.added || 0), 0);
+      const deleted = files.reduce((total, file) => total + (file.deleted || 0), 0);
+      console.log(`\n📊 Changes summary: ${files.length} file(s), +${added} -${deleted}`);
     }
 
+    const analysis = analyzeBranch(branchName, base, { git, policy, advisoryDb });
+    printBranchAnalysis(analysis);
+    return analysis;
   } catch (error) {
     console.error('❌ Error getting branch details:', error.message);
+    return null;
   }
 }
 
 /**
- * Merge AIKIDO branch
+ * Merge a security branch through the safe merge pipeline
+ *
+ * Returns the merge report, or null when the merge was cancelled.
  */
-async function mergeAikidoBranch(branchName) {
-  console.log(`\n🔄 Preparing to merge: ${branchName}`);
+async function mergeAikidoBranch(branchName, { git = defaultGit, target = git.getDefaultBranch(), policy = loadPolicy(getProjectRoot(git)).policy, advisoryDb = null, confirm = true } = {}) {
+  const projectRoot = getProjectRoot(git);
+  console.log(`\n🔄 Preparing to merge ${branchName} into ${target}`);
+
+  if (confirm) {
+    console.log('\n🔍 Merge preview:');
+    getBranchDetails(branchName, target, { git, policy, advisoryDb });
+
+    const confirmMerge = await ask(`\nMerge into ${target} after install, test and lint pass? [y/n]: `);
+    if (confirmMerge !== 'y') {
+      console.log('⏭️  Merge cancelled');
+      return null;
+    }
+  }
 
-  // Show current branch
-  const currentBranch = execSync('git branch --show-current', { encoding: 'utf8' }).trim();
-  console.log(`📍 Current branch: ${currentBranch}`);
+  const report = runMergePipeline({ git, branch: branchName, target, policy });
+  const reportFile = writeMergeReport(report, path.join(projectRoot, 'reports'));
+  printMergeReport(report, { reportFile });
 
-  if (currentBranch !== 'main' && currentBranch !== 'develop') {
-    const switchToMain = await ask('Switch to main branch first? [y/n]: ');
-    if (switchToMain === 'y') {
+  const localBranch = branchName.replace(/^origin\//, '');
+  if (confirm && report.status === 'merged' && git.hasBranch(localBranch)) {
+    const deleteBranch = await ask('Delete the merged branch? [y/n]: ');
+    if (deleteBranch === 'y') {
       try {
-        execSync('git checkout main', { stdio: 'inherit' });
-        execSync('git pull origin main', { stdio: 'inherit' });
-        console.log('✅ Switched to main and pulled latest changes');
+        git.run(['branch', '-d', localBranch]);
+        console.log(`🗑️  Deleted local branch: ${localBranch}`);
       } catch (error) {
-        console.error('❌ Error switching to main:', error.message);
-        return false;
+        console.log(`ℹ️  Could not delete branch: ${error.message}`);
       }
     }
   }
 
-  // Show merge preview
-  console.log('\n🔍 Merge preview:');
-  getBranchDetails(branchName);
+  return report;
+}
+
+/**
+ * Clean up merged, superseded and stale security branches
+ *
+ * Previews every candidate (see lib/branch-cleanup.mjs) with the git
+ * commands its suggested action runs. With `dryRun` nothing changes, with
+ * `yes` the suggested actions run unprompted, otherwise each branch is
+ * confirmed in the terminal; outside a terminal only the preview is shown.
+ *
+ * Returns `{ target, staleDays, dryRun, candidates }`; candidates that were
+ * acted on carry a `result`.
+ */
+async function cleanupSecurityBranches({ target, staleDays, dryRun = false, yes = false, remote = true, interactive = false, git = defaultGit }) {
+  console.log(`🧹 Looking for merged, superseded and stale security branches (target: ${target}, stale after ${staleDays} days)...\n`);
+
+  const { branches } = findSecurityBranches({ staleDays, git });
+  const candidates = findCleanupCandidates(branches, { target, staleDays, git });
+  const summary = { target, staleDays, dryRun, candidates };
 
-  const confirmMerge = await ask('\nProceed with merge? [y/n]: ');
-  if (confirmMerge !== 'y') {
-    console.log('⏭️  Merge cancelled');
-    return false;
+  if (candidates.length === 0) {
+    console.log('✅ No security branches to clean up');
+    return summary;
   }
 
-  try {
-    // Perform merge
-    execSync(`git merge ${branchName} --no-ff`, { stdio: 'inherit' });
-    console.log(`✅ Successfully merged ${branchName}`);
+  candidates.forEach((candidate, index) => {
+    const locations = [candidate.local ? 'local' : null, ...candidate.remotes].filter(Boolean).join(', ');
+    console.log(`   ${index + 1}. ${CLEANUP_ICONS[candidate.reason]} ${candidate.reason.padEnd(10)} ${candidate.name} (${locations})`);
+    candidate.details.forEach(detail => console.log(`      ${detail}`));
+    console.log(`      → ${candidate.action}:`);
+    describeAction(candidate, candidate.action, { target, remote }).forEach(args => console.log(`        $ ${formatCommand(args)}`));
+  });
 
-    // Ask about branch cleanup
-    const deleteBranch = await ask('Delete the merged branch? [y/n]: ');
-    if (deleteBranch === 'y') {
-      try {
-        execSync(`git branch -d ${branchName.replace('origin/', '')}`, { stdio: 'inherit' });
-        console.log(`🗑️  Deleted local branch: ${branchName}`);
-      } catch (error) {
-        console.log(`ℹ️  Could not delete branch (may be remote-only): ${error.message}`);
-      }
+  if (dryRun) {
+    console.log('\n🔍 Dry run: no branches were changed');
+    return summary;
+  }
+  if (!yes && !interactive) {
+    console.log('\n💡 Run with --yes to apply the suggested actions, or in a terminal to choose per branch');
+    return summary;
+  }
+
+  for (const candidate of candidates) {
+    let action = candidate.action;
+    if (!yes) {
+      const answer = await ask(`\n${candidate.name}: [d]elete, [r]ebase onto ${target} or [s]kip? (${candidate.action}): `);
+      // Anything unrecognised skips rather than guessing
+      action = answer ? CLEANUP_ANSWERS[answer] || 'skip' : candidate.action;
     }
 
-    return true;
-  } catch (error) {
-    console.error('❌ Merge failed:', error.message);
-    console.log('💡 You may need to resolve conflicts manually');
-    return false;
+    if (action === 'skip') {
+      candidate.result = { action, success: true, steps: [] };
+      console.log(`⏭️  Skipped ${candidate.name}`);
+      continue;
+    }
+
+    const result = action === 'delete'
+      ? deleteBranch(candidate, { git, remote })
+      : rebaseBranch(candidate, { target, git, remote });
+    candidate.result = { action, ...result };
+
+    result.steps.forEach(step => console.log(`   ${step.success ? '✓' : '✗'} ${step.command}${step.error ? ` (${step.error})` : ''}`));
+    if (result.conflicts?.length > 0) {
+      console.log(`   ⚠️  Conflicts in ${result.conflicts.join(', ')}; rebase this branch by hand`);
+    }
+    console.log(result.success ? `✅ ${action === 'delete' ? 'Deleted' : 'Rebased'} ${candidate.name}` : `❌ Could not ${action} ${candidate.name}`);
   }
+
+  return summary;
 }
 
 /**
  * Interactive security branch management
  */
-async function manageSecurityBranches() {
+async function manageSecurityBranches(options = {}) {
   console.log('🔒 Security Branch Manager\n');
 
-  const branches = listSecurityBranches();
+  const branches = listSecurityBranches(options);
 
   if (branches.length === 0) {
     return;
@@ -220,9 +449,10 @@ async function manageSecurityBranches() {
   console.log('1. [v]iew details of a specific branch');
   console.log('2. [m]erge a security fix branch');
   console.log('3. [a]ll details (show info for all branches)');
-  console.log('4. [q]uit');
+  console.log('4. [c]lean up merged, superseded and stale branches');
+  console.log('5. [q]uit');
 
-  const action = await ask('\nChoose action [v/m/a/q]: ');
+  const action = await ask('\nChoose action [v/m/a/c/q]: ');
 
   switch (action) {
     case 'v':
@@ -235,9 +465,9 @@ async function manageSecurityBranches() {
       const branchIndex = parseInt(branchChoice) - 1;
 
       if (branchIndex >= 0 && branchIndex < branches.length) {
-        getBranchDetails(branches[branchIndex]);
+        getBranchDetails(branches[branchIndex], options.target, options);
       } else if (branches.includes(branchChoice)) {
-        getBranchDetails(branchChoice);
+        getBranchDetails(branchChoice, options.target, options);
       } else {
         console.log('❌ Invalid branch selection');
       }
@@ -253,9 +483,9 @@ async function manageSecurityBranches() {
       const mergeIndex = parseInt(mergeChoice) - 1;
 
       if (mergeIndex >= 0 && mergeIndex < branches.length) {
-        await mergeAikidoBranch(branches[mergeIndex]);
+        await mergeAikidoBranch(branches[mergeIndex], options);
       } else if (branches.includes(mergeChoice)) {
-        await mergeAikidoBranch(mergeChoice);
+        await mergeAikidoBranch(mergeChoice, options);
       } else {
         console.log('❌ Invalid branch selection');
       }
@@ -265,10 +495,19 @@ async function manageSecurityBranches() {
       console.log('\n📋 Detailed information for all AIKIDO branches:\n');
       for (const branch of branches) {
         console.log('='.repeat(60));
-        getBranchDetails(branch);
+        getBranchDetails(branch, options.target, options);
       }
       break;
 
+    case 'c':
+      console.log();
+      await cleanupSecurityBranches({
+        target: options.target,
+        staleDays: options.staleDays,
+        interactive: true
+      });
+      break;
+
     case 'q':
     default:
       console.log('👋 Goodbye!');
@@ -280,11 +519,104 @@ async function manageSecurityBranches() {
  * Main execution
  */
 async function main() {
+  const args = process.argv.slice(2);
+  let cli = { json: args.includes('--json') };
+
   try {
-    await manageSecurityBranches();
+    cli = parseCliOptions(args);
+    const output = configureOutput(cli);
+
+    if (args.includes('--help')) {
+      console.log('🔒 Security Branch Manager');
+      console.log('');
+      console.log('Usage:');
+      console.log('  (no command)    Interactive menu');
+      console.log('  list            List security branches');
+      console.log('  details <branch> Dependency changes, the findings they fix or introduce and a verdict');
+      console.log('                  (exit 1 when the branch introduces findings, 3 when a scan failed)');
+      console.log('  merge <branch>  Merge in a temporary worktree; fast-forward the target only if');
+      console.log('                  npm install and the test/lint scripts pass (exit 1 when it fails)');
+      console.log('  cleanup         Delete merged or superseded branches, rebase stale ones');
+      console.log('                  (asks per branch in a terminal; exit 1 when an action fails)');
+      console.log('');
+      console.log('Options:');
+      console.log('  --sort <risk|age|name>  Order of the list (default: risk, blocked first)');
+      console.log('  --fixture <file>        Read pull requests from a JSON fixture ({ "pullRequests": [...] })');
+      console.log('  --no-github             Skip pull request data');
+      console.log('  --target <branch>       Branch to merge into (default: origin/HEAD, main or master)');
+      console.log('  --advisory-db <dir>     Offline advisory database for the verdict (default: advisoryDatabase.path,');
+      console.log('                          npm audit when neither is set)');
+      console.log('  --older-than <days>     cleanup: stale threshold (default: branches.staleDays in .securityrc)');
+      console.log('  --dry-run               cleanup: preview only');
+      console.log('  --yes                   cleanup: apply the suggested actions without asking');
+      console.log('  --local-only            cleanup: leave remote branches alone');
+      console.log('');
+      console.log(formatCliHelp());
+      return;
+    }
+
+    const sort = getArgValue(args, '--sort') || 'risk';
+    if (!SORT_KEYS.includes(sort)) {
+      throw new Error(`Invalid --sort value "${sort}"; expected one of ${SORT_KEYS.join(', ')}`);
+    }
+    const target = getArgValue(args, '--target') || defaultGit.getDefaultBranch();
+    const { policy } = loadPolicy(getProjectRoot());
+    const olderThan = getArgValue(args, '--older-than');
+    const staleDays = olderThan === null ? policy.branches.staleDays : Number(olderThan);
+    if (!Number.isInteger(staleDays) || staleDays < 1) {
+      throw new Error(`Invalid --older-than value "${olderThan}"; expected a number of days`);
+    }
+    const advisoryDb = getArgValue(args, '--advisory-db');
+
+    if (args[0] === 'cleanup') {
+      const summary = await cleanupSecurityBranches({
+        target,
+        staleDays,
+        dryRun: args.includes('--dry-run'),
+        yes: args.includes('--yes'),
+        remote: !args.includes('--local-only'),
+        interactive: cli.interactive
+      });
+      if (cli.json) output.writeJson(summary);
+      process.exitCode = summary.candidates.some(candidate => candidate.result?.success === false) ? EXIT_CODES.FINDINGS : EXIT_CODES.OK;
+      return;
+    }
+
+    if (args[0] === 'details') {
+      const branch = args[1] && !args[1].startsWith('--') ? args[1] : null;
+      if (!branch) throw new Error('Usage: details <branch> [--target <branch>]');
+
+      const analysis = getBranchDetails(branch, target, { policy, advisoryDb });
+      if (!analysis) throw new Error(`Could not analyse ${branch}`);
+      if (cli.json) output.writeJson(analysis);
+      process.exitCode = analysis.introduced.length > 0
+        ? EXIT_CODES.FINDINGS
+        : analysis.status === 'complete' ? EXIT_CODES.OK : EXIT_CODES.INCOMPLETE;
+      return;
+    }
+
+    if (args[0] === 'merge') {
+      const branch = args[1] && !args[1].startsWith('--') ? args[1] : null;
+      if (!branch) throw new Error('Usage: merge <branch> [--target <branch>]');
+
+      const report = await mergeAikidoBranch(branch, { target, policy, advisoryDb, confirm: false });
+      if (cli.json) output.writeJson(report);
+      process.exitCode = report.status === 'failed' ? EXIT_CODES.FINDINGS : EXIT_CODES.OK;
+      return;
+    }
+
+    const provider = createProvider(args);
+
+    if (cli.json) {
+      const { branches, pullRequests } = findSecurityBranches({ provider, staleDays });
+      output.writeJson({ pullRequests, branches: sortBranches(branches, sort) });
+    } else if (args[0] === 'list' || !cli.interactive) {
+      listSecurityBranches({ provider, sort, staleDays });
+    } else {
+      await manageSecurityBranches({ provider, sort, staleDays, target, policy, advisoryDb });
+    }
   } catch (error) {
-    console.error('❌ Error:', error.message);
-    process.exit(1);
+    exitWithError(error.message, cli);
   }
 }
 
@@ -293,4 +625,4 @@ if (import.meta.url === `file://${process.argv[1]}`) {
   main();
 }
 
-export { listSecurityBranches, getBranchDetails, mergeAikidoBranch };
\ No newline at end of file
+export { findSecurityBranches, listSecurityBranches, getBranchDetails, mergeAikidoBranch, cleanupSecurityBranches };
\ No newline at end of file
@@ -5,12 +5,17 @@
  *
  * Integrates AIKIDO security scanning into the FigmailAPP workflow.
  * Provides GitHub Actions integration and automated security monitoring.
+ *
+ * Supports the shared --json/--quiet/NO_COLOR options (see lib/cli.mjs);
+ * with --json the created files are printed as JSON on stdout.
  */
 
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { execSync } from 'child_process';
+import { EXIT_CODES, configureOutput, exitWithError, formatCliHelp, parseCliOptions } from './lib/cli.mjs';
+import { discoverWorkspaces } from './lib/workspaces.mjs';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -21,6 +26,11 @@ const projectRoot = path.resolve(__dirname, '../..');
  */
 export function createAikidoConfig() {
   const configPath = path.join(projectRoot, '.aikido.yml');
+  const { workspaces } = discoverWorkspaces(projectRoot);
+  const packages = [
+    ...Object.values(workspaces).filter(workspace => workspace.relativeDir !== '.').map(workspace => `${workspace.relativeDir}/`),
+    'scripts/'
+  ];
 
   const config = `# AIKIDO Security Configuration for FigmailAPP
 # https://docs.aikido.dev/configuration
@@ -84,9 +94,7 @@ github:
 monorepo:
   enabled: true
   packages:
-    - client/
-    - server/
-    - scripts/
+${packages.map(dir => `    - ${dir}`).join('\n')}
 
 # Custom rules for FigmailAPP
 custom_rules:
@@ -149,6 +157,9 @@ jobs:
     steps:
     - name: Checkout code
       uses: actions/checkout@v4
+      with:
+        # Pull request scans diff against the merge base with the target branch
+        fetch-depth: 0
 
     - name: Setup Node.js
       uses: actions/setup-node@v4
@@ -157,10 +168,8 @@ jobs:
         cache: 'npm'
 
     - name: Install dependencies
-      run: |
-        npm ci
-        cd client && npm ci
-        cd ../server && npm ci
+      # The root lockfile covers every workspace declared in package.json
+      run: npm ci --workspaces --include-workspace-root
 
     - name: AIKIDO Security Integration
       run: |
@@ -171,18 +180,23 @@ jobs:
         echo "🔗 Check AIKIDO dashboard for scan results"
 
     - name: Run npm audit
-      run: |
-        npm audit --audit-level=moderate
-        cd client && npm audit --audit-level=moderate
-        cd ../server && npm audit --audit-level=moderate
+      run: npm audit --workspaces --include-workspace-root --audit-level=moderate
 
     - name: Run custom security checks
       run: |
         npm run security:scan
 
     - name: Generate security report
+      if: github.event_name != 'pull_request'
       run: |
-        npm run security:report
+        node scripts/security/dependency-manager.mjs --scan --report --format markdown,html,sarif --fail-on none
+
+    - name: Check security changes in this pull request
+      if: github.event_name == 'pull_request'
+      env:
+        BASE_REF: \${{ github.base_ref }}
+      run: |
+        node scripts/security/dependency-manager.mjs --base "origin/$BASE_REF" --report --format markdown,html,sarif
 
     - name: Upload security report
       uses: actions/upload-artifact@v4
@@ -192,38 +206,24 @@ jobs:
         path: reports/
 
     - name: Comment PR with security results
-      if: github.event_name == 'pull_request'
+      if: always() && github.event_name == 'pull_request'
       uses: actions/github-script@v7
       with:
         script: |
+          // The delta is rendered by scripts/security/lib/report-renderer.mjs (renderDiffMarkdown)
           const fs = require('fs');
-          if (fs.existsSync('reports/')) {
-            const reportFiles = fs.readdirSync('reports/');
-            for (const file of reportFiles) {
-              if (file.endsWith('.json')) {
-                const report = JSON.parse(fs.readFileSync(\`reports/\${file}\`, 'utf8'));
-                const comment = \`## Security Scan Results 🔒
-
-**Overall Score:** \${report.summary.overallScore}/100
-**Critical Vulnerabilities:** \${report.summary.criticalVulnerabilities}
-**High Vulnerabilities:** \${report.summary.highVulnerabilities}
-**Total Vulnerabilities:** \${report.summary.totalVulnerabilities}
-**Outdated Packages:** \${report.summary.outdatedPackages}
-
-\${report.summary.criticalVulnerabilities > 0 ? '🚨 **CRITICAL VULNERABILITIES FOUND - IMMEDIATE ACTION REQUIRED**' : ''}
-\${report.summary.highVulnerabilities > 0 ? '⚠️ High severity vulnerabilities require attention' : ''}
-\${report.summary.totalVulnerabilities === 0 ? '✅ No known vulnerabilities found' : ''}
-                \`;
-
-                github.rest.issues.createComment({
-                  issue_number: context.issue.number,
-                  owner: context.repo.owner,
-                  repo: context.repo.repo,
-                  body: comment
-                });
-                break;
-              }
-            }
+          const reports = fs.existsSync('reports/')
+            ? fs.readdirSync('reports/').filter(file => file.startsWith('security-diff-') && file.endsWith('.md')).sort()
+            : [];
+
+          if (reports.length > 0) {
+            const comment = fs.readFileSync(\`reports/\${reports[reports.length - 1]}\`, 'utf8');
+            await github.rest.issues.createComment({
+              issue_number: context.issue.number,
+              owner: context.repo.owner,
+              repo: context.repo.repo,
+              body: comment
+            });
           }
 
   dependency-update:
@@ -243,34 +243,23 @@ jobs:
         cache: 'npm'
 
     - name: Install dependencies
+      # The root lockfile covers every workspace declared in package.json
+      run: npm ci --workspaces --include-workspace-root
+
+    - name: Plan security updates
       run: |
-        npm ci
-        cd client && npm ci
-        cd ../server && npm ci
+        node scripts/security/dependency-manager.mjs plan --auto-update --output "$RUNNER_TEMP/update-plan.json" --fail-on none
 
-    - name: Auto-update security fixes
+    - name: Apply the update plan
       run: |
-        npm run security:auto-update
+        node scripts/security/dependency-manager.mjs apply --plan "$RUNNER_TEMP/update-plan.json"
 
     - name: Create Pull Request
       uses: peter-evans/create-pull-request@v5
       with:
         title: 'Security: Auto-update dependencies'
-        body: |
-          🔒 **Automated Security Update**
-
-          This PR contains automatic security updates for critical and high severity vulnerabilities.
-
-          **Changes:**
-          - Updated dependencies with known security vulnerabilities
-          - Applied patches for critical security issues
-
-          **Review Process:**
-          - ✅ Automated security scanning passed
-          - ✅ Dependencies updated to patched versions
-          - 🔍 Please review changes before merging
-
-          Generated by FigmailAPP Security Manager
+        # The plan lists every version change with its reason and risk
+        body-path: \${{ runner.temp }}/update-plan.md
         branch: security/auto-update-dependencies
         delete-branch: true
         labels: |
@@ -384,9 +373,31 @@ export function setupAikidoEnvironment() {
   console.log('2. Run: npm run security:scan (for npm audit)');
   console.log('3. AIKIDO will automatically scan via GitHub App integration');
   console.log('4. Check AIKIDO dashboard at your organization level');
+
+  return {
+    files: ['.aikido.yml', '.github/workflows/security-scan.yml'],
+    reportsDir: path.relative(projectRoot, reportsDir)
+  };
 }
 
 // Run if called directly
 if (import.meta.url === `file://${process.argv[1]}`) {
-  setupAikidoEnvironment();
+  let cli = { json: process.argv.includes('--json') };
+  try {
+    cli = parseCliOptions(process.argv.slice(2));
+    const output = configureOutput(cli);
+
+    if (process.argv.includes('--help')) {
+      console.log('🛡️ AIKIDO Security Integration');
+      console.log('');
+      console.log('Usage: node scripts/security/aikido-integration.mjs [--json] [--quiet]');
+      console.log('');
+      console.log(formatCliHelp());
+    } else {
+      const result = setupAikidoEnvironment();
+      if (cli.json) output.writeJson({ exitCode: EXIT_CODES.OK, ...result });
+    }
+  } catch (error) {
+    exitWithError(`AIKIDO setup failed: ${error.message}`, cli);
+  }
 }
\ No newline at end of file
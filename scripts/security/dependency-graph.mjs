@@ -0,0 +1,240 @@
+#!/usr/bin/env node
+
+/**
+ * Dependency Graph Explorer
+ *
+ * Explains why a package is installed by walking the package-lock.json
+ * dependency graph of each workspace, and exports graphs for Graphviz or
+ * other tooling.
+ *
+ * Usage:
+ *   node scripts/security/dependency-graph.mjs why <package> [options]
+ *   node scripts/security/dependency-graph.mjs export [options]
+ *
+ * Options:
+ *   --workspace <name>  Limit to a workspace (repeatable, default: all)
+ *   --format <format>   text (default for why), dot or json
+ *   --output <file>     Write the DOT/JSON export to a file instead of stdout
+ *   --limit <n>         Maximum number of paths per installed copy (default: 50)
+ *   --json              Same as --format json
+ *   --quiet, NO_COLOR   Shared CLI contract, see lib/cli.mjs
+ *
+ * Exit codes: 0 success, 1 package not installed (why) or no lockfile
+ * found (export), 2 error.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { discoverWorkspaces, filterWorkspaces } from './lib/workspaces.mjs';
+import { loadWorkspaceGraph } from './lib/lockfile.mjs';
+import {
+  findAllPaths,
+  findPackageLocations,
+  formatPath,
+  getPathSubgraph,
+  graphToDot,
+  graphToJson
+} from './lib/dependency-paths.mjs';
+import { EXIT_CODES, configureOutput, exitWithError, formatCliHelp, parseCliOptions } from './lib/cli.mjs';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const projectRoot = path.resolve(__dirname, '../..');
+
+/**
+ * Get the value(s) of an option (`--flag value` or `--flag=value`)
+ */
+function getArgValues(args, flag) {
+  return args.flatMap((arg, index) => {
+    if (arg === flag && args[index + 1] && !args[index + 1].startsWith('--')) return [args[index + 1]];
+    if (arg.startsWith(`${flag}=`)) return [arg.slice(flag.length + 1)];
+    return [];
+  });
+}
+
+/**
+ * Load the dependency graph of every selected workspace
+ */
+function loadGraphs(workspaceFilter) {
+  const { workspaces } = discoverWorkspaces(projectRoot);
+  const { selected, unknown } = filterWorkspaces(workspaces, workspaceFilter);
+  unknown.forEach(name => console.warn(`⚠️  Unknown workspace: ${name}`));
+
+  const graphs = {};
+  for (const [name, workspace] of Object.entries(selected)) {
+    try {
+      const graph = loadWorkspaceGraph(workspace.dir, projectRoot);
+      if (graph) {
+        graphs[name] = graph;
+      } else {
+        console.warn(`⚠️  ${name}: no package-lock.json found`);
+      }
+    } catch (error) {
+      console.warn(`⚠️  ${name}: ${error.message}`);
+    }
+  }
+
+  return graphs;
+}
+
+/**
+ * Describe the flags of a path's target
+ */
+function describeFlags(step) {
+  const flags = [];
+  if (step.dev) flags.push('dev');
+  if (step.optional) flags.push('optional');
+  if (step.type === 'peer') flags.push('peer');
+  return flags.length > 0 ? ` (${flags.join(', ')})` : '';
+}
+
+/**
+ * Write an export to a file or stdout
+ */
+function writeOutput(content, outputFile) {
+  if (outputFile) {
+    fs.writeFileSync(outputFile, content);
+    console.log(`✅ Graph written to ${outputFile}`);
+  } else {
+    process.stdout.write(content);
+  }
+}
+
+/**
+ * `why <package>`: print every path from each workspace root to the package
+ */
+function explainPackage(packageName, { workspaces, format, outputFile, limit }) {
+  const graphs = loadGraphs(workspaces);
+  const results = {};
+
+  for (const [name, graph] of Object.entries(graphs)) {
+    if (findPackageLocations(graph, packageName).length === 0) continue;
+    results[name] = { graph, ...findAllPaths(graph, packageName, { limit }) };
+  }
+
+  if (format === 'json') {
+    const data = Object.fromEntries(Object.entries(results).map(([name, result]) => [name, {
+      paths: result.paths,
+      truncated: result.truncated,
+      graph: graphToJson(getPathSubgraph(result.graph, result.paths))
+    }]));
+    writeOutput(JSON.stringify({ package: packageName, workspaces: data }, null, 2) + '\n', outputFile);
+    return Object.keys(results).length > 0;
+  }
+
+  if (format === 'dot') {
+    const dot = Object.entries(results)
+      .map(([name, result]) => graphToDot(getPathSubgraph(result.graph, result.paths), { name: `${name}: ${packageName}`, highlight: packageName }))
+      .join('\n');
+    writeOutput(dot, outputFile);
+    return Object.keys(results).length > 0;
+  }
+
+  if (Object.keys(results).length === 0) {
+    console.log(`❌ ${packageName} is not installed in ${Object.keys(graphs).join(', ') || 'any workspace'}`);
+    return false;
+  }
+
+  console.log(`🔍 Why is ${packageName} installed?`);
+
+  for (const [name, result] of Object.entries(results)) {
+    const versions = [...new Set(findPackageLocations(result.graph, packageName).map(location => result.graph.nodes.get(location).version))];
+    console.log(`\n📁 ${name} (${versions.join(', ')})`);
+
+    result.paths.forEach(steps => {
+      console.log(`   • ${formatPath(steps)}${describeFlags(steps[steps.length - 1])}`);
+    });
+
+    if (result.truncated) {
+      console.log(`   … more paths not shown (raise --limit, currently ${limit})`);
+    }
+  }
+
+  return true;
+}
+
+/**
+ * `export`: write the full dependency graph of each workspace
+ */
+function exportGraphs({ workspaces, format, outputFile }) {
+  const graphs = loadGraphs(workspaces);
+
+  if (format === 'json') {
+    const data = Object.fromEntries(Object.entries(graphs).map(([name, graph]) => [name, graphToJson(graph)]));
+    writeOutput(JSON.stringify(data, null, 2) + '\n', outputFile);
+  } else {
+    writeOutput(Object.entries(graphs).map(([name, graph]) => graphToDot(graph, { name })).join('\n'), outputFile);
+  }
+
+  return Object.keys(graphs).length > 0;
+}
+
+/**
+ * Show help information
+ */
+function showHelp() {
+  console.log('🕸️  Dependency Graph Explorer');
+  console.log('');
+  console.log('Usage:');
+  console.log('  why <package>   - Show every path from each workspace root to <package>');
+  console.log('  export          - Export the dependency graph of each workspace');
+  console.log('');
+  console.log('Options:');
+  console.log('  --workspace <name>  Limit to a workspace (repeatable, default: all)');
+  console.log('  --format <format>   text (why only), dot or json');
+  console.log('  --output <file>     Write the DOT/JSON export to a file');
+  console.log('  --limit <n>         Maximum paths per installed copy (default: 50)');
+  console.log('');
+  console.log(formatCliHelp());
+  console.log('');
+  console.log('Examples:');
+  console.log('  npm run security:why -- ms');
+  console.log('  npm run security:why -- ms --workspace mobile --format dot --output ms.dot');
+}
+
+/**
+ * Main execution
+ */
+function main(cli) {
+  const args = process.argv.slice(2);
+  const [command, packageName] = args;
+  const options = {
+    workspaces: getArgValues(args, '--workspace').flatMap(value => value.split(',')),
+    format: cli.json ? 'json' : getArgValues(args, '--format')[0] || (command === 'why' ? 'text' : 'dot'),
+    outputFile: getArgValues(args, '--output')[0] || null,
+    limit: Number(getArgValues(args, '--limit')[0]) || 50
+  };
+
+  if (!['text', 'dot', 'json'].includes(options.format) || (command === 'export' && options.format === 'text')) {
+    exitWithError(`Unsupported format: ${options.format}`, cli);
+  }
+
+  switch (command) {
+    case 'why':
+      if (!packageName || packageName.startsWith('--')) {
+        exitWithError('Package name required: why <package>', cli);
+      }
+      if (!explainPackage(packageName, options)) process.exitCode = EXIT_CODES.FINDINGS;
+      break;
+
+    case 'export':
+      if (!exportGraphs(options)) process.exitCode = EXIT_CODES.FINDINGS;
+      break;
+
+    default:
+      showHelp();
+  }
+}
+
+// Run if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  let cli = { json: process.argv.includes('--json') };
+  try {
+    cli = parseCliOptions(process.argv.slice(2));
+    configureOutput(cli);
+    main(cli);
+  } catch (error) {
+    exitWithError(error.message, cli);
+  }
+}
@@ -7,15 +7,30 @@
  * Integrates with security scanners like AIKIDO, npm audit, and package vulnerability databases.
  *
  * Features:
- * - Multi-package.json scanning (root, client, server)
- * - Vulnerability detection and reporting
- * - Automated security updates
+ * - Workspace-aware scanning (root + every workspace declared in package.json)
+ * - Vulnerability detection and reporting (npm audit, or an offline
+ *   OSV/GHSA advisory mirror for air-gapped machines)
+ * - Automated security updates, applied in groups (patches together, each
+ *   major alone, ecosystems such as Expo/React Native and Storybook in
+ *   lockstep) that are installed and verified one at a time
  * - Interactive update prompts
  * - AIKIDO integration
  * - Dependency health scoring
+ * - License compliance checking
+ * - Expo SDK alignment: Expo workspaces are checked against a bundled table
+ *   of the versions each SDK supports (lib/expo-sdk.mjs); updates never
+ *   leave the SDK's range and misaligned packages get the SDK's version
  *
  * Usage:
  *   node scripts/security/dependency-manager.mjs [options]
+ *   node scripts/security/dependency-manager.mjs plan [--output <file>] [options]
+ *   node scripts/security/dependency-manager.mjs apply --plan <file> [options]
+ *
+ * Commands:
+ *   plan                Scan and write a reviewable update plan (JSON plus a
+ *                       Markdown summary) instead of updating
+ *   apply --plan <file> Apply exactly the changes in a plan, then install and
+ *                       verify each workspace
  *
  * Options:
  *   --scan              Scan for vulnerabilities only
@@ -24,53 +39,160 @@
  *   --force-update      Update all dependencies (dangerous)
  *   --check-outdated    Check for outdated packages
  *   --report            Generate security report
+ *   --format <formats>  Extra report formats besides JSON (sarif, markdown, html)
  *   --aikido            Run AIKIDO security scan
+ *   --sbom              Write CycloneDX 1.5 and SPDX 2.3 SBOMs per workspace
+ *   --licenses          Check installed package licenses against the policy
+ *   --offline           Match lockfiles against the local advisory database
+ *   --advisory-db <dir> Advisory database directory (implies --offline)
+ *   --base <ref>        Pull request mode: report only findings introduced,
+ *                       fixed or changed since the merge base with <ref>
+ *   --workspace <name>  Limit the run to a workspace (repeatable)
+ *   --verify <command>  Verification command after updates (repeatable,
+ *                       defaults to the workspace's test/lint scripts)
+ *   --policy <file>     Use an alternative policy file instead of .securityrc
+ *   --output <file>     Plan file to write (default: reports/update-plan-<date>.json)
  *   --dry-run           Preview changes without applying
+ *   --json, --quiet, --fail-on <severity> (default: high), NO_COLOR:
+ *                       shared CLI contract, see lib/cli.mjs
+ *
+ * Exit codes: 0 clean, 1 findings at or above --fail-on or policy
+ * violations (in --base mode: the pull request check failed), 2 error,
+ * 3 vulnerability data missing or stale.
+ *
+ * Policy:
+ *   SLA days, auto-update severities, excluded/denied packages and time-boxed
+ *   ignore entries, license rules, license acknowledgements and the pull
+ *   request threshold (pullRequests.failOn) live in .securityrc (schema:
+ *   securityrc.schema.json).
+ *
+ * Triage:
+ *   Decisions taken in the interactive dashboard (ignored, false positive,
+ *   accepted risk) live in .security-triage.json (schema:
+ *   triage.schema.json). Triaged findings do not count towards scores,
+ *   thresholds or updates until their decision expires.
  */
 
 import fs from 'fs';
+import os from 'os';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { execSync, spawn } from 'child_process';
 import readline from 'readline';
+import { discoverWorkspaces, filterWorkspaces } from './lib/workspaces.mjs';
+import { isPatchedVersion, normalizeAuditReport, partitionFindings, suggestPatchedVersion } from './lib/audit.mjs';
+import { coerceVersion, compareVersions, getRangePrefix, parseVersion, satisfies, sortVersions } from './lib/semver.mjs';
+import { getPublishedVersions } from './lib/registry.mjs';
+import {
+  DEFAULT_POLICY,
+  addLicenseAcknowledgements,
+  applyIgnores,
+  findDeniedPackages,
+  loadPolicy,
+  resolveWorkspacePolicy
+} from './lib/policy.mjs';
+import { buildSarifLog } from './lib/sarif.mjs';
+import { findPreviousReport, renderDiffMarkdown, renderHtml, renderMarkdown } from './lib/report-renderer.mjs';
+import { buildDependencyGraph, loadLockfile, loadWorkspaceGraph } from './lib/lockfile.mjs';
+import { findShortestPath, formatPath } from './lib/dependency-paths.mjs';
+import { buildCycloneDx, buildSpdx } from './lib/sbom.mjs';
+import { scanLicenses, summarizeLicenses } from './lib/licenses.mjs';
+import { getDatabaseAge, loadAdvisoryDatabase, matchAdvisories } from './lib/advisory-db.mjs';
+import { diffFindings, getBlockingFindings } from './lib/scan-diff.mjs';
+import { EXIT_CODES, configureOutput, exceedsThreshold, exitWithError, formatCliHelp, parseCliOptions } from './lib/cli.mjs';
+import { diffLockfiles } from './lib/supply-chain.mjs';
+import { RISK_ICONS, applyPlanChanges, assessRisk, createPlan, findPlanDrift, getEnabledChanges, readPlan, renderPlanMarkdown } from './lib/update-plan.mjs';
+import { checkExpoAlignment, getExpoSdk, getSdkSpec, isWithinSdk } from './lib/expo-sdk.mjs';
+import { DEFAULT_UPDATE_GROUPS, assignUpdateGroups, groupChanges, usesExpo } from './lib/update-groups.mjs';
+import { createGitService } from './lib/git.mjs';
+import { getHistoryKey, getRemediationStats, loadHistory, recordScan, saveHistory } from './lib/history.mjs';
+import { TRIAGE_STATUSES, applyTriage, loadTriage } from './lib/triage.mjs';
+import {
+  getTransactionFiles,
+  getVerificationCommands,
+  restoreSnapshot,
+  snapshotFiles
+} from './lib/update-transaction.mjs';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 // Configuration
+const command = ['plan', 'apply'].includes(process.argv[2]) ? process.argv[2] : null;
+const planFile = getArgValues('--plan', { split: false })[0] || null;
+const planOutput = getArgValues('--output', { split: false })[0] || null;
 const isDryRun = process.argv.includes('--dry-run');
 const isAutoUpdate = process.argv.includes('--auto-update');
 const isForceUpdate = process.argv.includes('--force-update');
-const scanOnly = process.argv.includes('--scan');
+const baseRef = getArgValues('--base', { split: false })[0] || null;
+// Pull request diffs never modify dependencies
+const scanOnly = process.argv.includes('--scan') || Boolean(baseRef);
 const checkOutdated = process.argv.includes('--check-outdated');
-const generateReport = process.argv.includes('--report');
+const reportFormats = getArgValues('--format');
+const generateReport = process.argv.includes('--report') || reportFormats.length > 0;
 const runAikido = process.argv.includes('--aikido');
+const generateSbom = process.argv.includes('--sbom');
+const checkLicenses = process.argv.includes('--licenses');
+const advisoryDbDir = getArgValues('--advisory-db', { split: false })[0] || null;
+const isOffline = process.argv.includes('--offline') || Boolean(advisoryDbDir);
 const isHelp = process.argv.includes('--help');
+const workspaceFilter = getArgValues('--workspace');
+const verifyCommands = getArgValues('--verify', { split: false });
+const policyFile = getArgValues('--policy', { split: false })[0] || null;
 
 // Paths
 const projectRoot = path.resolve(__dirname, '../..');
-const packagePaths = {
-  root: path.join(projectRoot, 'package.json'),
-  client: path.join(projectRoot, 'client/package.json'),
-  server: path.join(projectRoot, 'server/package.json')
-};
-
-// Security thresholds
-const SECURITY_CONFIG = {
-  maxAge: {
-    critical: 7,    // days - critical vulnerabilities must be fixed within 7 days
-    high: 30,       // days - high vulnerabilities within 30 days
-    moderate: 90,   // days - moderate vulnerabilities within 90 days
-    low: 365        // days - low vulnerabilities within 1 year
-  },
-  autoUpdateLevels: ['critical', 'high'], // Auto-update these severity levels
-  excludePackages: [], // Packages to never auto-update
-  trustedSources: ['npm', 'github'], // Trusted package sources
-};
+const reportsDir = path.join(projectRoot, 'reports');
+const git = createGitService(projectRoot);
+
+// Security policy (.securityrc), loaded in main()
+let securityPolicy = DEFAULT_POLICY;
+let securityPolicyPath = null;
+const workspacePolicies = new Map();
+
+// Triage decisions (.security-triage.json), loaded in main()
+let triageEntries = [];
+
+// Offline advisory database, loaded on first use (null: not configured, false: failed to load)
+let advisoryDatabase = null;
+
+// Shared CLI options (--json, --quiet, --fail-on, NO_COLOR), parsed in main()
+let cliOptions = { json: false, quiet: false, failOn: 'high', failOnExplicit: false, color: true, interactive: true };
 
 // Test log for dry runs
 const testLog = [];
 
+// Outcome of each update transaction, printed at the end of the run
+const runSummary = [];
+
+/**
+ * Get the resolved policy for a workspace directory
+ */
+function getPolicyFor(packageDir) {
+  return workspacePolicies.get(packageDir) || securityPolicy;
+}
+
+/**
+ * Collect every value passed for a repeatable option (`--flag value` or `--flag=value`)
+ */
+function getArgValues(flag, { split = true } = {}) {
+  const values = [];
+  const args = process.argv.slice(2);
+
+  args.forEach((arg, index) => {
+    if (arg === flag && args[index + 1] && !args[index + 1].startsWith('--')) {
+      values.push(args[index + 1]);
+    } else if (arg.startsWith(`${flag}=`)) {
+      values.push(arg.slice(flag.length + 1));
+    }
+  });
+
+  return values
+    .flatMap(value => (split ? value.split(',') : [value]))
+    .map(value => value.trim())
+    .filter(Boolean);
+}
+
 /**
  * Show help information
  */
@@ -80,17 +202,61 @@ function showHelp() {
 
 USAGE:
   node scripts/security/dependency-manager.mjs [options]
+  node scripts/security/dependency-manager.mjs plan [--output <file>] [options]
+  node scripts/security/dependency-manager.mjs apply --plan <file> [options]
+
+COMMANDS:
+  plan                🗺️  Scan and write an update plan instead of updating: every
+                         proposed version change per workspace with its reason
+                         and risk (major/minor/patch, breaking-change hints).
+                         Security fixes only with --auto-update; add
+                         --check-outdated to include outdated packages
+  apply --plan <file> ▶️  Apply exactly the changes in a (reviewed) plan. Delete
+                         entries or set "enabled": false to skip them; refuses
+                         to run if a manifest changed since the plan was made
 
 SCANNING OPTIONS:
   --scan              🔍 Scan for vulnerabilities only
   --check-outdated    📊 Check for outdated packages
   --report            📋 Generate comprehensive security report
+  --format <formats>  🧾 Also write the report as: sarif, markdown, html
+                         (comma-separated, implies --report)
   --aikido            🛡️  Run AIKIDO security scan
+  --sbom              📦 Write CycloneDX 1.5 + SPDX 2.3 SBOMs to reports/sbom/
+  --licenses          ⚖️  Check installed package licenses (allow/review/deny);
+                         without --scan, prompts to acknowledge flagged ones
+  --workspace <name>  📁 Limit the run to a workspace (repeatable, e.g. mobile)
+  --offline           ✈️  Match lockfiles against the local advisory database
+                         (advisoryDatabase.path in .securityrc) instead of npm audit
+  --advisory-db <dir> 🗄️  Advisory database directory of OSV/GHSA JSON records
+                         (implies --offline)
+  --base <ref>        🔀 Pull request mode: compare with the merge base of <ref>
+                         and HEAD, report only new, fixed and re-rated findings,
+                         and fail only on new findings at or above --fail-on
+                         or pullRequests.failOn (implies --scan)
 
 UPDATE OPTIONS:
   --update            🔄 Interactive dependency updates
   --auto-update       ⚡ Auto-update security fixes only
   --force-update      ⚠️  Update ALL dependencies (use with caution)
+  --verify <command>  🧪 Verify each workspace after updating (repeatable);
+                         defaults to its "test" and "lint" scripts. Failed
+                         installs or checks restore package.json and the lockfile
+
+  Updates are applied in groups, each installed and verified on its own:
+  patch upgrades together, minor upgrades together, every major alone and
+  ecosystem groups (updates.groups in .securityrc) in lockstep. In Expo
+  workspaces, SDK-pinned packages only move with expo itself, updates that
+  exceed the SDK's supported range are refused and packages misaligned with
+  the SDK are proposed at the version npx expo install would pick.
+
+PLAN OPTIONS:
+  --output <file>     📄 Plan file (default: reports/update-plan-<date>.json);
+                         a Markdown summary is written next to it
+  --plan <file>       📥 Plan to apply
+
+POLICY OPTIONS:
+  --policy <file>     📜 Use an alternative policy file (default: .securityrc)
 
 SAFETY OPTIONS:
   --dry-run           👁️  Preview changes without applying
@@ -112,23 +278,48 @@ EXAMPLES:
   # Full security audit with AIKIDO
   npm run security:aikido
 
+  # Software bill of materials for every workspace
+  node scripts/security/dependency-manager.mjs --sbom
+
+  # License compliance check without prompts (CI)
+  node scripts/security/dependency-manager.mjs --licenses --scan
+
+  # Scan an air-gapped machine against a mirrored advisory dataset
+  node scripts/security/dependency-manager.mjs --scan --advisory-db ~/advisory-database/advisories
+
+  # Scan only the mobile workspace
+  node scripts/security/dependency-manager.mjs --scan --workspace mobile
+
+  # Pull request check: only what this branch changes compared to main
+  node scripts/security/dependency-manager.mjs --base origin/main --report --format markdown
+
+  # Plan security fixes, review or edit the plan, then apply it
+  node scripts/security/dependency-manager.mjs plan --auto-update --output update-plan.json
+  node scripts/security/dependency-manager.mjs apply --plan update-plan.json
+
+  # CI gate: JSON result on stdout, fail on critical findings only
+  node scripts/security/dependency-manager.mjs --scan --json --fail-on critical > scan.json
+
+${formatCliHelp({ failOn: 'high' })}
+
 INTEGRATION:
   - Integrates with AIKIDO security scanner
   - Works with npm audit and GitHub security advisories
+  - Falls back to the offline advisory database when npm audit is unreachable
   - Generates reports compatible with CI/CD pipelines
-  - Supports monorepo structure (root/client/server)
+  - Discovers workspaces from the root package.json "workspaces" field
   `);
 }
 
 /**
- * Prompts the user for input
+ * Prompts the user for input (lower-cased unless `keepCase` is set)
  */
-const ask = (query) =>
+const ask = (query, { keepCase = false } = {}) =>
   new Promise((resolve) => {
     const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
     rl.question(query, (answer) => {
       rl.close();
-      resolve(answer.trim().toLowerCase());
+      resolve(keepCase ? answer.trim() : answer.trim().toLowerCase());
     });
   });
 
@@ -144,7 +335,8 @@ function execCommand(command, options = {}) {
     });
     return { success: true, output: result, error: null };
   } catch (error) {
-    return { success: false, output: null, error: error.message };
+    // Commands like npm audit/outdated exit non-zero but still print JSON
+    return { success: false, output: error.stdout || null, error: error.message };
   }
 }
 
@@ -181,29 +373,127 @@ function writePackageJson(filePath, content) {
 
 /**
  * Scan for vulnerabilities using npm audit
+ *
+ * Returns normalised findings (see lib/audit.mjs) for both audit report
+ * versions. Offline runs, and audits that cannot reach the registry while
+ * an advisory database is configured, use the local database instead.
+ * `root` is the monorepo root holding the lockfile (a temporary copy for
+ * merge base scans).
  */
-async function scanVulnerabilities(packageDir) {
-  console.log(`\n🔍 Scanning vulnerabilities in ${path.basename(packageDir)}...`);
+async function scanVulnerabilities(packageDir, { root = projectRoot, label = path.basename(packageDir) } = {}) {
+  console.log(`\n🔍 Scanning vulnerabilities in ${label}...`);
+
+  if (isOffline) {
+    return scanOffline(packageDir, root);
+  }
 
   const auditCommand = 'npm audit --json';
   const result = execCommand(auditCommand, { cwd: packageDir });
+  let failure = null;
 
-  if (!result.success) {
-    console.warn(`⚠️  npm audit failed in ${packageDir}: ${result.error}`);
-    return { vulnerabilities: [], summary: null };
+  // npm audit exits with code 1 when it finds vulnerabilities, which is expected
+  if (!result.output) {
+    failure = result.error;
+  } else {
+    try {
+      const auditData = JSON.parse(result.output);
+      if (auditData.error) {
+        failure = auditData.error.summary || auditData.error.code || auditData.message || 'unknown error';
+      } else {
+        return {
+          findings: normalizeAuditReport(auditData),
+          summary: auditData.metadata || null,
+          auditLevel: auditData.auditReportVersion || 1,
+          source: 'npm-audit'
+        };
+      }
+    } catch (error) {
+      failure = 'could not parse audit results';
+    }
   }
 
+  console.warn(`⚠️  npm audit failed in ${packageDir}: ${failure}`);
+
+  if (getAdvisoryDatabasePath(getPolicyFor(packageDir))) {
+    console.log('   ✈️  Falling back to the offline advisory database');
+    return scanOffline(packageDir, root);
+  }
+
+  return { findings: [], summary: null, failed: true, reason: `npm audit failed: ${failure}` };
+}
+
+/**
+ * Resolve the offline advisory database directory (--advisory-db wins over the policy)
+ */
+function getAdvisoryDatabasePath(policy = securityPolicy) {
+  if (advisoryDbDir) return path.resolve(advisoryDbDir);
+  return policy.advisoryDatabase?.path ? path.resolve(projectRoot, policy.advisoryDatabase.path) : null;
+}
+
+/**
+ * Scan a workspace against the offline advisory database
+ *
+ * Matches every installed lockfile entry with real semver range checks.
+ * A dataset older than `advisoryDatabase.maxAgeDays` still yields findings
+ * but is marked stale, so an empty result is not mistaken for a clean one.
+ */
+function scanOffline(packageDir, root = projectRoot) {
+  const policy = getPolicyFor(packageDir);
+  const databasePath = getAdvisoryDatabasePath(policy);
+
+  if (!databasePath) {
+    console.warn('⚠️  No advisory database configured: set advisoryDatabase.path in .securityrc or pass --advisory-db <dir>');
+    return { findings: [], summary: null, failed: true, reason: 'no advisory database configured' };
+  }
+
+  if (advisoryDatabase === null) {
+    try {
+      advisoryDatabase = loadAdvisoryDatabase(databasePath);
+      console.log(`   🗄️  Advisory database: ${advisoryDatabase.count} npm advisories from ${databasePath}`);
+      advisoryDatabase.errors.forEach(error => console.warn(`   ⚠️  Skipped unreadable advisory file ${error}`));
+    } catch (error) {
+      console.warn(`⚠️  ${error.message}`);
+      advisoryDatabase = false;
+    }
+  }
+
+  if (!advisoryDatabase || advisoryDatabase.count === 0) {
+    return { findings: [], summary: null, failed: true, reason: `no npm advisories found in ${databasePath}` };
+  }
+
+  let lockfile;
   try {
-    const auditData = JSON.parse(result.output);
-    return {
-      vulnerabilities: auditData.vulnerabilities || {},
-      summary: auditData.metadata || null,
-      auditLevel: auditData.auditReportVersion || 1
-    };
+    lockfile = loadLockfile(packageDir, root);
   } catch (error) {
-    console.warn(`⚠️  Failed to parse audit results for ${packageDir}`);
-    return { vulnerabilities: [], summary: null };
+    console.warn(`⚠️  ${error.message}`);
+    return { findings: [], summary: null, failed: true, reason: error.message };
   }
+
+  if (!lockfile) {
+    console.warn(`⚠️  No package-lock.json found for ${packageDir}`);
+    return { findings: [], summary: null, failed: true, reason: 'no package-lock.json' };
+  }
+
+  const graph = buildDependencyGraph(lockfile.lock, lockfile.location);
+  const findings = matchAdvisories(graph, advisoryDatabase);
+  const databaseAge = getDatabaseAge(advisoryDatabase);
+  const maxAge = policy.advisoryDatabase?.maxAgeDays ?? DEFAULT_POLICY.advisoryDatabase.maxAgeDays;
+  const stale = databaseAge === null || databaseAge > maxAge;
+
+  if (stale) {
+    console.warn(databaseAge === null
+      ? '⚠️  STALE ADVISORY DATA: the advisory database has no modification dates; its age is unknown'
+      : `⚠️  STALE ADVISORY DATA: newest advisory is ${databaseAge} days old (limit: ${maxAge} days)`);
+  }
+
+  return {
+    findings,
+    summary: null,
+    source: 'offline',
+    stale,
+    databaseAge,
+    ...(stale ? { reason: databaseAge === null ? 'advisory data of unknown age' : `advisory data is ${databaseAge} days old` } : {})
+  };
 }
 
 /**
@@ -227,40 +517,79 @@ async function checkOutdatedPackages(packageDir) {
 
 /**
  * Analyze vulnerability severity and age
+ *
+ * Takes a normalised finding. Age counts from when the finding was first
+ * detected in this repository (see lib/history.mjs), falling back to the
+ * advisory's publication date; without either it is null and the finding
+ * is never considered stale.
  */
-function analyzeVulnerability(vulnId, vulnData) {
-  const severity = vulnData.severity || 'unknown';
-  const publishedDate = vulnData.created ? new Date(vulnData.created) : new Date();
-  const ageInDays = Math.floor((Date.now() - publishedDate.getTime()) / (1000 * 60 * 60 * 24));
+function analyzeVulnerability(finding, policy = securityPolicy) {
+  const severity = finding.severity || 'unknown';
+  const openedAt = finding.firstSeen || finding.created;
+  const ageInDays = openedAt
+    ? Math.floor((Date.now() - new Date(openedAt).getTime()) / (1000 * 60 * 60 * 24))
+    : null;
 
-  const maxAge = SECURITY_CONFIG.maxAge[severity] || SECURITY_CONFIG.maxAge.low;
-  const isStale = ageInDays > maxAge;
-  const shouldAutoUpdate = SECURITY_CONFIG.autoUpdateLevels.includes(severity);
+  const maxAge = policy.sla[severity] ?? policy.sla.low;
+  const isStale = ageInDays !== null && ageInDays > maxAge;
+  const shouldAutoUpdate = policy.updates.autoUpdateSeverities.includes(severity);
 
   return {
-    id: vulnId,
+    id: finding.id,
     severity,
+    firstSeen: finding.firstSeen || null,
     ageInDays,
     maxAge,
     isStale,
     shouldAutoUpdate,
-    title: vulnData.title || 'Unknown vulnerability',
-    module: vulnData.module_name || 'unknown',
-    versions: vulnData.vulnerable_versions || 'unknown',
-    patched: vulnData.patched_versions || 'none',
-    url: vulnData.url || null
+    isDirect: finding.isDirect,
+    introducedBy: finding.introducedBy,
+    title: finding.title,
+    module: finding.package,
+    versions: finding.range || 'unknown',
+    patched: finding.patched || 'none',
+    url: finding.url
   };
 }
 
+/**
+ * Record the shortest path from the workspace root to each vulnerable package
+ *
+ * Only copies whose version is in the vulnerable range are considered, so
+ * listings show which direct dependency actually pulls the advisory in.
+ */
+function annotateIntroducingPaths(packageDir, findings) {
+  if (findings.length === 0) return;
+
+  let graph;
+  try {
+    graph = loadWorkspaceGraph(packageDir, projectRoot);
+  } catch (error) {
+    return;
+  }
+  if (!graph) return;
+
+  findings.forEach(finding => {
+    const steps = findShortestPath(graph, finding.package, {
+      accept: node => !finding.range || !node.version || satisfies(node.version, finding.range)
+    }) || findShortestPath(graph, finding.package);
+    if (steps) finding.introducedPath = formatPath(steps);
+  });
+}
+
 /**
  * Generate security score for a package
+ *
+ * Every advisory/package pair counts once. Transitive findings weigh the
+ * same as direct ones: they ship in the bundle either way. Unacknowledged
+ * license issues (see lib/licenses.mjs) count as well.
  */
-function calculateSecurityScore(vulns, outdated) {
+function calculateSecurityScore(findings, outdated, policy = securityPolicy, licenses = []) {
   let score = 100; // Start with perfect score
 
   // Deduct points for vulnerabilities
-  Object.values(vulns).forEach(vuln => {
-    const analysis = analyzeVulnerability(vuln.id, vuln);
+  findings.forEach(finding => {
+    const analysis = analyzeVulnerability(finding, policy);
     switch (analysis.severity) {
       case 'critical': score -= 25; break;
       case 'high': score -= 15; break;
@@ -278,6 +607,10 @@ function calculateSecurityScore(vulns, outdated) {
   const outdatedCount = Object.keys(outdated).length;
   score -= Math.min(outdatedCount * 2, 30); // Max 30 points for outdated
 
+  // Deduct points for copyleft and unreviewed licenses
+  const licenseSummary = summarizeLicenses(licenses);
+  score -= Math.min(licenseSummary.denied * 10 + licenseSummary.review * 2, 30); // Max 30 points for licenses
+
   return Math.max(0, Math.round(score));
 }
 
@@ -306,9 +639,8 @@ async function runAikidoScan() {
 
   // Check git remote to show which org
   try {
-    const gitRemote = execCommand('git remote get-url origin', { cwd: projectRoot });
-    if (gitRemote.success) {
-      const repoUrl = gitRemote.output.trim();
+    const repoUrl = git.getRemoteUrl('origin');
+    if (repoUrl) {
       console.log(`   • Repository: ${repoUrl}`);
     }
   } catch (error) {
@@ -323,9 +655,10 @@ async function runAikidoScan() {
 
   // Check for existing security tool branches
   try {
-    const branchResult = execCommand('git branch -r | grep -E "(aikido|dependabot)"', { cwd: projectRoot });
-    if (branchResult.success && branchResult.output.trim()) {
-      const securityBranches = branchResult.output.trim().split('\n');
+    const securityBranches = git.listBranches()
+      .filter(branch => branch.remote && /aikido|dependabot/.test(branch.name))
+      .map(branch => branch.name);
+    if (securityBranches.length > 0) {
       const aikidoBranches = securityBranches.filter(b => b.includes('aikido'));
       const dependabotBranches = securityBranches.filter(b => b.includes('dependabot'));
 
@@ -355,28 +688,24 @@ async function runAikidoScan() {
 }
 
 /**
- * Update dependencies automatically
+ * Collect the updates a workspace needs
+ *
+ * Auto mode keeps only the security fixes the policy allows to auto-update;
+ * every other mode also includes outdated packages.
  */
-async function updateDependencies(packageDir, vulns, outdated, mode = 'interactive') {
-  const packageJsonPath = path.join(packageDir, 'package.json');
-  const pkg = getPackageJson(packageJsonPath);
-
-  if (!pkg.exists) {
-    console.warn(`⚠️  No package.json found in ${packageDir}`);
-    return false;
-  }
-
+function collectUpdates(packageDir, findings, outdated, mode) {
   const updates = [];
+  const policy = getPolicyFor(packageDir);
 
   // Security updates from vulnerabilities
-  for (const [vulnId, vulnData] of Object.entries(vulns)) {
-    const analysis = analyzeVulnerability(vulnId, vulnData);
+  for (const finding of findings) {
+    const analysis = analyzeVulnerability(finding, policy);
 
     if (mode === 'auto' && !analysis.shouldAutoUpdate) {
       continue; // Skip non-critical vulnerabilities in auto mode
     }
 
-    if (SECURITY_CONFIG.excludePackages.includes(analysis.module)) {
+    if (policy.updates.exclude.includes(analysis.module)) {
       console.log(`⏭️  Skipping excluded package: ${analysis.module}`);
       continue;
     }
@@ -385,8 +714,10 @@ async function updateDependencies(packageDir, vulns, outdated, mode = 'interacti
       type: 'security',
       package: analysis.module,
       severity: analysis.severity,
-      current: vulnData.via || 'unknown',
+      isDirect: analysis.isDirect,
+      current: analysis.versions,
       patched: analysis.patched,
+      introducedPath: finding.introducedPath || null,
       reason: `${analysis.severity} vulnerability: ${analysis.title}`
     });
   }
@@ -407,6 +738,37 @@ async function updateDependencies(packageDir, vulns, outdated, mode = 'interacti
     });
   }
 
+  // Packages out of line with the workspace's Expo SDK (not security fixes, so never in auto mode)
+  if (mode !== 'auto') {
+    const alignment = checkExpoAlignment(getPackageJson(path.join(packageDir, 'package.json')).content, name => getLockedVersion(packageDir, name));
+    (alignment?.misaligned || [])
+      .filter(entry => !policy.updates.exclude.includes(entry.package))
+      .forEach(entry => {
+        updates.push({
+          type: 'alignment',
+          package: entry.package,
+          expected: entry.expected,
+          reason: `Not aligned with Expo SDK ${alignment.sdk} (declared ${entry.declared}${entry.installed ? `, installed ${entry.installed}` : ''}; expected ${entry.expected})`
+        });
+      });
+  }
+
+  return updates;
+}
+
+/**
+ * Update dependencies automatically
+ */
+async function updateDependencies(packageDir, findings, outdated, mode = 'interactive') {
+  const pkg = getPackageJson(path.join(packageDir, 'package.json'));
+
+  if (!pkg.exists) {
+    console.warn(`⚠️  No package.json found in ${packageDir}`);
+    return false;
+  }
+
+  const updates = collectUpdates(packageDir, findings, outdated, mode);
+
   if (updates.length === 0) {
     console.log('✅ No updates needed');
     return true;
@@ -425,9 +787,12 @@ async function updateDependencies(packageDir, vulns, outdated, mode = 'interacti
     console.log(`     ${update.reason}`);
     if (update.type === 'security') {
       console.log(`     ${severityColor} Severity: ${update.severity}`);
+      if (!update.isDirect && update.introducedPath) {
+        console.log(`     Path: ${update.introducedPath}`);
+      }
     }
     if (update.current && update.patched) {
-      console.log(`     Current: ${update.current} → Patched: ${update.patched}`);
+      console.log(`     Vulnerable: ${update.current} → Patched: ${update.patched}`);
     }
     if (update.current && update.latest) {
       console.log(`     Current: ${update.current} → Latest: ${update.latest}`);
@@ -498,91 +863,505 @@ async function interactiveUpdate(packageDir, updates) {
 }
 
 /**
- * Apply updates to package.json and run npm install
+ * Read the installed version of a package from the nearest package-lock.json
+ *
+ * Workspaces share the root lockfile, so the workspace directory is checked
+ * first, then the workspace's own copy in the root lockfile
+ * (<workspace>/node_modules) and finally the hoisted one.
  */
-async function applyUpdates(packageDir, updates) {
-  if (updates.length === 0) return true;
+function getLockedVersion(packageDir, packageName) {
+  const workspacePath = path.relative(projectRoot, packageDir).split(path.sep).join('/');
+  const lookups = [
+    [packageDir, `node_modules/${packageName}`],
+    ...(workspacePath ? [[projectRoot, `${workspacePath}/node_modules/${packageName}`], [projectRoot, `node_modules/${packageName}`]] : [])
+  ];
+
+  for (const [dir, location] of lookups) {
+    try {
+      const lock = JSON.parse(fs.readFileSync(path.join(dir, 'package-lock.json'), 'utf8'));
+      const entry = lock.packages?.[location] || (location === `node_modules/${packageName}` ? lock.dependencies?.[packageName] : null);
+      if (entry?.version) return entry.version;
+    } catch (error) {
+      // No lockfile here, try the next location
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Resolve the lowest published version that fixes a security update
+ *
+ * Candidates must fall outside the vulnerable range and be newer than the
+ * installed version (see isPatchedVersion). The current major is preferred
+ * so the fix stays non-breaking; a newer major is only chosen when the
+ * current one has no fix.
+ */
+function resolvePatchedVersion(update, currentVersion, packageDir) {
+  const published = getPublishedVersions(update.package, { cwd: packageDir });
+  const vulnerable = update.current && update.current !== 'unknown' ? update.current : null;
+
+  if (!published) {
+    // Registry unreachable: fall back to the lowest fixed bound of the vulnerable range
+    const fallback = vulnerable ? suggestPatchedVersion(vulnerable, currentVersion) : null;
+    return fallback
+      ? { version: fallback, explanation: `registry unavailable, using the advisory's fixed bound ${fallback}` }
+      : null;
+  }
+
+  const current = parseVersion(currentVersion);
+  const candidates = sortVersions(published).filter(version =>
+    parseVersion(version).prerelease.length === 0 &&
+    isPatchedVersion(version, { vulnerable, patched: update.patched, installed: current ? currentVersion : null })
+  );
 
-  const packageJsonPath = path.join(packageDir, 'package.json');
-  const pkg = getPackageJson(packageJsonPath);
+  if (candidates.length === 0) return null;
+
+  if (current) {
+    const sameMajor = candidates.find(version => parseVersion(version).major === current.major);
+    if (sameMajor) {
+      return {
+        version: sameMajor,
+        explanation: `lowest release satisfying ${update.patched} within major ${current.major} (installed ${currentVersion})`
+      };
+    }
 
-  if (!pkg.exists) return false;
+    return {
+      version: candidates[0],
+      explanation: `no fix in major ${current.major}; lowest release satisfying ${update.patched} is a major upgrade from ${currentVersion}`
+    };
+  }
+
+  return {
+    version: candidates[0],
+    explanation: `lowest release satisfying ${update.patched} (installed version unknown)`
+  };
+}
+
+/**
+ * Resolve updates to exact manifest changes
+ *
+ * Security fixes resolve to a concrete published version; transitive-only
+ * findings are fixed through `overrides` in the root package.json. Each
+ * change records the spec before and after, the reason and its risk (see
+ * lib/update-plan.mjs). Several updates of one package merge into a single
+ * change.
+ */
+function planUpdates(packageDir, updates) {
+  const pkg = getPackageJson(path.join(packageDir, 'package.json'));
+  if (!pkg.exists) return [];
+
+  // Resolve against working copies so repeated fixes of a package build on each other
+  const manifest = path.relative(projectRoot, pkg.path);
+  const content = structuredClone(pkg.content);
+  let rootContent = packageDir === projectRoot ? content : null;
+  const planned = new Map();
+  // Expo workspaces: versions of SDK-managed packages come from the SDK table
+  const sdk = getExpoSdk(pkg.content);
+
+  const record = (manifestPath, target, section, update, to, { explanation, installed = null, sdkAligned = false }) => {
+    const key = `${manifestPath}|${section}|${update.package}`;
+    const previous = planned.get(key);
+    const from = previous ? previous.from : target[section]?.[update.package] ?? null;
+    const installedVersion = previous ? previous.installed ?? null : installed;
+    const severity = previous?.severity || update.severity || null;
+    const { risk, hints, breaking } = assessRisk(installedVersion ?? from, to, { override: section === 'overrides' });
+
+    target[section] = target[section] || {};
+    target[section][update.package] = to;
+    planned.set(key, {
+      package: update.package,
+      manifest: manifestPath,
+      section,
+      from,
+      to,
+      ...(installedVersion ? { installed: installedVersion } : {}),
+      type: previous?.type === 'security' ? 'security' : update.type,
+      ...(severity ? { severity } : {}),
+      risk,
+      breaking,
+      hints,
+      reason: previous ? `${previous.reason}; ${update.reason}` : update.reason,
+      explanation,
+      ...(sdkAligned ? { sdkAligned } : {}),
+      enabled: true
+    });
+  };
 
-  let hasChanges = false;
+  // A security fix outside the SDK's range would break the app: report it instead
+  const exceedsSdk = (update, version) => {
+    if (sdk === null || isWithinSdk(sdk, update.package, version)) return false;
+    console.warn(`⚠️  ${update.package}@${version} fixes the advisory but Expo SDK ${sdk} supports ${getSdkSpec(sdk, update.package)}; upgrade the Expo SDK to fix it, skipping`);
+    return true;
+  };
 
-  // Apply updates to package.json
   for (const update of updates) {
     if (update.type === 'security' && update.patched && update.patched !== 'none') {
-      // Update to patched version
-      const targetVersion = update.patched;
-
-      // Check dependencies
-      if (pkg.content.dependencies && pkg.content.dependencies[update.package]) {
-        pkg.content.dependencies[update.package] = targetVersion;
-        hasChanges = true;
-        console.log(`✅ Updated ${update.package} to ${targetVersion} (security fix)`);
-      }
-
-      // Check devDependencies
-      if (pkg.content.devDependencies && pkg.content.devDependencies[update.package]) {
-        pkg.content.devDependencies[update.package] = targetVersion;
-        hasChanges = true;
-        console.log(`✅ Updated ${update.package} to ${targetVersion} (security fix, dev)`);
+      const section = ['dependencies', 'devDependencies', 'optionalDependencies', 'peerDependencies']
+        .find(key => content[key] && content[key][update.package]);
+
+      if (section) {
+        // Direct dependency: bump the declared range, keeping its prefix style
+        const currentSpec = content[section][update.package];
+        const resolved = resolvePatchedVersion(update, coerceVersion(currentSpec), packageDir);
+
+        if (!resolved) {
+          console.warn(`⚠️  No published version of ${update.package} satisfies ${update.patched}, skipping`);
+          continue;
+        }
+
+        if (exceedsSdk(update, resolved.version)) continue;
+
+        const prefix = getRangePrefix(currentSpec) ?? '^';
+        record(manifest, content, section, update, `${prefix}${resolved.version}`, { explanation: resolved.explanation });
+      } else if (!update.isDirect) {
+        // Transitive-only finding: pin it through npm overrides, which npm
+        // only honours in the root package.json
+        const installed = getLockedVersion(packageDir, update.package);
+        const resolved = resolvePatchedVersion(update, installed, packageDir);
+
+        if (!resolved) {
+          console.warn(`⚠️  No published version of ${update.package} satisfies ${update.patched}, skipping`);
+          continue;
+        }
+
+        if (exceedsSdk(update, resolved.version)) continue;
+
+        if (!rootContent) {
+          rootContent = structuredClone(getPackageJson(path.join(projectRoot, 'package.json')).content || {});
+        }
+        record('package.json', rootContent, 'overrides', update, `^${resolved.version}`, {
+          explanation: `transitive security fix: ${resolved.explanation}`,
+          installed
+        });
+      } else {
+        console.warn(`⚠️  ${update.package} is a direct dependency but not declared in ${manifest}, skipping`);
       }
     } else if (update.type === 'outdated' && update.latest) {
-      // Update to latest version
-      const targetVersion = update.wanted || update.latest;
-
-      // Check dependencies
-      if (pkg.content.dependencies && pkg.content.dependencies[update.package]) {
-        pkg.content.dependencies[update.package] = `^${update.latest}`;
-        hasChanges = true;
-        console.log(`✅ Updated ${update.package} to ^${update.latest}`);
-      }
-
-      // Check devDependencies
-      if (pkg.content.devDependencies && pkg.content.devDependencies[update.package]) {
-        pkg.content.devDependencies[update.package] = `^${update.latest}`;
-        hasChanges = true;
-        console.log(`✅ Updated ${update.package} to ^${update.latest} (dev)`);
+      // Update to the latest version in every section that declares it,
+      // keeping the declared prefix (Expo pins with ~, React Native exactly)
+      ['dependencies', 'devDependencies']
+        .filter(section => content[section] && content[section][update.package])
+        .forEach(section => {
+          const currentSpec = content[section][update.package];
+          const sdkSpec = sdk === null ? null : getSdkSpec(sdk, update.package);
+
+          if (sdkSpec && !satisfies(update.latest, sdkSpec)) {
+            // Newer than the SDK supports: propose the SDK's version instead
+            if (currentSpec === sdkSpec) {
+              console.log(`⏭️  ${update.package} ${update.latest} is beyond Expo SDK ${sdk} (${sdkSpec}); keeping ${currentSpec}`);
+              return;
+            }
+            record(manifest, content, section, update, sdkSpec, {
+              explanation: `latest release ${update.latest} is beyond Expo SDK ${sdk}; using its supported ${sdkSpec} (npx expo install ${update.package})`,
+              sdkAligned: true
+            });
+            return;
+          }
+
+          const prefix = getRangePrefix(currentSpec) ?? '^';
+          record(manifest, content, section, update, `${prefix}${update.latest}`, {
+            explanation: `latest release ${update.latest} (in range: ${update.wanted || 'n/a'})`,
+            sdkAligned: Boolean(sdkSpec)
+          });
+        });
+    } else if (update.type === 'alignment') {
+      const section = ['dependencies', 'devDependencies'].find(key => content[key]?.[update.package]);
+      if (section && content[section][update.package] !== update.expected) {
+        record(manifest, content, section, update, update.expected, {
+          explanation: `version Expo SDK ${sdk} supports (npx expo install ${update.package})`,
+          sdkAligned: true
+        });
       }
     }
   }
 
-  if (!hasChanges) {
+  return assignUpdateGroups([...planned.values()], {
+    groups: getPolicyFor(packageDir).updates.groups || DEFAULT_UPDATE_GROUPS,
+    expo: usesExpo(pkg.content)
+  });
+}
+
+/**
+ * Apply updates to package.json and run npm install
+ */
+async function applyUpdates(packageDir, updates) {
+  if (updates.length === 0) return true;
+  if (!getPackageJson(path.join(packageDir, 'package.json')).exists) return false;
+
+  return writePlannedChanges(packageDir, planUpdates(packageDir, updates));
+}
+
+/**
+ * Load the manifests a list of changes touches (path → parsed content)
+ */
+function loadManifests(changes) {
+  return new Map(changes.map(change => [
+    change.manifest,
+    getPackageJson(path.join(projectRoot, change.manifest)).content
+  ]));
+}
+
+/**
+ * Apply planned changes group by group (see lib/update-groups.mjs)
+ *
+ * Each group is written, installed and verified as its own transaction, so
+ * a failing group is rolled back without undoing the groups before it.
+ * Returns false when any group failed.
+ */
+async function writePlannedChanges(packageDir, changes) {
+  const pkg = getPackageJson(path.join(packageDir, 'package.json'));
+  const groups = getPolicyFor(packageDir).updates.groups || DEFAULT_UPDATE_GROUPS;
+  const expo = usesExpo(pkg.content);
+  const ordered = groupChanges(assignUpdateGroups(changes, { groups }), { groups });
+
+  changes.filter(change => change.enabled === false).forEach(change => {
+    console.log(`⏸️  Held back ${change.package}: ${change.hints[change.hints.length - 1]}`);
+  });
+
+  if (ordered.length === 0) {
+    console.log('ℹ️  No package.json changes needed');
+    return true;
+  }
+
+  let success = true;
+  for (const group of ordered) {
+    console.log(`\n📦 Update group ${group.name} (${group.changes.length} change(s))`);
+    success = (await writeUpdateGroup(packageDir, group, { expo })) && success;
+  }
+
+  return success;
+}
+
+/**
+ * Write one update group to the manifests and install it as a transaction
+ *
+ * Expo SDK groups in Expo workspaces realign the SDK's packages with
+ * `expo install --fix` when expo itself moves, and are verified with
+ * `expo install --check`.
+ */
+async function writeUpdateGroup(packageDir, group, { expo = false } = {}) {
+  const manifests = loadManifests(group.changes);
+  const modified = applyPlanChanges(group.changes, manifests);
+
+  group.changes.forEach(change => {
+    const target = change.section === 'overrides' ? 'root overrides' : change.section === 'devDependencies' ? 'dev' : null;
+    const label = change.type === 'security' ? 'security fix' : change.type;
+    console.log(`✅ Updated ${change.package} ${change.from ?? '(new)'} → ${change.to} (${label}${target ? `, ${target}` : ''})`);
+    if (change.explanation) console.log(`   ${change.explanation}`);
+  });
+
+  if (modified.size === 0) {
     console.log('ℹ️  No package.json changes needed');
     return true;
   }
 
-  // Write updated package.json
-  if (!writePackageJson(packageJsonPath, pkg.content)) {
+  const writeManifests = () => [...modified].every(manifest => {
+    const filePath = path.join(projectRoot, manifest);
+    if (!writePackageJson(filePath, manifests.get(manifest))) return false;
+    if (!isDryRun) console.log(`✅ Updated ${filePath}`);
+    return true;
+  });
+
+  const pkg = getPackageJson(path.join(packageDir, 'package.json'));
+  const expoGroup = group.expoSdk && expo;
+  const alignment = expoGroup && group.changes.some(change => change.package === 'expo') ? ['npx expo install --fix'] : [];
+  const verification = [
+    ...(expoGroup ? ['npx expo install --check'] : []),
+    ...getVerificationCommands(
+      manifests.get(path.relative(projectRoot, pkg.path)) || pkg.content,
+      verifyCommands.length > 0 ? verifyCommands : getPolicyFor(packageDir).updates.verify
+    )
+  ];
+
+  if (isDryRun) {
+    writeManifests();
+    testLog.push(`[DRY] Would run npm install in ${packageDir} (group ${group.name})`);
+    alignment.forEach(command => testLog.push(`[DRY] Would align with: ${command}`));
+    verification.forEach(command => testLog.push(`[DRY] Would verify with: ${command}`));
+    return true;
+  }
+
+  return runUpdateTransaction(packageDir, writeManifests, verification, { group: group.name, alignment });
+}
+
+/**
+ * Run an update as a transaction
+ *
+ * Snapshots package.json and package-lock.json (workspace and root), applies
+ * the manifest changes, installs, runs the `alignment` commands (which may
+ * rewrite the manifests) and the verification commands. Any failing step
+ * restores the snapshot. Every step is recorded in `runSummary`.
+ */
+function runUpdateTransaction(packageDir, writeChanges, verification, { group = null, alignment = [] } = {}) {
+  const workspace = path.relative(projectRoot, packageDir) || 'root';
+  const label = group ? `${workspace} [${group}]` : workspace;
+  const entry = { workspace, ...(group ? { group } : {}), steps: [], status: 'applied', restored: [] };
+  runSummary.push(entry);
+
+  const snapshot = snapshotFiles(getTransactionFiles(packageDir, projectRoot));
+
+  const runStep = (name, action) => {
+    const startedAt = Date.now();
+    const result = action();
+    entry.steps.push({
+      name,
+      success: result.success,
+      durationMs: Date.now() - startedAt,
+      error: result.success ? null : result.error
+    });
+    return result.success;
+  };
+
+  const rollback = (reason) => {
+    entry.status = 'rolled-back';
+    entry.reason = reason;
+    entry.restored = restoreSnapshot(snapshot).map(file => path.relative(projectRoot, file));
+    console.error(`↩️  Rolled back ${label}: ${reason}`);
+    entry.restored.forEach(file => console.error(`   • restored ${file}`));
+    if (entry.steps.some(step => step.name === 'npm install' && step.success)) {
+      console.error(`💡 node_modules still holds the attempted update; run npm install in ${workspace} to resync`);
+    }
     return false;
+  };
+
+  if (!runStep('write package.json', () => ({ success: writeChanges(), error: 'write failed' }))) {
+    return rollback('could not write package.json');
   }
 
-  console.log(`✅ Updated ${packageJsonPath}`);
+  console.log('📦 Running npm install...');
+  if (!runStep('npm install', () => execCommand('npm install', { cwd: packageDir }))) {
+    console.error('❌ npm install failed:', entry.steps[entry.steps.length - 1].error);
+    return rollback('npm install failed');
+  }
+  console.log('✅ npm install completed');
 
-  // Run npm install
-  if (!isDryRun) {
-    console.log('📦 Running npm install...');
-    const installResult = execCommand('npm install', { cwd: packageDir });
+  for (const command of alignment) {
+    console.log(`🧭 Aligning: ${command}`);
+    if (!runStep(command, () => execCommand(command, { cwd: packageDir }))) {
+      console.error(`❌ Alignment failed: ${command}`);
+      return rollback(`alignment failed: ${command}`);
+    }
+  }
+
+  for (const command of verification) {
+    console.log(`🧪 Verifying: ${command}`);
+    if (!runStep(command, () => execCommand(command, { cwd: packageDir }))) {
+      console.error(`❌ Verification failed: ${command}`);
+      return rollback(`verification failed: ${command}`);
+    }
+    console.log(`✅ ${command} passed`);
+  }
 
-    if (installResult.success) {
-      console.log('✅ npm install completed');
+  if (verification.length === 0) {
+    console.log('ℹ️  No verification commands configured for this workspace');
+  }
+
+  return true;
+}
+
+/**
+ * Print the outcome of every update transaction
+ */
+function printRunSummary() {
+  if (runSummary.length === 0) return;
+
+  console.log('\n📋 Update Summary:');
+  runSummary.forEach(entry => {
+    const icon = entry.status === 'applied' ? '✅' : '↩️ ';
+    console.log(`   ${icon} ${entry.workspace}${entry.group ? ` [${entry.group}]` : ''}: ${entry.status}${entry.reason ? ` (${entry.reason})` : ''}`);
+    entry.steps.forEach(step => {
+      console.log(`      ${step.success ? '✓' : '✗'} ${step.name} (${step.durationMs}ms)`);
+    });
+  });
+}
+
+/**
+ * Check the licenses of every installed package in a workspace
+ *
+ * Returns one entry per package version (see lib/licenses.mjs), or null
+ * when the workspace has no usable lockfile.
+ */
+function checkPackageLicenses(name, pkg, policy) {
+  let lockfile;
+  try {
+    lockfile = loadLockfile(pkg.dir, projectRoot);
+  } catch (error) {
+    console.warn(`⚠️  ${name}: ${error.message}`);
+    return null;
+  }
+
+  if (!lockfile) {
+    console.warn(`⚠️  ${name}: no package-lock.json found, skipping license check`);
+    return null;
+  }
+
+  const graph = buildDependencyGraph(lockfile.lock, lockfile.location);
+  return scanLicenses(graph, path.dirname(lockfile.file), policy.licenses);
+}
+
+/**
+ * Interactive acknowledgement of flagged licenses
+ *
+ * Each accepted package/license pair is recorded in the policy file with a
+ * justification, so later scans and the report treat it as reviewed.
+ */
+async function interactiveLicenseReview(flagged) {
+  const acknowledgements = [];
+  const acknowledgedBy = git.getConfig('user.name') || process.env.USER || 'unknown';
+  const today = new Date().toISOString().slice(0, 10);
+
+  console.log('\n⚖️  License Review:');
+
+  for (const entry of flagged) {
+    const icon = entry.status === 'deny' ? '🚫' : '🔎';
+    console.log(`\n${icon} ${entry.package}@${entry.version}: ${entry.expression || 'no license declared'} (${entry.status})`);
+    console.log(`   Used by: ${entry.workspaces.join(', ')}${entry.dev ? ' (development only)' : ''}`);
+
+    const choice = await ask(`Acknowledge ${entry.package}? [y/n/q]: `);
+
+    if (choice === 'q') {
+      console.log('⏹️  Quitting license review');
+      break;
+    } else if (choice === 'y') {
+      const justification = await ask('   Justification (min. 10 characters): ', { keepCase: true });
+      if (justification.length < 10) {
+        console.log(`⏭️  Skipped: ${entry.package} (justification too short)`);
+        continue;
+      }
+
+      acknowledgements.push({
+        package: entry.package,
+        ...(entry.expression ? { license: entry.expression } : {}),
+        justification,
+        acknowledgedBy,
+        date: today
+      });
+      console.log(`✅ Acknowledged: ${entry.package}`);
     } else {
-      console.error('❌ npm install failed:', installResult.error);
-      return false;
+      console.log(`⏭️  Skipped: ${entry.package}`);
     }
+  }
+
+  if (acknowledgements.length === 0) {
+    console.log('⏭️  No licenses acknowledged');
+    return acknowledgements;
+  }
+
+  if (isDryRun) {
+    acknowledgements.forEach(entry => testLog.push(`[DRY] Would acknowledge license of ${entry.package}: ${entry.license || 'none declared'}`));
   } else {
-    testLog.push(`[DRY] Would run npm install in ${packageDir}`);
+    const file = addLicenseAcknowledgements(projectRoot, securityPolicyPath, acknowledgements);
+    console.log(`\n📜 Recorded ${acknowledgements.length} acknowledgement(s) in ${path.relative(projectRoot, file)}`);
   }
 
-  return true;
+  return acknowledgements;
 }
 
 /**
  * Generate comprehensive security report
  */
-async function generateSecurityReport(scanResults) {
+async function generateSecurityReport(scanResults, { history = null, workspaces = {} } = {}) {
   console.log('\n📋 Generating Security Report...');
 
   const timestamp = new Date().toISOString();
@@ -597,6 +1376,9 @@ async function generateSecurityReport(scanResults) {
       moderateVulnerabilities: 0,
       lowVulnerabilities: 0,
       outdatedPackages: 0,
+      deniedLicenses: 0,
+      licensesToReview: 0,
+      incompleteScans: 0,
       overallScore: 0
     }
   };
@@ -605,13 +1387,16 @@ async function generateSecurityReport(scanResults) {
   let packageCount = 0;
 
   for (const [packageName, data] of Object.entries(scanResults)) {
-    const vulnCount = Object.keys(data.vulnerabilities).length;
+    const vulnCount = data.findings.length;
     const outdatedCount = Object.keys(data.outdated).length;
-    const score = calculateSecurityScore(data.vulnerabilities, data.outdated);
+    const licenses = data.licenses || [];
+    const licenseSummary = summarizeLicenses(licenses);
+    const score = calculateSecurityScore(data.findings, data.outdated, data.policy, licenses);
+    const { direct, transitive } = partitionFindings(data.findings);
 
     // Count vulnerabilities by severity
-    Object.values(data.vulnerabilities).forEach(vuln => {
-      const analysis = analyzeVulnerability(vuln.id, vuln);
+    data.findings.forEach(finding => {
+      const analysis = analyzeVulnerability(finding, data.policy);
       reportData.summary.totalVulnerabilities++;
 
       switch (analysis.severity) {
@@ -623,25 +1408,45 @@ async function generateSecurityReport(scanResults) {
     });
 
     reportData.summary.outdatedPackages += outdatedCount;
+    reportData.summary.deniedLicenses += licenseSummary.denied;
+    if (data.scan.status !== 'complete') reportData.summary.incompleteScans++;
+    reportData.summary.licensesToReview += licenseSummary.review;
 
     reportData.packages[packageName] = {
       vulnerabilities: vulnCount,
+      directVulnerabilities: direct.length,
+      transitiveVulnerabilities: transitive.length,
+      ignoredVulnerabilities: data.ignored.length,
+      triagedVulnerabilities: data.triaged.length,
+      deniedPackages: data.denied.map(entry => entry.package),
       outdated: outdatedCount,
-      score,
+      ...(data.licenses ? { licenses: licenseSummary } : {}),
+      // A failed scan knows nothing about vulnerabilities, so it gets no score
+      score: data.scan.status === 'failed' ? null : score,
+      scan: data.scan,
       details: {
-        vulnerabilities: data.vulnerabilities,
-        outdated: data.outdated
+        vulnerabilities: data.findings,
+        ignored: data.ignored,
+        triaged: data.triaged,
+        triageExpired: data.triageExpired,
+        outdated: data.outdated,
+        ...(data.licenses ? { licenses: licenses.filter(entry => entry.status !== 'allow') } : {})
       }
     };
 
-    totalScore += score;
-    packageCount++;
+    if (data.scan.status !== 'failed') {
+      totalScore += score;
+      packageCount++;
+    }
   }
 
-  reportData.summary.overallScore = packageCount > 0 ? Math.round(totalScore / packageCount) : 100;
+  reportData.summary.overallScore = packageCount > 0 ? Math.round(totalScore / packageCount) : null;
+
+  if (history) {
+    reportData.remediation = getRemediationStats(history);
+  }
 
   // Write report to file
-  const reportsDir = path.join(projectRoot, 'reports');
   if (!fs.existsSync(reportsDir)) {
     fs.mkdirSync(reportsDir, { recursive: true });
   }
@@ -655,19 +1460,60 @@ async function generateSecurityReport(scanResults) {
     testLog.push(`[DRY] Would save report: ${reportFile}`);
   }
 
+  // Additional renderings of the same data
+  const previousReport = findPreviousReport(reportsDir, reportFile);
+  const renderers = {
+    sarif: { extension: '.sarif', label: 'SARIF', render: () => JSON.stringify(buildSarifLog(scanResults, workspaces, { projectRoot }), null, 2) },
+    markdown: { extension: '.md', label: 'Markdown', render: () => renderMarkdown(reportData, previousReport) },
+    html: { extension: '.html', label: 'HTML', render: () => renderHtml(reportData, previousReport) }
+  };
+
+  for (const format of reportFormats) {
+    if (format === 'json') continue;
+
+    const renderer = renderers[format === 'md' ? 'markdown' : format];
+    if (!renderer) {
+      console.warn(`⚠️  Unknown report format: ${format}`);
+      continue;
+    }
+
+    const outputFile = reportFile.replace(/\.json$/, renderer.extension);
+
+    if (!isDryRun) {
+      fs.writeFileSync(outputFile, renderer.render());
+      console.log(`✅ ${renderer.label} report saved: ${outputFile}`);
+    } else {
+      testLog.push(`[DRY] Would save ${renderer.label} report: ${outputFile}`);
+    }
+  }
+
   // Display summary
   console.log('\n📊 Security Summary:');
-  console.log(`   Overall Score: ${getScoreColor(reportData.summary.overallScore)} ${reportData.summary.overallScore}/100`);
+  console.log(reportData.summary.overallScore === null
+    ? '   Overall Score: ⚪ n/a (no workspace could be scanned)'
+    : `   Overall Score: ${getScoreColor(reportData.summary.overallScore)} ${reportData.summary.overallScore}/100`);
   console.log(`   🔴 Critical: ${reportData.summary.criticalVulnerabilities}`);
   console.log(`   🟠 High: ${reportData.summary.highVulnerabilities}`);
   console.log(`   🟡 Moderate: ${reportData.summary.moderateVulnerabilities}`);
   console.log(`   🟢 Low: ${reportData.summary.lowVulnerabilities}`);
   console.log(`   📦 Outdated: ${reportData.summary.outdatedPackages}`);
+  if (checkLicenses) {
+    console.log(`   ⚖️  Denied licenses: ${reportData.summary.deniedLicenses}`);
+    console.log(`   🔎 Licenses to review: ${reportData.summary.licensesToReview}`);
+  }
+
+  Object.entries(reportData.remediation || {})
+    .filter(([, stats]) => stats.meanTimeToRemediateDays !== null)
+    .forEach(([severity, stats]) => {
+      console.log(`   ⏱️  MTTR ${severity}: ${stats.meanTimeToRemediateDays} days (${stats.resolved} resolved, ${stats.open} open)`);
+    });
 
   if (reportData.summary.criticalVulnerabilities > 0) {
     console.log('\n🚨 CRITICAL: Immediate action required for critical vulnerabilities!');
   } else if (reportData.summary.highVulnerabilities > 0) {
     console.log('\n⚠️  WARNING: High severity vulnerabilities found');
+  } else if (reportData.summary.incompleteScans > 0) {
+    console.log(`\n⚠️  INCOMPLETE: vulnerability data is missing or stale for ${reportData.summary.incompleteScans} workspace(s); an empty result does not mean no vulnerabilities`);
   } else if (reportData.summary.totalVulnerabilities === 0) {
     console.log('\n✅ EXCELLENT: No known vulnerabilities found');
   }
@@ -675,6 +1521,391 @@ async function generateSecurityReport(scanResults) {
   return reportData;
 }
 
+/**
+ * Generate CycloneDX and SPDX SBOMs for each workspace
+ *
+ * Components come from the installed tree in package-lock.json; the
+ * workspace's audit findings are attached as VEX entries (CycloneDX) and
+ * security advisory references (SPDX).
+ */
+function generateSboms(packages, scanResults) {
+  console.log('\n📦 Generating SBOMs...');
+
+  const sbomDir = path.join(reportsDir, 'sbom');
+  const timestamp = new Date().toISOString();
+  const written = [];
+
+  for (const [name, pkg] of Object.entries(packages)) {
+    let lockfile;
+    try {
+      lockfile = loadLockfile(pkg.dir, projectRoot);
+    } catch (error) {
+      console.warn(`⚠️  ${name}: ${error.message}`);
+      continue;
+    }
+
+    if (!lockfile) {
+      console.warn(`⚠️  ${name}: no package-lock.json found, skipping SBOM`);
+      continue;
+    }
+
+    const graph = buildDependencyGraph(lockfile.lock, lockfile.location);
+    const data = scanResults[name] || { findings: [], ignored: [], triaged: [] };
+    const options = {
+      name: pkg.content.name || name,
+      version: pkg.content.version || null,
+      findings: data.findings,
+      ignored: data.ignored,
+      triaged: data.triaged,
+      timestamp
+    };
+
+    const baseName = name.replace(/[\\/]/g, '-');
+    const cycloneDx = buildCycloneDx(graph, options);
+    const outputs = [
+      [path.join(sbomDir, `${baseName}.cdx.json`), cycloneDx],
+      [path.join(sbomDir, `${baseName}.spdx.json`), buildSpdx(graph, options)]
+    ];
+
+    for (const [file, document] of outputs) {
+      if (isDryRun) {
+        testLog.push(`[DRY] Would save SBOM: ${file}`);
+        continue;
+      }
+
+      fs.mkdirSync(sbomDir, { recursive: true });
+      fs.writeFileSync(file, JSON.stringify(document, null, 2) + '\n');
+      written.push(file);
+    }
+
+    console.log(`   ✅ ${name}: ${cycloneDx.components.length} components`);
+  }
+
+  written.forEach(file => console.log(`   📄 ${path.relative(projectRoot, file)}`));
+  return written;
+}
+
+/**
+ * Read a file at a git ref (null when it does not exist there)
+ */
+function readAtRef(relativePath, ref) {
+  return git.readFile(ref, relativePath);
+}
+
+/**
+ * Read a file below a directory (null when it does not exist)
+ */
+function readFileIn(dir, relativePath) {
+  const fullPath = path.join(dir, relativePath);
+  return fs.existsSync(fullPath) ? fs.readFileSync(fullPath, 'utf8') : null;
+}
+
+/**
+ * Resolve the merge base of a ref and HEAD
+ */
+function getMergeBase(ref) {
+  const mergeBase = git.getMergeBase(ref, 'HEAD');
+  if (!mergeBase) {
+    throw new Error(`No merge base between ${ref} and HEAD; fetch ${ref} with its history (e.g. fetch-depth: 0)`);
+  }
+  return mergeBase;
+}
+
+/**
+ * Files a workspace scan reads, relative to the repository root
+ */
+function getManifestFiles(workspace) {
+  const dir = workspace.relativeDir === '.' ? '' : workspace.relativeDir;
+  return [...new Set([
+    'package.json',
+    'package-lock.json',
+    path.posix.join(dir, 'package.json'),
+    path.posix.join(dir, 'package-lock.json')
+  ])];
+}
+
+/**
+ * Write the manifests and lockfiles of a ref to a temporary directory
+ *
+ * npm audit and the offline matcher only read package.json files and
+ * lockfiles, so the merge base is scanned without a checkout or install.
+ */
+function materializeManifests(ref, workspaces) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'security-base-'));
+
+  for (const file of new Set(Object.values(workspaces).flatMap(getManifestFiles))) {
+    const content = readAtRef(file, ref);
+    if (content === null) continue;
+    fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true });
+    fs.writeFileSync(path.join(dir, file), content);
+  }
+
+  return dir;
+}
+
+/**
+ * Compare the scanned workspaces with the merge base of `ref` and HEAD
+ *
+ * The base is scanned with the same scanner, advisory data and policy as
+ * the head, so the delta reflects dependency changes only. Workspaces whose
+ * manifests and lockfile did not change are not scanned again. A workspace
+ * that cannot be scanned on either side has an unknown delta and never
+ * fails the check. `failOnOverride` (--fail-on) replaces pullRequests.failOn.
+ */
+async function runDiffScan(ref, workspaces, packages, scanResults, failOnOverride = null) {
+  const mergeBase = getMergeBase(ref);
+  const failOn = failOnOverride || securityPolicy.pullRequests?.failOn || DEFAULT_POLICY.pullRequests.failOn;
+  console.log(`\n🔀 Comparing with ${ref} (merge base ${mergeBase.slice(0, 12)})`);
+
+  const baseDir = materializeManifests(mergeBase, workspaces);
+  const diffReport = { timestamp: new Date().toISOString(), base: ref, mergeBase, failOn, lockfiles: [], workspaces: {} };
+  const empty = { introduced: [], fixed: [], changed: [], unchanged: 0, deniedPackages: [] };
+
+  try {
+    const lockfiles = new Set(Object.values(packages).flatMap(getManifestFiles).filter(file => file.endsWith('package-lock.json')));
+    for (const file of lockfiles) {
+      const headLock = readFileIn(projectRoot, file);
+      if (!headLock) continue;
+      const baseLock = readFileIn(baseDir, file);
+      diffReport.lockfiles.push({
+        file,
+        missingAtBase: !baseLock,
+        changed: diffLockfiles(baseLock ? JSON.parse(baseLock) : null, JSON.parse(headLock)).length
+      });
+    }
+
+    for (const [name, pkg] of Object.entries(packages)) {
+      const head = scanResults[name];
+      const manifest = path.posix.join(pkg.relativeDir === '.' ? '' : pkg.relativeDir, 'package.json');
+      const unchanged = getManifestFiles(pkg).every(file => readFileIn(baseDir, file) === readFileIn(projectRoot, file));
+      const headDenied = head.denied.map(entry => entry.package);
+      let result;
+
+      if (head.scan.status === 'failed') {
+        result = { ...empty, status: 'failed', reason: head.scan.reason };
+      } else if (unchanged) {
+        result = { ...empty, ...diffFindings(head.findings, head.findings), status: head.scan.status, reason: head.scan.reason };
+      } else if (!readFileIn(baseDir, manifest)) {
+        // Workspace added by this change: everything in it is new
+        result = { ...diffFindings([], head.findings), deniedPackages: headDenied, status: head.scan.status, reason: head.scan.reason };
+      } else {
+        const baseWorkspaceDir = path.join(baseDir, pkg.relativeDir);
+        workspacePolicies.set(baseWorkspaceDir, head.policy);
+        const audit = await scanVulnerabilities(baseWorkspaceDir, { root: baseDir, label: `${name} at the merge base` });
+
+        if (audit.failed) {
+          result = { ...empty, status: 'failed', reason: `merge base: ${audit.reason}` };
+        } else {
+          const { active } = applyTriage(applyIgnores(audit.findings, head.policy).active, triageEntries, { workspace: name });
+          const baseDenied = new Set(findDeniedPackages(JSON.parse(readFileIn(baseDir, manifest)), head.policy).map(entry => entry.package));
+          result = {
+            ...diffFindings(active, head.findings),
+            deniedPackages: headDenied.filter(packageName => !baseDenied.has(packageName)),
+            status: head.scan.status === 'stale' || audit.stale ? 'stale' : 'complete',
+            reason: head.scan.reason || audit.reason || null
+          };
+        }
+      }
+
+      result.blocking = getBlockingFindings(result, failOn);
+      diffReport.workspaces[name] = result;
+    }
+  } finally {
+    fs.rmSync(baseDir, { recursive: true, force: true });
+  }
+
+  const results = Object.values(diffReport.workspaces);
+  const total = key => results.reduce((sum, result) => sum + result[key].length, 0);
+  diffReport.summary = {
+    introduced: total('introduced'),
+    fixed: total('fixed'),
+    changed: total('changed'),
+    deniedPackages: total('deniedPackages'),
+    blocking: total('blocking') + total('deniedPackages'),
+    incomplete: results.filter(result => result.status !== 'complete').length
+  };
+  diffReport.passed = diffReport.summary.blocking === 0;
+
+  printScanDiff(diffReport);
+  return diffReport;
+}
+
+/**
+ * Print the pull request delta
+ */
+function printScanDiff(diffReport) {
+  const severityIcon = severity => (severity === 'critical' ? '🔴' : severity === 'high' ? '🟠' : severity === 'moderate' ? '🟡' : '🟢');
+
+  console.log('\n🔀 Changes since the merge base:');
+  diffReport.lockfiles.forEach(({ file, missingAtBase, changed }) => {
+    console.log(`   📦 ${file}: ${missingAtBase ? 'not present at the merge base' : `${changed} package(s) added or changed`}`);
+  });
+
+  for (const [name, result] of Object.entries(diffReport.workspaces)) {
+    if (result.status === 'failed') {
+      console.log(`\n   ⚪ ${name}: delta unknown (${result.reason})`);
+      continue;
+    }
+
+    console.log(`\n   📁 ${name}: ${result.introduced.length} new, ${result.fixed.length} fixed, ${result.changed.length} re-rated, ${result.unchanged} unchanged${result.status === 'stale' ? ` ⚠️  ${result.reason}` : ''}`);
+    result.introduced.forEach(finding => {
+      console.log(`      🆕 ${severityIcon(finding.severity)} ${finding.severity} ${finding.package}: ${finding.title} (${finding.id})`);
+      if (!finding.isDirect && finding.introducedPath) {
+        console.log(`         Path: ${finding.introducedPath}`);
+      }
+    });
+    result.changed.forEach(finding => {
+      console.log(`      🔁 ${severityIcon(finding.severity)} ${finding.previousSeverity} → ${finding.severity} ${finding.package}: ${finding.title} (${finding.id})`);
+    });
+    result.fixed.forEach(finding => {
+      console.log(`      ✅ ${finding.severity} ${finding.package}: ${finding.title} (${finding.id})`);
+    });
+    result.deniedPackages.forEach(packageName => {
+      console.log(`      🚫 ${packageName} is denied by policy and added by this change`);
+    });
+  }
+}
+
+/**
+ * Write the pull request delta next to the security report
+ */
+function writeDiffReport(diffReport) {
+  const reportFile = path.join(reportsDir, `security-diff-${diffReport.timestamp.slice(0, 10)}.json`);
+  const markdownFile = reportFile.replace(/\.json$/, '.md');
+  const withMarkdown = reportFormats.includes('markdown') || reportFormats.includes('md');
+
+  if (isDryRun) {
+    testLog.push(`[DRY] Would save diff report: ${reportFile}`);
+    if (withMarkdown) testLog.push(`[DRY] Would save Markdown diff report: ${markdownFile}`);
+    return;
+  }
+
+  fs.mkdirSync(reportsDir, { recursive: true });
+  fs.writeFileSync(reportFile, JSON.stringify(diffReport, null, 2));
+  console.log(`✅ Diff report saved: ${reportFile}`);
+
+  if (withMarkdown) {
+    fs.writeFileSync(markdownFile, renderDiffMarkdown(diffReport));
+    console.log(`✅ Markdown diff report saved: ${markdownFile}`);
+  }
+}
+
+/**
+ * Commit the working tree is based on, or null outside a git checkout
+ */
+function getHeadCommit() {
+  return git.resolve('HEAD');
+}
+
+/**
+ * Build an update plan from the scan results (see lib/update-plan.mjs)
+ */
+function buildUpdatePlan(packages, scanResults, mode) {
+  const workspaces = {};
+
+  for (const [name, pkg] of Object.entries(packages)) {
+    const data = scanResults[name];
+    const updates = collectUpdates(pkg.dir, data.findings, data.outdated, mode);
+    workspaces[name] = {
+      dir: path.relative(projectRoot, pkg.dir) || '.',
+      changes: planUpdates(pkg.dir, updates)
+    };
+  }
+
+  return createPlan({
+    workspaces,
+    mode: mode === 'auto' ? 'auto' : 'all',
+    commit: getHeadCommit(),
+    policy: securityPolicyPath ? path.relative(projectRoot, securityPolicyPath) : null
+  });
+}
+
+/**
+ * Print an update plan
+ */
+function printUpdatePlan(plan) {
+  console.log(`\n🗺️  Update plan: ${plan.summary.changes} change(s), ${plan.summary.security} security fix(es), ${plan.summary.major} major upgrade(s)`);
+  for (const [name, workspace] of Object.entries(plan.workspaces)) {
+    if (workspace.changes.length === 0) continue;
+
+    console.log(`\n📁 ${name}:`);
+    workspace.changes.forEach(change => {
+      const where = change.section === 'dependencies' ? '' : ` (${change.section})`;
+      const held = change.enabled === false ? ' ⏸️  held' : '';
+      console.log(`   ${RISK_ICONS[change.risk] || '⚪'} ${change.package}${where}: ${change.from ?? '(new)'} → ${change.to} [${change.risk}, group ${change.group}]${held}`);
+      console.log(`      ${change.reason}`);
+      change.hints.forEach(hint => console.log(`      ⚠️  ${hint}`));
+    });
+  }
+}
+
+/**
+ * Write an update plan and its Markdown summary
+ */
+function writeUpdatePlan(plan) {
+  const planPath = path.resolve(planOutput || path.join(reportsDir, `update-plan-${plan.generatedAt.slice(0, 10)}.json`));
+  const markdownPath = planPath.replace(/(\.json)?$/, '.md');
+
+  if (isDryRun) {
+    testLog.push(`[DRY] Would save update plan: ${planPath}`);
+    return planPath;
+  }
+
+  fs.mkdirSync(path.dirname(planPath), { recursive: true });
+  fs.writeFileSync(planPath, JSON.stringify(plan, null, 2) + '\n');
+  const relativePath = path.relative(projectRoot, planPath);
+  fs.writeFileSync(markdownPath, renderPlanMarkdown(plan, { planFile: relativePath.startsWith('..') ? planPath : relativePath }));
+  console.log(`\n✅ Update plan saved: ${planPath}`);
+  console.log(`✅ Plan summary saved: ${markdownPath}`);
+  console.log('💡 Review or edit the plan, then run: dependency-manager.mjs apply --plan <file>');
+  return planPath;
+}
+
+/**
+ * Apply a reviewed update plan
+ *
+ * Every enabled change is checked against the current manifests first; if
+ * any of them drifted nothing is applied. Each workspace is then updated as
+ * its own transaction (install + verification, rolled back on failure).
+ */
+async function applyUpdatePlan(planPath, workspaces, packages) {
+  const plan = readPlan(planPath);
+  const targets = [];
+  const problems = [];
+
+  for (const [name, entry] of Object.entries(plan.workspaces)) {
+    const changes = getEnabledChanges(entry);
+    if (changes.length === 0) continue;
+
+    if (!workspaces[name]) {
+      problems.push(`workspace "${name}" is not part of this repository`);
+    } else if (!packages[name]) {
+      console.log(`⏭️  Skipping ${name} (not selected with --workspace)`);
+    } else {
+      problems.push(...findPlanDrift(changes, loadManifests(changes)));
+      targets.push({ name, workspace: packages[name], changes });
+    }
+  }
+
+  if (problems.length > 0) {
+    throw new Error(`Update plan ${planPath} no longer matches the working tree; regenerate it:\n${problems.map(problem => `   • ${problem}`).join('\n')}`);
+  }
+
+  if (plan.commit && plan.commit !== getHeadCommit()) {
+    console.warn(`⚠️  Plan was generated at ${plan.commit.slice(0, 12)}; the manifests still match, applying anyway`);
+  }
+
+  if (targets.length === 0) {
+    console.log('ℹ️  The plan contains no enabled changes');
+    return;
+  }
+
+  for (const { name, workspace, changes } of targets) {
+    console.log(`\n🗺️  Applying ${changes.length} planned change(s) to ${name}...`);
+    await writePlannedChanges(workspace.dir, changes);
+  }
+}
+
 /**
  * Get color indicator for security score
  */
@@ -694,53 +1925,210 @@ async function main() {
     return;
   }
 
+  try {
+    cliOptions = parseCliOptions(process.argv.slice(2), { defaultFailOn: 'high' });
+  } catch (error) {
+    exitWithError(error.message, { json: process.argv.includes('--json') });
+  }
+  const output = configureOutput(cliOptions);
+
   console.log('🔒 FigmailAPP Dependency Security Manager');
   console.log('=========================================');
 
-  // Get all package.json files
-  const packages = {};
-  for (const [name, path] of Object.entries(packagePaths)) {
-    const pkg = getPackageJson(path);
-    if (pkg.exists) {
-      packages[name] = {
-        path: path,
-        dir: path.replace('/package.json', ''),
-        content: pkg.content
-      };
-    } else {
-      console.warn(`⚠️  ${name} package.json not found: ${path}`);
+  // Discover the root package and every declared workspace
+  const { workspaces, missing } = discoverWorkspaces(projectRoot);
+  missing.forEach(dir => console.warn(`⚠️  Workspace declared but no package.json found: ${dir}`));
+
+  const { selected: packages, unknown } = filterWorkspaces(workspaces, workspaceFilter);
+  unknown.forEach(name => console.warn(`⚠️  Unknown workspace: ${name}`));
+
+  if (Object.keys(packages).length === 0) {
+    exitWithError('No package.json files found', cliOptions);
+  }
+
+  console.log(`📁 Workspaces: ${Object.keys(packages).join(', ')}`);
+
+  try {
+    const loaded = loadPolicy(projectRoot, policyFile);
+    securityPolicy = loaded.policy;
+    securityPolicyPath = loaded.path;
+    console.log(loaded.path
+      ? `📜 Policy: ${path.relative(projectRoot, loaded.path) || loaded.path}`
+      : '📜 Policy: built-in defaults (no .securityrc found)');
+  } catch (error) {
+    exitWithError(error.message, cliOptions);
+  }
+
+  try {
+    const triage = loadTriage(projectRoot);
+    triageEntries = triage.entries;
+    if (triage.path) {
+      console.log(`🗂️  Triage: ${triageEntries.length} decision(s) in ${path.relative(projectRoot, triage.path)}`);
     }
+  } catch (error) {
+    exitWithError(error.message, cliOptions);
   }
 
-  if (Object.keys(packages).length === 0) {
-    console.error('❌ No package.json files found');
-    process.exit(1);
+  // Apply a reviewed plan: no scan, exactly the planned changes
+  if (command === 'apply') {
+    if (!planFile) {
+      exitWithError('apply needs the plan to run: apply --plan <file>', cliOptions);
+    }
+    for (const [name, pkg] of Object.entries(packages)) {
+      workspacePolicies.set(pkg.dir, resolveWorkspacePolicy(securityPolicy, name, pkg.name));
+    }
+
+    try {
+      await applyUpdatePlan(path.resolve(planFile), workspaces, packages);
+    } catch (error) {
+      exitWithError(error.message, cliOptions);
+    }
+
+    printRunSummary();
+    if (isDryRun && testLog.length > 0) {
+      console.log('\n📋 Dry Run Summary:');
+      testLog.forEach(log => console.log(`   ${log}`));
+    }
+
+    const rolledBack = runSummary.filter(entry => entry.status !== 'applied');
+    const exitCode = rolledBack.length > 0 ? EXIT_CODES.FINDINGS : EXIT_CODES.OK;
+    console.log(rolledBack.length > 0
+      ? `\n❌ Update plan applied with ${rolledBack.length} update group(s) rolled back`
+      : '\n✅ Update plan applied');
+
+    if (cliOptions.json) {
+      output.writeJson({ exitCode, plan: path.resolve(planFile), updates: runSummary });
+    }
+    process.exitCode = exitCode;
+    return;
   }
 
   const scanResults = {};
+  const policyErrors = [];
+  const history = loadHistory(reportsDir);
 
   // Scan each package
   for (const [name, pkg] of Object.entries(packages)) {
     console.log(`\n🔍 Scanning ${name} package...`);
 
-    const vulnerabilities = await scanVulnerabilities(pkg.dir);
+    const policy = resolveWorkspacePolicy(securityPolicy, name, pkg.name);
+    workspacePolicies.set(pkg.dir, policy);
+
+    const audit = await scanVulnerabilities(pkg.dir);
     const outdated = checkOutdated ? await checkOutdatedPackages(pkg.dir) : {};
 
+    // Track first/last detection so SLA age reflects time open in this repo.
+    // A failed audit says nothing about resolution, so it is not recorded.
+    if (!audit.failed) {
+      recordScan(history, { [name]: audit.findings });
+      audit.findings.forEach(finding => {
+        finding.firstSeen = history.entries[getHistoryKey(finding, name)].firstSeen;
+      });
+    }
+    annotateIntroducingPaths(pkg.dir, audit.findings);
+    const { active: unignored, ignored, expired } = applyIgnores(audit.findings, policy);
+    const { active, triaged, expired: expiredTriage } = applyTriage(unignored, triageEntries, { workspace: name });
+    const denied = findDeniedPackages(pkg.content, policy);
+    const licenses = checkLicenses ? checkPackageLicenses(name, pkg, policy) : null;
+    const expoAlignment = checkExpoAlignment(pkg.content, packageName => getLockedVersion(pkg.dir, packageName));
+
     scanResults[name] = {
-      vulnerabilities: vulnerabilities.vulnerabilities,
+      findings: active,
+      ignored,
+      triaged,
+      triageExpired: expiredTriage.map(({ finding, entry }) => ({ ...finding, triage: entry })),
+      denied,
       outdated,
-      summary: vulnerabilities.summary
+      ...(licenses ? { licenses } : {}),
+      ...(expoAlignment ? { expo: expoAlignment } : {}),
+      summary: audit.summary,
+      scan: {
+        source: audit.source || null,
+        status: audit.failed ? 'failed' : audit.stale ? 'stale' : 'complete',
+        reason: audit.reason || null,
+        ...(audit.source === 'offline' ? { databaseAge: audit.databaseAge } : {})
+      },
+      policy
     };
 
-    const vulnCount = Object.keys(vulnerabilities.vulnerabilities).length;
+    expired.forEach(({ finding, entry }) => {
+      policyErrors.push(`${name}: ignore entry for ${entry.id} (${finding.package}) expired on ${entry.expires}`);
+    });
+    denied.forEach(({ package: packageName, section }) => {
+      policyErrors.push(`${name}: ${packageName} is denied by policy but declared in ${section}`);
+    });
+    (licenses || [])
+      .filter(entry => entry.status === 'deny' && !entry.acknowledged)
+      .forEach(entry => {
+        policyErrors.push(`${name}: ${entry.package}@${entry.version} is licensed under ${entry.expression}, which the license policy denies`);
+      });
+
+    const { direct, transitive } = partitionFindings(active);
     const outdatedCount = Object.keys(outdated).length;
-    const score = calculateSecurityScore(vulnerabilities.vulnerabilities, outdated);
+    const score = calculateSecurityScore(active, outdated, policy, licenses || []);
+    scanResults[name].score = audit.failed ? null : score;
 
-    console.log(`   📊 Score: ${getScoreColor(score)} ${score}/100`);
-    console.log(`   🔒 Vulnerabilities: ${vulnCount}`);
+    if (audit.failed) {
+      console.log('   📊 Score: ⚪ n/a');
+      console.log(`   🔒 Vulnerabilities: unknown (${audit.reason})`);
+    } else {
+      console.log(`   📊 Score: ${getScoreColor(score)} ${score}/100`);
+      console.log(`   🔒 Vulnerabilities: ${active.length} (${direct.length} direct, ${transitive.length} transitive)${audit.stale ? ` ⚠️  ${audit.reason}` : ''}`);
+    }
+    const stale = active.filter(finding => analyzeVulnerability(finding, policy).isStale);
+    if (stale.length > 0) {
+      console.log(`   ⏰ Past SLA: ${stale.length}`);
+    }
+    if (ignored.length > 0) {
+      console.log(`   🙈 Ignored by policy: ${ignored.length}`);
+    }
+    if (triaged.length > 0) {
+      console.log(`   🗂️  Triaged: ${triaged.length}`);
+    }
+    expiredTriage.forEach(({ finding, entry }) => {
+      console.warn(`   ⏰ Triage of ${entry.id} (${finding.package}) as ${TRIAGE_STATUSES[entry.status].label} expired on ${entry.expires}; it counts again`);
+    });
     console.log(`   📦 Outdated: ${outdatedCount}`);
+    if (licenses) {
+      const licenseSummary = summarizeLicenses(licenses);
+      console.log(`   ⚖️  Licenses: ${licenseSummary.total} packages, ${licenseSummary.denied} denied, ${licenseSummary.review} to review, ${licenseSummary.acknowledged} acknowledged`);
+    }
+    if (expoAlignment && !expoAlignment.known) {
+      console.warn(`   📱 Expo SDK ${expoAlignment.sdk}: not in the bundled version table (lib/expo-sdk.mjs); run npx expo install --check`);
+    } else if (expoAlignment) {
+      console.log(`   📱 Expo SDK ${expoAlignment.sdk}: ${expoAlignment.misaligned.length === 0 ? 'dependencies aligned' : `${expoAlignment.misaligned.length} package(s) misaligned`}`);
+      expoAlignment.misaligned.forEach(entry => {
+        console.warn(`      ⚠️  ${entry.package} ${entry.declared}${entry.installed ? ` (installed ${entry.installed})` : ''}, SDK expects ${entry.expected}`);
+      });
+    }
+  }
+
+  if (isDryRun) {
+    testLog.push(`[DRY] Would update vulnerability history: ${path.join(reportsDir, 'vulnerability-history.json')}`);
+  } else {
+    saveHistory(reportsDir, history);
+  }
+
+  const incompleteScans = Object.entries(scanResults).filter(([, data]) => data.scan.status !== 'complete');
+  if (incompleteScans.length > 0) {
+    console.warn('\n⚠️  Vulnerability data is incomplete; an empty result does not mean no vulnerabilities:');
+    incompleteScans.forEach(([name, data]) => console.warn(`   • ${name}: ${data.scan.reason}`));
   }
 
+  // Pull request mode: only the delta decides the outcome
+  const diffReport = baseRef
+    ? await runDiffScan(baseRef, workspaces, packages, scanResults, cliOptions.failOnExplicit ? cliOptions.failOn : null)
+    : null;
+
+  if (policyErrors.length > 0) {
+    console.error(diffReport ? '\n⚠️  Policy violations (not part of the pull request check):' : '\n❌ Policy violations:');
+    policyErrors.forEach(error => console.error(`   • ${error}`));
+  }
+
+  const aboveThreshold = Object.values(scanResults)
+    .flatMap(data => data.findings)
+    .filter(finding => exceedsThreshold(finding.severity, cliOptions.failOn));
+
   // Run AIKIDO scan if requested
   if (runAikido) {
     await runAikidoScan();
@@ -748,48 +2136,143 @@ async function main() {
 
   // Generate report if requested
   if (generateReport) {
-    await generateSecurityReport(scanResults);
+    await generateSecurityReport(scanResults, { history, workspaces: packages });
+    if (diffReport) writeDiffReport(diffReport);
   }
 
-  // Update dependencies if requested
-  if (!scanOnly) {
+  // Generate SBOMs if requested
+  if (generateSbom) {
+    generateSboms(packages, scanResults);
+  }
+
+  // Acknowledge flagged licenses interactively (one prompt per package/license)
+  if (checkLicenses && !scanOnly && !command && !isAutoUpdate && !isForceUpdate && !generateSbom) {
+    const flagged = new Map();
+    for (const [name, data] of Object.entries(scanResults)) {
+      (data.licenses || [])
+        .filter(entry => entry.status !== 'allow' && !entry.acknowledged)
+        .forEach(entry => {
+          const key = `${entry.package}|${entry.expression}`;
+          const existing = flagged.get(key) || { ...entry, workspaces: [] };
+          existing.workspaces.push(name);
+          existing.dev = existing.dev && entry.dev;
+          flagged.set(key, existing);
+        });
+    }
+
+    if (flagged.size > 0 && !cliOptions.interactive) {
+      console.log(`\n⏭️  ${flagged.size} license(s) need review; run in a terminal to acknowledge them`);
+    } else if (flagged.size > 0) {
+      await interactiveLicenseReview([...flagged.values()]);
+    }
+  }
+
+  // Update dependencies if requested (SBOM runs are read-only)
+  const mode = isAutoUpdate ? 'auto' : isForceUpdate ? 'force' : 'interactive';
+  let updatePlan = null;
+  let updatePlanPath = null;
+  if (command === 'plan') {
+    updatePlan = buildUpdatePlan(packages, scanResults, mode);
+    printUpdatePlan(updatePlan);
+    updatePlanPath = writeUpdatePlan(updatePlan);
+  } else if (!scanOnly && !generateSbom && mode === 'interactive' && !cliOptions.interactive) {
+    console.log('\n⏭️  Not a terminal: skipping interactive updates (use --auto-update to apply security fixes)');
+  } else if (!scanOnly && !generateSbom) {
     for (const [name, pkg] of Object.entries(packages)) {
       const data = scanResults[name];
-      const vulnCount = Object.keys(data.vulnerabilities).length;
+      const vulnCount = data.findings.length;
       const outdatedCount = Object.keys(data.outdated).length;
 
       if (vulnCount > 0 || outdatedCount > 0) {
-        const mode = isAutoUpdate ? 'auto' : isForceUpdate ? 'force' : 'interactive';
-        await updateDependencies(pkg.dir, data.vulnerabilities, data.outdated, mode);
+        await updateDependencies(pkg.dir, data.findings, data.outdated, mode);
       }
     }
   }
 
+  printRunSummary();
+
   // Show dry run results
   if (isDryRun && testLog.length > 0) {
     console.log('\n📋 Dry Run Summary:');
     testLog.forEach(log => console.log(`   ${log}`));
   }
 
-  console.log('\n✅ Security scan completed');
+  let exitCode = EXIT_CODES.OK;
+  if (diffReport) {
+    exitCode = !diffReport.passed ? EXIT_CODES.FINDINGS : diffReport.summary.incomplete > 0 ? EXIT_CODES.INCOMPLETE : EXIT_CODES.OK;
+  } else if (policyErrors.length > 0 || aboveThreshold.length > 0) {
+    exitCode = EXIT_CODES.FINDINGS;
+  } else if (incompleteScans.length > 0) {
+    exitCode = EXIT_CODES.INCOMPLETE;
+  }
+
+  if (diffReport && !diffReport.passed) {
+    console.log(`\n❌ Pull request check failed: ${diffReport.summary.blocking} blocking change(s) (new findings at or above ${diffReport.failOn}, or denied packages)`);
+  } else if (diffReport) {
+    console.log(diffReport.summary.incomplete > 0
+      ? `\n⚠️  Pull request check passed with incomplete vulnerability data (nothing new at or above ${diffReport.failOn} found)`
+      : `\n✅ Pull request check passed: nothing new at or above ${diffReport.failOn}`);
+  } else if (aboveThreshold.length > 0) {
+    console.log(`\n❌ Security scan found ${aboveThreshold.length} finding(s) at or above ${cliOptions.failOn}${policyErrors.length > 0 ? ' and policy violations' : ''}`);
+  } else if (policyErrors.length > 0) {
+    console.log('\n❌ Security scan completed with policy violations');
+  } else if (incompleteScans.length > 0) {
+    console.log('\n⚠️  Security scan completed with incomplete vulnerability data');
+  } else {
+    console.log('\n✅ Security scan completed');
+  }
+
+  if (cliOptions.json) {
+    const findings = Object.values(scanResults).flatMap(data => data.findings);
+    const count = severity => findings.filter(finding => finding.severity === severity).length;
+
+    output.writeJson({
+      exitCode,
+      failOn: cliOptions.failOn,
+      summary: {
+        vulnerabilities: findings.length,
+        critical: count('critical'),
+        high: count('high'),
+        moderate: count('moderate'),
+        low: count('low'),
+        aboveThreshold: aboveThreshold.length,
+        policyViolations: policyErrors.length,
+        incompleteScans: incompleteScans.length
+      },
+      workspaces: Object.fromEntries(Object.entries(scanResults).map(([name, data]) => [name, {
+        score: data.score,
+        scan: data.scan,
+        findings: data.findings,
+        ignored: data.ignored.length,
+        triaged: data.triaged.length,
+        denied: data.denied,
+        outdated: Object.keys(data.outdated).length,
+        ...(data.licenses ? { licenses: summarizeLicenses(data.licenses) } : {}),
+        ...(data.expo ? { expo: data.expo } : {})
+      }])),
+      policyViolations: policyErrors,
+      ...(diffReport ? { diff: diffReport } : {}),
+      ...(updatePlan ? { plan: { file: updatePlanPath, ...updatePlan } } : {}),
+      ...(runSummary.length > 0 ? { updates: runSummary } : {})
+    });
+  }
+
+  process.exitCode = exitCode;
 }
 
 // Error handling
 process.on('uncaughtException', (error) => {
-  console.error('❌ Uncaught Exception:', error.message);
-  process.exit(1);
+  exitWithError(`Uncaught Exception: ${error.message}`, cliOptions);
 });
 
 process.on('unhandledRejection', (error) => {
-  console.error('❌ Unhandled Rejection:', error.message);
-  process.exit(1);
+  exitWithError(`Unhandled Rejection: ${error.message}`, cliOptions);
 });
 
 // Run if called directly
 if (import.meta.url === `file://${process.argv[1]}`) {
   main().catch(error => {
-    console.error('❌ Security manager failed:', error.message);
-    process.exit(1);
+    exitWithError(`Security manager failed: ${error.message}`, cliOptions);
   });
 }
 
@@ -3,17 +3,57 @@
 /**
  * Interactive Aikido Security Manager
  * Provides CLI interface for managing Aikido security fixes and actions
+ *
+ * The dashboard actions reuse the other security tools: scans, updates,
+ * plans, reports and SBOMs run dependency-manager.mjs, branch details and
+ * merges come from aikido-branch-manager.mjs and alerts go through
+ * notification-manager.mjs. Prompts read from the `input` stream given to
+ * the constructor (stdin by default), so they can be driven by a script.
+ *
+ * Ignoring a vulnerability, marking it as a false positive or accepting its
+ * risk is recorded in .security-triage.json (see lib/triage.mjs), which is
+ * meant to be committed. Triaged vulnerabilities are hidden until their
+ * decision expires.
+ *
+ * `status` prints the security summary without prompts; it is also what
+ * runs outside a terminal. Supports the shared --json/--fail-on (default:
+ * high)/--quiet/NO_COLOR options and exit codes (see lib/cli.mjs).
  */
 
-import { execSync } from 'child_process';
+import { execSync, spawnSync } from 'child_process';
 import fs from 'fs';
 import path from 'path';
 import readline from 'readline';
 import { fileURLToPath } from 'url';
+import { discoverWorkspaces } from './lib/workspaces.mjs';
+import { loadWorkspaceGraph } from './lib/lockfile.mjs';
+import { findAllPaths, findPackageLocations, findShortestPath, formatPath } from './lib/dependency-paths.mjs';
+import { getRangePrefix, isValidVersion, satisfies } from './lib/semver.mjs';
+import { normalizeAuditReport, suggestPatchedVersion } from './lib/audit.mjs';
+import { EXIT_CODES, configureOutput, exceedsThreshold, exitWithError, parseCliOptions } from './lib/cli.mjs';
+import { printMergeReport, runMergePipeline, writeMergeReport } from './lib/merge-pipeline.mjs';
+import { createGitService } from './lib/git.mjs';
+import { deleteBranch, describeAction, findCleanupCandidates, formatCommand } from './lib/branch-cleanup.mjs';
+import { analyzeBranchAdvisories, formatVerdict } from './lib/branch-advisories.mjs';
+import { loadAdvisoryDatabase } from './lib/advisory-db.mjs';
+import { loadPolicy } from './lib/policy.mjs';
+import { assessRisk, createPlan, renderPlanMarkdown } from './lib/update-plan.mjs';
+import { assignUpdateGroups } from './lib/update-groups.mjs';
+import { TRIAGE_STATUSES, TRIAGE_FILE, applyTriage, getDefaultExpiry, getTriageAuthor, loadTriage, recordTriageDecisions } from './lib/triage.mjs';
+import { getBranchDetails, mergeAikidoBranch } from './aikido-branch-manager.mjs';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 const projectRoot = path.resolve(__dirname, '../..');
+const reportsDir = path.join(projectRoot, 'reports');
+
+// Exit codes of the security scripts (see lib/cli.mjs)
+const SCRIPT_OUTCOMES = {
+  [EXIT_CODES.OK]: '✅ completed',
+  [EXIT_CODES.FINDINGS]: '⚠️  completed with findings or policy violations',
+  [EXIT_CODES.ERROR]: '❌ failed',
+  [EXIT_CODES.INCOMPLETE]: '⚠️  completed with incomplete vulnerability data'
+};
 
 // Console formatting
 const colors = {
@@ -42,13 +82,19 @@ const icons = {
 };
 
 class InteractiveAikidoManager {
-  constructor() {
-    this.rl = readline.createInterface({
-      input: process.stdin,
-      output: process.stdout
-    });
+  constructor({ git = createGitService(projectRoot), input = process.stdin, output = process.stdout } = {}) {
+    this.git = git;
+    this.input = input;
+    this.output = output;
+    // Created on the first prompt, so non-interactive runs never hold stdin open
+    this.rl = null;
     this.pendingFixes = [];
+    this.triagedFixes = [];
+    this.triageEntries = [];
+    this.incompleteSources = [];
     this.securityBranches = [];
+    this.dependencyGraphs = null;
+    this.advisoryDatabase = undefined;
   }
 
   /**
@@ -64,7 +110,7 @@ class InteractiveAikidoManager {
     } catch (error) {
       console.error(`${icons.error} Error running dashboard:`, error.message);
     } finally {
-      this.rl.close();
+      this.rl?.close();
     }
   }
 
@@ -85,6 +131,9 @@ class InteractiveAikidoManager {
    */
   async loadSecurityData() {
     console.log(`${icons.info} Loading security data...\n`);
+    this.pendingFixes = [];
+    this.triagedFixes = [];
+    this.incompleteSources = [];
 
     // Load pending fixes from GitHub branches
     await this.loadSecurityBranches();
@@ -95,23 +144,57 @@ class InteractiveAikidoManager {
     // Load npm audit results
     await this.loadNpmAuditResults();
 
+    // Hide what has been triaged
+    this.loadTriageEntries();
+    this.applyTriageEntries();
+
     console.log(`${icons.success} Security data loaded\n`);
   }
 
+  /**
+   * Load the triage decisions of the repository
+   */
+  loadTriageEntries() {
+    try {
+      this.triageEntries = loadTriage(projectRoot).entries;
+    } catch (error) {
+      console.log(`${icons.error} Could not load triage decisions: ${error.message}`);
+      this.triageEntries = [];
+      this.incompleteSources.push(TRIAGE_FILE);
+    }
+  }
+
+  /**
+   * Move vulnerabilities whose advisories are all triaged out of the pending
+   * list; expired decisions are kept on the vulnerability for display
+   */
+  applyTriageEntries() {
+    const fixes = [...this.pendingFixes, ...this.triagedFixes];
+    this.pendingFixes = [];
+    this.triagedFixes = [];
+
+    for (const fix of fixes) {
+      const { active, triaged, expired } = applyTriage(fix.advisories || [], this.triageEntries);
+      const annotated = { ...fix, triage: triaged.map(finding => finding.triage), expiredTriage: expired.map(({ entry }) => entry) };
+      (active.length === 0 && triaged.length > 0 ? this.triagedFixes : this.pendingFixes).push(annotated);
+    }
+  }
+
   /**
    * Load security branches (aikido/*, dependabot/*, security/*)
    */
   async loadSecurityBranches() {
     try {
-      const branches = execSync('git branch -r', { encoding: 'utf8', cwd: projectRoot })
-        .split('\n')
-        .filter(branch => branch.includes('security/') || branch.includes('aikido/') || branch.includes('dependabot/'))
-        .map(branch => branch.trim().replace('origin/', ''));
+      const branches = this.git.listBranches()
+        .filter(branch => branch.remote)
+        .map(branch => ({ remote: branch.remote, name: branch.name.slice(branch.remote.length + 1) }))
+        .filter(branch => branch.name.includes('security/') || branch.name.includes('aikido/') || branch.name.includes('dependabot/'));
 
       this.securityBranches = branches.map(branch => ({
-        name: branch,
-        type: branch.includes('aikido/') ? 'aikido' :
-              branch.includes('dependabot/') ? 'dependabot' : 'security',
+        name: branch.name,
+        remote: branch.remote,
+        type: branch.name.includes('aikido/') ? 'aikido' :
+              branch.name.includes('dependabot/') ? 'dependabot' : 'security',
         status: 'pending'
       }));
 
@@ -128,7 +211,6 @@ class InteractiveAikidoManager {
   async loadAikidoResults() {
     try {
       // Check for Aikido reports in reports directory
-      const reportsDir = path.join(projectRoot, 'reports');
       if (fs.existsSync(reportsDir)) {
         const files = fs.readdirSync(reportsDir)
           .filter(file => file.includes('aikido') && file.endsWith('.json'))
@@ -161,13 +243,54 @@ class InteractiveAikidoManager {
       // npm audit returns non-zero exit code when vulnerabilities found
       try {
         const auditData = JSON.parse(error.stdout || '{}');
+        if (auditData.error || !auditData.vulnerabilities) {
+          throw new Error(auditData.message || auditData.error?.summary || 'no audit data');
+        }
         this.processNpmAuditData(auditData);
       } catch (parseError) {
         console.log(`${icons.error} Could not parse npm audit results`);
+        this.incompleteSources.push('npm audit');
       }
     }
   }
 
+  /**
+   * Load the lockfile dependency graph of every workspace (once per session)
+   */
+  loadDependencyGraphs() {
+    if (this.dependencyGraphs) return this.dependencyGraphs;
+
+    this.dependencyGraphs = {};
+    try {
+      const { workspaces } = discoverWorkspaces(projectRoot);
+      for (const [name, workspace] of Object.entries(workspaces)) {
+        const graph = loadWorkspaceGraph(workspace.dir, projectRoot);
+        if (graph) this.dependencyGraphs[name] = graph;
+      }
+    } catch (error) {
+      console.log(`${icons.error} Could not load dependency graphs: ${error.message}`);
+    }
+
+    return this.dependencyGraphs;
+  }
+
+  /**
+   * Shortest path from any workspace root to a package, preferring vulnerable copies
+   */
+  getIntroducingPath(packageName, range = null) {
+    let shortest = null;
+
+    for (const graph of Object.values(this.loadDependencyGraphs())) {
+      const steps = findShortestPath(graph, packageName, {
+        accept: node => !range || !node.version || satisfies(node.version, range)
+      }) || findShortestPath(graph, packageName);
+
+      if (steps && (!shortest || steps.length < shortest.length)) shortest = steps;
+    }
+
+    return shortest ? formatPath(shortest) : null;
+  }
+
   /**
    * Process Aikido report data
    */
@@ -180,7 +303,9 @@ class InteractiveAikidoManager {
           title: vuln.title,
           package: vuln.package,
           fixAvailable: vuln.fix_available,
-          source: 'aikido'
+          advisories: vuln.id && vuln.package ? [{ id: vuln.id, package: vuln.package, severity: vuln.severity }] : [],
+          source: 'aikido',
+          path: vuln.package ? this.getIntroducingPath(vuln.package) : null
         });
       });
     }
@@ -191,6 +316,9 @@ class InteractiveAikidoManager {
    */
   processNpmAuditData(auditData) {
     if (auditData.vulnerabilities) {
+      // Advisories affecting each package, directly or through its dependencies
+      const findings = normalizeAuditReport(auditData);
+
       Object.entries(auditData.vulnerabilities).forEach(([pkg, data]) => {
         this.pendingFixes.push({
           type: 'npm',
@@ -198,7 +326,13 @@ class InteractiveAikidoManager {
           title: data.via?.[0]?.title || 'Vulnerability in package',
           package: pkg,
           fixAvailable: data.fixAvailable,
-          source: 'npm'
+          range: data.range || null,
+          url: data.via?.[0]?.url || null,
+          advisories: findings
+            .filter(finding => finding.package === pkg || finding.introducedBy.includes(pkg))
+            .map(({ id, ghsa, source, package: name, severity }) => ({ id, ghsa, source, package: name, severity })),
+          source: 'npm',
+          path: this.getIntroducingPath(pkg, data.range)
         });
       });
     }
@@ -257,9 +391,11 @@ class InteractiveAikidoManager {
   /**
    * Print security summary
    */
-  printSecuritySummary() {
-    console.clear();
-    this.printHeader();
+  printSecuritySummary({ clear = true } = {}) {
+    if (clear) {
+      console.clear();
+      this.printHeader();
+    }
 
     // Vulnerability summary
     const criticalCount = this.pendingFixes.filter(f => f.severity === 'critical').length;
@@ -273,8 +409,14 @@ class InteractiveAikidoManager {
     console.log(`${icons.high} High:     ${colors.yellow}${highCount}${colors.reset}`);
     console.log(`${icons.medium} Medium:   ${colors.blue}${mediumCount}${colors.reset}`);
     console.log(`${icons.low} Low:      ${colors.green}${lowCount}${colors.reset}`);
+    console.log(`🗂️  Triaged:  ${this.triagedFixes.length}`);
     console.log(`🔧 Security Branches: ${this.securityBranches.length}\n`);
 
+    const resurfaced = this.pendingFixes.filter(fix => fix.expiredTriage?.length > 0).length;
+    if (resurfaced > 0) {
+      console.log(`${colors.yellow}⏰ ${resurfaced} vulnerability(ies) resurfaced after their triage decision expired${colors.reset}\n`);
+    }
+
     if (criticalCount > 0) {
       console.log(`${colors.red}${icons.critical} CRITICAL VULNERABILITIES REQUIRE IMMEDIATE ATTENTION!${colors.reset}\n`);
     }
@@ -318,9 +460,19 @@ class InteractiveAikidoManager {
         console.log(`${index + 1}. ${severityIcon} ${severityColor}${fix.severity.toUpperCase()}${colors.reset} - ${fix.package}`);
         console.log(`   ${fix.title}`);
         console.log(`   Source: ${fix.source} | Fix Available: ${fix.fixAvailable ? '✅' : '❌'}`);
+        if (fix.path) {
+          console.log(`   Path: ${fix.path}`);
+        }
+        fix.expiredTriage?.forEach(entry => {
+          console.log(`   ⏰ Triage expired on ${entry.expires} (${TRIAGE_STATUSES[entry.status].label} by ${entry.author}): ${entry.reason}`);
+        });
         console.log('');
       });
 
+    if (this.triagedFixes.length > 0) {
+      console.log(`🗂️  ${this.triagedFixes.length} triaged vulnerability(ies) hidden (see ${TRIAGE_FILE})\n`);
+    }
+
     const choice = await this.prompt(`${icons.question} Enter vulnerability number to act on (or 'back'): `);
 
     if (choice.toLowerCase() === 'back') return;
@@ -341,6 +493,7 @@ class InteractiveAikidoManager {
     console.log(`[3] Mark as false positive`);
     console.log(`[4] Get more information`);
     console.log(`[5] Create custom fix`);
+    console.log(`[6] Accept risk`);
 
     const action = await this.prompt(`${icons.question} Select action: `);
 
@@ -349,10 +502,10 @@ class InteractiveAikidoManager {
         await this.acceptFix(vulnerability);
         break;
       case '2':
-        console.log(`${icons.info} Vulnerability ignored for this session`);
+        await this.triageVulnerability(vulnerability, 'ignored');
         break;
       case '3':
-        console.log(`${icons.info} Marked as false positive`);
+        await this.triageVulnerability(vulnerability, 'false_positive');
         break;
       case '4':
         await this.showVulnerabilityDetails(vulnerability);
@@ -360,6 +513,61 @@ class InteractiveAikidoManager {
       case '5':
         await this.createCustomFix(vulnerability);
         break;
+      case '6':
+        await this.triageVulnerability(vulnerability, 'accepted_risk');
+        break;
+    }
+  }
+
+  /**
+   * Record a triage decision on the advisories of a vulnerability's package
+   *
+   * A package that is only vulnerable through its dependencies has no
+   * advisories of its own; those dependencies are triaged instead.
+   */
+  async triageVulnerability(vulnerability, status) {
+    const { label, icon } = TRIAGE_STATUSES[status];
+    const advisories = (vulnerability.advisories || []).filter(advisory => advisory.package === vulnerability.package);
+
+    if (advisories.length === 0) {
+      const through = [...new Set((vulnerability.advisories || []).map(advisory => advisory.package))];
+      console.log(through.length > 0
+        ? `${icons.info} ${vulnerability.package} is vulnerable through ${through.join(', ')}; triage ${through.length === 1 ? 'that package' : 'those packages'} instead`
+        : `${icons.error} No advisory id known for ${vulnerability.package}; the decision cannot be recorded`);
+      await this.prompt('Press Enter to continue...');
+      return;
+    }
+
+    console.log(`\n${icon} Marking ${advisories.map(advisory => advisory.id).join(', ')} (${vulnerability.package}) as ${label}`);
+    const reason = (await this.prompt('Reason (at least 10 characters): ')).trim();
+    if (reason.length < 10) {
+      console.log(`${icons.error} A reason of at least 10 characters is required; nothing recorded`);
+      return;
+    }
+
+    const defaultExpiry = getDefaultExpiry(status);
+    const expires = (await this.prompt(`Expires on (YYYY-MM-DD) [${defaultExpiry}]: `)).trim() || defaultExpiry;
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(expires) || Number.isNaN(Date.parse(expires)) || expires < new Date().toISOString().slice(0, 10)) {
+      console.log(`${icons.error} Expiry must be a date (YYYY-MM-DD) that has not passed; nothing recorded`);
+      return;
+    }
+
+    try {
+      const author = getTriageAuthor(this.git);
+      const file = recordTriageDecisions(projectRoot, advisories.map(advisory => ({
+        id: advisory.id,
+        package: advisory.package,
+        status,
+        reason,
+        author,
+        expires
+      })));
+
+      this.loadTriageEntries();
+      this.applyTriageEntries();
+      console.log(`${icons.success} Recorded in ${path.relative(projectRoot, file)} until ${expires}; commit it to share the decision`);
+    } catch (error) {
+      console.log(`${icons.error} Could not record the decision: ${error.message}`);
     }
   }
 
@@ -389,6 +597,133 @@ class InteractiveAikidoManager {
     await this.prompt('Press Enter to continue...');
   }
 
+  /**
+   * Show everything known about a vulnerability: advisory, installed copies,
+   * the paths that pull it in and the security branches that fix it
+   */
+  async showVulnerabilityDetails(vulnerability) {
+    const severityColor = this.getSeverityColor(vulnerability.severity);
+    console.log(`\n${colors.bold}📖 ${vulnerability.package}${colors.reset}\n`);
+    console.log(`Severity:      ${this.getSeverityIcon(vulnerability.severity)} ${severityColor}${vulnerability.severity}${colors.reset}`);
+    console.log(`Title:         ${vulnerability.title}`);
+    console.log(`Source:        ${vulnerability.source}`);
+    if (vulnerability.range) console.log(`Vulnerable:    ${vulnerability.range}`);
+    if (vulnerability.url) console.log(`Advisory:      ${vulnerability.url}`);
+    console.log(`Fix available: ${this.describeFix(vulnerability.fixAvailable)}`);
+
+    for (const [workspace, graph] of Object.entries(this.loadDependencyGraphs())) {
+      const versions = findPackageLocations(graph, vulnerability.package).map(location => graph.nodes.get(location).version);
+      if (versions.length === 0) continue;
+
+      const { paths, truncated } = findAllPaths(graph, vulnerability.package, { limit: 5 });
+      console.log(`\n📁 ${workspace}: installed ${[...new Set(versions)].join(', ')}`);
+      paths.slice(0, 5).forEach(steps => console.log(`   ${formatPath(steps)}`));
+      if (truncated || paths.length > 5) console.log(`   … more paths: npm run security:why -- ${vulnerability.package}`);
+    }
+
+    const fixingBranches = this.securityBranches.filter(branch =>
+      this.analyzeBranch(branch)?.fixed.some(finding => finding.package === vulnerability.package)
+    );
+    if (fixingBranches.length > 0) {
+      console.log(`\n🌿 Fixed by: ${fixingBranches.map(branch => `${branch.remote}/${branch.name}`).join(', ')}`);
+    }
+
+    await this.prompt('\nPress Enter to continue...');
+  }
+
+  /**
+   * Describe npm's fixAvailable (boolean or `{ name, version, isSemVerMajor }`)
+   */
+  describeFix(fixAvailable) {
+    if (fixAvailable && typeof fixAvailable === 'object') {
+      return `✅ ${fixAvailable.name}@${fixAvailable.version}${fixAvailable.isSemVerMajor ? ' (major upgrade)' : ''}`;
+    }
+    return fixAvailable ? '✅' : '❌';
+  }
+
+  /**
+   * Pin a vulnerable package to a version of the user's choice
+   *
+   * Writes a one-change update plan (lib/update-plan.mjs): the declared
+   * range when a workspace depends on the package directly, root
+   * `overrides` otherwise. Applying it runs `dependency-manager.mjs apply`,
+   * which installs, verifies and rolls back on failure.
+   */
+  async createCustomFix(vulnerability) {
+    const { workspaces } = discoverWorkspaces(projectRoot);
+    const direct = Object.entries(workspaces).map(([key, workspace]) => {
+      const section = ['dependencies', 'devDependencies'].find(name => workspace.content[name]?.[vulnerability.package]);
+      return section ? { key, workspace, section } : null;
+    }).find(Boolean);
+
+    const target = direct || { key: 'root', workspace: workspaces.root, section: 'overrides' };
+    const from = target.workspace.content[target.section]?.[vulnerability.package] ?? null;
+
+    // The installed vulnerable copy: the suggestion is the next fixed version
+    // above it, and the change is rated against it like dependency-manager plans
+    const installed = Object.values(this.loadDependencyGraphs())
+      .flatMap(graph => findPackageLocations(graph, vulnerability.package).map(location => graph.nodes.get(location).version))
+      .find(version => version && (!vulnerability.range || satisfies(version, vulnerability.range))) || null;
+    const suggested = (vulnerability.range && suggestPatchedVersion(vulnerability.range, installed)) ||
+      (typeof vulnerability.fixAvailable === 'object' ? vulnerability.fixAvailable?.version : null);
+
+    console.log(`\n${colors.bold}🛠️  Custom fix for ${vulnerability.package}${colors.reset}`);
+    console.log(direct
+      ? `${icons.info} ${direct.workspace.name} depends on it directly (${direct.section}: ${from})`
+      : `${icons.info} Transitive dependency: the version is forced through root overrides`);
+
+    const answer = (await this.prompt(`${icons.question} Version to use${suggested ? ` [${suggested}]` : ''}: `)).trim() || suggested;
+    if (!answer || !isValidVersion(answer)) {
+      console.log(`${icons.error} "${answer ?? ''}" is not a version; no fix created`);
+      return null;
+    }
+
+    const to = `${getRangePrefix(from) ?? '^'}${answer}`;
+    const { risk, hints, breaking } = assessRisk(installed ?? from, to, { override: target.section === 'overrides' });
+    const [change] = assignUpdateGroups([{
+      package: vulnerability.package,
+      manifest: path.relative(projectRoot, target.workspace.path),
+      section: target.section,
+      from,
+      to,
+      ...(installed ? { installed } : {}),
+      type: 'security',
+      severity: vulnerability.severity,
+      risk,
+      breaking,
+      hints,
+      reason: `custom fix: ${vulnerability.title}`,
+      explanation: 'version chosen in the interactive dashboard',
+      enabled: true
+    }]);
+
+    const plan = createPlan({
+      workspaces: { [target.key]: { dir: target.workspace.relativeDir, changes: [change] } },
+      mode: 'custom',
+      commit: this.git.resolve('HEAD')
+    });
+    const slug = vulnerability.package.replace(/^@/, '').replace(/[^\w.-]+/g, '-');
+    const planFile = path.join(reportsDir, `update-plan-custom-${slug}-${plan.generatedAt.slice(0, 10)}.json`);
+    fs.mkdirSync(reportsDir, { recursive: true });
+    fs.writeFileSync(planFile, JSON.stringify(plan, null, 2) + '\n');
+    fs.writeFileSync(planFile.replace(/\.json$/, '.md'), renderPlanMarkdown(plan, { planFile: path.relative(projectRoot, planFile) }));
+
+    console.log(`\n${change.manifest}: ${change.section}.${change.package} ${from ?? '(new)'} → ${to} [${risk}]`);
+    hints.forEach(hint => console.log(`   ⚠️  ${hint}`));
+    console.log(`${icons.success} Plan saved: ${path.relative(projectRoot, planFile)}`);
+
+    const apply = await this.prompt(`${icons.question} Apply it now (install and verify)? [y/N]: `);
+    if (apply.toLowerCase() === 'y') {
+      this.runScript('dependency-manager.mjs', ['apply', '--plan', planFile]);
+      await this.loadSecurityData();
+    } else {
+      console.log(`${icons.info} Apply later with: node scripts/security/dependency-manager.mjs apply --plan ${path.relative(projectRoot, planFile)}`);
+    }
+
+    await this.prompt('Press Enter to continue...');
+    return planFile;
+  }
+
   /**
    * Manage security branches
    */
@@ -406,6 +741,12 @@ class InteractiveAikidoManager {
       const typeIcon = branch.type === 'aikido' ? '🛡️' :
                       branch.type === 'dependabot' ? '🤖' : '🔧';
       console.log(`${index + 1}. ${typeIcon} ${branch.name} (${branch.type})`);
+
+      const analysis = this.analyzeBranch(branch);
+      if (analysis) {
+        const color = analysis.introduced.length > 0 ? colors.red : analysis.fixed.length > 0 ? colors.green : colors.yellow;
+        console.log(`   ${color}${formatVerdict(analysis)}${colors.reset} (${analysis.changes.length} dependency change(s))`);
+      }
     });
 
     console.log(`\n[a] Auto-merge safe branches`);
@@ -431,8 +772,40 @@ class InteractiveAikidoManager {
     }
   }
 
+  /**
+   * Advisory verdict of a security branch against the default branch (see
+   * lib/branch-advisories.mjs), computed once per session; null when the
+   * branch cannot be analysed
+   */
+  analyzeBranch(branch) {
+    if (branch.analysis !== undefined) return branch.analysis;
+
+    try {
+      const { policy } = loadPolicy(projectRoot);
+      if (this.advisoryDatabase === undefined) {
+        this.advisoryDatabase = policy.advisoryDatabase?.path
+          ? loadAdvisoryDatabase(path.resolve(projectRoot, policy.advisoryDatabase.path))
+          : null;
+      }
+      branch.analysis = analyzeBranchAdvisories(`${branch.remote}/${branch.name}`, this.git.getDefaultBranch(), {
+        git: this.git,
+        workspaces: discoverWorkspaces(projectRoot).workspaces,
+        policy,
+        database: this.advisoryDatabase
+      });
+    } catch (error) {
+      console.log(`${icons.error} Could not analyse ${branch.name}: ${error.message}`);
+      branch.analysis = null;
+    }
+    return branch.analysis;
+  }
+
   /**
    * Auto-merge safe security branches
+   *
+   * Dependabot and patch branches are candidates; each one goes through the
+   * safe merge pipeline (lib/merge-pipeline.mjs) and is only merged when the
+   * lockfile regenerates and the test/lint scripts pass.
    */
   async autoMergeSafeBranches() {
     console.log(`${icons.info} Auto-merging safe security branches...`);
@@ -446,11 +819,16 @@ class InteractiveAikidoManager {
       return;
     }
 
+    const target = this.git.getDefaultBranch();
+    const { policy } = loadPolicy(projectRoot);
+
     for (const branch of safeBranches) {
       try {
-        console.log(`${icons.info} Merging ${branch.name}...`);
-        execSync(`git merge origin/${branch.name}`, { cwd: projectRoot });
-        console.log(`${icons.success} Merged ${branch.name}`);
+        console.log(`\n${icons.info} Merging ${branch.name} into ${target}...`);
+        const report = runMergePipeline({ git: this.git, branch: `${branch.remote}/${branch.name}`, target, policy });
+        const reportFile = writeMergeReport(report, reportsDir);
+        printMergeReport(report, { reportFile });
+        branch.status = report.status;
       } catch (error) {
         console.log(`${icons.error} Failed to merge ${branch.name}: ${error.message}`);
       }
@@ -459,6 +837,313 @@ class InteractiveAikidoManager {
     await this.prompt('Press Enter to continue...');
   }
 
+  /**
+   * Pick a security branch, review its changes and advisory verdict, and
+   * merge it through the safe merge pipeline (see aikido-branch-manager.mjs)
+   */
+  async mergeSpecificBranch() {
+    const choice = await this.prompt(`${icons.question} Branch number to merge: `);
+    const branch = this.securityBranches[parseInt(choice) - 1];
+    if (!branch) {
+      console.log(`${icons.error} Invalid branch selection`);
+      return null;
+    }
+
+    const target = this.git.getDefaultBranch();
+    const { policy } = loadPolicy(projectRoot);
+    const ref = `${branch.remote}/${branch.name}`;
+    const analysis = getBranchDetails(ref, target, { git: this.git, policy });
+    if (analysis) branch.analysis = analysis;
+
+    const confirm = await this.prompt(`\n${icons.question} Merge ${ref} into ${target} after install, test and lint pass? [y/N]: `);
+    if (confirm.toLowerCase() !== 'y') {
+      console.log(`${icons.info} Merge cancelled`);
+      return null;
+    }
+
+    const report = await mergeAikidoBranch(ref, { git: this.git, target, policy, confirm: false });
+    branch.status = report.status;
+
+    await this.prompt('Press Enter to continue...');
+    return report;
+  }
+
+  /**
+   * Delete security branches that are merged into or superseded on the
+   * default branch, locally and on the remote (see lib/branch-cleanup.mjs)
+   */
+  async deleteMergedBranches() {
+    const target = this.git.getDefaultBranch();
+    const { policy } = loadPolicy(projectRoot);
+    const branches = this.securityBranches.map(branch => ({ name: `${branch.remote}/${branch.name}`, local: false }));
+
+    const candidates = findCleanupCandidates(branches, { target, staleDays: policy.branches.staleDays, git: this.git })
+      .filter(candidate => candidate.action === 'delete');
+
+    if (candidates.length === 0) {
+      console.log(`${icons.info} No merged or superseded security branches`);
+      await this.prompt('Press Enter to continue...');
+      return;
+    }
+
+    console.log(`\n${icons.info} ${candidates.length} branch(es) can be deleted:`);
+    candidates.forEach(candidate => {
+      console.log(`  • ${candidate.name} (${candidate.reason}: ${candidate.details.join(', ')})`);
+      describeAction(candidate, 'delete', { target }).forEach(args => console.log(`      $ ${formatCommand(args)}`));
+    });
+
+    const confirm = await this.prompt(`${icons.question} Delete these branches? [y/N]: `);
+    if (confirm.toLowerCase() !== 'y') return;
+
+    for (const candidate of candidates) {
+      const result = deleteBranch(candidate, { git: this.git });
+      console.log(result.success
+        ? `${icons.success} Deleted ${candidate.name}`
+        : `${icons.error} Could not delete ${candidate.name}: ${result.steps.find(step => !step.success).error}`);
+    }
+
+    await this.loadSecurityBranches();
+    await this.prompt('Press Enter to continue...');
+  }
+
+  /**
+   * Create a security branch from the default branch, optionally switching
+   * to it and publishing it on origin
+   *
+   * Returns the branch name, or null when nothing was created.
+   */
+  async createSecurityBranch() {
+    const target = this.git.getDefaultBranch();
+    const suggestion = `security/fix-${new Date().toISOString().slice(0, 10)}`;
+    const branch = (await this.prompt(`${icons.question} Branch name [${suggestion}]: `)).trim() || suggestion;
+
+    if (!this.git.succeeds(['check-ref-format', '--branch', branch])) {
+      console.log(`${icons.error} "${branch}" is not a valid branch name`);
+      return null;
+    }
+    if (this.git.hasBranch(branch)) {
+      console.log(`${icons.error} ${branch} already exists`);
+      return null;
+    }
+
+    this.git.run(['branch', branch, target]);
+    console.log(`${icons.success} Created ${branch} from ${target}`);
+
+    const switchNow = await this.prompt(`${icons.question} Switch to ${branch} now? [y/N]: `);
+    if (switchNow.toLowerCase() === 'y') {
+      try {
+        this.git.run(['switch', branch]);
+        console.log(`${icons.success} Switched to ${branch}`);
+      } catch (error) {
+        console.log(`${icons.error} Could not switch: ${error.stderr?.trim() || error.message}`);
+      }
+    }
+
+    if (this.git.listRemotes().some(remote => remote.name === 'origin')) {
+      const push = await this.prompt(`${icons.question} Push ${branch} to origin? [y/N]: `);
+      if (push.toLowerCase() === 'y') {
+        try {
+          this.git.run(['push', '--set-upstream', 'origin', branch]);
+          console.log(`${icons.success} Pushed ${branch}`);
+          await this.loadSecurityBranches();
+        } catch (error) {
+          console.log(`${icons.error} Push failed: ${error.stderr?.trim() || error.message}`);
+        }
+      }
+    }
+
+    await this.prompt('Press Enter to continue...');
+    return branch;
+  }
+
+  /**
+   * Actions menu: updates, plans, reports, SBOMs and license checks through
+   * dependency-manager.mjs
+   */
+  async performActions() {
+    console.clear();
+    console.log(`${colors.bold}⚙️  Security Actions${colors.reset}\n`);
+    console.log(`[1] Apply security updates (grouped, verified, rolled back on failure)`);
+    console.log(`[2] Write a reviewable update plan`);
+    console.log(`[3] Apply an update plan`);
+    console.log(`[4] Generate security report (JSON, Markdown, HTML)`);
+    console.log(`[5] Generate SBOMs (CycloneDX, SPDX)`);
+    console.log(`[6] Check licenses`);
+
+    const choice = await this.prompt(`${icons.question} Select action: `);
+
+    switch (choice) {
+      case '1':
+        this.runScript('dependency-manager.mjs', ['--auto-update']);
+        await this.loadSecurityData();
+        break;
+      case '2':
+        this.runScript('dependency-manager.mjs', ['plan']);
+        break;
+      case '3': {
+        const plans = fs.existsSync(reportsDir)
+          ? fs.readdirSync(reportsDir).filter(file => /^update-plan-.*\.json$/.test(file)).sort().reverse()
+          : [];
+        if (plans.length === 0) {
+          console.log(`${icons.info} No update plans in reports/; write one with [2] first`);
+          break;
+        }
+        plans.forEach((file, index) => console.log(`${index + 1}. ${file}`));
+        const plan = plans[parseInt(await this.prompt(`${icons.question} Plan to apply: `)) - 1];
+        if (!plan) {
+          console.log(`${icons.error} Invalid plan selection`);
+          break;
+        }
+        this.runScript('dependency-manager.mjs', ['apply', '--plan', path.join(reportsDir, plan)]);
+        await this.loadSecurityData();
+        break;
+      }
+      case '4':
+        this.runScript('dependency-manager.mjs', ['--scan', '--report', '--format', 'markdown,html']);
+        break;
+      case '5':
+        this.runScript('dependency-manager.mjs', ['--sbom']);
+        break;
+      case '6':
+        this.runScript('dependency-manager.mjs', ['--scan', '--licenses']);
+        break;
+      default:
+        return;
+    }
+
+    await this.prompt('Press Enter to continue...');
+  }
+
+  /**
+   * Run a full dependency scan (dependency-manager.mjs --scan) and reload
+   * the dashboard data
+   */
+  async runSecurityScan() {
+    console.log(`${icons.info} Running security scan...\n`);
+    const status = this.runScript('dependency-manager.mjs', ['--scan']);
+
+    await this.loadSecurityData();
+    this.printSecuritySummary({ clear: false });
+    if (status === EXIT_CODES.INCOMPLETE || this.incompleteSources.length > 0) {
+      console.log(`${icons.high} Vulnerability data is incomplete; results may miss findings`);
+    }
+
+    await this.prompt('Press Enter to continue...');
+    return status;
+  }
+
+  /**
+   * Notification settings: channel status and setup instructions, test
+   * alerts and an alert with the current findings (notification-manager.mjs)
+   */
+  async configureNotifications() {
+    console.clear();
+    console.log(`${colors.bold}🔔 Notifications${colors.reset}\n`);
+    console.log(`[1] Show channel configuration and setup instructions`);
+    console.log(`[2] Send a test alert`);
+    console.log(`[3] Send an alert with the current critical and high findings`);
+
+    const choice = await this.prompt(`${icons.question} Select option: `);
+    if (!['1', '2', '3'].includes(choice)) return;
+
+    const manager = await this.loadNotificationManager();
+    if (manager && choice === '1') {
+      await manager.setupNotifications();
+    } else if (manager && choice === '2') {
+      const severity = (await this.prompt(`${icons.question} Severity [high]: `)).trim().toLowerCase() || 'high';
+      await this.sendAlert(manager.createTestAlert(severity), manager);
+    } else if (manager) {
+      const urgent = this.pendingFixes.filter(fix => fix.severity === 'critical' || fix.severity === 'high');
+      if (urgent.length === 0) {
+        console.log(`${icons.success} No critical or high findings to report`);
+      } else {
+        await this.sendAlert(this.buildAlert(urgent), manager);
+      }
+    }
+
+    await this.prompt('Press Enter to continue...');
+  }
+
+  /**
+   * Load the notification manager; null when its dependencies are missing
+   */
+  async loadNotificationManager() {
+    try {
+      const { default: SecurityNotificationManager } = await import('./notification-manager.mjs');
+      return new SecurityNotificationManager();
+    } catch (error) {
+      console.log(`${icons.error} Notifications unavailable: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Alert for a set of findings, in the notification manager's format
+   */
+  buildAlert(findings, { severity = null, title = null } = {}) {
+    const worst = severity || (findings.some(fix => fix.severity === 'critical') ? 'critical' : 'high');
+    return {
+      severity: worst,
+      title: title || `${findings.length} ${worst === 'critical' ? 'critical' : 'high severity'} vulnerabilit${findings.length === 1 ? 'y' : 'ies'}`,
+      description: `${findings.length} finding(s) need attention; ${findings.filter(fix => fix.fixAvailable).length} have a fix available.`,
+      vulnerabilities: findings.map(fix => ({ package: fix.package, severity: fix.severity, title: fix.title })),
+      actions: [
+        'Review the findings in the security dashboard',
+        'Merge the security branches that fix them',
+        'Apply security updates: npm run security:plan'
+      ]
+    };
+  }
+
+  /**
+   * Send an alert and print the outcome per channel
+   *
+   * Returns the channel outcomes, or null when the alert could not be sent.
+   */
+  async sendAlert(alert, manager = null) {
+    manager = manager || await this.loadNotificationManager();
+    if (!manager) return null;
+
+    try {
+      const channels = await manager.sendSecurityAlert(alert);
+      Object.entries(channels).forEach(([channel, outcome]) => {
+        const icon = outcome === 'sent' ? icons.success : outcome === 'failed' ? icons.error : icons.info;
+        console.log(`   ${icon} ${channel}: ${outcome}`);
+      });
+      return channels;
+    } catch (error) {
+      console.log(`${icons.error} Failed to send notifications: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Run a sibling security script with the terminal attached
+   *
+   * The prompt interface is paused meanwhile so the script can read stdin
+   * itself. Returns the exit code (see lib/cli.mjs).
+   */
+  runScript(script, args = []) {
+    console.log(`${icons.arrow} node scripts/security/${script} ${args.join(' ')}\n`);
+    this.rl?.pause();
+    const result = spawnSync(process.execPath, [path.join(__dirname, script), ...args], {
+      cwd: projectRoot,
+      stdio: [this.input === process.stdin ? 'inherit' : 'ignore', 'inherit', 'inherit']
+    });
+    this.rl?.resume();
+
+    const status = result.error ? EXIT_CODES.ERROR : result.status ?? EXIT_CODES.ERROR;
+    console.log(`\n${script}: ${SCRIPT_OUTCOMES[status] || `exited with code ${status}`}`);
+    return status;
+  }
+
+  /**
+   * Whether the working tree has uncommitted changes
+   */
+  hasLocalChanges() {
+    return this.git.run(['status', '--porcelain']) !== '';
+  }
+
   /**
    * Emergency response menu
    */
@@ -508,13 +1193,9 @@ class InteractiveAikidoManager {
     const confirm = await this.prompt(`${icons.question} Auto-fix all? (y/N): `);
 
     if (confirm.toLowerCase() === 'y') {
-      try {
-        console.log(`${icons.info} Running emergency security update...`);
-        execSync('npm run security:auto-update', { cwd: projectRoot });
-        console.log(`${icons.success} Emergency fixes applied`);
-      } catch (error) {
-        console.log(`${icons.error} Emergency fix failed: ${error.message}`);
-      }
+      console.log(`${icons.info} Running emergency security update...`);
+      this.runScript('dependency-manager.mjs', ['--auto-update']);
+      await this.loadSecurityData();
     }
 
     await this.prompt('Press Enter to continue...');
@@ -524,15 +1205,196 @@ class InteractiveAikidoManager {
    * Send emergency notifications
    */
   async sendEmergencyNotifications() {
-    try {
-      console.log(`${icons.info} Sending emergency security notifications...`);
-      execSync('node scripts/security/notification-manager.mjs send \'{"severity":"critical","title":"Emergency Security Alert","description":"Critical security vulnerabilities detected - immediate action required"}\'', { cwd: projectRoot });
+    console.log(`${icons.info} Sending emergency security notifications...`);
+    const critical = this.pendingFixes.filter(fix => fix.severity === 'critical');
+    const alert = this.buildAlert(critical, { severity: 'critical', title: 'Emergency Security Alert' });
+    alert.description = `Critical security vulnerabilities detected - immediate action required. ${alert.description}`;
+
+    if (await this.sendAlert(alert)) {
       console.log(`${icons.success} Emergency notifications sent`);
+    }
+
+    await this.prompt('Press Enter to continue...');
+  }
+
+  /**
+   * Create an emergency branch from the default branch, switch to it and
+   * optionally apply the security updates there
+   *
+   * Returns the branch name, or null when nothing was created.
+   */
+  async createEmergencyBranch() {
+    const target = this.git.getDefaultBranch();
+    const stamp = new Date().toISOString().slice(0, 16).replace(/[-:]/g, '').replace('T', '-');
+    const branch = `security/emergency-${stamp}`;
+
+    if (this.hasLocalChanges()) {
+      console.log(`${icons.error} The working tree has uncommitted changes; commit or stash them first`);
+      await this.prompt('Press Enter to continue...');
+      return null;
+    }
+
+    const confirm = await this.prompt(`${icons.question} Create ${branch} from ${target} and switch to it? [y/N]: `);
+    if (confirm.toLowerCase() !== 'y') return null;
+
+    try {
+      this.git.run(['switch', '--create', branch, target]);
     } catch (error) {
-      console.log(`${icons.error} Failed to send notifications: ${error.message}`);
+      console.log(`${icons.error} Could not create ${branch}: ${error.stderr?.trim() || error.message}`);
+      await this.prompt('Press Enter to continue...');
+      return null;
+    }
+    console.log(`${icons.success} Switched to ${branch}`);
+
+    const critical = this.pendingFixes.filter(fix => fix.severity === 'critical');
+    if (critical.length > 0) {
+      console.log(`\n${icons.critical} ${critical.length} critical vulnerabilities: ${[...new Set(critical.map(fix => fix.package))].join(', ')}`);
+      const update = await this.prompt(`${icons.question} Apply security updates on ${branch} now? [y/N]: `);
+      if (update.toLowerCase() === 'y') {
+        this.runScript('dependency-manager.mjs', ['--auto-update']);
+        await this.loadSecurityData();
+      }
     }
 
+    console.log(`\n${icons.info} Next steps: commit the fixes, push ${branch} and open a pull request,`);
+    console.log(`   or merge it with: node scripts/security/aikido-branch-manager.mjs merge ${branch}`);
+
     await this.prompt('Press Enter to continue...');
+    return branch;
+  }
+
+  /**
+   * Revert a security merge on the default branch
+   *
+   * Offers the latest merges of security branches (first-parent history)
+   * and reverts the chosen one with `git revert -m 1`. The default branch
+   * must be checked out with a clean working tree; a conflicting revert is
+   * aborted and leaves the branch unchanged.
+   */
+  async emergencyRollback() {
+    const target = this.git.getDefaultBranch();
+
+    if (this.git.getCurrentBranch() !== target || this.hasLocalChanges()) {
+      console.log(`${icons.error} Check out ${target} with a clean working tree to roll back`);
+      await this.prompt('Press Enter to continue...');
+      return null;
+    }
+
+    const merges = this.git.listCommits(['--merges', '--first-parent', target], { limit: 50 })
+      .filter(commit => /aikido|dependabot|security|vulnerability/i.test(commit.subject))
+      .slice(0, 10);
+
+    if (merges.length === 0) {
+      console.log(`${icons.info} No security merges found on ${target}`);
+      await this.prompt('Press Enter to continue...');
+      return null;
+    }
+
+    merges.forEach((commit, index) => {
+      console.log(`${index + 1}. ${commit.sha.slice(0, 7)} ${commit.subject} (${commit.date.slice(0, 10)}, ${commit.author})`);
+    });
+
+    const merge = merges[parseInt(await this.prompt(`${icons.question} Merge to revert: `)) - 1];
+    if (!merge) {
+      console.log(`${icons.error} Invalid selection`);
+      return null;
+    }
+
+    const confirm = await this.prompt(`${icons.question} Revert ${merge.sha.slice(0, 7)} on ${target}? [y/N]: `);
+    if (confirm.toLowerCase() !== 'y') return null;
+
+    try {
+      this.git.run(['revert', '--no-edit', '-m', '1', merge.sha]);
+    } catch (error) {
+      const conflicts = this.git.listConflicts();
+      this.git.succeeds(['revert', '--abort']);
+      console.log(`${icons.error} Revert failed${conflicts.length > 0 ? ` with conflicts in ${conflicts.join(', ')}` : `: ${error.stderr?.trim() || error.message}`}; ${target} is unchanged`);
+      await this.prompt('Press Enter to continue...');
+      return null;
+    }
+
+    const revert = this.git.resolve('HEAD');
+    console.log(`${icons.success} Reverted ${merge.subject} (${revert.slice(0, 7)})`);
+    console.log(`${icons.info} Run npm install to bring node_modules back in line, then push ${target}`);
+
+    await this.prompt('Press Enter to continue...');
+    return revert;
+  }
+
+  /**
+   * Write an emergency report (JSON and Markdown) with the critical and
+   * high findings, the security branches and their verdicts
+   *
+   * Returns the path of the Markdown report.
+   */
+  async generateEmergencyReport() {
+    const generatedAt = new Date().toISOString();
+    const urgent = this.pendingFixes
+      .filter(fix => fix.severity === 'critical' || fix.severity === 'high')
+      .sort((a, b) => this.getSeverityWeight(b.severity) - this.getSeverityWeight(a.severity));
+    const branches = this.securityBranches.map(branch => {
+      const analysis = this.analyzeBranch(branch);
+      return {
+        name: `${branch.remote}/${branch.name}`,
+        type: branch.type,
+        status: branch.status,
+        verdict: analysis ? formatVerdict(analysis) : null,
+        fixes: analysis ? analysis.fixed.map(finding => finding.id) : []
+      };
+    });
+
+    const report = {
+      generatedAt,
+      commit: this.git.resolve('HEAD'),
+      summary: {
+        critical: urgent.filter(fix => fix.severity === 'critical').length,
+        high: urgent.filter(fix => fix.severity === 'high').length,
+        fixAvailable: urgent.filter(fix => fix.fixAvailable).length,
+        branches: branches.length
+      },
+      findings: urgent,
+      branches,
+      incompleteSources: this.incompleteSources
+    };
+
+    const lines = [
+      '# 🚨 Emergency Security Report',
+      '',
+      `_Generated ${generatedAt}${report.commit ? ` at \`${report.commit.slice(0, 12)}\`` : ''}_`,
+      '',
+      `**${report.summary.critical} critical, ${report.summary.high} high** (${report.summary.fixAvailable} with a fix available)`,
+      ''
+    ];
+    if (this.incompleteSources.length > 0) {
+      lines.push(`> ⚠️ Incomplete data: ${this.incompleteSources.join(', ')} could not be read`, '');
+    }
+    if (urgent.length > 0) {
+      lines.push('## Findings', '', '| Severity | Package | Title | Fix | Path |', '| --- | --- | --- | --- | --- |');
+      urgent.forEach(fix => lines.push(`| ${fix.severity} | \`${fix.package}\` | ${fix.title} | ${fix.fixAvailable ? '✅' : '❌'} | ${fix.path || '-'} |`));
+      lines.push('');
+    }
+    if (branches.length > 0) {
+      lines.push('## Security branches', '');
+      branches.forEach(branch => lines.push(`- \`${branch.name}\` (${branch.type}): ${branch.verdict || 'not analysed'}`));
+      lines.push('');
+    }
+    lines.push(
+      '## Next steps',
+      '',
+      '1. Merge the branches that fix critical findings: `node scripts/security/aikido-branch-manager.mjs merge <branch>`',
+      '2. Apply the remaining fixes: `npm run security:plan`, review, then `npm run security:apply -- <plan>`',
+      '3. Notify the team: `node scripts/security/notification-manager.mjs send`',
+      ''
+    );
+
+    const file = path.join(reportsDir, `emergency-report-${generatedAt.slice(0, 10)}`);
+    fs.mkdirSync(reportsDir, { recursive: true });
+    fs.writeFileSync(`${file}.json`, JSON.stringify(report, null, 2) + '\n');
+    fs.writeFileSync(`${file}.md`, lines.join('\n'));
+    console.log(`${icons.success} Emergency report saved: ${path.relative(projectRoot, file)}.json, .md`);
+
+    await this.prompt('Press Enter to continue...');
+    return `${file}.md`;
   }
 
   /**
@@ -553,10 +1415,58 @@ class InteractiveAikidoManager {
     return colorMap[severity] || colors.reset;
   }
 
+  /**
+   * Non-interactive status: load the data, print the summary (or the --json
+   * result) and return the exit code for the --fail-on threshold
+   */
+  async printStatus(cli, output) {
+    await this.loadSecurityData();
+
+    const failing = this.pendingFixes.filter(fix => exceedsThreshold(fix.severity, cli.failOn));
+    const exitCode = failing.length > 0
+      ? EXIT_CODES.FINDINGS
+      : this.incompleteSources.length > 0 ? EXIT_CODES.INCOMPLETE : EXIT_CODES.OK;
+
+    this.printSecuritySummary({ clear: false });
+    if (this.incompleteSources.length > 0) {
+      console.log(`${icons.high} Incomplete data: ${this.incompleteSources.join(', ')} could not be read`);
+    }
+
+    if (cli.json) {
+      const count = severity => this.pendingFixes.filter(fix => fix.severity === severity).length;
+      output.writeJson({
+        exitCode,
+        failOn: cli.failOn,
+        summary: {
+          critical: count('critical'),
+          high: count('high'),
+          moderate: count('moderate') + count('medium'),
+          low: count('low'),
+          aboveThreshold: failing.length,
+          triaged: this.triagedFixes.length,
+          branches: this.securityBranches.length
+        },
+        vulnerabilities: this.pendingFixes,
+        triaged: this.triagedFixes,
+        branches: this.securityBranches,
+        incompleteSources: this.incompleteSources
+      });
+    }
+
+    return exitCode;
+  }
+
   /**
    * Prompt helper
    */
   prompt(question) {
+    if (!this.rl) {
+      this.rl = readline.createInterface({
+        input: this.input,
+        output: this.output
+      });
+    }
+
     return new Promise(resolve => {
       this.rl.question(question, resolve);
     });
@@ -565,14 +1475,30 @@ class InteractiveAikidoManager {
 
 // CLI execution
 if (import.meta.url === `file://${process.argv[1]}`) {
+  let cli = { json: process.argv.includes('--json') };
+  try {
+    cli = parseCliOptions(process.argv.slice(2), { defaultFailOn: 'high' });
+  } catch (error) {
+    exitWithError(error.message, cli);
+  }
+  const output = configureOutput(cli);
   const manager = new InteractiveAikidoManager();
   const command = process.argv[2];
 
   switch (command) {
+    case 'status':
+      process.exitCode = await manager.printStatus(cli, output);
+      break;
+
     case 'dashboard':
     case 'interactive':
     default:
-      await manager.runInteractiveDashboard();
+      // The dashboard needs a terminal; pipes, CI and --json get the status
+      if (cli.interactive) {
+        await manager.runInteractiveDashboard();
+      } else {
+        process.exitCode = await manager.printStatus(cli, output);
+      }
       break;
   }
 }
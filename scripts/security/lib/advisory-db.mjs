@@ -0,0 +1,251 @@
+/**
+ * Offline Advisory Database
+ *
+ * Matches the installed dependency graph (see lib/lockfile.mjs) against a
+ * locally mirrored advisory dataset, for machines that cannot reach the npm
+ * audit endpoint. The dataset is a directory of OSV JSON records, e.g. the
+ * osv.dev npm export or a checkout of github/advisory-database (GHSA
+ * records use the OSV format). Files holding an array of records work too.
+ *
+ * Findings use the same model as lib/audit.mjs. The dataset is as fresh as
+ * its most recently modified record; callers decide what counts as stale.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { derivePatchedRange, hasPatchedVersion, normalizeSeverity, severityRank } from './audit.mjs';
+import { satisfies } from './semver.mjs';
+
+/**
+ * Recursively list the JSON files of a directory
+ */
+function listJsonFiles(dir) {
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) return entry.name.startsWith('.') ? [] : listJsonFiles(fullPath);
+    return entry.name.endsWith('.json') ? [fullPath] : [];
+  });
+}
+
+/**
+ * Convert OSV range events to a semver range (`>=1.0.0 <1.2.3 || >=2.0.0 <2.0.5`)
+ *
+ * An `introduced` event while an interval is still open extends that
+ * interval instead of restarting it, so no vulnerable versions are lost.
+ */
+export function osvEventsToRange(events = []) {
+  const intervals = [];
+  let lower = null;
+  let open = false;
+
+  for (const event of events) {
+    if (event.introduced !== undefined) {
+      if (open) continue;
+      lower = event.introduced === '0' ? null : event.introduced;
+      open = true;
+    } else if (open && (event.fixed !== undefined || event.last_affected !== undefined)) {
+      const upper = event.fixed !== undefined ? `<${event.fixed}` : `<=${event.last_affected}`;
+      intervals.push(lower ? `>=${lower} ${upper}` : upper);
+      open = false;
+    }
+  }
+
+  if (open) intervals.push(lower ? `>=${lower}` : '*');
+  return intervals.join(' || ');
+}
+
+/**
+ * Build the vulnerable range of an OSV `affected` entry
+ */
+export function getAffectedRange(affected) {
+  const parts = (affected.ranges || [])
+    .filter(range => range.type === 'SEMVER' || range.type === 'ECOSYSTEM')
+    .map(range => osvEventsToRange(range.events))
+    .filter(Boolean);
+
+  // Explicitly enumerated versions not covered by a range
+  parts.push(...(affected.versions || []));
+  return parts.length > 0 ? parts.join(' || ') : null;
+}
+
+/**
+ * Load an advisory dataset
+ *
+ * Returns `{ dir, advisories: Map(package → [{ record, affected, range }]),
+ * count, updatedAt, errors }`. Withdrawn records and other ecosystems are
+ * skipped; unreadable files are reported in `errors`.
+ */
+export function loadAdvisoryDatabase(dir) {
+  if (!fs.existsSync(dir)) {
+    throw new Error(`Advisory database not found: ${dir}`);
+  }
+
+  const advisories = new Map();
+  const errors = [];
+  let count = 0;
+  let updatedAt = null;
+
+  for (const file of listJsonFiles(dir)) {
+    let records;
+    try {
+      records = [].concat(JSON.parse(fs.readFileSync(file, 'utf8')));
+    } catch (error) {
+      errors.push(`${path.relative(dir, file)}: ${error.message}`);
+      continue;
+    }
+
+    for (const record of records) {
+      if (!record?.id || record.withdrawn) continue;
+
+      const npmEntries = (record.affected || []).filter(affected =>
+        affected.package?.ecosystem?.toLowerCase() === 'npm' && affected.package.name
+      );
+      if (npmEntries.length === 0) continue;
+
+      count++;
+      if (record.modified && (!updatedAt || record.modified > updatedAt)) {
+        updatedAt = record.modified;
+      }
+
+      npmEntries.forEach(affected => {
+        const range = getAffectedRange(affected);
+        if (!range) return;
+
+        const list = advisories.get(affected.package.name) || [];
+        list.push({ record, affected, range });
+        advisories.set(affected.package.name, list);
+      });
+    }
+  }
+
+  return { dir, advisories, count, updatedAt, errors };
+}
+
+/**
+ * Age of the dataset in whole days (null when no record has a timestamp)
+ */
+export function getDatabaseAge(database, now = new Date()) {
+  if (!database.updatedAt) return null;
+  return Math.floor((now - new Date(database.updatedAt)) / (1000 * 60 * 60 * 24));
+}
+
+/**
+ * Get the severity of an OSV record
+ *
+ * GHSA records carry `database_specific.severity`; other sources may put it
+ * in the affected entry's `ecosystem_specific`.
+ */
+function getSeverity(record, affected) {
+  return normalizeSeverity(
+    record.database_specific?.severity ||
+    affected.ecosystem_specific?.severity ||
+    affected.database_specific?.severity
+  );
+}
+
+/**
+ * Get the advisory URL of an OSV record
+ */
+function getAdvisoryUrl(record) {
+  const reference = (record.references || []).find(ref => ref.type === 'ADVISORY' && /GHSA-/i.test(ref.url)) ||
+    (record.references || []).find(ref => ref.type === 'ADVISORY');
+  return reference?.url || `https://osv.dev/vulnerability/${record.id}`;
+}
+
+/**
+ * Map each location to the locations that depend on it
+ */
+function buildParentIndex(graph) {
+  const parents = new Map();
+  for (const node of graph.nodes.values()) {
+    node.edges.forEach(edge => {
+      const list = parents.get(edge.location) || new Set();
+      list.add(node.location);
+      parents.set(edge.location, list);
+    });
+  }
+  return parents;
+}
+
+/**
+ * Walk up from a location to the workspace's direct dependencies that pull it in
+ */
+function findIntroducers(graph, parents, location) {
+  const introducers = new Set();
+  const visited = new Set();
+  const queue = [location];
+
+  while (queue.length > 0) {
+    const current = queue.shift();
+    if (visited.has(current)) continue;
+    visited.add(current);
+
+    for (const parent of parents.get(current) || []) {
+      if (parent === graph.root) {
+        introducers.add(graph.nodes.get(current).name);
+      } else {
+        queue.push(parent);
+      }
+    }
+  }
+
+  return [...introducers].sort();
+}
+
+/**
+ * Match a dependency graph against the advisory dataset
+ *
+ * Returns one finding per advisory and affected package, in the
+ * lib/audit.mjs finding model, sorted like normalizeAuditReport.
+ */
+export function matchAdvisories(graph, database) {
+  const parents = buildParentIndex(graph);
+  const rootNode = graph.nodes.get(graph.root);
+  const directLocations = new Set(rootNode.edges.map(edge => edge.location));
+  const findings = new Map();
+
+  for (const node of graph.nodes.values()) {
+    if (node.isRoot || node.isWorkspace || !node.version) continue;
+
+    for (const { record, affected, range } of database.advisories.get(node.name) || []) {
+      if (!satisfies(node.version, range)) continue;
+
+      const key = `${record.id}|${node.name}`;
+      const ghsa = [record.id, ...(record.aliases || [])].find(id => /^GHSA-/i.test(id)) || null;
+      const finding = findings.get(key) || {
+        id: ghsa || record.id,
+        source: null,
+        ghsa,
+        package: node.name,
+        severity: getSeverity(record, affected),
+        title: record.summary || record.details?.split('\n')[0] || 'Unknown vulnerability',
+        url: getAdvisoryUrl(record),
+        range,
+        patched: derivePatchedRange(range),
+        cwe: record.database_specific?.cwe_ids || [],
+        cvss: null,
+        created: record.published || null,
+        isDirect: false,
+        introducedBy: [],
+        effects: [],
+        fixAvailable: true,
+        nodes: []
+      };
+
+      // Fixable only when every vulnerable copy has a patched version above it
+      finding.fixAvailable = finding.fixAvailable && hasPatchedVersion(range, node.version);
+      finding.nodes.push(node.location);
+      finding.isDirect = finding.isDirect || directLocations.has(node.location);
+      finding.introducedBy = [...new Set([...finding.introducedBy, ...findIntroducers(graph, parents, node.location)])]
+        .filter(name => name !== node.name)
+        .sort();
+      findings.set(key, finding);
+    }
+  }
+
+  return [...findings.values()].sort((a, b) =>
+    severityRank(a.severity) - severityRank(b.severity) ||
+    a.package.localeCompare(b.package) ||
+    a.id.localeCompare(b.id)
+  );
+}
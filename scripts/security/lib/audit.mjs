@@ -0,0 +1,310 @@
+/**
+ * npm Audit Normaliser
+ *
+ * Converts `npm audit --json` output into a single finding model, whatever
+ * the report version:
+ * - v1 (npm 6): `advisories` keyed by advisory id, with `findings[].paths`
+ * - v2 (npm 7+): `vulnerabilities` keyed by package name, where `via` holds
+ *   either advisory objects or the names of vulnerable dependencies
+ *
+ * Each finding is one advisory affecting one package, and records whether
+ * that package is a direct dependency and which direct dependencies pull it in.
+ */
+
+import { compareVersions, isValidVersion, parseRange, parseVersion, satisfies, sortVersions } from './semver.mjs';
+
+const SEVERITIES = ['critical', 'high', 'moderate', 'low', 'info'];
+
+/**
+ * Rank a severity, most severe first (unknown severities sort last)
+ */
+export function severityRank(severity) {
+  const index = SEVERITIES.indexOf(severity);
+  return index === -1 ? SEVERITIES.length : index;
+}
+
+/**
+ * Normalise a severity label (npm, GHSA and Aikido spellings)
+ */
+export function normalizeSeverity(severity) {
+  const value = String(severity || '').toLowerCase();
+  if (value === 'medium') return 'moderate';
+  return SEVERITIES.includes(value) ? value : 'unknown';
+}
+
+// `<2` parses to `<2.0.0-0`; the `-0` floor is dropped when printing bounds
+const formatBound = ({ major, minor, patch, prerelease }) =>
+  `${major}.${minor}.${patch}${prerelease.length > 0 && prerelease.join('.') !== '0' ? `-${prerelease.join('.')}` : ''}`;
+
+/**
+ * Check whether the next interval (sorted by lower bound) touches the last one
+ */
+function overlaps(last, next) {
+  if (!last.upper || !next.lower) return true;
+  const order = compareVersions(next.lower.version, last.upper.version);
+  return order < 0 || (order === 0 && (next.lower.inclusive || last.upper.inclusive));
+}
+
+/**
+ * Check whether an upper bound reaches beyond another
+ */
+function extendsPast(upper, other) {
+  if (!upper) return true;
+  const order = compareVersions(upper.version, other.version);
+  return order > 0 || (order === 0 && upper.inclusive && !other.inclusive);
+}
+
+/**
+ * Turn each `||` branch of a range into an interval with optional bounds
+ */
+function toIntervals(range) {
+  return parseRange(range).map(set => {
+    let lower = null;
+    let upper = null;
+
+    for (const { operator, version } of set) {
+      if (['>', '>=', '='].includes(operator)) {
+        const inclusive = operator !== '>';
+        const order = lower ? compareVersions(version, lower.version) : 1;
+        if (order > 0 || (order === 0 && !inclusive)) lower = { version, inclusive };
+      }
+      if (['<', '<=', '='].includes(operator)) {
+        const inclusive = operator !== '<';
+        const order = upper ? compareVersions(version, upper.version) : -1;
+        if (order < 0 || (order === 0 && !inclusive)) upper = { version, inclusive };
+      }
+    }
+
+    return { lower, upper };
+  }).filter(({ lower, upper }) => {
+    if (!lower || !upper) return true;
+    const order = compareVersions(lower.version, upper.version);
+    return order < 0 || (order === 0 && lower.inclusive && upper.inclusive);
+  });
+}
+
+/**
+ * Parse a vulnerable range into sorted, non-overlapping intervals (null when
+ * it cannot be parsed)
+ */
+function mergeIntervals(vulnerableRange) {
+  let intervals;
+  try {
+    intervals = toIntervals(vulnerableRange);
+  } catch (error) {
+    return null;
+  }
+
+  intervals.sort((a, b) => {
+    if (!a.lower || !b.lower) return a.lower ? 1 : b.lower ? -1 : 0;
+    return compareVersions(a.lower.version, b.lower.version) || (b.lower.inclusive - a.lower.inclusive);
+  });
+
+  const merged = [];
+  for (const interval of intervals) {
+    const last = merged[merged.length - 1];
+    if (!last || !overlaps(last, interval)) {
+      merged.push({ ...interval });
+    } else if (last.upper && extendsPast(interval.upper, last.upper)) {
+      last.upper = interval.upper;
+    }
+  }
+
+  return merged;
+}
+
+/**
+ * Derive the patched range from a vulnerable range
+ *
+ * Advisories in v2 reports only carry the vulnerable range. The patched
+ * range is every version above the lowest vulnerable one that is not itself
+ * vulnerable, e.g. `<1.2.3` → `>=1.2.3` and
+ * `>=2.0.0 <2.1.4 || >=3.0.0 <3.0.2` → `>=2.1.4 <3.0.0 || >=3.0.2`.
+ * Returns null when no version is fixed or the range cannot be parsed.
+ */
+export function derivePatchedRange(vulnerableRange) {
+  if (!vulnerableRange) return null;
+  const merged = mergeIntervals(vulnerableRange) || [];
+
+  // The gaps after each vulnerable interval
+  const gaps = merged.filter(interval => interval.upper).map((interval, index) => {
+    const from = `${interval.upper.inclusive ? '>' : '>='}${formatBound(interval.upper.version)}`;
+    const next = merged[index + 1];
+    return next ? `${from} ${next.lower.inclusive ? '<' : '<='}${formatBound(next.lower.version)}` : from;
+  });
+
+  return gaps.length > 0 ? gaps.join(' || ') : null;
+}
+
+/**
+ * Check whether any version newer than the installed one is outside the
+ * vulnerable range
+ */
+export function hasPatchedVersion(vulnerableRange, installed = null) {
+  const current = installed ? parseVersion(installed) : null;
+  return (mergeIntervals(vulnerableRange) || []).some(({ upper }) =>
+    upper && (!current || compareVersions(upper.version, current) >= 0)
+  );
+}
+
+/**
+ * Check whether a version fixes an advisory
+ *
+ * A version is patched when it falls outside the vulnerable range and is
+ * newer than the installed version. Without a vulnerable range the
+ * advisory's patched range decides instead.
+ */
+export function isPatchedVersion(version, { vulnerable = null, patched = null, installed = null } = {}) {
+  if (!isValidVersion(version)) return false;
+  if (installed && isValidVersion(installed) && compareVersions(version, installed) <= 0) return false;
+  if (vulnerable && vulnerable !== 'unknown') return !satisfies(version, vulnerable);
+  return Boolean(patched && patched !== 'none' && satisfies(version, patched));
+}
+
+/**
+ * Suggest the lowest patched version above the installed one, taken from the
+ * bounds of the vulnerable range (for when the registry cannot be asked)
+ */
+export function suggestPatchedVersion(vulnerableRange, installed = null) {
+  const candidates = (mergeIntervals(vulnerableRange) || [])
+    .filter(({ upper }) => upper && !upper.inclusive)
+    .map(({ upper }) => formatBound(upper.version))
+    .filter(version => !version.includes('-') && isPatchedVersion(version, { vulnerable: vulnerableRange, installed }));
+
+  return sortVersions(candidates)[0] || null;
+}
+
+/**
+ * Extract the GHSA identifier from an advisory URL
+ */
+function getGhsaId(url) {
+  const match = String(url || '').match(/GHSA-[\w]{4}-[\w]{4}-[\w]{4}/i);
+  return match ? match[0] : null;
+}
+
+/**
+ * Walk `effects` up to the direct dependencies that introduce a package
+ */
+function findIntroducers(vulnerabilities, packageName) {
+  const introducers = new Set();
+  const visited = new Set();
+  const queue = [packageName];
+
+  while (queue.length > 0) {
+    const name = queue.shift();
+    if (visited.has(name)) continue;
+    visited.add(name);
+
+    const entry = vulnerabilities[name];
+    if (!entry) continue;
+
+    if (entry.isDirect) introducers.add(name);
+    (entry.effects || []).forEach(effect => queue.push(effect));
+  }
+
+  return [...introducers].sort();
+}
+
+/**
+ * Normalise an npm audit v2 report
+ */
+function normalizeV2(vulnerabilities) {
+  const findings = [];
+
+  for (const [packageName, entry] of Object.entries(vulnerabilities)) {
+    for (const via of entry.via || []) {
+      // String entries point at another vulnerable package; its advisories
+      // are reported under that package's own entry
+      if (typeof via !== 'object' || via === null) continue;
+
+      const affected = via.name || packageName;
+      const ghsa = getGhsaId(via.url);
+
+      findings.push({
+        id: ghsa || String(via.source),
+        source: via.source ?? null,
+        ghsa,
+        package: affected,
+        severity: normalizeSeverity(via.severity || entry.severity),
+        title: via.title || 'Unknown vulnerability',
+        url: via.url || null,
+        range: via.range || entry.range || null,
+        patched: derivePatchedRange(via.range || entry.range),
+        cwe: via.cwe || [],
+        cvss: via.cvss?.score ?? null,
+        created: null,
+        isDirect: Boolean(entry.isDirect),
+        introducedBy: findIntroducers(vulnerabilities, affected).filter(name => name !== affected),
+        effects: entry.effects || [],
+        fixAvailable: entry.fixAvailable ?? false,
+        nodes: entry.nodes || []
+      });
+    }
+  }
+
+  return findings;
+}
+
+/**
+ * Normalise an npm audit v1 report
+ */
+function normalizeV1(advisories) {
+  const findings = [];
+
+  for (const [advisoryId, advisory] of Object.entries(advisories)) {
+    const paths = (advisory.findings || []).flatMap(finding => finding.paths || []);
+    const roots = [...new Set(paths.map(p => p.split('>')[0]))].sort();
+    const ghsa = advisory.github_advisory_id || getGhsaId(advisory.url);
+
+    findings.push({
+      id: ghsa || String(advisory.id ?? advisoryId),
+      source: advisory.id ?? Number(advisoryId),
+      ghsa,
+      package: advisory.module_name,
+      severity: normalizeSeverity(advisory.severity),
+      title: advisory.title || 'Unknown vulnerability',
+      url: advisory.url || null,
+      range: advisory.vulnerable_versions || null,
+      patched: advisory.patched_versions && advisory.patched_versions !== '<0.0.0'
+        ? advisory.patched_versions
+        : null,
+      cwe: advisory.cwe ? [].concat(advisory.cwe) : [],
+      cvss: advisory.cvss?.score ?? null,
+      created: advisory.created || null,
+      isDirect: paths.some(p => !p.includes('>')),
+      introducedBy: roots.filter(name => name !== advisory.module_name),
+      effects: [],
+      fixAvailable: Boolean(advisory.patched_versions && advisory.patched_versions !== '<0.0.0'),
+      nodes: []
+    });
+  }
+
+  return findings;
+}
+
+/**
+ * Normalise an npm audit JSON report into a flat, sorted list of findings
+ */
+export function normalizeAuditReport(auditData) {
+  if (!auditData || typeof auditData !== 'object') return [];
+
+  const findings = auditData.auditReportVersion === 2 || (!auditData.advisories && auditData.vulnerabilities)
+    ? normalizeV2(auditData.vulnerabilities || {})
+    : normalizeV1(auditData.advisories || {});
+
+  return findings.sort((a, b) =>
+    severityRank(a.severity) - severityRank(b.severity) ||
+    a.package.localeCompare(b.package) ||
+    a.id.localeCompare(b.id)
+  );
+}
+
+/**
+ * Split findings into those on direct dependencies and transitive ones
+ */
+export function partitionFindings(findings) {
+  return {
+    direct: findings.filter(finding => finding.isDirect),
+    transitive: findings.filter(finding => !finding.isDirect)
+  };
+}
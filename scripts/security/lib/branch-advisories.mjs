@@ -0,0 +1,231 @@
+/**
+ * Branch Advisory Correlation
+ *
+ * Tells what a security branch does to the vulnerability backlog before it
+ * is merged. Its dependency changes (see lib/branch-changes.mjs) are scanned
+ * at three commits, all read from git objects without a checkout:
+ * - the merge base and the branch head give the findings the branch fixes
+ *   and introduces (see lib/scan-diff.mjs)
+ * - the target gives the current findings, so fixes the target already has
+ *   and findings it already carries are not counted again
+ *
+ * Every fixed or introduced finding is attributed to the changes of its
+ * package (or, failing that, of the dependencies that pull it in), which
+ * yields a per-change mapping and a verdict per branch.
+ *
+ * The offline advisory database (lib/advisory-db.mjs) is used when one is
+ * given, npm audit on the manifests and lockfiles otherwise. Ignore entries
+ * of the policy apply as in the dependency dashboard. A workspace that
+ * cannot be scanned at one of the commits is left out and marks the
+ * analysis incomplete.
+ */
+
+import { execFileSync } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { matchAdvisories } from './advisory-db.mjs';
+import { normalizeAuditReport, severityRank } from './audit.mjs';
+import { getDependencyChanges, readJsonAt } from './branch-changes.mjs';
+import { createGitService } from './git.mjs';
+import { buildDependencyGraph } from './lockfile.mjs';
+import { applyIgnores, resolveWorkspacePolicy } from './policy.mjs';
+import { diffFindings } from './scan-diff.mjs';
+
+const SEVERITIES = ['critical', 'high', 'moderate', 'low', 'info'];
+
+const findingKey = finding => `${finding.id}|${finding.package}`;
+
+/**
+ * Directory of a workspace relative to the repository root ('' for the root)
+ */
+function getWorkspaceDir(workspace) {
+  return workspace.relativeDir === '.' ? '' : workspace.relativeDir;
+}
+
+/**
+ * Read the lockfile governing a workspace at a commit, like loadLockfile
+ * (lib/lockfile.mjs) does for the working tree; null when there is none
+ */
+function readLockfileAt(git, rev, workspace) {
+  const dir = getWorkspaceDir(workspace);
+  const candidates = [
+    { file: path.posix.join(dir, 'package-lock.json'), location: '' },
+    { file: 'package-lock.json', location: dir }
+  ];
+
+  for (const { file, location } of candidates) {
+    const lock = readJsonAt(git, rev, file);
+    if (!lock) continue;
+    if (!lock.packages) {
+      throw new Error(`${file} uses lockfileVersion ${lock.lockfileVersion || 1}; regenerate it with npm 7+ (lockfileVersion 2 or 3)`);
+    }
+    return { lock, file, location };
+  }
+
+  return null;
+}
+
+/**
+ * Run npm audit on the manifests and lockfiles of a workspace at a commit
+ */
+function auditWorkspaceAt(git, rev, workspace) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'security-branch-'));
+  const workspaceDir = getWorkspaceDir(workspace);
+
+  try {
+    for (const file of new Set(['package.json', 'package-lock.json', path.posix.join(workspaceDir, 'package.json'), path.posix.join(workspaceDir, 'package-lock.json')])) {
+      const content = git.readFile(rev, file);
+      if (content === null) continue;
+      fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true });
+      fs.writeFileSync(path.join(dir, file), content);
+    }
+
+    let output;
+    try {
+      output = execFileSync('npm', ['audit', '--json'], {
+        cwd: path.join(dir, workspaceDir),
+        encoding: 'utf8',
+        stdio: ['pipe', 'pipe', 'pipe'],
+        maxBuffer: 64 * 1024 * 1024
+      });
+    } catch (error) {
+      // npm audit exits with code 1 when it finds vulnerabilities
+      output = error.stdout;
+      if (!output) throw new Error(`npm audit failed: ${error.stderr?.trim() || error.message}`);
+    }
+
+    const auditData = JSON.parse(output);
+    if (auditData.error) {
+      throw new Error(`npm audit failed: ${auditData.error.summary || auditData.error.code || auditData.message || 'unknown error'}`);
+    }
+    return normalizeAuditReport(auditData);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Scan one workspace at a commit; throws when it cannot be scanned
+ *
+ * A workspace without a package.json at the commit has no findings there.
+ */
+function scanWorkspaceAt(git, rev, workspace, database) {
+  if (git.readFile(rev, path.posix.join(getWorkspaceDir(workspace), 'package.json')) === null) return [];
+
+  if (!database) return auditWorkspaceAt(git, rev, workspace);
+
+  const lockfile = readLockfileAt(git, rev, workspace);
+  if (!lockfile) throw new Error('no package-lock.json');
+  return matchAdvisories(buildDependencyGraph(lockfile.lock, lockfile.location), database);
+}
+
+/**
+ * Merge per-workspace findings into one finding per advisory and package,
+ * recording the workspaces it appears in
+ */
+function mergeFindings(findings) {
+  const merged = new Map();
+
+  for (const finding of findings) {
+    const existing = merged.get(findingKey(finding));
+    merged.set(findingKey(finding), existing
+      ? { ...existing, workspaces: [...existing.workspaces, ...finding.workspaces] }
+      : finding);
+  }
+
+  return [...merged.values()];
+}
+
+/**
+ * Count findings per severity: `{ critical, high, moderate, low, info }`
+ */
+function countBySeverity(findings) {
+  return Object.fromEntries(SEVERITIES.map(severity => [severity, findings.filter(finding => finding.severity === severity).length]));
+}
+
+/**
+ * The dependency changes a finding is attributed to: those of its own
+ * package, otherwise those of the dependencies that introduce it
+ */
+function findResponsibleChanges(finding, changes) {
+  const own = changes.filter(change => change.package === finding.package);
+  return own.length > 0 ? own : changes.filter(change => (finding.introducedBy || []).includes(change.package));
+}
+
+/**
+ * Analyse the advisories a branch fixes and introduces relative to `target`
+ *
+ * `workspaces` is the map of lib/workspaces.mjs and `database` an offline
+ * advisory database (null: npm audit). Returns
+ * `{ branch, target, mergeBase, changes, fixed, introduced, alreadyFixed,
+ * failures, status, verdict }` where every change carries the advisory ids
+ * it `fixes` and `introduces`, `alreadyFixed` are fixes the target has
+ * without this branch and `verdict` counts fixed and introduced findings
+ * per severity. Throws when the branch shares no history with the target.
+ */
+export function analyzeBranchAdvisories(branch, target, { git = createGitService(), workspaces, policy, database = null }) {
+  const { mergeBase, changes } = getDependencyChanges(branch, target, { git });
+  const targetHead = git.resolve(target);
+  const scans = { base: [], head: [], current: [] };
+  const failures = [];
+
+  if (changes.length > 0) {
+    for (const [key, workspace] of Object.entries(workspaces)) {
+      const workspacePolicy = resolveWorkspacePolicy(policy, key, workspace.name);
+      const scan = rev => applyIgnores(scanWorkspaceAt(git, rev, workspace, database), workspacePolicy).active
+        .map(finding => ({ ...finding, workspaces: [key] }));
+
+      try {
+        const base = scan(mergeBase);
+        const head = scan(branch);
+        const current = targetHead === mergeBase ? base : scan(targetHead);
+        scans.base.push(...base);
+        scans.head.push(...head);
+        scans.current.push(...current);
+      } catch (error) {
+        failures.push({ workspace: key, reason: error.message });
+      }
+    }
+  }
+
+  const diff = diffFindings(mergeFindings(scans.base), mergeFindings(scans.head));
+  const currentKeys = new Set(scans.current.map(findingKey));
+  const attribute = finding => ({ ...finding, changes: findResponsibleChanges(finding, changes) });
+  const fixed = diff.fixed.filter(finding => currentKeys.has(findingKey(finding))).map(attribute);
+  const alreadyFixed = diff.fixed.filter(finding => !currentKeys.has(findingKey(finding)));
+  const introduced = diff.introduced.filter(finding => !currentKeys.has(findingKey(finding))).map(attribute);
+  const idsFor = (findings, change) => findings.filter(finding => finding.changes.includes(change)).map(finding => finding.id);
+
+  return {
+    branch,
+    target,
+    mergeBase,
+    changes: changes.map(change => ({ ...change, fixes: idsFor(fixed, change), introduces: idsFor(introduced, change) })),
+    fixed,
+    introduced,
+    alreadyFixed,
+    failures,
+    status: failures.length > 0 ? 'incomplete' : 'complete',
+    verdict: { fixed: countBySeverity(fixed), introduced: countBySeverity(introduced) }
+  };
+}
+
+/**
+ * Summarise severity counts, most severe first ("3 high, 1 low"; "0" when empty)
+ */
+export function formatSeverityCounts(counts) {
+  const parts = Object.entries(counts)
+    .filter(([, count]) => count > 0)
+    .sort(([a], [b]) => severityRank(a) - severityRank(b))
+    .map(([severity, count]) => `${count} ${severity}`);
+  return parts.length > 0 ? parts.join(', ') : '0';
+}
+
+/**
+ * One-line verdict for an analysis ("fixes 3 high, introduces 0")
+ */
+export function formatVerdict(analysis) {
+  const verdict = `fixes ${formatSeverityCounts(analysis.verdict.fixed)}, introduces ${formatSeverityCounts(analysis.verdict.introduced)}`;
+  return analysis.status === 'complete' ? verdict : `${verdict} (incomplete: ${analysis.failures.length} workspace(s) not scanned)`;
+}
@@ -0,0 +1,130 @@
+/**
+ * Branch Dependency Changes
+ *
+ * Reads the dependency versions a branch changed from git objects, without
+ * checking the branch out: every package.json and package-lock.json that
+ * differs between the branch and its merge base with the target is parsed
+ * at both commits and compared entry by entry.
+ *
+ * A change is `{ file, package, key, from, to }`, where `key` is the manifest
+ * section and name (`dependencies.lodash`) or the lockfile install path
+ * (`node_modules/lodash`). `from`/`to` are specs or locked versions, null
+ * when the entry was added or removed.
+ */
+
+import path from 'path';
+import { createGitService } from './git.mjs';
+import { coerceVersion, compareVersions } from './semver.mjs';
+
+const MANIFEST = 'package.json';
+const LOCKFILE = 'package-lock.json';
+const MANIFEST_SECTIONS = ['dependencies', 'devDependencies', 'optionalDependencies', 'overrides'];
+
+/**
+ * Parse a JSON file at a commit, or null when it is missing or invalid there
+ */
+export function readJsonAt(git, rev, file) {
+  try {
+    return JSON.parse(git.readFile(rev, file));
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Map every dependency entry of a manifest or lockfile to its version:
+ * key → `{ package, version }`
+ */
+export function collectVersions(content, file) {
+  const versions = new Map();
+  if (!content) return versions;
+
+  if (path.posix.basename(file) === LOCKFILE) {
+    for (const [installPath, entry] of Object.entries(content.packages || {})) {
+      if (!installPath.includes('node_modules/') || !entry?.version) continue;
+      const name = entry.name || installPath.slice(installPath.lastIndexOf('node_modules/') + 'node_modules/'.length);
+      versions.set(installPath, { package: name, version: entry.version });
+    }
+    return versions;
+  }
+
+  for (const section of MANIFEST_SECTIONS) {
+    for (const [name, spec] of Object.entries(content[section] || {})) {
+      // Nested overrides ({ "pkg": { ".": "1.0.0", "dep": "2.0.0" } }) are compared as a whole
+      versions.set(`${section}.${name}`, { package: name, version: typeof spec === 'string' ? spec : JSON.stringify(spec) });
+    }
+  }
+  return versions;
+}
+
+/**
+ * Compare two version maps (see collectVersions) and list the differences
+ */
+function diffVersionMaps(before, after, file) {
+  const changes = [];
+
+  for (const key of new Set([...before.keys(), ...after.keys()])) {
+    const from = before.get(key)?.version ?? null;
+    const to = after.get(key)?.version ?? null;
+    if (from === to) continue;
+    changes.push({ file, package: (after.get(key) || before.get(key)).package, key, from, to });
+  }
+
+  return changes;
+}
+
+/**
+ * List the dependency changes `ref` makes relative to its merge base with `base`
+ *
+ * Returns `{ mergeBase, files, changes }`; `files` are the manifests and
+ * lockfiles the branch touched. Throws when the two share no history.
+ */
+export function getDependencyChanges(ref, base, { git = createGitService() } = {}) {
+  const mergeBase = git.getMergeBase(base, ref);
+  if (!mergeBase) throw new Error(`${ref} and ${base} have no common history`);
+
+  const files = git.getChangedFiles(mergeBase, ref, { mergeBase: false })
+    .map(file => file.path)
+    .filter(file => [MANIFEST, LOCKFILE].includes(path.posix.basename(file)));
+
+  const changes = files.flatMap(file => diffVersionMaps(
+    collectVersions(readJsonAt(git, mergeBase, file), file),
+    collectVersions(readJsonAt(git, ref, file), file),
+    file
+  ));
+
+  return { mergeBase, files, changes };
+}
+
+/**
+ * Whether a change raises a version (both sides must be plain versions or specs)
+ */
+export function isUpgrade(change) {
+  const from = coerceVersion(change.from);
+  const to = coerceVersion(change.to);
+  return Boolean(from && to && compareVersions(to, from) > 0);
+}
+
+/**
+ * Find the upgrades of a branch that `target` already matches or exceeds
+ *
+ * Returns `{ upgrades, covered }` (changes plus the version on the target);
+ * a branch is superseded when it has upgrades and every one is covered.
+ */
+export function findSupersededUpgrades(changes, target, { git = createGitService() } = {}) {
+  const upgrades = changes.filter(isUpgrade);
+  const targetVersions = new Map();
+
+  const covered = upgrades
+    .map(change => {
+      if (!targetVersions.has(change.file)) {
+        targetVersions.set(change.file, collectVersions(readJsonAt(git, target, change.file), change.file));
+      }
+      const current = targetVersions.get(change.file).get(change.key)?.version ?? null;
+      const version = coerceVersion(current);
+      return version && compareVersions(version, coerceVersion(change.to)) >= 0 ? { ...change, target: current } : null;
+    })
+    .filter(Boolean);
+
+  return { upgrades, covered };
+}
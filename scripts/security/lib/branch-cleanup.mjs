@@ -0,0 +1,193 @@
+/**
+ * Security Branch Cleanup
+ *
+ * Finds security branches that can go or need refreshing, relative to the
+ * target branch:
+ * - merged: the branch is reachable from the target → delete
+ * - superseded: every dependency upgrade on the branch is already matched
+ *   or exceeded on the target (see lib/branch-changes.mjs) → delete
+ * - stale: no commits for longer than `branches.staleDays` → rebase
+ *
+ * A local branch and its remote counterparts (`origin/<name>`) form one
+ * candidate, so deleting or rebasing covers both. Git always runs with
+ * argument arrays, never through a shell: branch names are passed verbatim.
+ */
+
+import { findSupersededUpgrades, getDependencyChanges } from './branch-changes.mjs';
+import { getAgeDays } from './branch-status.mjs';
+import { createGitService } from './git.mjs';
+
+export const CLEANUP_ACTIONS = ['delete', 'rebase', 'skip'];
+
+const SAFE_ARGUMENT = /^[\w@%+=:,./-]+$/;
+
+/**
+ * Format an argument array as a copy-pasteable shell command
+ */
+export function formatCommand(args) {
+  return args.map(arg => (SAFE_ARGUMENT.test(arg) ? arg : `'${arg.replace(/'/g, `'\\''`)}'`)).join(' ');
+}
+
+/**
+ * Group branches (`{ name, local }`, remote names as `<remote>/<branch>`)
+ * by branch name: `{ name, local, remotes }`
+ */
+function groupBranches(branches, remoteNames) {
+  const byName = new Map();
+
+  for (const branch of branches) {
+    const remote = branch.local ? null : remoteNames.find(name => branch.name.startsWith(`${name}/`));
+    const name = remote ? branch.name.slice(remote.length + 1) : branch.name;
+    if (!byName.has(name)) byName.set(name, { name, local: false, remotes: [] });
+
+    const entry = byName.get(name);
+    if (remote) entry.remotes.push(remote);
+    else entry.local = true;
+  }
+
+  return [...byName.values()];
+}
+
+/**
+ * Classify security branches for cleanup
+ *
+ * Returns one candidate per branch that is merged, superseded or stale:
+ * `{ name, local, remotes, ref, head, ageDays, reason, details, action }`
+ * where `action` is the suggested delete or rebase.
+ */
+export function findCleanupCandidates(branches, { target, staleDays, git = createGitService() }) {
+  const remoteNames = git.listRemotes().map(remote => remote.name);
+  const candidates = [];
+
+  for (const branch of groupBranches(branches, remoteNames)) {
+    if (branch.name === target) continue;
+
+    const ref = branch.local ? `refs/heads/${branch.name}` : `refs/remotes/${branch.remotes[0]}/${branch.name}`;
+    const head = git.resolve(ref);
+    const ageDays = getAgeDays(git.getCommit(head).date);
+    const candidate = { ...branch, ref, head, ageDays };
+
+    if (git.isAncestor(head, target)) {
+      candidates.push({ ...candidate, reason: 'merged', details: [`already merged into ${target}`], action: 'delete' });
+      continue;
+    }
+
+    const { changes } = getDependencyChanges(head, target, { git });
+    const { upgrades, covered } = findSupersededUpgrades(changes, target, { git });
+    if (upgrades.length > 0 && covered.length === upgrades.length) {
+      const details = [...new Map(covered.map(change => [change.package, `${change.package} ${change.to} (${target} has ${change.target})`])).values()];
+      candidates.push({ ...candidate, reason: 'superseded', details, action: 'delete' });
+      continue;
+    }
+
+    if (ageDays !== null && ageDays > staleDays) {
+      const behind = git.countCommits(`${head}..${target}`);
+      candidates.push({ ...candidate, reason: 'stale', details: [`no commits for ${ageDays} days`, `${behind} commit(s) behind ${target}`], action: 'rebase' });
+    }
+  }
+
+  return candidates;
+}
+
+/**
+ * The git commands an action runs for a candidate (for previews)
+ */
+export function describeAction(candidate, action, { target, remote = true }) {
+  const remotes = remote ? candidate.remotes : [];
+
+  if (action === 'delete') {
+    return [
+      ...(candidate.local ? [['git', 'branch', '-D', candidate.name]] : []),
+      ...remotes.map(name => ['git', 'push', name, '--delete', candidate.name])
+    ];
+  }
+  if (action === 'rebase') {
+    return [
+      ['git', 'rebase', target],
+      ...(candidate.local ? [['git', 'update-ref', `refs/heads/${candidate.name}`, '<rebased>']] : []),
+      ...remotes.map(name => ['git', 'push', `--force-with-lease=${candidate.name}`, name, `<rebased>:refs/heads/${candidate.name}`])
+    ];
+  }
+  return [];
+}
+
+/**
+ * Delete a candidate locally and (unless `remote` is false) on its remotes
+ *
+ * Returns `{ success, steps }`; every deletion is attempted even if one fails.
+ */
+export function deleteBranch(candidate, { git = createGitService(), remote = true } = {}) {
+  const steps = describeAction(candidate, 'delete', { remote }).map(([, ...args]) => {
+    try {
+      git.run(args);
+      return { command: formatCommand(['git', ...args]), success: true, error: null };
+    } catch (error) {
+      return { command: formatCommand(['git', ...args]), success: false, error: error.stderr || error.message };
+    }
+  });
+
+  return { success: steps.every(step => step.success), steps };
+}
+
+/**
+ * Rebase a candidate onto the target in a temporary worktree, then move the
+ * local branch and force-push (with lease) to its remotes
+ *
+ * Returns `{ success, head, conflicts, steps }`. A conflicting rebase is
+ * aborted and leaves every ref unchanged; the branch checked out in the main
+ * worktree and remotes holding commits the candidate lacks are refused.
+ */
+export function rebaseBranch(candidate, { target, git = createGitService(), remote = true } = {}) {
+  const result = { success: false, head: null, conflicts: [], steps: [] };
+  const record = (args, action) => {
+    const step = { command: formatCommand(['git', ...args]), success: true, error: null };
+    try {
+      action();
+    } catch (error) {
+      step.success = false;
+      step.error = error.stderr || error.message;
+    }
+    result.steps.push(step);
+    return step.success;
+  };
+
+  if (candidate.local && git.getCurrentBranch() === candidate.name) {
+    result.steps.push({ command: formatCommand(['git', 'rebase', target]), success: false, error: `${candidate.name} is checked out; rebase it there instead` });
+    return result;
+  }
+
+  let worktree = null;
+  try {
+    if (!record(['worktree', 'add', '--detach', '<temp>', candidate.head], () => { worktree = git.addTemporaryWorktree(candidate.head); })) {
+      return result;
+    }
+    const worktreeGit = git.at(worktree);
+    if (!record(['rebase', target], () => worktreeGit.run(['rebase', target]))) {
+      result.conflicts = worktreeGit.listConflicts();
+      if (result.conflicts.length > 0) result.steps.at(-1).error = 'conflicts';
+      worktreeGit.succeeds(['rebase', '--abort']);
+      return result;
+    }
+    result.head = worktreeGit.resolve('HEAD');
+  } finally {
+    if (worktree) git.removeWorktree(worktree);
+  }
+
+  if (candidate.local) {
+    const args = ['update-ref', `refs/heads/${candidate.name}`, result.head, candidate.head];
+    if (!record(args, () => git.run(args))) return result;
+  }
+
+  for (const name of remote ? candidate.remotes : []) {
+    const remoteHead = git.resolve(`refs/remotes/${name}/${candidate.name}`);
+    if (!git.isAncestor(remoteHead, candidate.head)) {
+      result.steps.push({ command: formatCommand(['git', 'push', name]), success: false, error: `${name}/${candidate.name} has commits the rebased branch does not; fetch and retry` });
+      return result;
+    }
+    const args = ['push', `--force-with-lease=${candidate.name}:${remoteHead}`, name, `${result.head}:refs/heads/${candidate.name}`];
+    if (!record(args, () => git.run(args))) return result;
+  }
+
+  result.success = true;
+  return result;
+}
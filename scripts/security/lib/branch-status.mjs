@@ -0,0 +1,72 @@
+/**
+ * Security Branch Status
+ *
+ * Rates how much attention a security fix branch needs from its pull
+ * request state (see lib/github.mjs) and age:
+ * - blocked: failing checks, merge conflicts or requested changes
+ * - attention: no (or unknown) pull request, a draft, pending checks, a
+ *   missing review or no commits for longer than the stale threshold
+ * - ready: checks passing, mergeable and approved (or no review required)
+ */
+
+export const RISK_LEVELS = ['blocked', 'attention', 'ready'];
+export const STALE_DAYS = 30;
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+/**
+ * Days between an ISO date and now, or null without a date
+ */
+export function getAgeDays(date, now = new Date()) {
+  if (!date) return null;
+  return Math.max(0, Math.floor((now - new Date(date)) / DAY_MS));
+}
+
+/**
+ * Rate a branch: `{ level, reasons }`
+ *
+ * `branch` has `pr` (a normalised pull request, null when the branch has
+ * none, undefined when pull request data is unavailable) and `ageDays`.
+ */
+export function assessBranchRisk(branch, { staleDays = STALE_DAYS } = {}) {
+  const blocked = [];
+  const attention = [];
+  const pr = branch.pr;
+
+  if (pr === undefined) {
+    attention.push('pull request state unknown');
+  } else if (pr === null) {
+    attention.push('no open pull request');
+  } else {
+    if (pr.checks === 'failing') blocked.push('checks failing');
+    if (pr.mergeable === 'conflicting') blocked.push('merge conflicts');
+    if (pr.review === 'changes-requested') blocked.push('changes requested');
+    if (pr.draft) attention.push('draft');
+    if (pr.checks === 'pending') attention.push('checks pending');
+    if (pr.review === 'review-required') attention.push('review required');
+    if (pr.mergeable === 'unknown') attention.push('mergeability unknown');
+  }
+
+  if (branch.ageDays !== null && branch.ageDays > staleDays) {
+    attention.push(`no commits for ${branch.ageDays} days`);
+  }
+
+  const level = blocked.length > 0 ? 'blocked' : attention.length > 0 ? 'attention' : 'ready';
+  return { level, reasons: [...blocked, ...attention] };
+}
+
+/**
+ * Sort branches by `risk` (blocked first, then the oldest), `age` (oldest
+ * first) or `name`
+ */
+export function sortBranches(branches, by = 'risk') {
+  const byName = (a, b) => a.name.localeCompare(b.name);
+  const byAge = (a, b) => (b.ageDays ?? -1) - (a.ageDays ?? -1) || byName(a, b);
+  const byRisk = (a, b) =>
+    RISK_LEVELS.indexOf(a.risk.level) - RISK_LEVELS.indexOf(b.risk.level) ||
+    b.risk.reasons.length - a.risk.reasons.length ||
+    byAge(a, b);
+
+  const compare = by === 'name' ? byName : by === 'age' ? byAge : byRisk;
+  return [...branches].sort(compare);
+}
@@ -0,0 +1,148 @@
+/**
+ * Shared CLI Contract
+ *
+ * Options and exit codes every scripts/security/*.mjs command honours, so
+ * automation can drive them the same way:
+ *
+ *   --json               Print a structured result on stdout; progress and
+ *                        human-readable output go to stderr
+ *   --fail-on <severity> Exit with FINDINGS when a finding of this severity
+ *                        or worse remains: critical, high, moderate, low,
+ *                        info or none (never)
+ *   --quiet              Print errors only (the --json result is still printed)
+ *   NO_COLOR             Disables ANSI colours (https://no-color.org); they are
+ *                        also off whenever stdout is not a terminal
+ *
+ * Prompts only run when stdin and stdout are terminals and --json is off,
+ * so the same command works in a TTY, a pipe and CI.
+ */
+
+import { normalizeSeverity, severityRank } from './audit.mjs';
+
+// Documented in each script's --help
+export const EXIT_CODES = {
+  OK: 0,          // nothing at or above the threshold
+  FINDINGS: 1,    // findings at or above --fail-on, policy violations or a failed check
+  ERROR: 2,       // invalid usage or the command could not run
+  INCOMPLETE: 3   // vulnerability data was missing or stale; nothing else failed
+};
+
+export const FAIL_ON_LEVELS = ['critical', 'high', 'moderate', 'low', 'info', 'none'];
+
+const ANSI_PATTERN = /\x1b\[[0-9;]*[A-Za-z]/g;
+
+/**
+ * Remove ANSI escape sequences from a string
+ */
+export function stripAnsi(value) {
+  return String(value).replace(ANSI_PATTERN, '');
+}
+
+/**
+ * Help text describing the shared options and exit codes
+ */
+export function formatCliHelp({ failOn = null } = {}) {
+  const lines = [
+    'COMMON OPTIONS:',
+    '  --json              Structured result on stdout (progress goes to stderr)',
+    ...(failOn ? [`  --fail-on <level>   Exit 1 on findings at or above: ${FAIL_ON_LEVELS.join(', ')} (default: ${failOn})`] : []),
+    '  --quiet             Only print errors',
+    '  NO_COLOR=1          Disable colours (also off when output is not a terminal)',
+    '',
+    'EXIT CODES:',
+    `  ${EXIT_CODES.OK}  success`,
+    `  ${EXIT_CODES.FINDINGS}  findings at or above the threshold, policy violations or a failed check`,
+    `  ${EXIT_CODES.ERROR}  invalid usage or the command could not run`,
+    `  ${EXIT_CODES.INCOMPLETE}  vulnerability data was missing or stale`
+  ];
+  return lines.join('\n');
+}
+
+/**
+ * Parse the shared options
+ *
+ * `defaultFailOn` is the threshold when --fail-on is not given (null for
+ * commands without findings). Throws on an unknown --fail-on level.
+ * `positionals` are the remaining arguments, without the shared options
+ * and the --fail-on value.
+ */
+export function parseCliOptions(args = process.argv.slice(2), { defaultFailOn = null, env = process.env } = {}) {
+  const index = args.indexOf('--fail-on');
+  const inline = args.find(arg => arg.startsWith('--fail-on='));
+  const rawFailOn = inline ? inline.slice('--fail-on='.length) : index !== -1 ? args[index + 1] : null;
+
+  let failOn = defaultFailOn;
+  if (rawFailOn !== null) {
+    const value = String(rawFailOn || '').toLowerCase();
+    failOn = value === 'none' ? 'none' : normalizeSeverity(value);
+    if (!FAIL_ON_LEVELS.includes(failOn)) {
+      throw new Error(`Invalid --fail-on value "${rawFailOn || ''}"; expected one of ${FAIL_ON_LEVELS.join(', ')}`);
+    }
+  }
+
+  const json = args.includes('--json');
+  const positionals = args.filter((arg, position) =>
+    !['--json', '--quiet', '--fail-on'].includes(arg) &&
+    !arg.startsWith('--fail-on=') &&
+    !(index !== -1 && position === index + 1)
+  );
+  const noColor = env.NO_COLOR !== undefined && env.NO_COLOR !== '';
+
+  return {
+    json,
+    quiet: args.includes('--quiet'),
+    failOn,
+    failOnExplicit: rawFailOn !== null,
+    color: !noColor && !json && Boolean(process.stdout.isTTY),
+    interactive: !json && Boolean(process.stdin.isTTY && process.stdout.isTTY),
+    positionals
+  };
+}
+
+/**
+ * Whether a severity is at or above a --fail-on level
+ */
+export function exceedsThreshold(severity, failOn) {
+  if (!failOn || failOn === 'none') return false;
+  return severityRank(normalizeSeverity(severity)) <= severityRank(failOn);
+}
+
+/**
+ * Route console output according to the shared options
+ *
+ * With --json, stdout carries only the result written by writeJson and
+ * everything else goes to stderr. --quiet silences log/info/warn. Without
+ * colour, ANSI sequences are stripped and console.clear does nothing.
+ */
+export function configureOutput({ json = false, quiet = false, color = true } = {}) {
+  const original = { log: console.log, warn: console.warn, error: console.error };
+  const clean = args => (color ? args : args.map(arg => (typeof arg === 'string' ? stripAnsi(arg) : arg)));
+  const human = json ? original.error : original.log;
+  const silent = () => {};
+
+  console.log = quiet ? silent : (...args) => human(...clean(args));
+  console.info = console.log;
+  console.warn = quiet ? silent : (...args) => original.warn(...clean(args));
+  console.error = (...args) => original.error(...clean(args));
+  if (!color) console.clear = silent;
+
+  return {
+    writeJson(data) {
+      process.stdout.write(JSON.stringify(data, null, 2) + '\n');
+    }
+  };
+}
+
+/**
+ * Report a fatal error and exit with EXIT_CODES.ERROR
+ *
+ * With --json the error is also written to stdout, so callers parsing the
+ * output always get a JSON document.
+ */
+export function exitWithError(message, { json = false } = {}) {
+  console.error(`❌ ${message}`);
+  if (json) {
+    process.stdout.write(JSON.stringify({ error: message, exitCode: EXIT_CODES.ERROR }, null, 2) + '\n');
+  }
+  process.exit(EXIT_CODES.ERROR);
+}
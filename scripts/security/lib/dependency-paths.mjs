@@ -0,0 +1,209 @@
+/**
+ * Dependency Paths
+ *
+ * Answers "why is this package installed?" on the dependency graph built by
+ * lib/lockfile.mjs: every path from the workspace root to a package, the
+ * shortest one, and DOT/JSON exports of the graph or of the subgraph that
+ * leads to a package.
+ */
+
+/**
+ * Map each location to the edges pointing at it ({ from, type })
+ */
+function buildParentIndex(graph) {
+  const parents = new Map();
+  for (const node of graph.nodes.values()) {
+    node.edges.forEach(edge => {
+      const list = parents.get(edge.location) || [];
+      list.push({ from: node.location, type: edge.type });
+      parents.set(edge.location, list);
+    });
+  }
+  return parents;
+}
+
+/**
+ * Turn a list of locations into path steps
+ */
+function toSteps(graph, locations, types) {
+  return locations.map((location, index) => {
+    const node = graph.nodes.get(location);
+    return {
+      location,
+      name: node.name,
+      version: node.version,
+      type: index === 0 ? 'root' : types[index - 1],
+      dev: node.dev,
+      optional: node.optional
+    };
+  });
+}
+
+/**
+ * Locations of every installed copy of a package
+ */
+export function findPackageLocations(graph, packageName) {
+  return [...graph.nodes.values()]
+    .filter(node => !node.isRoot && node.name === packageName)
+    .map(node => node.location);
+}
+
+/**
+ * Find every path from the workspace root to a package
+ *
+ * Walks parent edges back from each installed copy, so every path found
+ * ends at the root. The number of paths can grow exponentially in large
+ * trees; `limit` caps it per installed copy and `truncated` reports
+ * whether paths were left out. Paths are returned shortest first.
+ */
+export function findAllPaths(graph, packageName, { limit = 100 } = {}) {
+  const parents = buildParentIndex(graph);
+  const paths = [];
+  let found = 0;
+  let truncated = false;
+
+  const walk = (location, trail, types) => {
+    if (location === graph.root) {
+      // A path past the limit is only counted, to tell that paths were left out
+      if (found < limit) paths.push(toSteps(graph, [location, ...trail], types));
+      else truncated = true;
+      found++;
+      return;
+    }
+
+    for (const parent of parents.get(location) || []) {
+      if (found > limit) return;
+      // Skip cycles
+      if (parent.from === location || trail.includes(parent.from)) continue;
+      walk(parent.from, [location, ...trail], [parent.type, ...types]);
+    }
+  };
+
+  findPackageLocations(graph, packageName).forEach(location => {
+    found = 0;
+    walk(location, [], []);
+  });
+
+  paths.sort((a, b) => a.length - b.length);
+  return { paths, truncated };
+}
+
+/**
+ * Find the shortest path from the workspace root to a package (null if not installed)
+ *
+ * `accept` limits the target to some installed copies, e.g. vulnerable versions.
+ */
+export function findShortestPath(graph, packageName, { accept = () => true } = {}) {
+  const targets = new Set(findPackageLocations(graph, packageName).filter(location => accept(graph.nodes.get(location))));
+  if (targets.size === 0) return null;
+
+  const previous = new Map([[graph.root, null]]);
+  const queue = [graph.root];
+
+  while (queue.length > 0) {
+    const location = queue.shift();
+
+    if (targets.has(location)) {
+      const locations = [];
+      const types = [];
+      for (let current = location; current !== null; current = previous.get(current)?.from ?? null) {
+        locations.unshift(current);
+        if (previous.get(current)) types.unshift(previous.get(current).type);
+      }
+      return toSteps(graph, locations, types);
+    }
+
+    for (const edge of graph.nodes.get(location).edges) {
+      if (previous.has(edge.location)) continue;
+      previous.set(edge.location, { from: location, type: edge.type });
+      queue.push(edge.location);
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Format a path as `root › direct@1.0.0 › target@2.0.0`
+ */
+export function formatPath(steps) {
+  return steps
+    .map((step, index) => (index === 0 || !step.version ? step.name : `${step.name}@${step.version}`))
+    .join(' › ');
+}
+
+/**
+ * Restrict a graph to the nodes and edges on the given paths
+ */
+export function getPathSubgraph(graph, paths) {
+  const nodes = new Map();
+
+  for (const steps of paths) {
+    steps.forEach((step, index) => {
+      const source = graph.nodes.get(step.location);
+      const node = nodes.get(step.location) || { ...source, edges: [] };
+      const next = steps[index + 1];
+
+      if (next && !node.edges.some(edge => edge.location === next.location)) {
+        node.edges.push(source.edges.find(edge => edge.location === next.location));
+      }
+      nodes.set(step.location, node);
+    });
+  }
+
+  return { root: graph.root, nodes };
+}
+
+/**
+ * Serialise a graph as JSON-friendly data
+ */
+export function graphToJson(graph) {
+  return {
+    root: graph.root,
+    nodes: [...graph.nodes.values()].map(node => ({
+      id: node.location,
+      name: node.name,
+      version: node.version,
+      dev: node.dev,
+      optional: node.optional,
+      workspace: node.isRoot || node.isWorkspace
+    })),
+    edges: [...graph.nodes.values()].flatMap(node => node.edges.map(edge => ({
+      from: node.location,
+      to: edge.location,
+      spec: edge.spec,
+      type: edge.type
+    })))
+  };
+}
+
+const escapeDot = value => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"');
+
+/**
+ * Render a graph in Graphviz DOT format
+ *
+ * Dev dependencies are dashed, optional ones dotted; `highlight` names a
+ * package whose nodes are filled.
+ */
+export function graphToDot(graph, { name = 'dependencies', highlight = null } = {}) {
+  const lines = [`digraph "${escapeDot(name)}" {`, '  rankdir=LR;', '  node [shape=box, fontname="Helvetica"];'];
+
+  for (const node of graph.nodes.values()) {
+    const label = node.isRoot || !node.version ? node.name : `${node.name}@${node.version}`;
+    const attributes = [`label="${escapeDot(label)}"`];
+    if (node.isRoot || node.isWorkspace) attributes.push('shape=folder');
+    if (node.dev) attributes.push('color=gray50');
+    if (highlight && node.name === highlight) attributes.push('style=filled', 'fillcolor="#fed7d7"');
+    lines.push(`  "${escapeDot(node.location || '.')}" [${attributes.join(', ')}];`);
+  }
+
+  for (const node of graph.nodes.values()) {
+    node.edges.forEach(edge => {
+      const style = edge.type === 'dev' ? ' [style=dashed]' : edge.type === 'optional' || edge.type === 'peer' ? ' [style=dotted]' : '';
+      lines.push(`  "${escapeDot(node.location || '.')}" -> "${escapeDot(edge.location || '.')}"${style};`);
+    });
+  }
+
+  lines.push('}');
+  return lines.join('\n') + '\n';
+}
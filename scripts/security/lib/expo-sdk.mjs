@@ -0,0 +1,136 @@
+/**
+ * Expo SDK Alignment
+ *
+ * Every Expo SDK release supports one set of versions of react,
+ * react-native and the native modules around them: the specs
+ * `npx expo install` writes. The table below mirrors expo's
+ * bundledNativeModules.json for the SDKs this app has used; add the next
+ * SDK when upgrading expo. Packages that are not in the table are not
+ * constrained by the SDK.
+ */
+
+import { coerceVersion, satisfies } from './semver.mjs';
+
+export const EXPO_SDK_VERSIONS = {
+  53: {
+    react: '19.0.0',
+    'react-dom': '19.0.0',
+    'react-native': '0.79.5',
+    'react-native-web': '^0.20.0',
+    'react-native-reanimated': '~3.17.4',
+    'react-native-gesture-handler': '~2.24.0',
+    'react-native-screens': '~4.11.1',
+    'react-native-safe-area-context': '5.4.0',
+    'react-native-svg': '15.11.2',
+    'react-native-webview': '13.13.5',
+    '@react-native-async-storage/async-storage': '2.1.2',
+    '@expo/vector-icons': '^14.1.0',
+    'expo-status-bar': '~2.2.3',
+    'expo-constants': '~17.1.7',
+    'expo-font': '~13.3.2',
+    'expo-linking': '~7.1.7',
+    'expo-router': '~5.1.4',
+    'expo-splash-screen': '~0.30.10'
+  },
+  54: {
+    react: '19.1.0',
+    'react-dom': '19.1.0',
+    'react-native': '0.81.5',
+    'react-native-web': '^0.21.0',
+    'react-native-reanimated': '~4.1.1',
+    'react-native-worklets': '0.5.1',
+    'react-native-gesture-handler': '~2.28.0',
+    'react-native-screens': '~4.16.0',
+    'react-native-safe-area-context': '~5.6.0',
+    'react-native-svg': '15.12.1',
+    'react-native-webview': '13.15.0',
+    '@react-native-async-storage/async-storage': '2.2.0',
+    '@shopify/flash-list': '2.0.2',
+    'lottie-react-native': '~7.3.1',
+    '@expo/vector-icons': '^15.0.2',
+    'expo-blur': '~15.0.7',
+    'expo-camera': '~17.0.8',
+    'expo-constants': '~18.0.9',
+    'expo-dev-client': '~6.0.13',
+    'expo-device': '~8.0.9',
+    'expo-file-system': '~19.0.17',
+    'expo-font': '~14.0.9',
+    'expo-haptics': '~15.0.7',
+    'expo-image': '~3.0.10',
+    'expo-linear-gradient': '~15.0.7',
+    'expo-linking': '~8.0.8',
+    'expo-localization': '~17.0.7',
+    'expo-notifications': '~0.32.12',
+    'expo-router': '~6.0.13',
+    'expo-secure-store': '~15.0.7',
+    'expo-splash-screen': '~31.0.10',
+    'expo-status-bar': '~3.0.8',
+    'expo-system-ui': '~6.0.8',
+    'expo-updates': '~29.0.12',
+    'expo-web-browser': '~15.0.8'
+  }
+};
+
+const SECTIONS = ['dependencies', 'devDependencies'];
+
+/**
+ * Get the Expo SDK a manifest targets (the major version of its expo
+ * dependency), or null when it does not depend on expo
+ */
+export function getExpoSdk(packageContent) {
+  const spec = SECTIONS.map(section => packageContent?.[section]?.expo).find(Boolean);
+  const version = coerceVersion(spec);
+  return version ? Number(version.split('.')[0]) : null;
+}
+
+/**
+ * The spec an SDK expects for a package, or null when it is not constrained
+ * (or the SDK is not in the table)
+ */
+export function getSdkSpec(sdk, packageName) {
+  return EXPO_SDK_VERSIONS[sdk]?.[packageName] ?? null;
+}
+
+/**
+ * Whether a version is allowed by an SDK (unconstrained packages always are)
+ */
+export function isWithinSdk(sdk, packageName, version) {
+  const expected = getSdkSpec(sdk, packageName);
+  return !expected || satisfies(version, expected);
+}
+
+/**
+ * Check a manifest's dependencies against its Expo SDK
+ *
+ * `getInstalledVersion(name)` returns the locked version or null. Returns
+ * null for non-Expo manifests, otherwise `{ sdk, known, misaligned }` where
+ * `known` is false when the SDK is missing from the table and `misaligned`
+ * lists `{ package, section, declared, installed, expected }` for packages
+ * whose declared or installed version is outside the SDK's spec.
+ */
+export function checkExpoAlignment(packageContent, getInstalledVersion = () => null) {
+  const sdk = getExpoSdk(packageContent);
+  if (sdk === null) return null;
+
+  const table = EXPO_SDK_VERSIONS[sdk];
+  if (!table) return { sdk, known: false, misaligned: [] };
+
+  const misaligned = [];
+  for (const section of SECTIONS) {
+    for (const [name, declared] of Object.entries(packageContent[section] || {})) {
+      const expected = table[name];
+      if (!expected) continue;
+
+      const declaredVersion = coerceVersion(declared);
+      const installed = getInstalledVersion(name);
+      const declaredOk = !declaredVersion || satisfies(declaredVersion, expected);
+      const installedOk = !installed || satisfies(installed, expected);
+
+      if (!declaredOk || !installedOk) {
+        misaligned.push({ package: name, section, declared, installed, expected });
+      }
+    }
+  }
+
+  return { sdk, known: true, misaligned };
+}
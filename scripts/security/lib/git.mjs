@@ -0,0 +1,378 @@
+/**
+ * Git Service
+ *
+ * The git operations of the security scripts in one place. Commands run
+ * with argument arrays, never through a shell, so branch names and paths
+ * are passed verbatim; results come back as data (branches, commits,
+ * changed files), and the default branch and remotes are detected instead
+ * of assuming `main` and `origin`.
+ *
+ * A service runs git through a backend, `(args, { cwd }) → stdout`, that
+ * throws on failure with `args`, `exitCode` and `stderr` on the error:
+ * - createProcessBackend (the default) spawns git
+ * - createScriptedBackend answers from a table, for code that only parses
+ *   git output and needs no repository
+ * - createFixtureRepository builds a real throwaway repository (branches,
+ *   commits, a bare remote) for running the branch, merge and cleanup
+ *   flows end to end
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { execFileSync } from 'child_process';
+
+// Fallbacks when the remote does not name its default branch
+const DEFAULT_BRANCH_CANDIDATES = ['main', 'master'];
+
+/**
+ * Backend that runs the git executable
+ */
+export function createProcessBackend() {
+  return (args, { cwd }) => {
+    try {
+      return execFileSync('git', args, { cwd, encoding: 'utf8', stdio: ['pipe', 'pipe', 'pipe'], maxBuffer: 256 * 1024 * 1024 });
+    } catch (error) {
+      const stderr = (error.stderr || '').toString().trim();
+      const failure = new Error(`git ${args.join(' ')} failed: ${stderr || error.message}`);
+      failure.args = args;
+      failure.exitCode = error.status ?? null;
+      failure.stdout = (error.stdout || '').toString();
+      failure.stderr = stderr;
+      throw failure;
+    }
+  };
+}
+
+/**
+ * Backend that answers from a table keyed by the joined arguments
+ *
+ * A value is the stdout, or an Error to throw. Unknown commands throw, and
+ * every call is recorded in `backend.calls` (`{ args, cwd }`).
+ */
+export function createScriptedBackend(responses = {}) {
+  const calls = [];
+
+  const backend = (args, { cwd }) => {
+    calls.push({ args, cwd });
+    const key = args.join(' ');
+    if (!(key in responses)) {
+      throw Object.assign(new Error(`Unexpected git command: git ${key}`), { args, exitCode: 1, stderr: '' });
+    }
+    const response = responses[key];
+    if (response instanceof Error) throw Object.assign(response, { args, exitCode: response.exitCode ?? 1, stderr: response.stderr ?? response.message });
+    return response;
+  };
+  backend.calls = calls;
+
+  return backend;
+}
+
+/**
+ * Parse one record per line of `for-each-ref` / `log` output with the
+ * fields separated by NUL characters
+ */
+function parseRecords(output, fields) {
+  return output
+    .split('\n')
+    .filter(line => line.trim())
+    .map(line => Object.fromEntries(line.split('\0').map((value, index) => [fields[index], value])));
+}
+
+/**
+ * Create a git service for the repository containing `cwd`
+ */
+export function createGitService(cwd = process.cwd(), { backend = createProcessBackend() } = {}) {
+  const run = (args, options = {}) => backend(args, { cwd: options.cwd || cwd }).trim();
+
+  const succeeds = (args, options) => {
+    try {
+      run(args, options);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  };
+
+  const service = {
+    cwd,
+    backend,
+
+    /** Run git and return its trimmed stdout (throws on failure) */
+    run,
+
+    /** Whether a git command succeeds */
+    succeeds,
+
+    /** The same service for another directory (e.g. a worktree) */
+    at(dir) {
+      return createGitService(dir, { backend });
+    },
+
+    /** Top-level directory of the repository, or null outside one */
+    getRoot() {
+      try {
+        return run(['rev-parse', '--show-toplevel']);
+      } catch (error) {
+        return null;
+      }
+    },
+
+    /** Full commit SHA of a revision, or null when it does not exist */
+    resolve(rev) {
+      try {
+        return run(['rev-parse', '--verify', '--quiet', `${rev}^{commit}`]);
+      } catch (error) {
+        return null;
+      }
+    },
+
+    /** Whether a local branch exists */
+    hasBranch(name) {
+      return succeeds(['rev-parse', '--verify', '--quiet', `refs/heads/${name}`]);
+    },
+
+    /** Branch checked out in this worktree, or null when detached */
+    getCurrentBranch() {
+      return run(['branch', '--show-current']) || null;
+    },
+
+    /** Remotes as `[{ name, url }]` */
+    listRemotes() {
+      return run(['remote']).split('\n').filter(Boolean).map(name => ({
+        name,
+        url: succeeds(['remote', 'get-url', name]) ? run(['remote', 'get-url', name]) : null
+      }));
+    },
+
+    /** URL of a remote, or null */
+    getRemoteUrl(name = 'origin') {
+      try {
+        return run(['remote', 'get-url', name]);
+      } catch (error) {
+        return null;
+      }
+    },
+
+    /**
+     * The branch changes land on: the remote's HEAD (origin first), then an
+     * existing main or master, then the current branch
+     */
+    getDefaultBranch() {
+      const remotes = run(['remote']).split('\n').filter(Boolean);
+      for (const remote of [...remotes].sort((a, b) => (b === 'origin') - (a === 'origin'))) {
+        try {
+          return run(['symbolic-ref', '--short', `refs/remotes/${remote}/HEAD`]).slice(remote.length + 1);
+        } catch (error) {
+          // The remote HEAD is only known after a clone or `git remote set-head`
+        }
+      }
+
+      return DEFAULT_BRANCH_CANDIDATES.find(name => service.hasBranch(name)) || service.getCurrentBranch();
+    },
+
+    /**
+     * Local and remote-tracking branches:
+     * `[{ name, ref, remote, local, head, date, subject }]`
+     *
+     * Remote branches are named `<remote>/<branch>`; remote HEAD aliases are
+     * skipped.
+     */
+    listBranches({ remotes = true } = {}) {
+      const patterns = remotes ? ['refs/heads', 'refs/remotes'] : ['refs/heads'];
+      const output = run(['for-each-ref', '--format=%(refname)%00%(objectname)%00%(committerdate:iso-strict)%00%(contents:subject)', ...patterns]);
+      const remoteNames = remotes ? run(['remote']).split('\n').filter(Boolean) : [];
+
+      return parseRecords(output, ['ref', 'head', 'date', 'subject'])
+        .filter(entry => !entry.ref.endsWith('/HEAD'))
+        .map(entry => {
+          const local = entry.ref.startsWith('refs/heads/');
+          const name = entry.ref.replace(/^refs\/(heads|remotes)\//, '');
+          const remote = local ? null : remoteNames.find(remoteName => name.startsWith(`${remoteName}/`)) || null;
+          return { name, ref: entry.ref, remote, local, head: entry.head, date: entry.date, subject: entry.subject };
+        });
+    },
+
+    /** One commit: `{ sha, subject, body, author, date }` */
+    getCommit(rev) {
+      const [sha, subject, author, date, ...body] = run(['log', '-1', '--format=%H%n%s%n%an%n%cI%n%b', rev, '--']).split('\n');
+      return { sha, subject, body: body.join('\n').trim(), author, date };
+    },
+
+    /** Commits in a range (e.g. `['branch', '^main']`), newest first */
+    listCommits(revs, { limit = null } = {}) {
+      const args = ['log', '--format=%H%x00%s%x00%an%x00%cI', ...(limit ? ['-n', String(limit)] : []), ...[].concat(revs), '--'];
+      return parseRecords(run(args), ['sha', 'subject', 'author', 'date']);
+    },
+
+    /** Number of commits in a range (e.g. `head..main`) */
+    countCommits(range) {
+      return Number(run(['rev-list', '--count', range]));
+    },
+
+    /** Best common ancestor of two revisions, or null */
+    getMergeBase(a, b) {
+      try {
+        return run(['merge-base', a, b]);
+      } catch (error) {
+        return null;
+      }
+    },
+
+    /** Whether `ancestor` is reachable from `rev` */
+    isAncestor(ancestor, rev) {
+      return succeeds(['merge-base', '--is-ancestor', ancestor, rev]);
+    },
+
+    /**
+     * Files changed between two revisions: `[{ status, path, added, deleted }]`
+     *
+     * With `mergeBase` (the default) the diff starts at their merge base, like
+     * `git diff base...head`. Binary files have null line counts.
+     */
+    getChangedFiles(base, head, { mergeBase = true } = {}) {
+      const range = mergeBase ? [`${base}...${head}`] : [base, head];
+      const statuses = new Map(run(['diff', '--name-status', '--no-renames', ...range, '--'])
+        .split('\n').filter(Boolean)
+        .map(line => line.split('\t'))
+        .map(([status, file]) => [file, status]));
+
+      return run(['diff', '--numstat', '--no-renames', ...range, '--'])
+        .split('\n').filter(Boolean)
+        .map(line => {
+          const [added, deleted, file] = line.split('\t');
+          return {
+            status: statuses.get(file) || 'M',
+            path: file,
+            added: added === '-' ? null : Number(added),
+            deleted: deleted === '-' ? null : Number(deleted)
+          };
+        });
+    },
+
+    /** Content of a file at a revision, or null when it does not exist there */
+    readFile(rev, filePath) {
+      try {
+        return backend(['show', `${rev}:${filePath}`], { cwd });
+      } catch (error) {
+        return null;
+      }
+    },
+
+    /** Files with unresolved merge conflicts */
+    listConflicts() {
+      return run(['diff', '--name-only', '--diff-filter=U']).split('\n').filter(Boolean);
+    },
+
+    /** Configured value, or null */
+    getConfig(key) {
+      try {
+        return run(['config', key]);
+      } catch (error) {
+        return null;
+      }
+    },
+
+    /**
+     * Check out `rev` in a new temporary directory as a detached worktree
+     *
+     * Returns the directory; remove it with removeWorktree.
+     */
+    addTemporaryWorktree(rev) {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'security-worktree-'));
+      try {
+        run(['worktree', 'add', '--detach', dir, rev]);
+      } catch (error) {
+        fs.rmSync(dir, { recursive: true, force: true });
+        throw error;
+      }
+      return dir;
+    },
+
+    /** Remove a worktree and its directory */
+    removeWorktree(dir) {
+      try {
+        run(['worktree', 'remove', '--force', dir]);
+      } catch (error) {
+        fs.rmSync(dir, { recursive: true, force: true });
+        succeeds(['worktree', 'prune']);
+      }
+    }
+  };
+
+  return service;
+}
+
+/**
+ * Build a throwaway repository for tests
+ *
+ * `spec`:
+ *   defaultBranch  name of the first branch (default: main)
+ *   commits        `[{ branch, from, files, message, date }]` applied in
+ *                  order; `files` maps paths to content (objects are written
+ *                  as JSON, null deletes), `from` starts a new branch at
+ *                  another branch, `date` sets the commit date
+ *   remote         push every branch to a bare `origin` and set origin/HEAD
+ *
+ * Returns `{ dir, remoteDir, git, remove() }`, where `git` is a service for
+ * the repository.
+ */
+export function createFixtureRepository({ defaultBranch = 'main', commits = [], remote = false } = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'security-fixture-'));
+  const remoteDir = remote ? fs.mkdtempSync(path.join(os.tmpdir(), 'security-fixture-remote-')) : null;
+  const git = createGitService(dir);
+
+  git.run(['init', '--quiet', '--initial-branch', defaultBranch]);
+  git.run(['config', 'user.name', 'Fixture']);
+  git.run(['config', 'user.email', 'fixture@example.com']);
+
+  const branches = new Set();
+  for (const commit of commits) {
+    const branch = commit.branch || defaultBranch;
+    if (branches.size > 0 && !branches.has(branch)) {
+      git.run(['checkout', '--quiet', '-b', branch, commit.from || defaultBranch]);
+    } else if (branches.size > 0) {
+      git.run(['checkout', '--quiet', branch]);
+    }
+    branches.add(branch);
+
+    for (const [file, content] of Object.entries(commit.files || {})) {
+      const filePath = path.join(dir, file);
+      if (content === null) {
+        fs.rmSync(filePath, { force: true });
+        continue;
+      }
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      fs.writeFileSync(filePath, typeof content === 'string' ? content : `${JSON.stringify(content, null, 2)}\n`);
+    }
+
+    const date = commit.date ? new Date(commit.date).toISOString() : null;
+    git.run(['add', '--all']);
+    execFileSync('git', ['commit', '--quiet', '--allow-empty', '-m', commit.message || `Update ${branch}`], {
+      cwd: dir,
+      env: date ? { ...process.env, GIT_AUTHOR_DATE: date, GIT_COMMITTER_DATE: date } : process.env
+    });
+  }
+
+  if (branches.size > 0) git.run(['checkout', '--quiet', defaultBranch]);
+
+  if (remote) {
+    execFileSync('git', ['init', '--quiet', '--bare', '--initial-branch', defaultBranch, remoteDir]);
+    git.run(['remote', 'add', 'origin', remoteDir]);
+    if (branches.size > 0) {
+      git.run(['push', '--quiet', 'origin', ...[...branches].map(branch => `refs/heads/${branch}:refs/heads/${branch}`)]);
+      git.run(['fetch', '--quiet', 'origin']);
+      git.run(['remote', 'set-head', 'origin', defaultBranch]);
+    }
+  }
+
+  return {
+    dir,
+    remoteDir,
+    git,
+    remove() {
+      fs.rmSync(dir, { recursive: true, force: true });
+      if (remoteDir) fs.rmSync(remoteDir, { recursive: true, force: true });
+    }
+  };
+}
@@ -0,0 +1,154 @@
+/**
+ * GitHub Pull Request Providers
+ *
+ * The branch manager enriches security branches with their pull request,
+ * check, review and merge state through a provider: an object with a
+ * `name` and `listPullRequests()` returning normalised pull requests:
+ *
+ *   { number, title, url, branch, base, author, draft, createdAt,
+ *     checks: passing | failing | pending | none,
+ *     review: approved | changes-requested | review-required | none,
+ *     mergeable: mergeable | conflicting | unknown, body }
+ *
+ * The GitHub provider queries the GraphQL API through the `gh` CLI, so it
+ * uses the developer's or the workflow's existing authentication. The
+ * fixture provider reads the same shape from a JSON file
+ * (`{ "pullRequests": [...] }`) for offline runs and tests.
+ */
+
+import fs from 'fs';
+import { execFileSync } from 'child_process';
+
+const PULL_REQUESTS_QUERY = `
+query($owner: String!, $name: String!, $cursor: String) {
+  repository(owner: $owner, name: $name) {
+    pullRequests(states: OPEN, first: 100, after: $cursor, orderBy: { field: CREATED_AT, direction: DESC }) {
+      pageInfo { hasNextPage endCursor }
+      nodes {
+        number title url body isDraft createdAt headRefName baseRefName mergeable reviewDecision
+        author { login }
+        commits(last: 1) { nodes { commit { statusCheckRollup { state } } } }
+      }
+    }
+  }
+}`;
+
+// At most 500 open pull requests are read
+const MAX_PAGES = 5;
+
+const CHECK_STATES = { SUCCESS: 'passing', FAILURE: 'failing', ERROR: 'failing', PENDING: 'pending', EXPECTED: 'pending' };
+const REVIEW_STATES = { APPROVED: 'approved', CHANGES_REQUESTED: 'changes-requested', REVIEW_REQUIRED: 'review-required' };
+const MERGE_STATES = { MERGEABLE: 'mergeable', CONFLICTING: 'conflicting' };
+
+/**
+ * Parse `owner/name` from a GitHub remote URL (https or ssh), or null
+ */
+export function parseGitHubRepository(remoteUrl) {
+  const match = String(remoteUrl || '').trim().match(/github\.com[:/]([^/]+)\/([^/]+?)(?:\.git)?\/?$/);
+  return match ? { owner: match[1], name: match[2] } : null;
+}
+
+/**
+ * Extract GHSA and CVE identifiers from free text (titles, bodies, branch names)
+ */
+export function extractAdvisoryIds(text) {
+  const ids = String(text || '').match(/GHSA(?:-[23456789cfghjmpqrvwx]{4}){3}|CVE-\d{4}-\d{4,}/gi) || [];
+  return [...new Set(ids.map(id => (id.toUpperCase().startsWith('GHSA') ? `GHSA${id.slice(4).toLowerCase()}` : id.toUpperCase())))];
+}
+
+/**
+ * Normalise a pull request node from the GraphQL API
+ */
+function normalizeGraphQlPullRequest(node) {
+  const rollup = node.commits?.nodes?.[0]?.commit?.statusCheckRollup?.state;
+
+  return {
+    number: node.number,
+    title: node.title,
+    url: node.url,
+    branch: node.headRefName,
+    base: node.baseRefName,
+    author: node.author?.login || null,
+    draft: Boolean(node.isDraft),
+    createdAt: node.createdAt,
+    checks: CHECK_STATES[rollup] || 'none',
+    review: REVIEW_STATES[node.reviewDecision] || 'none',
+    mergeable: MERGE_STATES[node.mergeable] || 'unknown',
+    body: node.body || ''
+  };
+}
+
+/**
+ * Fill defaults for a pull request written by hand (fixture files)
+ */
+function normalizeFixturePullRequest(entry) {
+  return {
+    number: entry.number,
+    title: entry.title || '',
+    url: entry.url || null,
+    branch: entry.branch,
+    base: entry.base || null,
+    author: entry.author || null,
+    draft: Boolean(entry.draft),
+    createdAt: entry.createdAt || null,
+    checks: entry.checks || 'none',
+    review: entry.review || 'none',
+    mergeable: entry.mergeable || 'unknown',
+    body: entry.body || ''
+  };
+}
+
+/**
+ * Create a provider backed by the GitHub GraphQL API (via `gh api graphql`)
+ *
+ * `repository` is `{ owner, name }`. Throws from listPullRequests when `gh`
+ * is missing, not authenticated or the API call fails.
+ */
+export function createGitHubProvider(repository, { cwd = process.cwd() } = {}) {
+  return {
+    name: 'github',
+    repository,
+
+    listPullRequests() {
+      const pullRequests = [];
+      let cursor = null;
+
+      for (let page = 0; page < MAX_PAGES; page++) {
+        const args = ['api', 'graphql', '-f', `query=${PULL_REQUESTS_QUERY}`, '-F', `owner=${repository.owner}`, '-F', `name=${repository.name}`];
+        if (cursor) args.push('-f', `cursor=${cursor}`);
+
+        let response;
+        try {
+          response = JSON.parse(execFileSync('gh', args, { cwd, encoding: 'utf8', stdio: ['pipe', 'pipe', 'pipe'] }));
+        } catch (error) {
+          const reason = error.code === 'ENOENT' ? 'the gh CLI is not installed' : (error.stderr || error.message).toString().trim();
+          throw new Error(`GitHub API request failed: ${reason}`);
+        }
+
+        const connection = response.data?.repository?.pullRequests;
+        if (!connection) throw new Error(`GitHub API returned no pull requests for ${repository.owner}/${repository.name}`);
+
+        pullRequests.push(...connection.nodes.map(normalizeGraphQlPullRequest));
+        if (!connection.pageInfo.hasNextPage) break;
+        cursor = connection.pageInfo.endCursor;
+      }
+
+      return pullRequests;
+    }
+  };
+}
+
+/**
+ * Create a provider that reads pull requests from a JSON fixture file
+ */
+export function createFixtureProvider(filePath) {
+  return {
+    name: 'fixture',
+    filePath,
+
+    listPullRequests() {
+      const fixture = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      return (fixture.pullRequests || []).map(normalizeFixturePullRequest);
+    }
+  };
+}
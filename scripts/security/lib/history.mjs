@@ -0,0 +1,133 @@
+/**
+ * Vulnerability History
+ *
+ * Persists every scan into reports/vulnerability-history.json so the age of a
+ * finding is measured from when it was first detected in this repository,
+ * not from the advisory's publication date.
+ *
+ * Entries are keyed by advisory id + package + workspace and record first
+ * and last sighting plus resolution, which also gives mean time to remediate.
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+export const HISTORY_FILE = 'vulnerability-history.json';
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+/**
+ * Build the history key of a finding
+ */
+export function getHistoryKey(finding, workspace) {
+  return `${finding.id}|${finding.package}|${workspace}`;
+}
+
+/**
+ * Load the history store (an empty one when the file does not exist yet)
+ */
+export function loadHistory(reportsDir) {
+  const historyPath = path.join(reportsDir, HISTORY_FILE);
+
+  try {
+    const history = JSON.parse(fs.readFileSync(historyPath, 'utf8'));
+    return { version: 1, scans: [], entries: {}, ...history };
+  } catch (error) {
+    return { version: 1, scans: [], entries: {} };
+  }
+}
+
+/**
+ * Write the history store
+ */
+export function saveHistory(reportsDir, history) {
+  fs.mkdirSync(reportsDir, { recursive: true });
+  fs.writeFileSync(path.join(reportsDir, HISTORY_FILE), JSON.stringify(history, null, 2) + '\n');
+}
+
+/**
+ * Record a scan of one or more workspaces
+ *
+ * `findingsByWorkspace` maps workspace key → findings. Only the scanned
+ * workspaces are considered for resolution, so a filtered run never marks
+ * another workspace's findings as fixed. A finding that reappears after
+ * being resolved is reopened and keeps its original first-seen date.
+ */
+export function recordScan(history, findingsByWorkspace, now = new Date()) {
+  const timestamp = now.toISOString();
+  const seen = new Set();
+
+  for (const [workspace, findings] of Object.entries(findingsByWorkspace)) {
+    for (const finding of findings) {
+      const key = getHistoryKey(finding, workspace);
+      seen.add(key);
+
+      const entry = history.entries[key];
+      if (!entry) {
+        history.entries[key] = {
+          id: finding.id,
+          package: finding.package,
+          workspace,
+          severity: finding.severity,
+          title: finding.title,
+          firstSeen: timestamp,
+          lastSeen: timestamp,
+          resolvedAt: null,
+          reopened: 0
+        };
+      } else {
+        if (entry.resolvedAt) {
+          entry.resolvedAt = null;
+          entry.reopened += 1;
+        }
+        entry.lastSeen = timestamp;
+        entry.severity = finding.severity;
+        entry.title = finding.title;
+      }
+    }
+  }
+
+  const scannedWorkspaces = new Set(Object.keys(findingsByWorkspace));
+  for (const [key, entry] of Object.entries(history.entries)) {
+    if (!entry.resolvedAt && scannedWorkspaces.has(entry.workspace) && !seen.has(key)) {
+      entry.resolvedAt = timestamp;
+    }
+  }
+
+  history.scans.push({ timestamp, workspaces: [...scannedWorkspaces] });
+  return history;
+}
+
+/**
+ * Days since a finding was first seen in this repository (null when unknown)
+ */
+export function getFindingAge(history, finding, workspace, now = new Date()) {
+  const entry = history.entries[getHistoryKey(finding, workspace)];
+  if (!entry) return null;
+  return Math.floor((now.getTime() - new Date(entry.firstSeen).getTime()) / DAY_MS);
+}
+
+/**
+ * Mean time to remediate, in days, per severity (resolved entries only)
+ */
+export function getRemediationStats(history) {
+  const stats = {};
+
+  for (const entry of Object.values(history.entries)) {
+    const bucket = stats[entry.severity] || (stats[entry.severity] = { open: 0, resolved: 0, totalDays: 0 });
+
+    if (entry.resolvedAt) {
+      bucket.resolved += 1;
+      bucket.totalDays += (new Date(entry.resolvedAt) - new Date(entry.firstSeen)) / DAY_MS;
+    } else {
+      bucket.open += 1;
+    }
+  }
+
+  return Object.fromEntries(Object.entries(stats).map(([severity, bucket]) => [severity, {
+    open: bucket.open,
+    resolved: bucket.resolved,
+    meanTimeToRemediateDays: bucket.resolved > 0
+      ? Math.round((bucket.totalDays / bucket.resolved) * 10) / 10
+      : null
+  }]));
+}
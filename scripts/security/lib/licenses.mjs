@@ -0,0 +1,168 @@
+/**
+ * License Compliance
+ *
+ * Reads the license of every installed third-party package in a workspace,
+ * normalises it to an SPDX expression and classifies it against the
+ * `licenses` section of the security policy:
+ * - allow:  permissive licenses, nothing to do
+ * - review: weak copyleft or unrecognised licenses, needs acknowledgement
+ * - deny:   strong copyleft, incompatible with a proprietary app
+ *
+ * `OR` picks the most favourable option, `AND` the least favourable one.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { normalizeLicense } from './spdx.mjs';
+
+export const DEFAULT_LICENSE_POLICY = {
+  allow: [
+    '0BSD', 'Apache-2.0', 'BlueOak-1.0.0', 'BSD-2-Clause', 'BSD-3-Clause', 'BSL-1.0', 'CC-BY-3.0', 'CC-BY-4.0',
+    'CC0-1.0', 'ISC', 'MIT', 'MIT-0', 'Python-2.0', 'Unicode-DFS-2016', 'Unlicense', 'W3C', 'WTFPL', 'X11', 'Zlib'
+  ],
+  review: [
+    'CDDL-1.0', 'CDDL-1.1', 'EPL-1.0', 'EPL-2.0', 'LGPL-2.0-only', 'LGPL-2.0-or-later', 'LGPL-2.1-only',
+    'LGPL-2.1-or-later', 'LGPL-3.0-only', 'LGPL-3.0-or-later', 'MPL-1.1', 'MPL-2.0', 'CC-BY-SA-4.0'
+  ],
+  deny: [
+    'AGPL-1.0-only', 'AGPL-3.0-only', 'AGPL-3.0-or-later', 'EUPL-1.1', 'EUPL-1.2', 'GPL-2.0-only',
+    'GPL-2.0-or-later', 'GPL-3.0-only', 'GPL-3.0-or-later', 'SSPL-1.0'
+  ],
+  acknowledged: []
+};
+
+const STATUS_RANK = { allow: 0, review: 1, deny: 2 };
+
+/**
+ * Tokenise an SPDX expression
+ */
+function tokenize(expression) {
+  return expression.replace(/\(/g, ' ( ').replace(/\)/g, ' ) ').split(/\s+/).filter(Boolean);
+}
+
+/**
+ * Classify an SPDX expression: 'allow' | 'review' | 'deny'
+ *
+ * Expressions that do not parse completely need a human: 'review'.
+ */
+export function classifyExpression(expression, licensePolicy = DEFAULT_LICENSE_POLICY) {
+  if (!expression) return 'review';
+
+  const tokens = tokenize(expression);
+  let position = 0;
+
+  const classifyId = (id) => {
+    if (licensePolicy.deny?.includes(id)) return 'deny';
+    if (licensePolicy.allow?.includes(id)) return 'allow';
+    return 'review';
+  };
+
+  // Grammar: or := and ('OR' and)* ; and := term ('AND' term)* ; term := '(' or ')' | id ['WITH' exception]
+  const parseTerm = () => {
+    const token = tokens[position++];
+    if (token === '(') {
+      const result = parseOr();
+      position++; // closing parenthesis
+      return result;
+    }
+    if (tokens[position] === 'WITH') position += 2;
+    return classifyId(token);
+  };
+
+  const parseAnd = () => {
+    let result = parseTerm();
+    while (tokens[position] === 'AND') {
+      position++;
+      const next = parseTerm();
+      if (STATUS_RANK[next] > STATUS_RANK[result]) result = next;
+    }
+    return result;
+  };
+
+  const parseOr = () => {
+    let result = parseAnd();
+    while (tokens[position] === 'OR') {
+      position++;
+      const next = parseAnd();
+      if (STATUS_RANK[next] < STATUS_RANK[result]) result = next;
+    }
+    return result;
+  };
+
+  const result = parseOr();
+  return position === tokens.length ? result : 'review';
+}
+
+/**
+ * Find the acknowledgement covering a package/license pair
+ */
+export function findAcknowledgement(licensePolicy, packageName, expression) {
+  return (licensePolicy.acknowledged || []).find(entry =>
+    entry.package === packageName && (!entry.license || entry.license === expression)
+  ) || null;
+}
+
+/**
+ * Read the declared license of an installed package
+ *
+ * node_modules/<pkg>/package.json is authoritative; the lockfile copy is
+ * used when the package is not installed.
+ */
+function readInstalledLicense(lockRoot, node) {
+  try {
+    const manifest = JSON.parse(fs.readFileSync(path.join(lockRoot, node.location, 'package.json'), 'utf8'));
+    return manifest.license ?? manifest.licenses ?? node.license;
+  } catch (error) {
+    return node.license;
+  }
+}
+
+/**
+ * Check the licenses of every third-party package in a dependency graph
+ *
+ * Returns one entry per name@version, sorted by status (deny first).
+ */
+export function scanLicenses(graph, lockRoot, licensePolicy = DEFAULT_LICENSE_POLICY) {
+  const results = new Map();
+
+  for (const node of graph.nodes.values()) {
+    if (node.isRoot || node.isWorkspace) continue;
+
+    const key = `${node.name}@${node.version}`;
+    if (results.has(key)) continue;
+
+    const declared = readInstalledLicense(lockRoot, node);
+    const { expression, unknown } = normalizeLicense(declared);
+    const status = classifyExpression(expression, licensePolicy);
+    const acknowledgement = status === 'allow' ? null : findAcknowledgement(licensePolicy, node.name, expression);
+
+    results.set(key, {
+      package: node.name,
+      version: node.version,
+      declared: declared ?? null,
+      expression,
+      unknown,
+      status,
+      acknowledged: Boolean(acknowledgement),
+      acknowledgement,
+      dev: node.dev
+    });
+  }
+
+  return [...results.values()].sort((a, b) =>
+    STATUS_RANK[b.status] - STATUS_RANK[a.status] || a.package.localeCompare(b.package)
+  );
+}
+
+/**
+ * Summarise license results: counts of outstanding (unacknowledged) issues
+ */
+export function summarizeLicenses(results) {
+  const outstanding = results.filter(result => result.status !== 'allow' && !result.acknowledged);
+  return {
+    total: results.length,
+    denied: outstanding.filter(result => result.status === 'deny').length,
+    review: outstanding.filter(result => result.status === 'review').length,
+    acknowledged: results.filter(result => result.acknowledged).length
+  };
+}
@@ -0,0 +1,142 @@
+/**
+ * package-lock.json Reader
+ *
+ * Loads lockfile v2/v3 `packages` maps and rebuilds the installed dependency
+ * graph of a workspace using Node's module resolution (nearest
+ * `node_modules` first, then each parent). Workspaces in a monorepo share
+ * the root lockfile and are addressed by their directory (e.g. `mobile`).
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Load the lockfile governing a workspace
+ *
+ * Prefers a lockfile inside the workspace; otherwise uses the root lockfile
+ * and locates the workspace by its relative directory.
+ */
+export function loadLockfile(workspaceDir, projectRoot) {
+  const candidates = [
+    { file: path.join(workspaceDir, 'package-lock.json'), location: '' },
+    { file: path.join(projectRoot, 'package-lock.json'), location: path.relative(projectRoot, workspaceDir).split(path.sep).join('/') }
+  ];
+
+  for (const { file, location } of candidates) {
+    if (!fs.existsSync(file)) continue;
+
+    const lock = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (!lock.packages) {
+      throw new Error(`${file} uses lockfileVersion ${lock.lockfileVersion || 1}; regenerate it with npm 7+ (lockfileVersion 2 or 3)`);
+    }
+
+    return { lock, file, location };
+  }
+
+  return null;
+}
+
+/**
+ * Get the package name of a lockfile location (`node_modules/@a/b` → `@a/b`)
+ */
+export function getNameFromLocation(location, entry = {}) {
+  if (entry.name) return entry.name;
+  const match = location.match(/(?:^|\/)node_modules\/((?:@[^/]+\/)?[^/]+)$/);
+  return match ? match[1] : location;
+}
+
+/**
+ * Parent location used for module resolution
+ */
+function getParentLocation(location) {
+  const index = location.lastIndexOf('/node_modules/');
+  if (index !== -1) return location.slice(0, index);
+  return '';
+}
+
+/**
+ * Resolve the location a dependency resolves to from a given location
+ *
+ * Follows workspace links to their target. Returns null when the dependency
+ * is not installed (e.g. an unmet optional or peer dependency).
+ */
+export function resolveLocation(packages, fromLocation, name) {
+  let base = fromLocation;
+
+  while (true) {
+    const candidate = base ? `${base}/node_modules/${name}` : `node_modules/${name}`;
+    const entry = packages[candidate];
+
+    if (entry) {
+      return entry.link && entry.resolved !== undefined ? entry.resolved : candidate;
+    }
+
+    if (base === '') return null;
+    base = getParentLocation(base);
+  }
+}
+
+/**
+ * Build the installed dependency graph reachable from a root location
+ *
+ * Returns `{ root, nodes }` where nodes maps location → node. Each node has
+ * name, version, flags from the lockfile and `edges` to child locations
+ * with their dependency type. devDependencies are followed for the root
+ * only, as npm does.
+ */
+export function buildDependencyGraph(lock, rootLocation = '') {
+  const packages = lock.packages;
+  const nodes = new Map();
+  const queue = [rootLocation];
+
+  while (queue.length > 0) {
+    const location = queue.shift();
+    if (nodes.has(location)) continue;
+
+    const entry = packages[location] || {};
+    const isRoot = location === rootLocation;
+    const node = {
+      location,
+      name: isRoot ? entry.name || path.posix.basename(location) || 'root' : getNameFromLocation(location, entry),
+      version: entry.version || null,
+      resolved: entry.resolved || null,
+      integrity: entry.integrity || null,
+      license: entry.license || null,
+      dev: Boolean(entry.dev),
+      optional: Boolean(entry.optional),
+      devOptional: Boolean(entry.devOptional),
+      hasInstallScript: Boolean(entry.hasInstallScript),
+      isRoot,
+      isWorkspace: !isRoot && !location.includes('node_modules/'),
+      edges: []
+    };
+    nodes.set(location, node);
+
+    const sections = [
+      ['dependencies', 'prod'],
+      ['optionalDependencies', 'optional'],
+      ['peerDependencies', 'peer'],
+      ...(isRoot || node.isWorkspace ? [['devDependencies', 'dev']] : [])
+    ];
+
+    for (const [section, type] of sections) {
+      for (const [name, spec] of Object.entries(entry[section] || {})) {
+        const target = resolveLocation(packages, location, name);
+        if (target === null) continue;
+
+        node.edges.push({ name, spec, type, location: target });
+        queue.push(target);
+      }
+    }
+  }
+
+  return { root: rootLocation, nodes };
+}
+
+/**
+ * Load the installed dependency graph of a workspace (null without a lockfile)
+ */
+export function loadWorkspaceGraph(workspaceDir, projectRoot) {
+  const lockfile = loadLockfile(workspaceDir, projectRoot);
+  return lockfile ? buildDependencyGraph(lockfile.lock, lockfile.location) : null;
+}
@@ -0,0 +1,225 @@
+/**
+ * Safe Merge Pipeline
+ *
+ * Merges a security branch without touching the main checkout: the merge
+ * is made in a temporary detached worktree, the lockfile is regenerated
+ * there (`npm install`) and every workspace's verification commands run
+ * (policy `updates.verify`, or the workspace's test and lint scripts, as for
+ * update transactions). Only when every step passes is the target branch
+ * fast-forwarded to the verified merge commit.
+ *
+ * Conflicts limited to package-lock.json files are resolved by keeping the
+ * target's lockfile and regenerating it from the merged manifests; any
+ * other conflict fails the merge. Every run returns a report of its steps
+ * (see writeMergeReport) so a failure can be reviewed without reproducing it.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { execSync } from 'child_process';
+import { createGitService } from './git.mjs';
+import { discoverWorkspaces } from './workspaces.mjs';
+import { resolveWorkspacePolicy } from './policy.mjs';
+import { getVerificationCommands, snapshotFiles } from './update-transaction.mjs';
+
+export const DEFAULT_INSTALL_COMMAND = 'npm install --no-audit --no-fund';
+
+const LOCKFILE = 'package-lock.json';
+// Characters of command output kept for a failed step
+const OUTPUT_LIMIT = 4000;
+
+/**
+ * The end of a failed command's output
+ */
+function getFailureOutput(error) {
+  const output = [error.stdout, error.stderr].filter(Boolean).join('\n').trim() || error.message;
+  return output.length > OUTPUT_LIMIT ? `…${output.slice(-OUTPUT_LIMIT)}` : output;
+}
+
+/**
+ * Merge `branch` into the local branch `target` through the pipeline
+ *
+ * Returns the report: `{ branch, target, base, status, reason, conflicts,
+ * lockfiles, steps, mergeCommit, startedAt, finishedAt }` where status is
+ * `merged`, `up-to-date` or `failed`. Throws only when the branches cannot
+ * be resolved. `git` is a service for the repository (see lib/git.mjs).
+ */
+export function runMergePipeline({ projectRoot, git = createGitService(projectRoot), branch, target, policy, installCommand = DEFAULT_INSTALL_COMMAND, log = console.log }) {
+  if (!git.hasBranch(target)) {
+    throw new Error(`Target branch "${target}" is not a local branch`);
+  }
+  if (!git.resolve(branch)) {
+    throw new Error(`Branch "${branch}" not found`);
+  }
+
+  const root = git.getRoot();
+  const base = git.resolve(`refs/heads/${target}`);
+  const report = {
+    branch,
+    target,
+    base,
+    status: 'failed',
+    reason: null,
+    conflicts: [],
+    lockfiles: [],
+    steps: [],
+    mergeCommit: null,
+    startedAt: new Date().toISOString(),
+    finishedAt: null
+  };
+
+  const finish = (status, reason = null) => {
+    report.status = status;
+    report.reason = reason;
+    report.finishedAt = new Date().toISOString();
+    return report;
+  };
+
+  if (git.isAncestor(branch, base)) {
+    log(`ℹ️  ${branch} is already merged into ${target}`);
+    return finish('up-to-date');
+  }
+
+  let worktree = null;
+  let worktreeGit = null;
+
+  const runStep = (name, action, cwd = worktree) => {
+    const startedAt = Date.now();
+    const step = { name, cwd: path.relative(worktree || root, cwd) || '.', success: true, durationMs: 0, output: null };
+    try {
+      action(cwd);
+    } catch (error) {
+      step.success = false;
+      step.output = getFailureOutput(error);
+    }
+    step.durationMs = Date.now() - startedAt;
+    report.steps.push(step);
+    return step.success;
+  };
+
+  try {
+    log(`🌿 Creating worktree for ${target} at ${base.slice(0, 12)}`);
+    const created = runStep('create worktree', () => {
+      worktree = git.addTemporaryWorktree(base);
+      worktreeGit = git.at(worktree);
+    }, root);
+    if (!created) return finish('failed', 'could not create a temporary worktree');
+
+    log(`🔀 Merging ${branch}`);
+    if (!runStep('merge', () => worktreeGit.run(['merge', '--no-ff', '--no-commit', branch]))) {
+      const conflicts = worktreeGit.listConflicts();
+      report.conflicts = conflicts;
+
+      if (conflicts.length === 0) return finish('failed', 'git merge failed');
+      const unresolved = conflicts.filter(file => path.posix.basename(file) !== LOCKFILE);
+      if (unresolved.length > 0) {
+        return finish('failed', `merge conflicts in ${unresolved.join(', ')}`);
+      }
+
+      log(`🔧 Lockfile conflict: keeping ${target}'s ${LOCKFILE} and regenerating it`);
+      const resolved = runStep('resolve lockfile conflicts', () => {
+        worktreeGit.run(['checkout', '--ours', '--', ...conflicts]);
+        worktreeGit.run(['add', '--', ...conflicts]);
+      });
+      if (!resolved) {
+        return finish('failed', 'could not resolve lockfile conflicts');
+      }
+    }
+
+    const workspaces = Object.entries(discoverWorkspaces(worktree).workspaces);
+    const lockfiles = workspaces
+      .map(([, workspace]) => path.join(workspace.dir, LOCKFILE))
+      .filter(file => fs.existsSync(file));
+    const before = snapshotFiles(lockfiles);
+
+    log(`📦 Regenerating lockfile: ${installCommand}`);
+    if (!runStep(installCommand, () => execSync(installCommand, { cwd: worktree, encoding: 'utf8', stdio: ['pipe', 'pipe', 'pipe'] }))) {
+      return finish('failed', `${installCommand} failed`);
+    }
+    report.lockfiles = [...before]
+      .filter(([file, content]) => !content || !content.equals(fs.readFileSync(file)))
+      .map(([file]) => path.relative(worktree, file));
+
+    let verified = 0;
+    for (const [key, workspace] of workspaces) {
+      const commands = getVerificationCommands(workspace.content, resolveWorkspacePolicy(policy, key, workspace.name).updates.verify);
+      for (const command of commands) {
+        log(`🧪 Verifying ${key}: ${command}`);
+        verified++;
+        if (!runStep(`${key}: ${command}`, cwd => execSync(command, { cwd, encoding: 'utf8', stdio: ['pipe', 'pipe', 'pipe'] }), workspace.dir)) {
+          return finish('failed', `verification failed in ${key}: ${command}`);
+        }
+      }
+    }
+    if (verified === 0) {
+      log('⚠️  No verification commands configured; only the install was checked');
+    }
+
+    const message = `Merge ${branch} into ${target}`;
+    const committed = runStep('commit', () => {
+      if (lockfiles.length > 0) worktreeGit.run(['add', '--', ...lockfiles]);
+      worktreeGit.run(['commit', '--no-edit', '-m', message]);
+    });
+    if (!committed) return finish('failed', 'could not commit the merge');
+    report.mergeCommit = worktreeGit.resolve('HEAD');
+
+    log(`⏩ Fast-forwarding ${target} to ${report.mergeCommit.slice(0, 12)}`);
+    const checkedOut = git.getCurrentBranch() === target;
+    const fastForwarded = runStep(`fast-forward ${target}`, () => {
+      if (checkedOut) {
+        git.run(['merge', '--ff-only', report.mergeCommit]);
+      } else {
+        // Compare-and-swap: fails if the target moved since the merge started
+        git.run(['update-ref', `refs/heads/${target}`, report.mergeCommit, base]);
+      }
+    }, root);
+    if (!fastForwarded) return finish('failed', `${target} could not be fast-forwarded`);
+
+    return finish('merged');
+  } finally {
+    if (worktree) git.removeWorktree(worktree);
+  }
+}
+
+/**
+ * Write a merge report to reports/merge-<branch>-<date>.json
+ *
+ * Returns the file path.
+ */
+export function writeMergeReport(report, reportsDir) {
+  fs.mkdirSync(reportsDir, { recursive: true });
+  const slug = report.branch.replace(/[^\w.-]+/g, '-');
+  const file = path.join(reportsDir, `merge-${slug}-${report.startedAt.slice(0, 10)}.json`);
+  fs.writeFileSync(file, JSON.stringify(report, null, 2));
+  return file;
+}
+
+/**
+ * Print the outcome of a merge and each step
+ */
+export function printMergeReport(report, { reportFile = null } = {}) {
+  const icon = report.status === 'failed' ? '❌' : '✅';
+  console.log(`\n${icon} ${report.branch} → ${report.target}: ${report.status}${report.reason ? ` (${report.reason})` : ''}`);
+
+  report.steps.forEach(step => {
+    console.log(`   ${step.success ? '✓' : '✗'} ${step.name} (${step.durationMs}ms)`);
+  });
+  if (report.conflicts.length > 0 && report.status !== 'failed') {
+    console.log(`   🔧 Resolved by regenerating: ${report.conflicts.join(', ')}`);
+  }
+  if (report.lockfiles.length > 0) {
+    console.log(`   🔒 Regenerated: ${report.lockfiles.join(', ')}`);
+  }
+
+  const failed = report.status === 'failed' && report.steps.findLast(step => !step.success);
+  if (failed?.output) {
+    console.log(`\n   Output of "${failed.name}":`);
+    failed.output.split('\n').slice(-20).forEach(line => console.log(`   │ ${line}`));
+  }
+  if (report.status === 'failed') {
+    console.log(`\n💡 ${report.target} and your checkout were left unchanged`);
+  }
+  if (reportFile) {
+    console.log(`📄 Report: ${reportFile}`);
+  }
+}
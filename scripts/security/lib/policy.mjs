@@ -0,0 +1,378 @@
+/**
+ * Security Policy (.securityrc)
+ *
+ * Loads and validates the repository's dependency security policy against
+ * securityrc.schema.json, resolves per-workspace overrides, applies
+ * time-boxed ignore entries to audit findings and records license
+ * acknowledgements.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { DEFAULT_LICENSE_POLICY } from './licenses.mjs';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const POLICY_FILE = '.securityrc';
+export const POLICY_SCHEMA_PATH = path.join(__dirname, '..', 'securityrc.schema.json');
+
+// Used when the repository has no policy file
+export const DEFAULT_POLICY = {
+  version: 1,
+  sla: { critical: 7, high: 30, moderate: 90, low: 365 },
+  updates: { autoUpdateSeverities: ['critical', 'high'], exclude: [], verify: [] },
+  packages: { allow: [], deny: [] },
+  trustedSources: ['npm', 'github'],
+  ignore: [],
+  licenses: DEFAULT_LICENSE_POLICY,
+  advisoryDatabase: { path: null, maxAgeDays: 7 },
+  supplyChain: { cooldownDays: 7, allowInstallScripts: [], allowNames: [], popularPackages: [] },
+  pullRequests: { failOn: 'high' },
+  branches: { staleDays: 30 },
+  workspaces: {}
+};
+
+/**
+ * Validate a value against the subset of JSON Schema used by securityrc.schema.json
+ */
+export function validateAgainstSchema(value, schema, root = schema, pointer = '') {
+  if (schema.$ref) {
+    const target = schema.$ref.replace(/^#\//, '').split('/').reduce((node, key) => node[key], root);
+    return validateAgainstSchema(value, target, root, pointer);
+  }
+
+  const errors = [];
+  const where = pointer || '(root)';
+  const actualType = Array.isArray(value) ? 'array' : value === null ? 'null' : typeof value;
+
+  if (schema.type) {
+    const typeMatches = schema.type === 'integer'
+      ? Number.isInteger(value)
+      : schema.type === actualType;
+    if (!typeMatches) return [`${where}: expected ${schema.type}, got ${actualType}`];
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${where}: must be one of ${schema.enum.join(', ')}`);
+  }
+
+  if (typeof value === 'number' && schema.minimum !== undefined && value < schema.minimum) {
+    errors.push(`${where}: must be >= ${schema.minimum}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push(`${where}: must be at least ${schema.minLength} characters`);
+    }
+    // Date.parse rolls impossible days over (2026-02-30 → March 2), so round-trip instead
+    if (schema.format === 'date' && !(/^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(Date.parse(value)) &&
+      new Date(value).toISOString().slice(0, 10) === value)) {
+      errors.push(`${where}: must be a date (YYYY-MM-DD)`);
+    }
+  }
+
+  if (actualType === 'array' && schema.items) {
+    value.forEach((item, index) => {
+      errors.push(...validateAgainstSchema(item, schema.items, root, `${pointer}/${index}`));
+    });
+  }
+
+  if (actualType === 'object') {
+    for (const key of schema.required || []) {
+      if (!(key in value)) errors.push(`${where}: missing required property "${key}"`);
+    }
+
+    for (const [key, child] of Object.entries(value)) {
+      const childPointer = `${pointer}/${key}`;
+      if (schema.properties?.[key]) {
+        errors.push(...validateAgainstSchema(child, schema.properties[key], root, childPointer));
+      } else if (typeof schema.additionalProperties === 'object') {
+        errors.push(...validateAgainstSchema(child, schema.additionalProperties, root, childPointer));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${where}: unknown property "${key}"`);
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Merge a partial policy over a base policy
+ *
+ * Objects merge key by key, lists replace the base list, except `ignore`
+ * entries and license acknowledgements which accumulate so workspace
+ * exceptions add to the global ones.
+ */
+function mergePolicy(base, override = {}) {
+  const merged = { ...base };
+
+  for (const [key, value] of Object.entries(override)) {
+    if (key === 'ignore') {
+      merged.ignore = [...(base.ignore || []), ...value];
+    } else if (key === 'licenses') {
+      merged.licenses = {
+        ...(base.licenses || {}),
+        ...value,
+        acknowledged: [...(base.licenses?.acknowledged || []), ...(value.acknowledged || [])]
+      };
+    } else if (value && typeof value === 'object' && !Array.isArray(value)) {
+      merged[key] = { ...(base[key] || {}), ...value };
+    } else {
+      merged[key] = value;
+    }
+  }
+
+  return merged;
+}
+
+/**
+ * Load the policy file
+ *
+ * A missing default file falls back to DEFAULT_POLICY; a missing explicit
+ * file (`--policy`) or an invalid one throws with every problem listed.
+ */
+export function loadPolicy(projectRoot, explicitPath = null) {
+  const policyPath = explicitPath ? path.resolve(explicitPath) : path.join(projectRoot, POLICY_FILE);
+
+  if (!fs.existsSync(policyPath)) {
+    if (explicitPath) throw new Error(`Policy file not found: ${policyPath}`);
+    return { policy: DEFAULT_POLICY, path: null };
+  }
+
+  let content;
+  try {
+    content = JSON.parse(fs.readFileSync(policyPath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Policy file ${policyPath} is not valid JSON: ${error.message}`);
+  }
+
+  const schema = JSON.parse(fs.readFileSync(POLICY_SCHEMA_PATH, 'utf8'));
+  const errors = validateAgainstSchema(content, schema);
+  if (errors.length > 0) {
+    throw new Error(`Policy file ${policyPath} is invalid:\n  - ${errors.join('\n  - ')}`);
+  }
+
+  const { $schema, ...rest } = content;
+  return { policy: mergePolicy(DEFAULT_POLICY, rest), path: policyPath };
+}
+
+/**
+ * Resolve the effective policy for a workspace (matched by key or package name)
+ */
+export function resolveWorkspacePolicy(policy, workspaceKey, workspaceName) {
+  const overrides = policy.workspaces?.[workspaceKey] || policy.workspaces?.[workspaceName];
+  const { workspaces, ...global } = policy;
+  return overrides ? mergePolicy(global, overrides) : global;
+}
+
+/**
+ * Match a package name against an exact name or `*` glob
+ */
+export function matchesPackagePattern(packageName, pattern) {
+  if (!pattern.includes('*')) return packageName === pattern;
+  const escaped = pattern.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*');
+  return new RegExp(`^${escaped}$`).test(packageName);
+}
+
+/**
+ * Check whether a package is denied by the policy (allow entries win)
+ */
+export function isPackageDenied(packageName, policy) {
+  const { allow = [], deny = [] } = policy.packages || {};
+  return deny.some(pattern => matchesPackagePattern(packageName, pattern)) &&
+    !allow.some(pattern => matchesPackagePattern(packageName, pattern));
+}
+
+/**
+ * List the declared dependencies of a package.json that the policy denies
+ */
+export function findDeniedPackages(packageContent, policy) {
+  const sections = ['dependencies', 'devDependencies', 'optionalDependencies', 'peerDependencies'];
+  return sections.flatMap(section =>
+    Object.keys(packageContent?.[section] || {})
+      .filter(name => isPackageDenied(name, policy))
+      .map(name => ({ package: name, section }))
+  );
+}
+
+/**
+ * Whether an ignore or triage entry names a finding: its advisory id, GHSA
+ * id or npm source id, and its package when the entry names one
+ */
+export function matchesFinding(entry, finding) {
+  return (entry.id === finding.id || entry.id === finding.ghsa || entry.id === String(finding.source)) &&
+    (!entry.package || entry.package === finding.package);
+}
+
+/**
+ * Split findings by the exception covering each one
+ *
+ * `findEntry(finding)` returns the covering entry or null. An entry holds
+ * until the end of its expiry day; expired entries suppress nothing and are
+ * reported with the finding they matched. Returns `{ active, covered,
+ * expired }` with covered findings as `{ finding, entry }`.
+ */
+export function partitionByExceptions(findings, findEntry, now = new Date()) {
+  const active = [];
+  const covered = [];
+  const expired = [];
+  const today = now.toISOString().slice(0, 10);
+
+  for (const finding of findings) {
+    const entry = findEntry(finding);
+
+    if (!entry) {
+      active.push(finding);
+    } else if (entry.expires < today) {
+      expired.push({ finding, entry });
+      active.push(finding);
+    } else {
+      covered.push({ finding, entry });
+    }
+  }
+
+  return { active, covered, expired };
+}
+
+/**
+ * Apply ignore entries to findings
+ *
+ * Returns the findings still active, those suppressed by a valid exception
+ * and the expired exceptions that matched a finding. Expired exceptions do
+ * not suppress anything.
+ */
+export function applyIgnores(findings, policy, now = new Date()) {
+  const { active, covered, expired } = partitionByExceptions(
+    findings,
+    finding => (policy.ignore || []).find(entry => matchesFinding(entry, finding)),
+    now
+  );
+
+  return { active, ignored: covered.map(({ finding, entry }) => ({ ...finding, ignoredBy: entry })), expired };
+}
+
+/**
+ * Locate the value at a key path of a JSON document in its source text
+ *
+ * Returns `{ start, end }` (end exclusive) or null when the path is absent.
+ */
+function findJsonValue(text, keys) {
+  let index = 0;
+
+  const skipWhitespace = () => {
+    while (/\s/.test(text[index])) index++;
+  };
+  const skipString = () => {
+    index++;
+    while (text[index] !== '"') index += text[index] === '\\' ? 2 : 1;
+    index++;
+  };
+  const skipValue = () => {
+    if (text[index] === '"') return skipString();
+    if (text[index] !== '{' && text[index] !== '[') {
+      while (index < text.length && !/[\s,\]}]/.test(text[index])) index++;
+      return;
+    }
+    let depth = 0;
+    do {
+      if (text[index] === '"') {
+        skipString();
+        continue;
+      }
+      if (text[index] === '{' || text[index] === '[') depth++;
+      if (text[index] === '}' || text[index] === ']') depth--;
+      index++;
+    } while (depth > 0);
+  };
+
+  skipWhitespace();
+  for (const key of keys) {
+    if (text[index] !== '{') return null;
+    index++;
+
+    while (true) {
+      skipWhitespace();
+      if (text[index] !== '"') return null;
+      const keyStart = index;
+      skipString();
+      const name = JSON.parse(text.slice(keyStart, index));
+      skipWhitespace();
+      index++; // the colon
+      skipWhitespace();
+      if (name === key) break;
+      skipValue();
+      skipWhitespace();
+      if (text[index] === ',') index++;
+    }
+  }
+
+  const start = index;
+  skipValue();
+  return { start, end: index };
+}
+
+/**
+ * Indentation of the line holding a position of the text
+ */
+function getIndent(text, position) {
+  const lineStart = text.lastIndexOf('\n', position - 1) + 1;
+  return text.slice(lineStart).match(/^[ \t]*/)[0];
+}
+
+/**
+ * Format an object on one line, like the compact entries of .securityrc
+ */
+function formatInline(value) {
+  return `{ ${Object.entries(value).map(([key, item]) => `${JSON.stringify(key)}: ${JSON.stringify(item)}`).join(', ')} }`;
+}
+
+/**
+ * Insert members after the last member of the object or array at `range`,
+ * following its layout (one member per line or all on one line)
+ */
+function appendMembers(text, range, members) {
+  const body = text.slice(range.start + 1, range.end - 1);
+  const indent = getIndent(text, range.start);
+
+  if (body.trim() === '') {
+    const lines = members.map(member => `${indent}  ${member}`).join(',\n');
+    return `${text.slice(0, range.start + 1)}\n${lines}\n${indent}${text.slice(range.end - 1)}`;
+  }
+
+  const lastMember = range.start + 1 + body.trimEnd().length;
+  const separator = body.includes('\n') ? `,\n${getIndent(text, range.start + 1 + body.search(/\S/))}` : ', ';
+  return `${text.slice(0, lastMember)}${separator}${members.join(separator)}${text.slice(lastMember)}`;
+}
+
+/**
+ * Append license acknowledgements to the policy file
+ *
+ * Creates .securityrc when the repository has none. An existing file is
+ * edited in place, appending to `licenses.acknowledged`, so its hand-written
+ * layout is kept and the acknowledgements are the only change in review.
+ */
+export function addLicenseAcknowledgements(projectRoot, policyPath, entries) {
+  const file = policyPath || path.join(projectRoot, POLICY_FILE);
+
+  if (!fs.existsSync(file)) {
+    const content = { $schema: './scripts/security/securityrc.schema.json', version: 1, licenses: { acknowledged: entries } };
+    fs.writeFileSync(file, JSON.stringify(content, null, 2) + '\n');
+    return file;
+  }
+
+  const text = fs.readFileSync(file, 'utf8');
+  const acknowledged = findJsonValue(text, ['licenses', 'acknowledged']);
+  const licenses = findJsonValue(text, ['licenses']);
+  const formatted = entries.map(formatInline);
+  const updated = acknowledged
+    ? appendMembers(text, acknowledged, formatted)
+    : licenses
+      ? appendMembers(text, licenses, [`"acknowledged": [${formatted.join(', ')}]`])
+      : appendMembers(text, findJsonValue(text, []), [`"licenses": { "acknowledged": [${formatted.join(', ')}] }`]);
+
+  fs.writeFileSync(file, updated);
+  return file;
+}
@@ -0,0 +1,125 @@
+/**
+ * npm Registry Lookups
+ *
+ * Thin wrapper around `npm view` so the security scripts use the same
+ * registry, auth and proxy settings as the rest of the project's npm calls.
+ * Version lists are cached for the lifetime of the process; per-version
+ * metadata is kept in an on-disk store, since published versions never
+ * change.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { execFileSync } from 'child_process';
+
+const versionCache = new Map();
+
+/**
+ * Get every published version of a package, or null when the registry
+ * cannot be reached
+ */
+export function getPublishedVersions(packageName, { cwd = process.cwd() } = {}) {
+  if (versionCache.has(packageName)) return versionCache.get(packageName);
+
+  let versions = null;
+  try {
+    const output = execFileSync('npm', ['view', packageName, 'versions', '--json'], {
+      cwd,
+      encoding: 'utf8',
+      stdio: ['pipe', 'pipe', 'pipe']
+    });
+    const parsed = JSON.parse(output);
+    versions = Array.isArray(parsed) ? parsed : [parsed];
+  } catch (error) {
+    versions = null;
+  }
+
+  versionCache.set(packageName, versions);
+  return versions;
+}
+
+/**
+ * Reduce an `npm view <name>@<version> --json` document to what the
+ * supply-chain checks need
+ */
+function toVersionMetadata(document, version) {
+  const people = value => [].concat(value || []).map(person =>
+    typeof person === 'string' ? person.replace(/\s*<.*$/, '') : person.name
+  ).filter(Boolean);
+
+  return {
+    publishedAt: document.time?.[version] || null,
+    maintainers: document.maintainers ? people(document.maintainers).sort() : null,
+    publisher: document._npmUser ? people(document._npmUser)[0] || null : null,
+    installScripts: Object.fromEntries(
+      ['preinstall', 'install', 'postinstall'].filter(hook => document.scripts?.[hook]).map(hook => [hook, document.scripts[hook]])
+    )
+  };
+}
+
+/**
+ * Create a cached registry metadata store
+ *
+ * Metadata of each name@version is fetched once and saved under `cacheDir`
+ * (one JSON file per package). With `offline` the store only reads the
+ * cache; lookups that miss return null.
+ */
+export function createMetadataStore(cacheDir, { offline = false, cwd = process.cwd() } = {}) {
+  const packages = new Map();
+  const dirty = new Set();
+
+  const getCacheFile = name => path.join(cacheDir, `${name.replace(/\//g, '__')}.json`);
+
+  const loadPackage = name => {
+    if (!packages.has(name)) {
+      let cached = { name, versions: {} };
+      try {
+        cached = JSON.parse(fs.readFileSync(getCacheFile(name), 'utf8'));
+      } catch (error) {
+        // Not cached yet
+      }
+      packages.set(name, cached);
+    }
+    return packages.get(name);
+  };
+
+  return {
+    /**
+     * Metadata of a published version, or null when unknown
+     */
+    getVersionMetadata(name, version) {
+      const cached = loadPackage(name);
+      if (cached.versions[version]) return cached.versions[version];
+      if (offline) return null;
+
+      try {
+        const output = execFileSync('npm', ['view', `${name}@${version}`, '--json'], {
+          cwd,
+          encoding: 'utf8',
+          stdio: ['pipe', 'pipe', 'pipe']
+        });
+        const document = JSON.parse(output);
+        cached.versions[version] = {
+          ...toVersionMetadata(Array.isArray(document) ? document[document.length - 1] : document, version),
+          fetchedAt: new Date().toISOString()
+        };
+        dirty.add(name);
+        return cached.versions[version];
+      } catch (error) {
+        return null;
+      }
+    },
+
+    /**
+     * Write newly fetched metadata to the cache directory
+     */
+    save() {
+      if (dirty.size === 0) return;
+      fs.mkdirSync(cacheDir, { recursive: true });
+      dirty.forEach(name => {
+        fs.writeFileSync(getCacheFile(name), JSON.stringify(packages.get(name), null, 2) + '\n');
+      });
+      dirty.clear();
+    }
+  };
+}
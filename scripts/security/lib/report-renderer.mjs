@@ -0,0 +1,429 @@
+/**
+ * Security Report Renderers
+ *
+ * Renders the JSON security report (see generateSecurityReport in
+ * dependency-manager.mjs) as a Markdown summary and a self-contained HTML
+ * page. Both show per-workspace tables, trend deltas against the previous
+ * report, the remediation plan, triage decisions and outstanding license
+ * issues, so the PR comment, the report artifact and notification emails
+ * all read the same way. Pull request diffs (--base) get a shorter
+ * Markdown rendering of the delta only.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { severityRank } from './audit.mjs';
+
+const SEVERITY_ICONS = { critical: '🔴', high: '🟠', moderate: '🟡', low: '🟢', info: 'ℹ️', unknown: '⚪' };
+
+const SUMMARY_ROWS = [
+  ['overallScore', 'Overall score'],
+  ['criticalVulnerabilities', 'Critical'],
+  ['highVulnerabilities', 'High'],
+  ['moderateVulnerabilities', 'Moderate'],
+  ['lowVulnerabilities', 'Low'],
+  ['totalVulnerabilities', 'Total vulnerabilities'],
+  ['outdatedPackages', 'Outdated packages'],
+  ['deniedLicenses', 'Denied licenses'],
+  ['licensesToReview', 'Licenses to review']
+];
+
+/**
+ * Find the most recent report older than the given report file
+ */
+export function findPreviousReport(reportsDir, currentFile) {
+  if (!fs.existsSync(reportsDir)) return null;
+
+  const currentName = path.basename(currentFile);
+  const previous = fs.readdirSync(reportsDir)
+    .filter(file => /^security-report-\d{4}-\d{2}-\d{2}\.json$/.test(file) && file < currentName)
+    .sort()
+    .pop();
+
+  if (!previous) return null;
+
+  try {
+    return JSON.parse(fs.readFileSync(path.join(reportsDir, previous), 'utf8'));
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Compute summary deltas against a previous report
+ */
+export function computeTrend(report, previous) {
+  if (!previous?.summary) return null;
+
+  // The overall score is null when no workspace could be scanned
+  const read = (summary, key) => (key === 'overallScore' ? summary[key] ?? null : summary[key] ?? 0);
+
+  return Object.fromEntries(SUMMARY_ROWS.map(([key]) => {
+    const current = read(report.summary, key);
+    const before = read(previous.summary, key);
+    return [key, { current, previous: before, delta: current === null || before === null ? null : current - before }];
+  }));
+}
+
+/**
+ * Build the remediation plan: one step per finding, most severe first
+ */
+export function buildRemediationPlan(report) {
+  const steps = [];
+
+  for (const [workspace, data] of Object.entries(report.packages || {})) {
+    for (const finding of data.details?.vulnerabilities || []) {
+      const via = !finding.isDirect && finding.introducedBy?.length
+        ? ` (pulled in by ${finding.introducedBy.join(', ')})`
+        : '';
+
+      steps.push({
+        workspace,
+        severity: finding.severity,
+        package: finding.package,
+        id: finding.id,
+        url: finding.url,
+        action: finding.patched
+          ? `Upgrade ${finding.package} to ${finding.patched}${via}`
+          : `No fix available for ${finding.package}${via}; consider replacing it or recording a policy exception`
+      });
+    }
+  }
+
+  return steps.sort((a, b) =>
+    severityRank(a.severity) - severityRank(b.severity) ||
+    a.workspace.localeCompare(b.workspace) ||
+    a.package.localeCompare(b.package)
+  );
+}
+
+/**
+ * List triage decisions in force and the expired ones whose findings
+ * resurfaced, expired first
+ */
+export function collectTriageDecisions(report) {
+  const decisions = Object.entries(report.packages || {}).flatMap(([workspace, data]) => [
+    ...(data.details?.triageExpired || []).map(finding => ({ workspace, finding, expired: true })),
+    ...(data.details?.triaged || []).map(finding => ({ workspace, finding, expired: false }))
+  ]);
+
+  return decisions.sort((a, b) =>
+    (a.expired ? 0 : 1) - (b.expired ? 0 : 1) ||
+    severityRank(a.finding.severity) - severityRank(b.finding.severity) ||
+    a.workspace.localeCompare(b.workspace) ||
+    a.finding.package.localeCompare(b.finding.package)
+  );
+}
+
+const formatTriageStatus = decision => `${decision.finding.triage.status.replace(/_/g, ' ')}${decision.expired ? ' (expired)' : ''}`;
+
+/**
+ * List unacknowledged license issues, denied licenses first
+ */
+export function collectLicenseIssues(report) {
+  return Object.entries(report.packages || {})
+    .flatMap(([workspace, data]) => (data.details?.licenses || [])
+      .filter(entry => !entry.acknowledged)
+      .map(entry => ({ workspace, ...entry })))
+    .sort((a, b) =>
+      (a.status === 'deny' ? 0 : 1) - (b.status === 'deny' ? 0 : 1) ||
+      a.workspace.localeCompare(b.workspace) ||
+      a.package.localeCompare(b.package)
+    );
+}
+
+function formatDelta(delta, key) {
+  if (delta === null) return 'n/a';
+  if (delta === 0) return '±0';
+  // A higher score is good, more findings are bad
+  const improving = key === 'overallScore' ? delta > 0 : delta < 0;
+  return `${delta > 0 ? '+' : ''}${delta} ${improving ? '✅' : '⚠️'}`;
+}
+
+function formatScore(score) {
+  return score === null || score === undefined ? 'n/a' : `${score}/100`;
+}
+
+function getHeadline(summary) {
+  if (summary.criticalVulnerabilities > 0) return '🚨 **CRITICAL VULNERABILITIES FOUND - IMMEDIATE ACTION REQUIRED**';
+  if (summary.highVulnerabilities > 0) return '⚠️ High severity vulnerabilities require attention';
+  if (summary.incompleteScans > 0) return `⚠️ **Vulnerability data is missing or stale for ${summary.incompleteScans} workspace(s)**; an empty result does not mean no vulnerabilities`;
+  if (summary.totalVulnerabilities === 0) return '✅ No known vulnerabilities found';
+  return 'ℹ️ Only moderate or low severity vulnerabilities found';
+}
+
+/**
+ * Render the report as GitHub-flavoured Markdown
+ */
+export function renderMarkdown(report, previous = null) {
+  const trend = computeTrend(report, previous);
+  const plan = buildRemediationPlan(report);
+  const licenseIssues = collectLicenseIssues(report);
+  const triage = collectTriageDecisions(report);
+  const lines = [];
+
+  lines.push('## Security Scan Results 🔒', '');
+  lines.push(`_Generated ${report.timestamp}_`, '');
+  lines.push(getHeadline(report.summary), '');
+
+  lines.push(trend ? '| Metric | Current | Previous | Change |' : '| Metric | Current |');
+  lines.push(trend ? '| --- | ---: | ---: | ---: |' : '| --- | ---: |');
+  SUMMARY_ROWS.forEach(([key, label]) => {
+    const current = key === 'overallScore' ? formatScore(report.summary[key]) : report.summary[key] ?? 0;
+    lines.push(trend
+      ? `| ${label} | ${current} | ${key === 'overallScore' ? formatScore(trend[key].previous) : trend[key].previous} | ${formatDelta(trend[key].delta, key)} |`
+      : `| ${label} | ${current} |`);
+  });
+  lines.push('');
+
+  lines.push('### Workspaces', '');
+  lines.push('| Workspace | Score | Vulnerabilities | Direct | Transitive | Ignored | Triaged | Outdated |');
+  lines.push('| --- | ---: | ---: | ---: | ---: | ---: | ---: | ---: |');
+  for (const [workspace, data] of Object.entries(report.packages || {})) {
+    lines.push(`| ${workspace}${data.scan?.status && data.scan.status !== 'complete' ? ` ⚠️ ${data.scan.reason}` : ''} | ${formatScore(data.score)} | ${data.vulnerabilities} | ${data.directVulnerabilities ?? '-'} | ${data.transitiveVulnerabilities ?? '-'} | ${data.ignoredVulnerabilities ?? 0} | ${data.triagedVulnerabilities ?? 0} | ${data.outdated} |`);
+  }
+  lines.push('');
+
+  if (plan.length > 0) {
+    lines.push('### Remediation Plan', '');
+    plan.forEach((step, index) => {
+      const advisory = step.url ? `[${step.id}](${step.url})` : step.id;
+      lines.push(`${index + 1}. ${SEVERITY_ICONS[step.severity] || ''} **${step.severity}** · \`${step.workspace}\` · ${advisory}: ${step.action}`);
+    });
+    lines.push('');
+  }
+
+  if (triage.length > 0) {
+    lines.push('### Triage Decisions', '');
+    lines.push('| Workspace | Package | Advisory | Status | Reason | Author | Expires |');
+    lines.push('| --- | --- | --- | --- | --- | --- | --- |');
+    triage.forEach(decision => {
+      const { finding } = decision;
+      const advisory = finding.url ? `[${finding.id}](${finding.url})` : finding.id;
+      lines.push(`| ${decision.workspace} | \`${finding.package}\` | ${advisory} (${finding.severity}) | ${decision.expired ? '⏰ ' : ''}${formatTriageStatus(decision)} | ${finding.triage.reason.replace(/\|/g, '\\|')} | ${finding.triage.author} | ${finding.triage.expires} |`);
+    });
+    lines.push('');
+  }
+
+  if (licenseIssues.length > 0) {
+    lines.push('### License Compliance', '');
+    lines.push('| Workspace | Package | License | Status |');
+    lines.push('| --- | --- | --- | --- |');
+    licenseIssues.forEach(entry => {
+      const status = entry.status === 'deny' ? '🚫 denied' : '🔎 review';
+      lines.push(`| ${entry.workspace} | \`${entry.package}@${entry.version}\`${entry.dev ? ' (dev)' : ''} | ${entry.expression || 'none declared'} | ${status} |`);
+    });
+    lines.push('');
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Render a pull request delta (see runDiffScan in dependency-manager.mjs)
+ * as GitHub-flavoured Markdown
+ *
+ * Only findings the change introduces, fixes or re-rates are listed, so the
+ * PR comment stays short however large the existing backlog is.
+ */
+export function renderDiffMarkdown(diff) {
+  const lines = [];
+  const advisory = finding => (finding.url ? `[${finding.id}](${finding.url})` : finding.id);
+  const rows = key => Object.entries(diff.workspaces)
+    .flatMap(([workspace, result]) => result[key].map(finding => ({ workspace, ...finding })));
+
+  lines.push('## Security Changes 🔀', '');
+  lines.push(`_Compared with \`${diff.base}\` (merge base \`${diff.mergeBase.slice(0, 12)}\`), generated ${diff.timestamp}_`, '');
+  lines.push(diff.passed
+    ? `✅ **No new findings at or above ${diff.failOn}**`
+    : `❌ **${diff.summary.blocking} blocking change(s): new findings at or above ${diff.failOn}, or denied packages**`, '');
+  if (diff.summary.incomplete > 0) {
+    lines.push(`⚠️ Vulnerability data is missing or stale for ${diff.summary.incomplete} workspace(s); the delta may be incomplete`, '');
+  }
+
+  lines.push('| Workspace | New | Fixed | Re-rated | Unchanged |');
+  lines.push('| --- | ---: | ---: | ---: | ---: |');
+  for (const [workspace, result] of Object.entries(diff.workspaces)) {
+    lines.push(result.status === 'failed'
+      ? `| ${workspace} ⚠️ ${result.reason} | - | - | - | - |`
+      : `| ${workspace}${result.status === 'stale' ? ` ⚠️ ${result.reason}` : ''} | ${result.introduced.length} | ${result.fixed.length} | ${result.changed.length} | ${result.unchanged} |`);
+  }
+  lines.push('');
+
+  const introduced = rows('introduced');
+  if (introduced.length > 0) {
+    lines.push('### New Findings', '');
+    lines.push('| Workspace | Severity | Package | Advisory | Introduced by |');
+    lines.push('| --- | --- | --- | --- | --- |');
+    introduced.forEach(finding => {
+      const via = finding.isDirect ? 'direct dependency' : finding.introducedPath || finding.introducedBy?.join(', ') || '-';
+      lines.push(`| ${finding.workspace} | ${SEVERITY_ICONS[finding.severity] || ''} ${finding.severity} | \`${finding.package}\` | ${advisory(finding)} | ${via} |`);
+    });
+    lines.push('');
+  }
+
+  const changed = rows('changed');
+  if (changed.length > 0) {
+    lines.push('### Severity Changes', '');
+    changed.forEach(finding => {
+      lines.push(`- \`${finding.workspace}\` · \`${finding.package}\` · ${advisory(finding)}: ${finding.previousSeverity} → ${SEVERITY_ICONS[finding.severity] || ''} **${finding.severity}**`);
+    });
+    lines.push('');
+  }
+
+  const fixed = rows('fixed');
+  if (fixed.length > 0) {
+    lines.push('### Fixed', '');
+    fixed.forEach(finding => {
+      lines.push(`- ✅ \`${finding.workspace}\` · \`${finding.package}\` · ${advisory(finding)} (${finding.severity})`);
+    });
+    lines.push('');
+  }
+
+  const denied = Object.entries(diff.workspaces).flatMap(([workspace, result]) => result.deniedPackages.map(name => `\`${workspace}\` · \`${name}\``));
+  if (denied.length > 0) {
+    lines.push('### Denied Packages Added', '');
+    denied.forEach(entry => lines.push(`- 🚫 ${entry}`));
+    lines.push('');
+  }
+
+  if (introduced.length + changed.length + fixed.length + denied.length === 0) {
+    lines.push('No vulnerability changes in this pull request.', '');
+  }
+
+  return lines.join('\n');
+}
+
+const escapeHtml = value => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Render the report as a self-contained HTML page
+ */
+export function renderHtml(report, previous = null) {
+  const trend = computeTrend(report, previous);
+  const plan = buildRemediationPlan(report);
+  const licenseIssues = collectLicenseIssues(report);
+  const triage = collectTriageDecisions(report);
+  const headline = getHeadline(report.summary).replace(/\*\*/g, '');
+
+  const summaryRows = SUMMARY_ROWS.map(([key, label]) => `
+        <tr>
+          <td>${escapeHtml(label)}</td>
+          <td class="num">${escapeHtml(key === 'overallScore' ? formatScore(report.summary[key]) : report.summary[key] ?? 0)}</td>
+          ${trend ? `<td class="num">${escapeHtml(key === 'overallScore' ? formatScore(trend[key].previous) : trend[key].previous)}</td><td class="num">${escapeHtml(formatDelta(trend[key].delta, key))}</td>` : ''}
+        </tr>`).join('');
+
+  const workspaceRows = Object.entries(report.packages || {}).map(([workspace, data]) => `
+        <tr>
+          <td>${escapeHtml(workspace)}${data.scan?.status && data.scan.status !== 'complete' ? ` <span class="warning">⚠️ ${escapeHtml(data.scan.reason)}</span>` : ''}</td>
+          <td class="num">${escapeHtml(formatScore(data.score))}</td>
+          <td class="num">${escapeHtml(data.vulnerabilities)}</td>
+          <td class="num">${escapeHtml(data.directVulnerabilities ?? '-')}</td>
+          <td class="num">${escapeHtml(data.transitiveVulnerabilities ?? '-')}</td>
+          <td class="num">${escapeHtml(data.ignoredVulnerabilities ?? 0)}</td>
+          <td class="num">${escapeHtml(data.triagedVulnerabilities ?? 0)}</td>
+          <td class="num">${escapeHtml(data.outdated)}</td>
+        </tr>`).join('');
+
+  const planItems = plan.map(step => `
+        <li class="sev-${escapeHtml(step.severity)}">
+          <strong>${escapeHtml(step.severity)}</strong> · <code>${escapeHtml(step.workspace)}</code> ·
+          ${step.url ? `<a href="${escapeHtml(step.url)}">${escapeHtml(step.id)}</a>` : escapeHtml(step.id)}:
+          ${escapeHtml(step.action)}
+        </li>`).join('');
+
+  const triageRows = triage.map(decision => `
+        <tr${decision.expired ? ' class="triage-expired"' : ''}>
+          <td>${escapeHtml(decision.workspace)}</td>
+          <td><code>${escapeHtml(decision.finding.package)}</code></td>
+          <td>${decision.finding.url ? `<a href="${escapeHtml(decision.finding.url)}">${escapeHtml(decision.finding.id)}</a>` : escapeHtml(decision.finding.id)} (${escapeHtml(decision.finding.severity)})</td>
+          <td>${escapeHtml(formatTriageStatus(decision))}</td>
+          <td>${escapeHtml(decision.finding.triage.reason)}</td>
+          <td>${escapeHtml(decision.finding.triage.author)}</td>
+          <td>${escapeHtml(decision.finding.triage.expires)}</td>
+        </tr>`).join('');
+
+  const licenseRows = licenseIssues.map(entry => `
+        <tr class="license-${escapeHtml(entry.status)}">
+          <td>${escapeHtml(entry.workspace)}</td>
+          <td><code>${escapeHtml(`${entry.package}@${entry.version}`)}</code>${entry.dev ? ' (dev)' : ''}</td>
+          <td>${escapeHtml(entry.expression || 'none declared')}</td>
+          <td>${entry.status === 'deny' ? 'denied' : 'review'}</td>
+        </tr>`).join('');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+  <head>
+    <meta charset="utf-8">
+    <title>Security Report ${escapeHtml(report.timestamp.slice(0, 10))}</title>
+    <style>
+      body { font-family: Arial, sans-serif; max-width: 960px; margin: 0 auto; padding: 24px; color: #1a202c; }
+      h1 { margin-bottom: 4px; }
+      .meta { color: #666; margin-top: 0; }
+      .headline { padding: 12px 16px; border-radius: 8px; background: #f7fafc; }
+      table { border-collapse: collapse; width: 100%; margin: 12px 0 24px; }
+      th, td { border-bottom: 1px solid #e2e8f0; padding: 6px 10px; text-align: left; }
+      th { background: #edf2f7; }
+      .num { text-align: right; font-variant-numeric: tabular-nums; }
+      li { margin-bottom: 6px; }
+      .sev-critical strong { color: #c53030; }
+      .sev-high strong { color: #dd6b20; }
+      .sev-moderate strong { color: #d69e2e; }
+      .sev-low strong { color: #38a169; }
+      .warning { color: #c05621; font-size: 0.9em; }
+      .license-deny td:last-child { color: #c53030; font-weight: bold; }
+      .triage-expired td:nth-child(4) { color: #c05621; font-weight: bold; }
+    </style>
+  </head>
+  <body>
+    <h1>🔒 Security Report</h1>
+    <p class="meta">Generated ${escapeHtml(report.timestamp)}</p>
+    <p class="headline">${escapeHtml(headline)}</p>
+
+    <h2>Summary</h2>
+    <table>
+      <thead>
+        <tr><th>Metric</th><th class="num">Current</th>${trend ? '<th class="num">Previous</th><th class="num">Change</th>' : ''}</tr>
+      </thead>
+      <tbody>${summaryRows}
+      </tbody>
+    </table>
+
+    <h2>Workspaces</h2>
+    <table>
+      <thead>
+        <tr><th>Workspace</th><th class="num">Score</th><th class="num">Vulnerabilities</th><th class="num">Direct</th><th class="num">Transitive</th><th class="num">Ignored</th><th class="num">Triaged</th><th class="num">Outdated</th></tr>
+      </thead>
+      <tbody>${workspaceRows}
+      </tbody>
+    </table>
+${plan.length > 0 ? `
+    <h2>Remediation Plan</h2>
+    <ol>${planItems}
+    </ol>
+` : ''}${triage.length > 0 ? `
+    <h2>Triage Decisions</h2>
+    <table>
+      <thead>
+        <tr><th>Workspace</th><th>Package</th><th>Advisory</th><th>Status</th><th>Reason</th><th>Author</th><th>Expires</th></tr>
+      </thead>
+      <tbody>${triageRows}
+      </tbody>
+    </table>
+` : ''}${licenseIssues.length > 0 ? `
+    <h2>License Compliance</h2>
+    <table>
+      <thead>
+        <tr><th>Workspace</th><th>Package</th><th>License</th><th>Status</th></tr>
+      </thead>
+      <tbody>${licenseRows}
+      </tbody>
+    </table>
+` : ''}  </body>
+</html>
+`;
+}
@@ -0,0 +1,171 @@
+/**
+ * SARIF 2.1.0 Output
+ *
+ * Converts dependency scan results into a SARIF log for code-scanning views
+ * and editor plugins. Each workspace becomes its own run, each advisory a
+ * rule, and each finding a result located on the package.json line that
+ * declares the dependency (or the direct dependency that pulls it in).
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+export const SARIF_VERSION = '2.1.0';
+export const SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json';
+
+const DEPENDENCY_SECTIONS = ['dependencies', 'devDependencies', 'optionalDependencies', 'peerDependencies', 'overrides'];
+
+// GitHub code scanning reads `security-severity` (0-10) to rank alerts
+const SECURITY_SEVERITY = { critical: '9.5', high: '7.5', moderate: '5.0', low: '2.5', info: '0.0' };
+
+/**
+ * Map an audit severity to a SARIF result level
+ */
+export function toSarifLevel(severity) {
+  switch (severity) {
+    case 'critical':
+    case 'high':
+      return 'error';
+    case 'moderate':
+      return 'warning';
+    default:
+      return 'note';
+  }
+}
+
+/**
+ * Find the 1-based line declaring a dependency in package.json text
+ *
+ * Only keys directly inside a dependency section count, so a script or
+ * config key with the same name is never matched. Returns null if absent.
+ */
+export function findDependencyLine(manifestText, packageName) {
+  const lines = manifestText.split('\n');
+  const keyPattern = new RegExp(`^\\s*"${packageName.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&')}"\\s*:`);
+  let section = null;
+  let depth = 0;
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    const sectionMatch = depth === 1 && line.match(/^\s*"([^"]+)"\s*:\s*\{/);
+
+    if (sectionMatch) {
+      section = sectionMatch[1];
+    } else if (depth === 2 && DEPENDENCY_SECTIONS.includes(section) && keyPattern.test(line)) {
+      return i + 1;
+    }
+
+    for (const char of line.replace(/"(?:[^"\\]|\\.)*"/g, '""')) {
+      if (char === '{') depth++;
+      if (char === '}') depth--;
+    }
+    if (depth <= 1) section = null;
+  }
+
+  return null;
+}
+
+/**
+ * Build the rule descriptor for an advisory
+ */
+function buildRule(finding) {
+  return {
+    id: finding.id,
+    name: finding.ghsa || `npm-advisory-${finding.source ?? finding.id}`,
+    shortDescription: { text: finding.title },
+    fullDescription: { text: `${finding.title} in ${finding.package} (${finding.range || 'all versions'})` },
+    helpUri: finding.url || undefined,
+    help: {
+      text: finding.patched
+        ? `Upgrade ${finding.package} to a version matching ${finding.patched}.`
+        : `No patched version of ${finding.package} is available.`
+    },
+    defaultConfiguration: { level: toSarifLevel(finding.severity) },
+    properties: {
+      tags: ['security', 'dependency', ...(finding.cwe || [])],
+      'security-severity': finding.cvss ? String(finding.cvss) : SECURITY_SEVERITY[finding.severity] || '0.0'
+    }
+  };
+}
+
+/**
+ * Build one SARIF run for a workspace
+ */
+function buildRun(workspaceKey, workspace, findings, projectRoot, toolVersion) {
+  const manifestPath = path.join(workspace.dir, 'package.json');
+  const manifestUri = path.relative(projectRoot, manifestPath).split(path.sep).join('/');
+  const manifestText = fs.existsSync(manifestPath) ? fs.readFileSync(manifestPath, 'utf8') : '';
+
+  const rules = [];
+  const ruleIndex = new Map();
+
+  const results = findings.map(finding => {
+    if (!ruleIndex.has(finding.id)) {
+      ruleIndex.set(finding.id, rules.length);
+      rules.push(buildRule(finding));
+    }
+
+    // Transitive findings point at the direct dependency that introduces them
+    const declaring = [finding.package, ...(finding.introducedBy || [])]
+      .map(name => ({ name, line: findDependencyLine(manifestText, name) }))
+      .find(candidate => candidate.line !== null);
+
+    const via = !finding.isDirect && finding.introducedBy?.length
+      ? ` (via ${finding.introducedBy.join(', ')})`
+      : '';
+
+    return {
+      ruleId: finding.id,
+      ruleIndex: ruleIndex.get(finding.id),
+      level: toSarifLevel(finding.severity),
+      message: {
+        text: `${finding.package} is affected by ${finding.id}: ${finding.title}${via}`
+      },
+      locations: [{
+        physicalLocation: {
+          artifactLocation: { uri: manifestUri, uriBaseId: '%SRCROOT%' },
+          region: { startLine: declaring?.line ?? 1 }
+        },
+        logicalLocations: [{ name: finding.package, kind: 'package' }]
+      }],
+      partialFingerprints: {
+        'dependencyFinding/v1': `${workspaceKey}:${finding.package}:${finding.id}`
+      },
+      properties: {
+        severity: finding.severity,
+        isDirect: finding.isDirect,
+        vulnerableRange: finding.range,
+        patchedRange: finding.patched
+      }
+    };
+  });
+
+  return {
+    tool: {
+      driver: {
+        name: 'dependency-manager',
+        version: toolVersion,
+        informationUri: 'https://docs.npmjs.com/cli/commands/npm-audit',
+        rules
+      }
+    },
+    automationDetails: { id: `dependency-manager/${workspaceKey}/` },
+    results
+  };
+}
+
+/**
+ * Build a SARIF log with one run per workspace
+ *
+ * `scanResults` maps workspace key → { findings }, `workspaces` maps the same
+ * keys to discovered workspaces (see lib/workspaces.mjs).
+ */
+export function buildSarifLog(scanResults, workspaces, { projectRoot, toolVersion = '1.0.0' }) {
+  return {
+    $schema: SARIF_SCHEMA,
+    version: SARIF_VERSION,
+    runs: Object.entries(scanResults)
+      .filter(([key]) => workspaces[key])
+      .map(([key, data]) => buildRun(key, workspaces[key], data.findings, projectRoot, toolVersion))
+  };
+}
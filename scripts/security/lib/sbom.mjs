@@ -0,0 +1,305 @@
+/**
+ * Software Bill of Materials
+ *
+ * Builds CycloneDX 1.5 and SPDX 2.3 JSON documents for a workspace from its
+ * installed dependency graph (see lib/lockfile.mjs): licenses, purls,
+ * hashes from lockfile `integrity`, the dependency graph, and audit
+ * findings as VEX entries / security references.
+ */
+
+import { randomUUID } from 'crypto';
+import { isKnownLicenseId, normalizeLicense } from './spdx.mjs';
+import { satisfies } from './semver.mjs';
+
+const HASH_ALGORITHMS = {
+  sha1: { cyclonedx: 'SHA-1', spdx: 'SHA1' },
+  sha256: { cyclonedx: 'SHA-256', spdx: 'SHA256' },
+  sha384: { cyclonedx: 'SHA-384', spdx: 'SHA384' },
+  sha512: { cyclonedx: 'SHA-512', spdx: 'SHA512' }
+};
+
+// CycloneDX VEX analysis of each triage status
+const TRIAGE_ANALYSIS = {
+  ignored: { state: 'in_triage' },
+  false_positive: { state: 'false_positive' },
+  accepted_risk: { state: 'exploitable', response: ['will_not_fix'] }
+};
+
+const TOOL = { vendor: 'GlossiaApp', name: 'dependency-manager', version: '1.0.0' };
+
+/**
+ * Build the package URL of an npm package
+ */
+export function toPurl(name, version) {
+  const encoded = name.startsWith('@')
+    ? `%40${name.slice(1).split('/').map(encodeURIComponent).join('/')}`
+    : encodeURIComponent(name);
+  return `pkg:npm/${encoded}${version ? `@${encodeURIComponent(version)}` : ''}`;
+}
+
+/**
+ * Convert SRI integrity strings (`sha512-<base64>`) to hex hashes
+ */
+export function integrityToHashes(integrity) {
+  if (!integrity) return [];
+
+  return integrity.split(/\s+/).flatMap(entry => {
+    const [algorithm, digest] = entry.split(/-(.+)/);
+    const known = HASH_ALGORITHMS[algorithm];
+    if (!known || !digest) return [];
+    return [{ algorithm, ...known, hex: Buffer.from(digest, 'base64').toString('hex') }];
+  });
+}
+
+/**
+ * Collapse graph nodes into unique components (one per name@version)
+ */
+function collectComponents(graph) {
+  const components = new Map();
+
+  for (const node of graph.nodes.values()) {
+    if (node.isRoot) continue;
+
+    const ref = toPurl(node.name, node.version);
+    const component = components.get(ref) || {
+      ref,
+      node,
+      dependsOn: new Set(),
+      // A package is development-only if every installed copy is dev
+      dev: true,
+      optional: true
+    };
+
+    component.dev = component.dev && node.dev;
+    component.optional = component.optional && node.optional;
+    components.set(ref, component);
+  }
+
+  for (const node of graph.nodes.values()) {
+    if (node.isRoot) continue;
+    const component = components.get(toPurl(node.name, node.version));
+    node.edges.forEach(edge => {
+      const child = graph.nodes.get(edge.location);
+      if (child && !child.isRoot) component.dependsOn.add(toPurl(child.name, child.version));
+    });
+  }
+
+  return components;
+}
+
+/**
+ * Components affected by a finding (same package, version in the vulnerable range)
+ */
+function getAffectedRefs(components, finding) {
+  return [...components.values()]
+    .filter(({ node }) => node.name === finding.package && (!finding.range || satisfies(node.version, finding.range)))
+    .map(({ ref }) => ref);
+}
+
+/**
+ * Build a CycloneDX 1.5 JSON BOM
+ *
+ * Active findings are VEX entries `in_triage`; findings suppressed by a
+ * policy exception are `not_affected` with the exception's justification
+ * and triaged findings (lib/triage.mjs) carry the state of their decision.
+ */
+export function buildCycloneDx(graph, { name, version, findings = [], ignored = [], triaged = [], timestamp = new Date().toISOString() }) {
+  const components = collectComponents(graph);
+  const rootRef = toPurl(name, version);
+  const rootNode = graph.nodes.get(graph.root);
+
+  const cdxComponents = [...components.values()]
+    .sort((a, b) => a.ref.localeCompare(b.ref))
+    .map(({ ref, node, dev, optional }) => {
+      const license = normalizeLicense(node.license);
+      const [group, shortName] = node.name.startsWith('@') ? node.name.split('/') : [undefined, node.name];
+
+      return {
+        type: 'library',
+        'bom-ref': ref,
+        ...(group ? { group } : {}),
+        name: shortName,
+        version: node.version,
+        scope: optional ? 'optional' : 'required',
+        purl: ref,
+        // CycloneDX only allows SPDX ids under license.id; anything else is an expression
+        ...(license.expression
+          ? { licenses: isKnownLicenseId(license.expression) ? [{ license: { id: license.expression } }] : [{ expression: license.expression }] }
+          : {}),
+        hashes: integrityToHashes(node.integrity).map(hash => ({ alg: hash.cyclonedx, content: hash.hex })),
+        ...(node.resolved ? { externalReferences: [{ type: 'distribution', url: node.resolved }] } : {}),
+        ...(dev || node.hasInstallScript ? {
+          properties: [
+            ...(dev ? [{ name: 'cdx:npm:package:development', value: 'true' }] : []),
+            ...(node.hasInstallScript ? [{ name: 'cdx:npm:package:hasInstallScript', value: 'true' }] : [])
+          ]
+        } : {})
+      };
+    });
+
+  const dependencies = [
+    { ref: rootRef, dependsOn: [...new Set(rootNode.edges.map(edge => graph.nodes.get(edge.location)).filter(node => node && !node.isRoot).map(node => toPurl(node.name, node.version)))].sort() },
+    ...[...components.values()].map(({ ref, dependsOn }) => ({ ref, dependsOn: [...dependsOn].sort() }))
+  ];
+
+  const vulnerabilities = [
+    ...findings.map(finding => ({ finding, analysis: { state: 'in_triage' } })),
+    ...ignored.map(finding => ({
+      finding,
+      analysis: {
+        state: 'not_affected',
+        detail: finding.ignoredBy?.justification
+      }
+    })),
+    ...triaged.map(finding => ({
+      finding,
+      analysis: { ...TRIAGE_ANALYSIS[finding.triage.status], detail: finding.triage.reason }
+    }))
+  ].map(({ finding, analysis }) => ({
+    'bom-ref': `vuln-${finding.id}-${finding.package}`,
+    id: finding.id,
+    source: finding.url ? { name: finding.ghsa ? 'GitHub Advisories' : 'npm', url: finding.url } : undefined,
+    ratings: [{ severity: finding.severity === 'moderate' ? 'medium' : finding.severity, method: 'other', ...(finding.cvss ? { score: finding.cvss } : {}) }],
+    cwes: (finding.cwe || []).map(cwe => Number(String(cwe).replace(/^CWE-/, ''))).filter(Number.isFinite),
+    description: finding.title,
+    recommendation: finding.patched ? `Upgrade ${finding.package} to ${finding.patched}` : undefined,
+    analysis,
+    affects: getAffectedRefs(components, finding).map(ref => ({ ref }))
+  }));
+
+  return {
+    bomFormat: 'CycloneDX',
+    specVersion: '1.5',
+    serialNumber: `urn:uuid:${randomUUID()}`,
+    version: 1,
+    metadata: {
+      timestamp,
+      tools: { components: [{ type: 'application', author: TOOL.vendor, name: TOOL.name, version: TOOL.version }] },
+      component: { type: 'application', 'bom-ref': rootRef, name, version, purl: rootRef }
+    },
+    components: cdxComponents,
+    dependencies,
+    ...(vulnerabilities.length > 0 ? { vulnerabilities } : {})
+  };
+}
+
+/**
+ * Build an SPDX element id from a purl
+ */
+function toSpdxId(ref) {
+  return `SPDXRef-Package-${ref.replace(/^pkg:npm\//, '').replace(/[^A-Za-z0-9.-]+/g, '-')}`;
+}
+
+/**
+ * Describe a declared license value for an SPDX extracted licensing info
+ */
+function getDeclaredText(value) {
+  if (Array.isArray(value)) return value.map(getDeclaredText).join(', ');
+  if (value && typeof value === 'object') return getDeclaredText(value.type || value.name);
+  return String(value ?? '').trim();
+}
+
+/**
+ * Build an SPDX 2.3 JSON document
+ *
+ * Findings are attached as SECURITY advisory references on affected packages.
+ * Every LicenseRef- id a package declares gets an extracted licensing info
+ * holding the license text npm recorded, as SPDX requires.
+ */
+export function buildSpdx(graph, { name, version, findings = [], timestamp = new Date().toISOString() }) {
+  const components = collectComponents(graph);
+  const rootRef = toPurl(name, version);
+  const rootId = toSpdxId(rootRef);
+  const rootNode = graph.nodes.get(graph.root);
+
+  const advisoriesByRef = new Map();
+  findings.forEach(finding => {
+    getAffectedRefs(components, finding).forEach(ref => {
+      const list = advisoriesByRef.get(ref) || [];
+      list.push(finding);
+      advisoriesByRef.set(ref, list);
+    });
+  });
+
+  const extractedLicenses = new Map();
+  const declareLicense = value => {
+    const license = normalizeLicense(value);
+    license.ids.filter(id => id.startsWith('LicenseRef-') && !extractedLicenses.has(id)).forEach(id => {
+      extractedLicenses.set(id, {
+        licenseId: id,
+        extractedText: getDeclaredText(value),
+        ...(id === 'LicenseRef-UNLICENSED' ? { comment: 'npm UNLICENSED: not licensed for use by others' } : {})
+      });
+    });
+    return license.expression || 'NOASSERTION';
+  };
+
+  const packages = [
+    {
+      name,
+      SPDXID: rootId,
+      versionInfo: version || 'NOASSERTION',
+      downloadLocation: 'NOASSERTION',
+      filesAnalyzed: false,
+      licenseConcluded: 'NOASSERTION',
+      licenseDeclared: declareLicense(rootNode.license),
+      copyrightText: 'NOASSERTION',
+      primaryPackagePurpose: 'APPLICATION',
+      externalRefs: [{ referenceCategory: 'PACKAGE-MANAGER', referenceType: 'purl', referenceLocator: rootRef }]
+    },
+    ...[...components.values()].sort((a, b) => a.ref.localeCompare(b.ref)).map(({ ref, node }) => ({
+      name: node.name,
+      SPDXID: toSpdxId(ref),
+      versionInfo: node.version || 'NOASSERTION',
+      downloadLocation: node.resolved || 'NOASSERTION',
+      filesAnalyzed: false,
+      licenseConcluded: 'NOASSERTION',
+      licenseDeclared: declareLicense(node.license),
+      copyrightText: 'NOASSERTION',
+      primaryPackagePurpose: 'LIBRARY',
+      checksums: integrityToHashes(node.integrity).map(hash => ({ algorithm: hash.spdx, checksumValue: hash.hex })),
+      externalRefs: [
+        { referenceCategory: 'PACKAGE-MANAGER', referenceType: 'purl', referenceLocator: ref },
+        ...(advisoriesByRef.get(ref) || []).filter(finding => finding.url).map(finding => ({
+          referenceCategory: 'SECURITY',
+          referenceType: 'advisory',
+          referenceLocator: finding.url,
+          comment: `${finding.id} (${finding.severity}): ${finding.title}`
+        }))
+      ]
+    }))
+  ];
+
+  const relationships = [
+    { spdxElementId: 'SPDXRef-DOCUMENT', relationshipType: 'DESCRIBES', relatedSpdxElement: rootId },
+    ...rootNode.edges
+      .map(edge => ({ edge, node: graph.nodes.get(edge.location) }))
+      .filter(({ node }) => node && !node.isRoot)
+      .map(({ edge, node }) => {
+        const childId = toSpdxId(toPurl(node.name, node.version));
+        if (edge.type === 'dev') return { spdxElementId: childId, relationshipType: 'DEV_DEPENDENCY_OF', relatedSpdxElement: rootId };
+        if (edge.type === 'optional') return { spdxElementId: childId, relationshipType: 'OPTIONAL_DEPENDENCY_OF', relatedSpdxElement: rootId };
+        return { spdxElementId: rootId, relationshipType: 'DEPENDS_ON', relatedSpdxElement: childId };
+      }),
+    ...[...components.values()].flatMap(({ ref, dependsOn }) => [...dependsOn].map(child => ({
+      spdxElementId: toSpdxId(ref),
+      relationshipType: 'DEPENDS_ON',
+      relatedSpdxElement: toSpdxId(child)
+    })))
+  ];
+
+  return {
+    spdxVersion: 'SPDX-2.3',
+    dataLicense: 'CC0-1.0',
+    SPDXID: 'SPDXRef-DOCUMENT',
+    name: `${name}-${version || 'unversioned'}`,
+    documentNamespace: `https://spdx.org/spdxdocs/${encodeURIComponent(name)}-${randomUUID()}`,
+    creationInfo: {
+      created: timestamp.replace(/\.\d{3}Z$/, 'Z'),
+      creators: [`Tool: ${TOOL.name}-${TOOL.version}`, `Organization: ${TOOL.vendor}`]
+    },
+    packages,
+    relationships,
+    ...(extractedLicenses.size > 0 ? { hasExtractedLicensingInfos: [...extractedLicenses.values()] } : {})
+  };
+}
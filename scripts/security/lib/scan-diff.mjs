@@ -0,0 +1,61 @@
+/**
+ * Scan Diff
+ *
+ * Compares the findings of two scans of the same workspace — typically the
+ * merge base of a pull request and its head — so PR checks report what the
+ * change does to the vulnerability backlog instead of the backlog itself.
+ * Findings are matched by advisory and package, like lib/history.mjs.
+ */
+
+import { severityRank } from './audit.mjs';
+import { exceedsThreshold } from './cli.mjs';
+
+/**
+ * Diff the findings of a base and a head scan
+ *
+ * Returns `{ introduced, fixed, changed, unchanged }`: findings only in the
+ * head, findings only in the base, findings whose severity differs
+ * (`{ ...headFinding, previousSeverity }`) and the number left as they were.
+ */
+export function diffFindings(baseFindings, headFindings) {
+  const key = finding => `${finding.id}|${finding.package}`;
+  const base = new Map(baseFindings.map(finding => [key(finding), finding]));
+  const head = new Map(headFindings.map(finding => [key(finding), finding]));
+  const introduced = [];
+  const changed = [];
+  let unchanged = 0;
+
+  for (const [id, finding] of head) {
+    const before = base.get(id);
+    if (!before) {
+      introduced.push(finding);
+    } else if (before.severity !== finding.severity) {
+      changed.push({ ...finding, previousSeverity: before.severity });
+    } else {
+      unchanged++;
+    }
+  }
+
+  const fixed = [...base.entries()].filter(([id]) => !head.has(id)).map(([, finding]) => finding);
+  const bySeverity = (a, b) => severityRank(a.severity) - severityRank(b.severity) || a.package.localeCompare(b.package);
+
+  return {
+    introduced: introduced.sort(bySeverity),
+    fixed: fixed.sort(bySeverity),
+    changed: changed.sort(bySeverity),
+    unchanged
+  };
+}
+
+/**
+ * Findings that should fail the check: introduced ones at or above the
+ * threshold, and existing ones escalated to it
+ */
+export function getBlockingFindings(diff, failOn) {
+  return [
+    ...diff.introduced.filter(finding => exceedsThreshold(finding.severity, failOn)),
+    ...diff.changed.filter(finding =>
+      exceedsThreshold(finding.severity, failOn) && severityRank(finding.severity) < severityRank(finding.previousSeverity)
+    )
+  ];
+}
@@ -0,0 +1,256 @@
+/**
+ * Minimal SemVer Utilities
+ *
+ * Just enough of the node-semver range grammar for the security scripts to
+ * work without installing dependencies: comparators, `^`/`~`, x-ranges,
+ * hyphen ranges and `||` unions, with npm's prerelease matching rules.
+ */
+
+const VERSION_PATTERN = /^\s*[v=]*(\d+)\.(\d+)\.(\d+)(?:-([0-9A-Za-z.-]+))?(?:\+[0-9A-Za-z.-]+)?\s*$/;
+const PARTIAL_PATTERN = /^[v=]*(\d+|[xX*])(?:\.(\d+|[xX*]))?(?:\.(\d+|[xX*]))?(?:-([0-9A-Za-z.-]+))?(?:\+[0-9A-Za-z.-]+)?$/;
+
+/**
+ * Parse a full version string, or return null when it is not valid SemVer
+ */
+export function parseVersion(version) {
+  const match = String(version ?? '').match(VERSION_PATTERN);
+  if (!match) return null;
+
+  return {
+    major: Number(match[1]),
+    minor: Number(match[2]),
+    patch: Number(match[3]),
+    prerelease: match[4] ? match[4].split('.').map(id => (/^\d+$/.test(id) ? Number(id) : id)) : []
+  };
+}
+
+/**
+ * Check whether a string is a valid full version
+ */
+export function isValidVersion(version) {
+  return parseVersion(version) !== null;
+}
+
+function compareIdentifiers(a, b) {
+  if (typeof a === 'number' && typeof b === 'number') return a - b;
+  if (typeof a === 'number') return -1;
+  if (typeof b === 'number') return 1;
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+function compareParsed(a, b) {
+  const main = a.major - b.major || a.minor - b.minor || a.patch - b.patch;
+  if (main !== 0) return Math.sign(main);
+
+  if (a.prerelease.length === 0 && b.prerelease.length === 0) return 0;
+  if (a.prerelease.length === 0) return 1;
+  if (b.prerelease.length === 0) return -1;
+
+  for (let i = 0; i < Math.max(a.prerelease.length, b.prerelease.length); i++) {
+    if (a.prerelease[i] === undefined) return -1;
+    if (b.prerelease[i] === undefined) return 1;
+    const result = compareIdentifiers(a.prerelease[i], b.prerelease[i]);
+    if (result !== 0) return Math.sign(result);
+  }
+
+  return 0;
+}
+
+/**
+ * Compare two versions: -1, 0 or 1
+ */
+export function compareVersions(a, b) {
+  const left = typeof a === 'string' ? parseVersion(a) : a;
+  const right = typeof b === 'string' ? parseVersion(b) : b;
+  if (!left || !right) throw new Error(`Invalid version: ${!left ? a : b}`);
+  return compareParsed(left, right);
+}
+
+/**
+ * Sort versions ascending, dropping anything that is not valid SemVer
+ */
+export function sortVersions(versions) {
+  return versions.filter(isValidVersion).sort(compareVersions);
+}
+
+/**
+ * Get the semver bump between two versions: 'major' | 'minor' | 'patch' | 'prerelease' | null
+ */
+export function diffVersions(from, to) {
+  const a = parseVersion(from);
+  const b = parseVersion(to);
+  if (!a || !b || compareParsed(a, b) === 0) return null;
+  if (a.major !== b.major) return 'major';
+  if (a.minor !== b.minor) return 'minor';
+  if (a.patch !== b.patch) return 'patch';
+  return 'prerelease';
+}
+
+const isWildcard = part => part === undefined || /^[xX*]$/.test(part);
+
+function makeVersion(major, minor, patch, prerelease = []) {
+  return { major, minor, patch, prerelease };
+}
+
+const FLOOR = [0];
+
+/**
+ * Expand one range token into comparators ({ operator, version })
+ */
+function parseComparator(token) {
+  if (token === '' || isWildcard(token)) return [];
+
+  const operatorMatch = token.match(/^(\^|~>?|>=|<=|>|<|=)?(.*)$/);
+  const operator = operatorMatch[1] || '';
+  const partial = operatorMatch[2].match(PARTIAL_PATTERN);
+  if (!partial) throw new Error(`Invalid range token: ${token}`);
+
+  const [, majorPart, minorPart, patchPart, prereleasePart] = partial;
+  if (isWildcard(majorPart)) {
+    return operator === '<' || operator === '>' ? [{ operator: '<', version: makeVersion(0, 0, 0, FLOOR) }] : [];
+  }
+
+  const major = Number(majorPart);
+  const minor = isWildcard(minorPart) ? null : Number(minorPart);
+  const patch = isWildcard(patchPart) ? null : Number(patchPart);
+  const prerelease = prereleasePart ? prereleasePart.split('.').map(id => (/^\d+$/.test(id) ? Number(id) : id)) : [];
+  const lower = makeVersion(major, minor ?? 0, patch ?? 0, prerelease);
+
+  switch (operator) {
+    case '^': {
+      let upper;
+      if (major > 0 || minor === null) upper = makeVersion(major + 1, 0, 0, FLOOR);
+      else if (minor > 0 || patch === null) upper = makeVersion(0, minor + 1, 0, FLOOR);
+      else upper = makeVersion(0, 0, patch + 1, FLOOR);
+      return [{ operator: '>=', version: lower }, { operator: '<', version: upper }];
+    }
+    case '~':
+    case '~>': {
+      const upper = minor === null
+        ? makeVersion(major + 1, 0, 0, FLOOR)
+        : makeVersion(major, minor + 1, 0, FLOOR);
+      return [{ operator: '>=', version: lower }, { operator: '<', version: upper }];
+    }
+    case '>':
+      if (minor === null) return [{ operator: '>=', version: makeVersion(major + 1, 0, 0) }];
+      if (patch === null) return [{ operator: '>=', version: makeVersion(major, minor + 1, 0) }];
+      return [{ operator: '>', version: lower }];
+    case '>=':
+      return [{ operator: '>=', version: lower }];
+    case '<':
+      return [{ operator: '<', version: minor === null || patch === null ? makeVersion(major, minor ?? 0, 0, FLOOR) : lower }];
+    case '<=':
+      if (minor === null) return [{ operator: '<', version: makeVersion(major + 1, 0, 0, FLOOR) }];
+      if (patch === null) return [{ operator: '<', version: makeVersion(major, minor + 1, 0, FLOOR) }];
+      return [{ operator: '<=', version: lower }];
+    default:
+      // Bare or `=` versions; partial versions behave like x-ranges
+      if (minor === null) return [{ operator: '>=', version: lower }, { operator: '<', version: makeVersion(major + 1, 0, 0, FLOOR) }];
+      if (patch === null) return [{ operator: '>=', version: lower }, { operator: '<', version: makeVersion(major, minor + 1, 0, FLOOR) }];
+      return [{ operator: '=', version: lower }];
+  }
+}
+
+/**
+ * Parse a range into a list of comparator sets (one per `||` branch)
+ */
+export function parseRange(range) {
+  const source = String(range ?? '').trim() || '*';
+
+  return source.split('||').map(branch => {
+    const normalized = branch.trim().replace(/(\^|~>?|>=|<=|>|<|=)\s+/g, '$1');
+    const hyphen = normalized.match(/^(\S+)\s+-\s+(\S+)$/);
+
+    if (hyphen) {
+      const from = parseComparator(`>=${hyphen[1]}`);
+      const to = parseComparator(`<=${hyphen[2]}`);
+      return [...from, ...to];
+    }
+
+    return normalized.split(/\s+/).filter(Boolean).flatMap(parseComparator);
+  });
+}
+
+/**
+ * Check whether a string is a range this module understands
+ */
+export function isValidRange(range) {
+  try {
+    parseRange(range);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+function testComparator(version, { operator, version: bound }) {
+  const result = compareParsed(version, bound);
+  switch (operator) {
+    case '>': return result > 0;
+    case '>=': return result >= 0;
+    case '<': return result < 0;
+    case '<=': return result <= 0;
+    default: return result === 0;
+  }
+}
+
+/**
+ * Check whether a version satisfies a range
+ *
+ * Like npm, a prerelease version only matches when a comparator in the same
+ * set names a prerelease of the same major.minor.patch.
+ */
+export function satisfies(version, range) {
+  const parsed = typeof version === 'string' ? parseVersion(version) : version;
+  if (!parsed) return false;
+
+  let sets;
+  try {
+    sets = parseRange(range);
+  } catch (error) {
+    return false;
+  }
+
+  return sets.some(set => {
+    if (!set.every(comparator => testComparator(parsed, comparator))) return false;
+    if (parsed.prerelease.length === 0) return true;
+
+    return set.some(({ version: bound }) =>
+      bound.prerelease.length > 0 && bound.prerelease !== FLOOR &&
+      bound.major === parsed.major && bound.minor === parsed.minor && bound.patch === parsed.patch
+    );
+  });
+}
+
+/**
+ * Lowest version in the list that satisfies the range
+ */
+export function minSatisfying(versions, range) {
+  return sortVersions(versions).find(version => satisfies(version, range)) || null;
+}
+
+/**
+ * Highest version in the list that satisfies the range
+ */
+export function maxSatisfying(versions, range) {
+  return sortVersions(versions).reverse().find(version => satisfies(version, range)) || null;
+}
+
+/**
+ * Extract the base version of a dependency spec (`^1.2.3` → `1.2.3`)
+ */
+export function coerceVersion(spec) {
+  const match = String(spec ?? '').match(/(\d+)(?:\.(\d+))?(?:\.(\d+))?(-[0-9A-Za-z.-]+)?/);
+  if (!match) return null;
+  return `${match[1]}.${match[2] ?? 0}.${match[3] ?? 0}${match[4] ?? ''}`;
+}
+
+/**
+ * Get the prefix style of a dependency spec: '^', '~', '' (exact) or null when
+ * the spec is not a simple version (tags, URLs, complex ranges)
+ */
+export function getRangePrefix(spec) {
+  const match = String(spec ?? '').trim().match(/^(\^|~|=)?v?\d+\.\d+\.\d+(?:-[0-9A-Za-z.-]+)?$/);
+  if (!match) return null;
+  return match[1] === '=' ? '' : match[1] || '';
+}
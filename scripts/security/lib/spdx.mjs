@@ -0,0 +1,176 @@
+/**
+ * SPDX License Normalisation
+ *
+ * npm `license` fields come in many shapes: SPDX expressions, legacy
+ * `{ type }` objects and arrays, free text such as "Apache 2.0" or
+ * "SEE LICENSE IN LICENSE.md". This module maps them to SPDX expressions,
+ * using LicenseRef- identifiers for anything that is not a known SPDX id.
+ */
+
+// SPDX identifiers commonly found in the npm ecosystem
+const KNOWN_IDS = [
+  '0BSD', 'AFL-2.1', 'AFL-3.0', 'AGPL-1.0-only', 'AGPL-3.0-only', 'AGPL-3.0-or-later', 'Apache-1.1', 'Apache-2.0',
+  'Artistic-1.0', 'Artistic-2.0', 'BlueOak-1.0.0', 'BSD-1-Clause', 'BSD-2-Clause', 'BSD-3-Clause', 'BSD-4-Clause',
+  'BSL-1.0', 'CC-BY-3.0', 'CC-BY-4.0', 'CC-BY-SA-4.0', 'CC0-1.0', 'CDDL-1.0', 'CDDL-1.1', 'EPL-1.0', 'EPL-2.0',
+  'EUPL-1.1', 'EUPL-1.2', 'GPL-2.0-only', 'GPL-2.0-or-later', 'GPL-3.0-only', 'GPL-3.0-or-later', 'ISC',
+  'LGPL-2.0-only', 'LGPL-2.0-or-later', 'LGPL-2.1-only', 'LGPL-2.1-or-later', 'LGPL-3.0-only', 'LGPL-3.0-or-later',
+  'MIT', 'MIT-0', 'MPL-1.1', 'MPL-2.0', 'MS-PL', 'ODC-By-1.0', 'OFL-1.1', 'OpenSSL', 'PostgreSQL', 'Python-2.0',
+  'SSPL-1.0', 'Unicode-DFS-2016', 'Unlicense', 'UPL-1.0', 'W3C', 'WTFPL', 'X11', 'Zlib', 'ZPL-2.1'
+];
+
+const KNOWN_EXCEPTIONS = ['Classpath-exception-2.0', 'LLVM-exception', 'GCC-exception-3.1', 'Bison-exception-2.2'];
+
+// Free-text and deprecated spellings → SPDX id
+const ALIASES = {
+  'mit license': 'MIT',
+  'the mit license': 'MIT',
+  'mit/x11': 'MIT',
+  'apache 2': 'Apache-2.0',
+  'apache 2.0': 'Apache-2.0',
+  'apache-2': 'Apache-2.0',
+  'apache license 2.0': 'Apache-2.0',
+  'apache license, version 2.0': 'Apache-2.0',
+  'apache2': 'Apache-2.0',
+  'bsd-2': 'BSD-2-Clause',
+  'bsd-3': 'BSD-3-Clause',
+  'new bsd': 'BSD-3-Clause',
+  'simplified bsd': 'BSD-2-Clause',
+  'gpl-2.0': 'GPL-2.0-only',
+  'gpl-2.0+': 'GPL-2.0-or-later',
+  'gplv2': 'GPL-2.0-only',
+  'gpl-3.0': 'GPL-3.0-only',
+  'gpl-3.0+': 'GPL-3.0-or-later',
+  'gplv3': 'GPL-3.0-only',
+  'lgpl-2.0': 'LGPL-2.0-only',
+  'lgpl-2.1': 'LGPL-2.1-only',
+  'lgpl-2.1+': 'LGPL-2.1-or-later',
+  'lgpl-3.0': 'LGPL-3.0-only',
+  'lgpl-3.0+': 'LGPL-3.0-or-later',
+  'agpl-3.0': 'AGPL-3.0-only',
+  'agpl-3.0+': 'AGPL-3.0-or-later',
+  'mpl 2.0': 'MPL-2.0',
+  'public domain': 'Unlicense',
+  'cc0': 'CC0-1.0',
+  'python 2.0': 'Python-2.0'
+};
+
+const ID_LOOKUP = new Map([...KNOWN_IDS, ...KNOWN_EXCEPTIONS].map(id => [id.toLowerCase(), id]));
+
+/**
+ * Turn arbitrary text into a LicenseRef identifier
+ */
+function toLicenseRef(text) {
+  const slug = String(text).trim().replace(/[^A-Za-z0-9.-]+/g, '-').replace(/^-+|-+$/g, '');
+  return `LicenseRef-${slug || 'unknown'}`;
+}
+
+/**
+ * Normalise a single license identifier
+ */
+function normalizeId(token) {
+  const lower = token.toLowerCase();
+  if (ID_LOOKUP.has(lower)) return { id: ID_LOOKUP.get(lower), known: true };
+  if (ALIASES[lower]) return { id: ALIASES[lower], known: true };
+  if (lower.endsWith('+') && ID_LOOKUP.has(`${lower.slice(0, -1)}-or-later`)) {
+    return { id: ID_LOOKUP.get(`${lower.slice(0, -1)}-or-later`), known: true };
+  }
+  if (/^licenseref-/i.test(token)) return { id: token, known: false };
+  return { id: toLicenseRef(token), known: false };
+}
+
+/**
+ * Check that normalised tokens form an expression: operands joined by
+ * AND/OR, optional `WITH <exception>` and balanced parentheses
+ */
+function isWellFormed(tokens) {
+  let depth = 0;
+  let expectOperand = true;
+
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+    if (expectOperand) {
+      if (token === '(') {
+        depth++;
+      } else if (['AND', 'OR', 'WITH', ')'].includes(token)) {
+        return false;
+      } else {
+        expectOperand = false;
+      }
+    } else if (token === ')') {
+      if (--depth < 0) return false;
+    } else if (token === 'WITH') {
+      if (!tokens[i + 1] || ['AND', 'OR', 'WITH', '(', ')'].includes(tokens[i + 1])) return false;
+      i++;
+    } else if (['AND', 'OR'].includes(token)) {
+      expectOperand = true;
+    } else {
+      return false;
+    }
+  }
+
+  return depth === 0 && !expectOperand;
+}
+
+/**
+ * Normalise a package.json/lockfile license value to an SPDX expression
+ *
+ * Returns `{ expression, ids, unknown }`: the expression (null when the
+ * package declares nothing), the license ids it references and the ones
+ * that are not recognised SPDX ids. Free text that is not an expression
+ * ("BSD 3-Clause") becomes a single LicenseRef- id.
+ */
+export function normalizeLicense(value) {
+  if (Array.isArray(value)) {
+    const parts = value.map(item => normalizeLicense(item)).filter(result => result.expression);
+    if (parts.length === 0) return { expression: null, ids: [], unknown: [] };
+    return {
+      expression: parts.length === 1 ? parts[0].expression : parts.map(part => (part.ids.length > 1 ? `(${part.expression})` : part.expression)).join(' OR '),
+      ids: [...new Set(parts.flatMap(part => part.ids))],
+      unknown: [...new Set(parts.flatMap(part => part.unknown))]
+    };
+  }
+
+  if (value && typeof value === 'object') return normalizeLicense(value.type || value.name);
+
+  const text = String(value ?? '').trim();
+  if (!text) return { expression: null, ids: [], unknown: [] };
+
+  if (/^UNLICENSED$/i.test(text)) return { expression: 'LicenseRef-UNLICENSED', ids: ['LicenseRef-UNLICENSED'], unknown: [] };
+  if (/^SEE LICENSE IN /i.test(text)) {
+    const ref = toLicenseRef(`file-${text.replace(/^SEE LICENSE IN /i, '')}`);
+    return { expression: ref, ids: [ref], unknown: [ref] };
+  }
+
+  // Whole-string aliases first ("Apache License, Version 2.0")
+  const alias = ALIASES[text.toLowerCase().replace(/^\(|\)$/g, '')];
+  if (alias) return { expression: alias, ids: [alias], unknown: [] };
+
+  const ids = [];
+  const unknown = [];
+  const tokens = text.replace(/\(/g, ' ( ').replace(/\)/g, ' ) ').split(/\s+/).filter(Boolean);
+  const output = tokens.map(token => {
+    if (['(', ')'].includes(token)) return token;
+    if (/^(or|and|with)$/i.test(token)) return token.toUpperCase();
+    if (token === '/') return 'OR';
+
+    const { id, known } = normalizeId(token);
+    ids.push(id);
+    if (!known) unknown.push(id);
+    return id;
+  });
+
+  if (!isWellFormed(output)) {
+    const ref = toLicenseRef(text);
+    return { expression: ref, ids: [ref], unknown: [ref] };
+  }
+
+  const expression = output.join(' ').replace(/\( /g, '(').replace(/ \)/g, ')');
+  return { expression, ids: [...new Set(ids)], unknown: [...new Set(unknown)] };
+}
+
+/**
+ * Check whether an identifier is a recognised SPDX license id
+ */
+export function isKnownLicenseId(id) {
+  return ID_LOOKUP.has(String(id).toLowerCase()) && !KNOWN_EXCEPTIONS.includes(id);
+}
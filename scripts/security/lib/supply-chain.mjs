@@ -0,0 +1,234 @@
+/**
+ * Supply-Chain Heuristics
+ *
+ * Flags risky dependency changes between two versions of a lockfile:
+ * - install scripts (preinstall/install/postinstall)
+ * - names within a small edit distance of popular packages (typosquats)
+ * - sources outside the policy's trustedSources (git, tarball URLs, files)
+ * - versions published less than `cooldownDays` ago
+ * - publishers or maintainers that changed since the previous version
+ *
+ * Registry data comes from the cached metadata store in lib/registry.mjs;
+ * checks that need it are skipped when metadata is unavailable.
+ */
+
+import { DEFAULT_POLICY, matchesPackagePattern } from './policy.mjs';
+
+// Frequently typosquatted packages; the repository's own direct dependencies are added at runtime
+export const POPULAR_PACKAGES = [
+  '@babel/core', '@babel/runtime', '@types/node', '@types/react', 'axios', 'babel-core', 'bluebird', 'body-parser',
+  'chalk', 'cheerio', 'classnames', 'colors', 'commander', 'cookie-parser', 'core-js', 'cors', 'cross-env',
+  'cross-spawn', 'date-fns', 'debug', 'dotenv', 'electron', 'eslint', 'esbuild', 'event-stream', 'express',
+  'fs-extra', 'glob', 'graphql', 'husky', 'inquirer', 'jest', 'jquery', 'js-yaml', 'jsonwebtoken', 'lodash',
+  'lodash-es', 'minimist', 'mkdirp', 'moment', 'mongoose', 'ms', 'next', 'node-fetch', 'nodemon', 'prettier',
+  'prop-types', 'qs', 'react', 'react-dom', 'react-native', 'redux', 'request', 'rimraf', 'rxjs', 'semver',
+  'socket.io', 'styled-components', 'tslib', 'typescript', 'uuid', 'vue', 'webpack', 'ws', 'yargs', 'zod'
+];
+
+const SEVERITY_ORDER = ['high', 'moderate', 'low'];
+
+/**
+ * Edit distance counting insertions, deletions, substitutions and adjacent
+ * transpositions (`lodahs` is one edit away from `lodash`)
+ */
+export function editDistance(a, b) {
+  const rows = Array.from({ length: a.length + 1 }, (_, i) => [i, ...Array(b.length).fill(0)]);
+  for (let j = 1; j <= b.length; j++) rows[0][j] = j;
+
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+      }
+    }
+  }
+
+  return rows[a.length][b.length];
+}
+
+/**
+ * Find the popular package a name imitates, if any
+ *
+ * Names that differ only in separators (`crossenv` vs `cross-env`) or by one
+ * edit (two for names of 8+ characters) are suspicious, unless the name is
+ * itself a known package.
+ */
+export function findTyposquatTarget(name, knownNames) {
+  if (knownNames.has(name)) return null;
+
+  const squash = value => value.toLowerCase().replace(/[-_.]/g, '');
+  const unscoped = value => value.replace(/^@[^/]+\//, '');
+
+  for (const candidate of knownNames) {
+    if (squash(candidate) === squash(name)) return candidate;
+
+    const a = unscoped(candidate);
+    const b = unscoped(name);
+    // Short names are too close to each other to compare by distance
+    if (a.length < 4 || Math.abs(a.length - b.length) > 2) continue;
+
+    const threshold = a.length >= 8 ? 2 : 1;
+    if (editDistance(candidate, name) <= threshold) return candidate;
+  }
+
+  return null;
+}
+
+/**
+ * Classify where a lockfile entry was fetched from: npm | github | git | url | file
+ */
+export function classifySource(entry) {
+  const resolved = entry.resolved || '';
+
+  if (entry.link || resolved.startsWith('file:')) return 'file';
+  if (/^(git\+|git:|ssh:|github:)/.test(resolved)) return /github\.com|^github:/.test(resolved) ? 'github' : 'git';
+  if (/^https?:\/\/codeload\.github\.com\//.test(resolved)) return 'github';
+  // Registry tarballs look like <registry>/<name>/-/<name>-<version>.tgz
+  if (/^https?:\/\/.+\/-\/[^/]+\.tgz$/.test(resolved)) return 'npm';
+  if (/^https?:/.test(resolved)) return 'url';
+  return 'npm';
+}
+
+/**
+ * List packages added or changed between two lockfiles
+ *
+ * Entries are compared by install location; one change is reported per
+ * name@version. `previousVersion` falls back to any base copy of the
+ * package (hoisting moves packages around) and `isNew` marks names the base
+ * tree did not contain at all. Workspace and link entries are skipped.
+ */
+export function diffLockfiles(baseLock, headLock) {
+  const basePackages = baseLock?.packages || {};
+  const getName = (location, entry) => entry.name || location.slice(location.lastIndexOf('node_modules/') + 'node_modules/'.length);
+  const baseVersions = new Map();
+  const baseResolved = new Map();
+  const changes = new Map();
+
+  for (const [location, entry] of Object.entries(basePackages)) {
+    if (!location.includes('node_modules/') || entry.link) continue;
+    const name = getName(location, entry);
+    baseVersions.set(name, entry.version);
+    baseResolved.set(`${name}@${entry.version}`, entry.resolved);
+  }
+
+  for (const [location, entry] of Object.entries(headLock?.packages || {})) {
+    if (!location.includes('node_modules/') || entry.link) continue;
+
+    const before = basePackages[location];
+    if (before && before.version === entry.version && before.resolved === entry.resolved) continue;
+
+    const name = getName(location, entry);
+    const key = `${name}@${entry.version}`;
+    // Already installed elsewhere in the base tree (moved by hoisting)
+    if (changes.has(key) || (baseResolved.has(key) && baseResolved.get(key) === entry.resolved)) continue;
+
+    changes.set(key, {
+      name,
+      version: entry.version,
+      previousVersion: before?.version || baseVersions.get(name) || null,
+      isNew: !baseVersions.has(name),
+      location,
+      entry
+    });
+  }
+
+  return [...changes.values()].sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Dependency specs declared by the root and workspace entries of a lockfile
+ */
+export function getDeclaredSpecs(lock) {
+  const specs = new Map();
+  const sections = ['dependencies', 'devDependencies', 'optionalDependencies', 'peerDependencies'];
+
+  for (const [location, entry] of Object.entries(lock?.packages || {})) {
+    if (location.includes('node_modules/')) continue;
+    sections.forEach(section => {
+      Object.entries(entry[section] || {}).forEach(([name, spec]) => {
+        specs.set(name, [...(specs.get(name) || []), spec]);
+      });
+    });
+  }
+
+  return specs;
+}
+
+/**
+ * Classify a package.json dependency spec, or null for plain registry ranges
+ */
+function classifySpec(spec) {
+  if (/^(file:|link:|\.{0,2}\/)/.test(spec)) return 'file';
+  if (/^(github:|[\w-]+\/[\w.-]+(#.*)?$)/.test(spec)) return 'github';
+  if (/^(git\+|git:|git@|ssh:)/.test(spec)) return /github\.com/.test(spec) ? 'github' : 'git';
+  if (/^https?:/.test(spec)) return 'url';
+  return null;
+}
+
+/**
+ * Run every heuristic over a list of changes
+ *
+ * `metadata` is a store from createMetadataStore; `knownNames` the names
+ * typosquats are measured against. Returns findings sorted by severity.
+ */
+export function analyzeChanges(changes, { policy, metadata = null, knownNames = new Set(), declaredSpecs = new Map(), now = new Date() }) {
+  const settings = { ...DEFAULT_POLICY.supplyChain, ...(policy.supplyChain || {}) };
+  const trustedSources = policy.trustedSources || ['npm'];
+  const findings = [];
+  const matches = (name, patterns) => patterns.some(pattern => matchesPackagePattern(name, pattern));
+
+  for (const change of changes) {
+    const { name, version, previousVersion, isNew, entry } = change;
+    const add = (type, severity, message) => findings.push({ type, severity, package: name, version, previousVersion, message });
+    const meta = metadata?.getVersionMetadata(name, version) || null;
+
+    // Typosquats only matter for names new to the tree
+    if (isNew && !matches(name, settings.allowNames)) {
+      const target = findTyposquatTarget(name, knownNames);
+      if (target) add('typosquat', 'high', `name is within a small edit distance of "${target}"`);
+    }
+
+    const source = classifySource(entry);
+    if (!trustedSources.includes(source)) {
+      add('untrusted-source', 'high', `installed from a ${source} source (${entry.resolved}), not in trustedSources`);
+    }
+
+    for (const spec of declaredSpecs.get(name) || []) {
+      const specSource = classifySpec(spec);
+      if (specSource && specSource !== source && !trustedSources.includes(specSource)) {
+        add('untrusted-source', 'high', `declared as "${spec}" (${specSource}), not in trustedSources`);
+      }
+    }
+
+    if ((entry.hasInstallScript || Object.keys(meta?.installScripts || {}).length > 0) && !matches(name, settings.allowInstallScripts)) {
+      const hooks = Object.entries(meta?.installScripts || {}).map(([hook, script]) => `${hook}: ${script}`);
+      add('install-script', 'moderate', `runs install scripts${hooks.length > 0 ? ` (${hooks.join('; ')})` : ''}`);
+    }
+
+    if (meta?.publishedAt) {
+      const ageDays = (now - new Date(meta.publishedAt)) / (1000 * 60 * 60 * 24);
+      if (ageDays < settings.cooldownDays) {
+        add('cooldown', 'moderate', `published ${Math.max(0, Math.floor(ageDays))} day(s) ago, within the ${settings.cooldownDays}-day cooldown`);
+      }
+    }
+
+    if (previousVersion && meta) {
+      const previous = metadata.getVersionMetadata(name, previousVersion);
+      if (previous?.maintainers && meta.maintainers) {
+        const added = meta.maintainers.filter(person => !previous.maintainers.includes(person));
+        if (added.length > 0) add('maintainer-change', 'moderate', `new maintainer(s) since ${previousVersion}: ${added.join(', ')}`);
+      }
+      if (previous?.publisher && meta.publisher && previous.publisher !== meta.publisher &&
+        !(previous.maintainers || []).includes(meta.publisher)) {
+        add('maintainer-change', 'moderate', `published by ${meta.publisher}, ${previousVersion} was published by ${previous.publisher}`);
+      }
+    }
+  }
+
+  return findings.sort((a, b) =>
+    SEVERITY_ORDER.indexOf(a.severity) - SEVERITY_ORDER.indexOf(b.severity) ||
+    a.package.localeCompare(b.package)
+  );
+}
@@ -0,0 +1,154 @@
+/**
+ * Vulnerability Triage (.security-triage.json)
+ *
+ * Persists triage decisions taken in the interactive dashboard so they
+ * survive the session and are shared through the repository. Every entry
+ * names an advisory and package (optionally one workspace) and records its
+ * status, reason, author, timestamp and expiry:
+ * - ignored: deferred for now
+ * - false_positive: the advisory does not apply to this project
+ * - accepted_risk: the advisory applies but the risk is accepted
+ *
+ * Triaged findings are left out of scores, updates and the remediation plan
+ * like findings covered by a policy exception (lib/policy.mjs). Those are
+ * reviewed policy; triage decisions are operational and short-lived. An
+ * expired decision suppresses nothing, so its finding resurfaces on the
+ * next scan.
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { matchesFinding, partitionByExceptions, validateAgainstSchema } from './policy.mjs';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const TRIAGE_FILE = '.security-triage.json';
+export const TRIAGE_SCHEMA_PATH = path.join(__dirname, '..', 'triage.schema.json');
+
+// Label and default lifetime of each status
+export const TRIAGE_STATUSES = {
+  ignored: { label: 'ignored', icon: '🙈', expiresInDays: 30 },
+  false_positive: { label: 'false positive', icon: '🚫', expiresInDays: 180 },
+  accepted_risk: { label: 'accepted risk', icon: '📝', expiresInDays: 90 }
+};
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+/**
+ * Validate the content of a triage file; returns the list of problems
+ */
+function validateTriage(content) {
+  const schema = JSON.parse(fs.readFileSync(TRIAGE_SCHEMA_PATH, 'utf8'));
+  return validateAgainstSchema(content, schema);
+}
+
+/**
+ * Load the triage decisions of the repository
+ *
+ * Returns `{ entries, path }`; a missing file has no entries, an invalid
+ * one throws with every problem listed.
+ */
+export function loadTriage(projectRoot) {
+  const triagePath = path.join(projectRoot, TRIAGE_FILE);
+  if (!fs.existsSync(triagePath)) return { entries: [], path: null };
+
+  let content;
+  try {
+    content = JSON.parse(fs.readFileSync(triagePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Triage file ${triagePath} is not valid JSON: ${error.message}`);
+  }
+
+  const errors = validateTriage(content);
+  if (errors.length > 0) {
+    throw new Error(`Triage file ${triagePath} is invalid:\n  - ${errors.join('\n  - ')}`);
+  }
+
+  return { entries: content.entries, path: triagePath };
+}
+
+/**
+ * Default expiry date (YYYY-MM-DD) of a decision with the given status
+ */
+export function getDefaultExpiry(status, now = new Date()) {
+  return new Date(now.getTime() + TRIAGE_STATUSES[status].expiresInDays * DAY_MS).toISOString().slice(0, 10);
+}
+
+/**
+ * Author recorded for new decisions: the git user, else the OS user
+ */
+export function getTriageAuthor(git) {
+  const name = git.getConfig('user.name');
+  const email = git.getConfig('user.email');
+  if (name) return email ? `${name} <${email}>` : name;
+  return os.userInfo().username;
+}
+
+/**
+ * Find the decision covering a finding in a workspace (null: none)
+ *
+ * Entries match like policy ignore entries (see matchesFinding); of several
+ * matches the longest-lived wins.
+ */
+export function findTriageEntry(finding, entries, workspace = null) {
+  return entries
+    .filter(entry => matchesFinding(entry, finding) && (!entry.workspace || entry.workspace === workspace))
+    .sort((a, b) => b.expires.localeCompare(a.expires))[0] || null;
+}
+
+/**
+ * Apply triage decisions to findings
+ *
+ * Returns the findings still active, the triaged ones (annotated with their
+ * `triage` entry) and the expired decisions that matched a finding. Findings
+ * of expired decisions stay active.
+ */
+export function applyTriage(findings, entries, { workspace = null, now = new Date() } = {}) {
+  const { active, covered, expired } = partitionByExceptions(findings, finding => findTriageEntry(finding, entries, workspace), now);
+
+  return { active, triaged: covered.map(({ finding, entry }) => ({ ...finding, triage: entry })), expired };
+}
+
+/**
+ * Record decisions in the triage file, replacing earlier decisions on the
+ * same advisory, package and workspace
+ *
+ * `decisions` carry `{ id, package, workspace?, status, reason, author,
+ * expires? }`; the timestamp is set here and the expiry defaults to the
+ * status's lifetime. Creates the file when the repository has none and
+ * throws (writing nothing) when a decision is invalid.
+ */
+export function recordTriageDecisions(projectRoot, decisions, now = new Date()) {
+  const file = path.join(projectRoot, TRIAGE_FILE);
+  const content = fs.existsSync(file)
+    ? JSON.parse(fs.readFileSync(file, 'utf8'))
+    : { $schema: './scripts/security/triage.schema.json', version: 1, entries: [] };
+
+  const sameTarget = (a, b) => a.id === b.id && a.package === b.package && (a.workspace || null) === (b.workspace || null);
+  const added = decisions.map(({ workspace, ...decision }) => ({
+    id: decision.id,
+    package: decision.package,
+    ...(workspace ? { workspace } : {}),
+    status: decision.status,
+    reason: decision.reason,
+    author: decision.author,
+    timestamp: now.toISOString(),
+    expires: decision.expires || (TRIAGE_STATUSES[decision.status] ? getDefaultExpiry(decision.status, now) : '')
+  }));
+
+  content.entries = [
+    ...(content.entries || []).filter(entry => !added.some(decision => sameTarget(entry, decision))),
+    ...added
+  ];
+
+  const errors = validateTriage(content);
+  if (errors.length > 0) {
+    throw new Error(`Invalid triage decision:\n  - ${errors.join('\n  - ')}`);
+  }
+
+  fs.writeFileSync(file, JSON.stringify(content, null, 2) + '\n');
+  return file;
+}
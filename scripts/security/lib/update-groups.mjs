@@ -0,0 +1,104 @@
+/**
+ * Update Groups
+ *
+ * Splits the planned changes of a workspace into groups that are installed
+ * and verified one at a time, so a broken major upgrade only rolls back
+ * itself instead of blocking safe patches:
+ * - ecosystem groups (policy `updates.groups`) move in lockstep
+ * - every other breaking change (major, or minor below 1.0.0) and every
+ *   change of unknown risk stands alone
+ * - the remaining minor upgrades share one group, patch upgrades another
+ *
+ * Groups marked `expoSdk` contain packages whose versions the Expo SDK pins.
+ * In a workspace that depends on expo, changes to versions taken from the
+ * SDK table (`sdkAligned`, see lib/expo-sdk.mjs) join that group; other
+ * non-security changes of its packages are held back: they move with the
+ * expo package itself, and `npx expo install --fix` realigns them after an
+ * expo upgrade.
+ */
+
+import { matchesPackagePattern } from './policy.mjs';
+
+// Used when the policy defines no groups
+export const DEFAULT_UPDATE_GROUPS = [
+  {
+    name: 'expo',
+    packages: ['expo', 'expo-*', '@expo/*', 'react-native', '@react-native/*', 'react', 'react-dom'],
+    expoSdk: true
+  },
+  { name: 'storybook', packages: ['storybook', '@storybook/*'] }
+];
+
+// Safest groups first, so their fixes land even if a later group fails
+const GROUP_ORDER = ['patch', 'minor', 'ecosystem', 'single'];
+
+/**
+ * Find the ecosystem group a package belongs to, or null
+ */
+export function findUpdateGroup(packageName, groups = DEFAULT_UPDATE_GROUPS) {
+  return groups.find(group => group.packages.some(pattern => matchesPackagePattern(packageName, pattern))) || null;
+}
+
+/**
+ * Whether a workspace manifest depends on expo
+ */
+export function usesExpo(packageContent) {
+  return ['dependencies', 'devDependencies'].some(section => Boolean(packageContent?.[section]?.expo));
+}
+
+/**
+ * Assign a group to every change (sets `change.group`)
+ *
+ * Expo SDK pinned packages are disabled in Expo workspaces unless the change
+ * is a security fix, follows the SDK table or is the expo package itself.
+ * Changes that already carry a group (e.g. edited in a plan) keep it.
+ */
+export function assignUpdateGroups(changes, { groups = DEFAULT_UPDATE_GROUPS, expo = false } = {}) {
+  const sdkGroup = groups.find(group => group.expoSdk);
+
+  for (const change of changes) {
+    const ecosystem = findUpdateGroup(change.package, groups);
+
+    if (!change.group) {
+      if (ecosystem) change.group = ecosystem.name;
+      else if (change.sdkAligned && sdkGroup) change.group = sdkGroup.name;
+      else if (change.breaking || !['patch', 'minor'].includes(change.risk)) change.group = `${change.risk}:${change.package}`;
+      else change.group = change.risk;
+    }
+
+    if (ecosystem?.expoSdk && expo && change.package !== 'expo' && change.type !== 'security' && !change.sdkAligned && change.enabled !== false) {
+      change.enabled = false;
+      change.hints = [...(change.hints || []), 'version pinned by the Expo SDK: it moves with expo (`npx expo install --fix`), not on its own'];
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * Group enabled changes in the order they should be applied
+ *
+ * Returns `[{ name, kind, expoSdk, changes }]` where kind is patch, minor,
+ * ecosystem or single.
+ */
+export function groupChanges(changes, { groups = DEFAULT_UPDATE_GROUPS } = {}) {
+  const byName = new Map();
+
+  for (const change of changes.filter(entry => entry.enabled !== false)) {
+    const name = change.group || change.risk || 'single';
+    if (!byName.has(name)) {
+      const ecosystem = groups.find(group => group.name === name);
+      byName.set(name, {
+        name,
+        kind: ecosystem ? 'ecosystem' : ['patch', 'minor'].includes(name) ? name : 'single',
+        expoSdk: Boolean(ecosystem?.expoSdk),
+        changes: []
+      });
+    }
+    byName.get(name).changes.push(change);
+  }
+
+  return [...byName.values()].sort((a, b) =>
+    GROUP_ORDER.indexOf(a.kind) - GROUP_ORDER.indexOf(b.kind) || a.name.localeCompare(b.name)
+  );
+}
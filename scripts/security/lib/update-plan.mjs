@@ -0,0 +1,208 @@
+/**
+ * Update Plans
+ *
+ * A reviewable record of the version changes an update run would make. The
+ * `plan` command of dependency-manager.mjs resolves every proposed update to
+ * an exact manifest edit (section, spec before, spec after) with the reason
+ * and its risk; `apply --plan <file>` performs those edits and nothing else.
+ *
+ * Reviewers may delete changes, set `"enabled": false`, edit `to` or move a
+ * change to another `group` (see lib/update-groups.mjs) before applying. Applying refuses to run when a manifest no longer holds the
+ * `from` spec a change was planned against.
+ */
+
+import fs from 'fs';
+import { coerceVersion, diffVersions, parseVersion } from './semver.mjs';
+
+export const PLAN_VERSION = 1;
+export const RISK_ICONS = { major: '🔴', minor: '🟡', patch: '🟢', prerelease: '🟠', unknown: '⚪' };
+
+const MANIFEST_SECTIONS = ['dependencies', 'devDependencies', 'optionalDependencies', 'peerDependencies', 'overrides'];
+
+/**
+ * Rate a spec change: the semver bump plus hints about likely breakage
+ *
+ * `breaking` is set for major upgrades and minor upgrades below 1.0.0.
+ * `override` marks a root `overrides` entry, which forces a version on
+ * packages that did not ask for it.
+ */
+export function assessRisk(from, to, { override = false } = {}) {
+  const before = coerceVersion(from);
+  const after = coerceVersion(to);
+  const risk = before && after ? diffVersions(before, after) || 'patch' : 'unknown';
+  const hints = [];
+  const breaking = risk === 'major' || (risk === 'minor' && parseVersion(before)?.major === 0);
+
+  if (risk === 'major') {
+    hints.push(`major upgrade ${before} → ${after}: read the changelog for breaking changes`);
+  } else if (risk === 'minor' && parseVersion(before)?.major === 0) {
+    hints.push(`0.x minor upgrade ${before} → ${after}: semver allows breaking changes below 1.0.0`);
+  } else if (risk === 'unknown') {
+    hints.push(`"${from ?? '(none)'}" → "${to}" is not a plain version change: check it manually`);
+  }
+  if (parseVersion(after)?.prerelease.length > 0) {
+    hints.push(`${after} is a prerelease`);
+  }
+  if (override) {
+    hints.push('forced through root overrides: packages depending on it may not have been tested with this version');
+  }
+
+  return { risk, hints, breaking };
+}
+
+/**
+ * Create a plan document
+ *
+ * `workspaces` maps workspace key → `{ dir, changes }` with `dir` relative
+ * to the project root.
+ */
+export function createPlan({ workspaces, mode, commit = null, policy = null, now = new Date() }) {
+  const changes = Object.values(workspaces).flatMap(workspace => workspace.changes);
+
+  return {
+    version: PLAN_VERSION,
+    generatedAt: now.toISOString(),
+    commit,
+    mode,
+    policy,
+    summary: {
+      changes: changes.length,
+      security: changes.filter(change => change.type === 'security').length,
+      major: changes.filter(change => change.risk === 'major').length,
+      held: changes.filter(change => change.enabled === false).length
+    },
+    workspaces
+  };
+}
+
+/**
+ * Read and validate a plan file
+ *
+ * Throws with every problem found, so a hand-edited plan is fixed in one go.
+ */
+export function readPlan(filePath) {
+  let plan;
+  try {
+    plan = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Cannot read update plan ${filePath}: ${error.message}`);
+  }
+
+  const problems = [];
+  if (plan?.version !== PLAN_VERSION) {
+    problems.push(`unsupported plan version ${plan?.version} (expected ${PLAN_VERSION})`);
+  }
+  if (!plan?.workspaces || typeof plan.workspaces !== 'object') {
+    problems.push('missing "workspaces"');
+  }
+
+  for (const [name, workspace] of Object.entries(plan?.workspaces || {})) {
+    if (!Array.isArray(workspace?.changes)) {
+      problems.push(`${name}: "changes" must be an array`);
+      continue;
+    }
+    workspace.changes.forEach((change, index) => {
+      const where = `${name} change ${index + 1}${change?.package ? ` (${change.package})` : ''}`;
+      if (!change?.package) problems.push(`${where}: missing "package"`);
+      if (!change?.manifest) problems.push(`${where}: missing "manifest"`);
+      if (!MANIFEST_SECTIONS.includes(change?.section)) {
+        problems.push(`${where}: "section" must be one of ${MANIFEST_SECTIONS.join(', ')}`);
+      }
+      if (typeof change?.to !== 'string' || change.to.trim() === '') problems.push(`${where}: "to" must be a non-empty string`);
+    });
+  }
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid update plan ${filePath}:\n${problems.map(problem => `   • ${problem}`).join('\n')}`);
+  }
+
+  return plan;
+}
+
+/**
+ * Changes of a workspace that should be applied
+ */
+export function getEnabledChanges(workspace) {
+  return (workspace?.changes || []).filter(change => change.enabled !== false);
+}
+
+/**
+ * Find changes whose manifest no longer holds the planned `from` spec
+ *
+ * `manifests` maps manifest path (as written in the plan) → parsed content.
+ */
+export function findPlanDrift(changes, manifests) {
+  return changes
+    .map(change => {
+      const content = manifests.get(change.manifest);
+      if (!content) return `${change.manifest} not found (planned change to ${change.package})`;
+
+      const current = content[change.section]?.[change.package] ?? null;
+      if (current === (change.from ?? null) || current === change.to) return null;
+      return `${change.manifest}: ${change.section}.${change.package} is ${current === null ? 'not declared' : `"${current}"`}, planned from "${change.from}"`;
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Write changes into parsed manifests
+ *
+ * Returns the set of manifest paths that were modified.
+ */
+export function applyPlanChanges(changes, manifests) {
+  const modified = new Set();
+
+  for (const change of changes) {
+    const content = manifests.get(change.manifest);
+    if (content[change.section]?.[change.package] === change.to) continue;
+
+    content[change.section] = content[change.section] || {};
+    content[change.section][change.package] = change.to;
+    modified.add(change.manifest);
+  }
+
+  return modified;
+}
+
+/**
+ * Render a plan as Markdown, e.g. for the body of the update pull request
+ */
+export function renderPlanMarkdown(plan, { planFile = null } = {}) {
+  const lines = [];
+
+  lines.push('## Dependency Update Plan 🗺️', '');
+  lines.push(`_Generated ${plan.generatedAt}${plan.commit ? ` at \`${plan.commit.slice(0, 12)}\`` : ''} (${plan.mode} mode)_`, '');
+  lines.push(`${plan.summary.changes} change(s), ${plan.summary.security} security fix(es), ${plan.summary.major} major upgrade(s)${plan.summary.held ? `, ${plan.summary.held} held back` : ''}`, '');
+  lines.push('Each group is installed and verified on its own; a failing group is rolled back without affecting the others.', '');
+
+  for (const [name, workspace] of Object.entries(plan.workspaces)) {
+    if (workspace.changes.length === 0) continue;
+
+    lines.push(`### ${name}`, '');
+    lines.push('| Group | Risk | Package | Change | Reason |');
+    lines.push('| --- | --- | --- | --- | --- |');
+    workspace.changes.forEach(change => {
+      const where = change.section === 'dependencies' ? '' : ` (${change.section})`;
+      const skipped = change.enabled === false ? ' ~~skipped~~' : '';
+      lines.push(`| ${change.group || '-'} | ${RISK_ICONS[change.risk] || ''} ${change.risk} | \`${change.package}\`${where}${skipped} | \`${change.from ?? '-'}\` → \`${change.to}\` | ${change.reason} |`);
+    });
+    lines.push('');
+
+    const hinted = workspace.changes.filter(change => change.hints?.length > 0);
+    if (hinted.length > 0) {
+      lines.push('**Review notes:**', '');
+      hinted.forEach(change => change.hints.forEach(hint => lines.push(`- \`${change.package}\`: ${hint}`)));
+      lines.push('');
+    }
+  }
+
+  if (plan.summary.changes === 0) {
+    lines.push('No dependency changes proposed.', '');
+  }
+
+  if (planFile) {
+    lines.push(`Apply with \`node scripts/security/dependency-manager.mjs apply --plan ${planFile}\``, '');
+  }
+
+  return lines.join('\n');
+}
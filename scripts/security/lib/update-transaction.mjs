@@ -0,0 +1,101 @@
+/**
+ * Update Transactions
+ *
+ * Snapshots the manifest and lockfiles a dependency update touches so a
+ * failed install or verification can restore them byte for byte.
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+// npm's placeholder test script always fails; it is not a real check
+const PLACEHOLDER_TEST = /no test specified/;
+
+// Running another package's scripts (`cd mobile && npm test`, npm
+// --workspaces) verifies that package, not this one
+const FANS_OUT = /(?:^|&&|;|\|\|)\s*cd\s|--workspaces?\b|(?:^|\s)-ws?(?:\s|=|$)/;
+
+// A script that only chains other scripts of the same package
+const SCRIPT_CHAIN = /^\s*npm run [\w:.-]+(?:\s*&&\s*npm run [\w:.-]+)*\s*$/;
+
+/**
+ * Capture the current content of each file (null when it does not exist)
+ */
+export function snapshotFiles(filePaths) {
+  const snapshot = new Map();
+
+  for (const filePath of new Set(filePaths)) {
+    snapshot.set(filePath, fs.existsSync(filePath) ? fs.readFileSync(filePath) : null);
+  }
+
+  return snapshot;
+}
+
+/**
+ * Restore every file in a snapshot, deleting files that did not exist before
+ *
+ * Returns the list of files that were changed back.
+ */
+export function restoreSnapshot(snapshot) {
+  const restored = [];
+
+  for (const [filePath, content] of snapshot) {
+    const current = fs.existsSync(filePath) ? fs.readFileSync(filePath) : null;
+    if (content === null && current === null) continue;
+    if (content !== null && current !== null && content.equals(current)) continue;
+
+    if (content === null) {
+      fs.rmSync(filePath, { force: true });
+    } else {
+      fs.writeFileSync(filePath, content);
+    }
+    restored.push(filePath);
+  }
+
+  return restored;
+}
+
+/**
+ * Files an update of a workspace can modify
+ */
+export function getTransactionFiles(packageDir, projectRoot) {
+  return [
+    path.join(packageDir, 'package.json'),
+    path.join(packageDir, 'package-lock.json'),
+    path.join(projectRoot, 'package.json'),
+    path.join(projectRoot, 'package-lock.json')
+  ];
+}
+
+/**
+ * Scripts reached from `name` that check the package itself
+ *
+ * Follows scripts that only chain other scripts and drops those that fan
+ * out to other packages, so the root `test` script of a monorepo leaves its
+ * own `test:security` rather than every workspace's test suite.
+ */
+function resolveOwnScripts(scripts, name, seen = new Set()) {
+  const script = scripts[name];
+  if (!script || seen.has(name)) return [];
+  seen.add(name);
+
+  if (SCRIPT_CHAIN.test(script)) {
+    return [...script.matchAll(/npm run ([\w:.-]+)/g)].flatMap(([, next]) => resolveOwnScripts(scripts, next, seen));
+  }
+  if (FANS_OUT.test(script) || PLACEHOLDER_TEST.test(script)) return [];
+  return [name];
+}
+
+/**
+ * Build the verification command list for a workspace
+ *
+ * Explicit commands win; otherwise the workspace's own `test` and `lint`
+ * scripts are used when they exist (see resolveOwnScripts). Other packages
+ * are verified as workspaces of their own.
+ */
+export function getVerificationCommands(packageContent, configured = []) {
+  if (configured.length > 0) return configured;
+
+  const scripts = packageContent?.scripts || {};
+  return [...new Set(['test', 'lint'].flatMap(name => resolveOwnScripts(scripts, name)))].map(name => `npm run ${name}`);
+}
@@ -0,0 +1,174 @@
+/**
+ * Workspace Discovery
+ *
+ * Resolves the packages of the monorepo from the `workspaces` field of the
+ * root package.json, so the security tooling scans whatever the repository
+ * actually declares instead of a hardcoded list.
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+const IGNORED_DIRS = new Set(['node_modules', '.git']);
+
+/**
+ * Read the workspace patterns from a root package.json
+ *
+ * Supports both the array form and the `{ packages: [...] }` object form.
+ */
+function getWorkspacePatterns(rootPackage) {
+  const workspaces = rootPackage?.workspaces;
+  if (Array.isArray(workspaces)) return workspaces;
+  if (workspaces && Array.isArray(workspaces.packages)) return workspaces.packages;
+  return [];
+}
+
+/**
+ * Convert a single glob segment (`*`, `pkg-*`) into a RegExp
+ */
+function segmentToRegExp(segment) {
+  const escaped = segment.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`^${escaped.replace(/\*/g, '[^/]*').replace(/\?/g, '[^/]')}$`);
+}
+
+/**
+ * List sub-directories of a directory, skipping dependency and VCS folders
+ */
+function listDirectories(dir) {
+  try {
+    return fs.readdirSync(dir, { withFileTypes: true })
+      .filter(entry => entry.isDirectory() && !IGNORED_DIRS.has(entry.name))
+      .map(entry => entry.name);
+  } catch (error) {
+    return [];
+  }
+}
+
+/**
+ * Expand a workspace glob into directories relative to the root
+ */
+function expandPattern(rootDir, pattern) {
+  const segments = pattern.replace(/^\.\//, '').replace(/\/$/, '').split('/').filter(Boolean);
+  let matches = [''];
+
+  for (const segment of segments) {
+    const next = [];
+
+    for (const base of matches) {
+      const baseDir = path.join(rootDir, base);
+
+      if (segment === '**') {
+        // Zero or more directories
+        const stack = [base];
+        while (stack.length > 0) {
+          const current = stack.pop();
+          next.push(current);
+          for (const child of listDirectories(path.join(rootDir, current))) {
+            stack.push(path.posix.join(current, child));
+          }
+        }
+      } else if (/[*?]/.test(segment)) {
+        const matcher = segmentToRegExp(segment);
+        for (const child of listDirectories(baseDir)) {
+          if (matcher.test(child)) next.push(path.posix.join(base, child));
+        }
+      } else if (fs.existsSync(path.join(baseDir, segment))) {
+        next.push(path.posix.join(base, segment));
+      }
+    }
+
+    matches = next;
+  }
+
+  return matches.filter(Boolean);
+}
+
+/**
+ * Discover all workspaces declared by the root package.json
+ *
+ * Returns an ordered map of workspace key → { name, dir, path, relativeDir, content }.
+ * The root package is always included under the `root` key.
+ */
+export function discoverWorkspaces(rootDir) {
+  const rootPackagePath = path.join(rootDir, 'package.json');
+  const rootPackage = JSON.parse(fs.readFileSync(rootPackagePath, 'utf8'));
+
+  const workspaces = {
+    root: {
+      name: rootPackage.name || 'root',
+      dir: rootDir,
+      path: rootPackagePath,
+      relativeDir: '.',
+      content: rootPackage
+    }
+  };
+
+  const patterns = getWorkspacePatterns(rootPackage);
+  const included = new Set();
+
+  for (const pattern of patterns) {
+    if (pattern.startsWith('!')) continue;
+    expandPattern(rootDir, pattern).forEach(dir => included.add(dir));
+  }
+
+  // Negated patterns remove previously matched directories
+  for (const pattern of patterns.filter(p => p.startsWith('!'))) {
+    expandPattern(rootDir, pattern.slice(1)).forEach(dir => included.delete(dir));
+  }
+
+  const missing = [];
+
+  for (const relativeDir of [...included].sort()) {
+    const packagePath = path.join(rootDir, relativeDir, 'package.json');
+    if (!fs.existsSync(packagePath)) continue;
+
+    try {
+      const content = JSON.parse(fs.readFileSync(packagePath, 'utf8'));
+      workspaces[relativeDir] = {
+        name: content.name || relativeDir,
+        dir: path.join(rootDir, relativeDir),
+        path: packagePath,
+        relativeDir,
+        content
+      };
+    } catch (error) {
+      console.warn(`⚠️  Invalid package.json in workspace ${relativeDir}: ${error.message}`);
+    }
+  }
+
+  // Literal patterns that resolved to nothing are worth a warning
+  for (const pattern of patterns) {
+    if (pattern.startsWith('!') || /[*?]/.test(pattern)) continue;
+    const relativeDir = pattern.replace(/^\.\//, '').replace(/\/$/, '');
+    if (!workspaces[relativeDir]) missing.push(relativeDir);
+  }
+
+  return { workspaces, missing };
+}
+
+/**
+ * Restrict discovered workspaces to the given names
+ *
+ * A filter entry matches a workspace key (its directory), its package name
+ * or the special `root` key. Unknown entries are returned so callers can warn.
+ */
+export function filterWorkspaces(workspaces, names = []) {
+  if (names.length === 0) return { selected: workspaces, unknown: [] };
+
+  const selected = {};
+  const unknown = [];
+
+  for (const name of names) {
+    const match = Object.entries(workspaces).find(([key, workspace]) =>
+      key === name || workspace.name === name || workspace.relativeDir === name.replace(/\/$/, '')
+    );
+
+    if (match) {
+      selected[match[0]] = match[1];
+    } else {
+      unknown.push(name);
+    }
+  }
+
+  return { selected, unknown };
+}
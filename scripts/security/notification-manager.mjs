@@ -3,12 +3,18 @@
 /**
  * Security Notification Manager
  * Handles email, browser, and team notifications for security events
+ *
+ * `send` takes the alert JSON as an argument or, when piped, on stdin.
+ * Supports the shared --json/--quiet/NO_COLOR options (see lib/cli.mjs);
+ * exits 2 when the alert is invalid or a configured channel fails.
  */
 
 import nodemailer from 'nodemailer';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { renderHtml } from './lib/report-renderer.mjs';
+import { EXIT_CODES, configureOutput, exitWithError, formatCliHelp, parseCliOptions } from './lib/cli.mjs';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -73,6 +79,8 @@ class SecurityNotificationManager {
 
   /**
    * Send security alert notification
+   *
+   * Returns the outcome per channel: sent, prepared, skipped or failed.
    */
   async sendSecurityAlert(alert) {
     const { severity, title, description, vulnerabilities = [], actions = [] } = alert;
@@ -80,11 +88,13 @@ class SecurityNotificationManager {
     console.log(`🚨 Sending ${severity} security alert: ${title}`);
 
     // Send via all configured channels
-    await Promise.all([
+    const [email, browser, slack] = await Promise.all([
       this.sendEmailAlert(alert),
       this.sendBrowserNotification(alert),
       this.sendSlackAlert(alert)
     ]);
+
+    return { email, browser, slack };
   }
 
   /**
@@ -93,7 +103,7 @@ class SecurityNotificationManager {
   async sendEmailAlert(alert) {
     if (!this.emailTransporter) {
       console.log('📧 Email not configured, skipping...');
-      return;
+      return 'skipped';
     }
 
     const { severity, title, description, vulnerabilities = [], actions = [] } = alert;
@@ -103,7 +113,8 @@ class SecurityNotificationManager {
 
     const subject = `🚨 [${severity.toUpperCase()}] Security Alert: ${title}`;
 
-    const html = `
+    // Alerts carrying a full security report reuse the shared report page
+    const html = alert.report ? renderHtml(alert.report) : `
       <html>
         <body style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
           <div style="background: ${severity === 'critical' ? '#fee' : '#fef'}; padding: 20px; border-radius: 8px; margin-bottom: 20px;">
@@ -160,8 +171,10 @@ class SecurityNotificationManager {
         html
       });
       console.log(`✅ Email sent to ${recipients.length} recipients`);
+      return 'sent';
     } catch (error) {
       console.error('❌ Email send failed:', error.message);
+      return 'failed';
     }
   }
 
@@ -171,7 +184,7 @@ class SecurityNotificationManager {
   async sendBrowserNotification(alert) {
     if (!NOTIFICATION_CONFIG.browser.enabled) {
       console.log('🌐 Browser notifications disabled, skipping...');
-      return;
+      return 'skipped';
     }
 
     const { severity, title } = alert;
@@ -191,9 +204,10 @@ class SecurityNotificationManager {
 
       // Note: Actual browser notification would require FCM setup
       console.log('💡 To enable browser notifications, configure FCM credentials');
-
+      return 'prepared';
     } catch (error) {
       console.error('❌ Browser notification failed:', error.message);
+      return 'failed';
     }
   }
 
@@ -203,7 +217,7 @@ class SecurityNotificationManager {
   async sendSlackAlert(alert) {
     if (!NOTIFICATION_CONFIG.slack.enabled || !NOTIFICATION_CONFIG.slack.webhook) {
       console.log('💬 Slack notifications not configured, skipping...');
-      return;
+      return 'skipped';
     }
 
     const { severity, title, description, vulnerabilities = [] } = alert;
@@ -244,11 +258,12 @@ class SecurityNotificationManager {
 
       if (response.ok) {
         console.log('✅ Slack notification sent');
-      } else {
-        throw new Error(`HTTP ${response.status}`);
+        return 'sent';
       }
+      throw new Error(`HTTP ${response.status}`);
     } catch (error) {
       console.error('❌ Slack notification failed:', error.message);
+      return 'failed';
     }
   }
 
@@ -344,10 +359,38 @@ class SecurityNotificationManager {
   }
 }
 
+/**
+ * Read the alert JSON of `send` from the argument, or from stdin when piped
+ */
+async function readAlertInput(argument) {
+  if (argument && !argument.startsWith('--')) return argument;
+  if (process.stdin.isTTY) return null;
+
+  let input = '';
+  for await (const chunk of process.stdin) input += chunk;
+  return input.trim() || null;
+}
+
 // CLI execution
 if (import.meta.url === `file://${process.argv[1]}`) {
+  let cli = { json: process.argv.includes('--json'), positionals: [] };
+  try {
+    cli = parseCliOptions(process.argv.slice(2));
+  } catch (error) {
+    exitWithError(error.message, cli);
+  }
+  const output = configureOutput(cli);
   const manager = new SecurityNotificationManager();
-  const command = process.argv[2];
+  const [command, argument] = cli.positionals;
+
+  const deliver = async alert => {
+    const channels = await manager.sendSecurityAlert(alert);
+    const failed = Object.values(channels).includes('failed');
+    if (cli.json) {
+      output.writeJson({ exitCode: failed ? EXIT_CODES.ERROR : EXIT_CODES.OK, severity: alert.severity, title: alert.title, channels });
+    }
+    process.exitCode = failed ? EXIT_CODES.ERROR : EXIT_CODES.OK;
+  };
 
   switch (command) {
     case 'setup':
@@ -355,23 +398,24 @@ if (import.meta.url === `file://${process.argv[1]}`) {
       break;
 
     case 'test':
-      const severity = process.argv[3] || 'high';
-      const testAlert = manager.createTestAlert(severity);
-      await manager.sendSecurityAlert(testAlert);
+      await deliver(manager.createTestAlert(argument || 'high'));
       break;
 
-    case 'send':
-      if (process.argv[3]) {
-        try {
-          const alert = JSON.parse(process.argv[3]);
-          await manager.sendSecurityAlert(alert);
-        } catch (error) {
-          console.error('❌ Invalid alert JSON:', error.message);
-        }
-      } else {
-        console.error('❌ Alert data required');
+    case 'send': {
+      const input = await readAlertInput(argument);
+      if (!input) {
+        exitWithError('Alert data required: send \'<json>\' or pipe the JSON on stdin', cli);
+      }
+
+      let alert;
+      try {
+        alert = JSON.parse(input);
+      } catch (error) {
+        exitWithError(`Invalid alert JSON: ${error.message}`, cli);
       }
+      await deliver(alert);
       break;
+    }
 
     default:
       console.log('🔔 Security Notification Manager');
@@ -379,7 +423,9 @@ if (import.meta.url === `file://${process.argv[1]}`) {
       console.log('Usage:');
       console.log('  setup     - Configure notification settings');
       console.log('  test      - Send test notification');
-      console.log('  send      - Send custom alert (JSON)');
+      console.log('  send      - Send custom alert (JSON argument or stdin)');
+      console.log('');
+      console.log(formatCliHelp());
   }
 }
 
@@ -0,0 +1,225 @@
+#!/usr/bin/env node
+
+/**
+ * Supply-Chain Check
+ *
+ * Compares the lockfiles of two git refs and runs the supply-chain
+ * heuristics (see lib/supply-chain.mjs) on every dependency that was added
+ * or changed: install scripts, typosquat-like names, untrusted sources,
+ * cooldown age and maintainer changes. Registry metadata is cached under
+ * reports/registry-cache so repeated runs and offline runs reuse it.
+ *
+ * Usage:
+ *   node scripts/security/supply-chain-check.mjs [options]
+ *
+ * Options:
+ *   --base <ref>     Ref to compare against (default: HEAD)
+ *   --head <ref>     Ref to check (default: the working tree)
+ *   --offline        Use cached registry metadata only
+ *   --policy <file>  Use an alternative policy file instead of .securityrc
+ *   --json, --quiet, --fail-on <severity> (default: high), NO_COLOR:
+ *                    shared CLI contract, see lib/cli.mjs
+ *
+ * Exit codes: 0 nothing at or above --fail-on, 1 findings at or above it
+ * (by default the high-risk ones: typosquats, untrusted sources), 2 error.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { discoverWorkspaces } from './lib/workspaces.mjs';
+import { createGitService } from './lib/git.mjs';
+import { loadPolicy } from './lib/policy.mjs';
+import { createMetadataStore } from './lib/registry.mjs';
+import { POPULAR_PACKAGES, analyzeChanges, diffLockfiles, getDeclaredSpecs } from './lib/supply-chain.mjs';
+import { EXIT_CODES, configureOutput, exceedsThreshold, exitWithError, formatCliHelp, parseCliOptions } from './lib/cli.mjs';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const projectRoot = path.resolve(__dirname, '../..');
+const git = createGitService(projectRoot);
+
+const TYPE_LABELS = {
+  typosquat: '🎭 Typosquat',
+  'untrusted-source': '🌐 Untrusted source',
+  'install-script': '📜 Install script',
+  cooldown: '🕐 Cooldown',
+  'maintainer-change': '👤 Maintainer change'
+};
+
+/**
+ * Get the value of an option (`--flag value` or `--flag=value`)
+ */
+function getArgValue(args, flag) {
+  const index = args.indexOf(flag);
+  if (index !== -1 && args[index + 1] && !args[index + 1].startsWith('--')) return args[index + 1];
+  const inline = args.find(arg => arg.startsWith(`${flag}=`));
+  return inline ? inline.slice(flag.length + 1) : null;
+}
+
+/**
+ * Read a file at a git ref, or from the working tree when ref is null
+ *
+ * Returns null when the file does not exist at that ref.
+ */
+function readAtRef(relativePath, ref) {
+  if (!ref) {
+    const fullPath = path.join(projectRoot, relativePath);
+    return fs.existsSync(fullPath) ? fs.readFileSync(fullPath, 'utf8') : null;
+  }
+
+  return git.readFile(ref, relativePath);
+}
+
+/**
+ * Verify that a ref exists
+ */
+function assertRef(ref) {
+  if (!git.resolve(ref)) {
+    throw new Error(`Unknown git ref: ${ref}`);
+  }
+}
+
+/**
+ * Lockfiles to compare: the root one plus any workspace with its own
+ */
+function findLockfiles() {
+  const { workspaces } = discoverWorkspaces(projectRoot);
+  return Object.values(workspaces)
+    .map(workspace => path.posix.join(workspace.relativeDir === '.' ? '' : workspace.relativeDir, 'package-lock.json'))
+    .filter(file => fs.existsSync(path.join(projectRoot, file)));
+}
+
+/**
+ * Run the supply-chain check
+ */
+function runSupplyChainCheck({ base, head, offline, policyFile }) {
+  assertRef(base);
+  if (head) assertRef(head);
+
+  const { policy } = loadPolicy(projectRoot, policyFile);
+  const metadata = createMetadataStore(path.join(projectRoot, 'reports', 'registry-cache'), { offline, cwd: projectRoot });
+  const results = [];
+
+  for (const lockfile of findLockfiles()) {
+    const headContent = readAtRef(lockfile, head);
+    if (!headContent) continue;
+
+    const baseContent = readAtRef(lockfile, base);
+    if (!baseContent) {
+      console.warn(`⚠️  ${lockfile} does not exist at ${base}; every package counts as added`);
+    }
+    const headLock = JSON.parse(headContent);
+    const baseLock = baseContent ? JSON.parse(baseContent) : null;
+
+    const declaredSpecs = getDeclaredSpecs(headLock);
+    const knownNames = new Set([
+      ...POPULAR_PACKAGES,
+      ...(policy.supplyChain?.popularPackages || []),
+      ...declaredSpecs.keys()
+    ]);
+
+    const changes = diffLockfiles(baseLock, headLock);
+    const findings = analyzeChanges(changes, { policy, metadata, knownNames, declaredSpecs });
+    results.push({ lockfile, changes, findings });
+  }
+
+  metadata.save();
+  return results;
+}
+
+/**
+ * Print results for humans
+ */
+function printResults(results, { base, head }) {
+  console.log('🔗 Supply-Chain Check');
+  console.log('=====================');
+  console.log(`📍 Comparing ${base} → ${head || 'working tree'}`);
+
+  for (const { lockfile, changes, findings } of results) {
+    console.log(`\n📦 ${lockfile}: ${changes.length} added or changed package(s)`);
+
+    if (findings.length === 0) {
+      console.log('   ✅ No supply-chain risks found');
+      continue;
+    }
+
+    findings.forEach(finding => {
+      const icon = finding.severity === 'high' ? '🔴' : finding.severity === 'moderate' ? '🟡' : '🟢';
+      const version = finding.previousVersion && finding.previousVersion !== finding.version
+        ? `${finding.previousVersion} → ${finding.version}`
+        : finding.version;
+      console.log(`   ${icon} ${TYPE_LABELS[finding.type] || finding.type}: ${finding.package}@${version}`);
+      console.log(`      ${finding.message}`);
+    });
+  }
+}
+
+/**
+ * Main execution
+ */
+function main(cli) {
+  const args = process.argv.slice(2);
+
+  if (args.includes('--help')) {
+    console.log('🔗 Supply-Chain Check');
+    console.log('');
+    console.log('Usage:');
+    console.log('  node scripts/security/supply-chain-check.mjs [--base <ref>] [--head <ref>] [--offline] [--json]');
+    console.log('');
+    console.log('Options:');
+    console.log('  --base <ref>     Ref to compare against (default: HEAD)');
+    console.log('  --head <ref>     Ref to check (default: the working tree)');
+    console.log('  --offline        Use cached registry metadata only');
+    console.log('  --policy <file>  Use an alternative policy file instead of .securityrc');
+    console.log('');
+    console.log(formatCliHelp({ failOn: 'high' }));
+    return;
+  }
+
+  const options = {
+    base: getArgValue(args, '--base') || 'HEAD',
+    head: getArgValue(args, '--head'),
+    offline: args.includes('--offline'),
+    policyFile: getArgValue(args, '--policy')
+  };
+
+  const results = runSupplyChainCheck(options);
+  const failing = results.flatMap(result => result.findings).filter(finding => exceedsThreshold(finding.severity, cli.failOn));
+  const exitCode = failing.length > 0 ? EXIT_CODES.FINDINGS : EXIT_CODES.OK;
+
+  printResults(results, options);
+  console.log(failing.length > 0
+    ? `\n❌ ${failing.length} supply-chain finding(s) at or above ${cli.failOn}`
+    : '\n✅ Supply-chain check completed');
+
+  if (cli.json) {
+    cli.output.writeJson({
+      exitCode,
+      failOn: cli.failOn,
+      base: options.base,
+      head: options.head || 'WORKTREE',
+      lockfiles: results.map(({ lockfile, changes, findings }) => ({
+        lockfile,
+        changed: changes.map(change => ({ name: change.name, version: change.version, previousVersion: change.previousVersion })),
+        findings
+      }))
+    });
+  }
+
+  process.exitCode = exitCode;
+}
+
+// Run if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  let cli = { json: process.argv.includes('--json') };
+  try {
+    cli = parseCliOptions(process.argv.slice(2), { defaultFailOn: 'high' });
+    cli.output = configureOutput(cli);
+    main(cli);
+  } catch (error) {
+    exitWithError(`Supply-chain check failed: ${error.message}`, cli);
+  }
+}
+
+export { runSupplyChainCheck };
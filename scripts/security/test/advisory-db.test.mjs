@@ -0,0 +1,90 @@
+/**
+ * Offline advisory database (lib/advisory-db.mjs) against the OSV records in
+ * fixtures/osv
+ */
+
+import assert from 'node:assert/strict';
+import path from 'node:path';
+import { describe, it } from 'node:test';
+import { fileURLToPath } from 'node:url';
+import { getDatabaseAge, loadAdvisoryDatabase, matchAdvisories, osvEventsToRange } from '../lib/advisory-db.mjs';
+import { buildDependencyGraph } from '../lib/lockfile.mjs';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DATABASE_DIR = path.join(__dirname, 'fixtures', 'osv');
+
+// app → multi-major@2.1.0 (vulnerable, fixed in 2.1.4) and reintroduced@1.2.0,
+// whose ranges come from the fixture records
+const LOCK = {
+  name: 'app',
+  lockfileVersion: 3,
+  packages: {
+    '': { name: 'app', version: '1.0.0', dependencies: { 'multi-major': '^2.1.0', reintroduced: '^1.2.0', wrapper: '^1.0.0' } },
+    'node_modules/multi-major': { version: '2.1.0' },
+    'node_modules/reintroduced': { version: '1.2.0' },
+    'node_modules/wrapper': { version: '1.0.0', dependencies: { reintroduced: '^4.0.0' } },
+    'node_modules/wrapper/node_modules/reintroduced': { version: '4.1.0' }
+  }
+};
+
+describe('OSV range events', () => {
+  it('converts fixed and last_affected events to intervals', () => {
+    assert.equal(osvEventsToRange([{ introduced: '0' }, { fixed: '1.2.3' }]), '<1.2.3');
+    assert.equal(osvEventsToRange([{ introduced: '1.0.0' }, { last_affected: '1.4.0' }]), '>=1.0.0 <=1.4.0');
+    assert.equal(
+      osvEventsToRange([{ introduced: '2.0.0' }, { fixed: '2.1.4' }, { introduced: '3.0.0' }, { fixed: '3.0.2' }]),
+      '>=2.0.0 <2.1.4 || >=3.0.0 <3.0.2'
+    );
+  });
+
+  it('leaves an interval without a fix open', () => {
+    assert.equal(osvEventsToRange([{ introduced: '0' }]), '*');
+    assert.equal(osvEventsToRange([{ introduced: '0' }, { fixed: '1.0.0' }, { introduced: '2.0.0' }]), '<1.0.0 || >=2.0.0');
+  });
+
+  it('keeps the earlier lower bound when an interval is introduced twice', () => {
+    assert.equal(osvEventsToRange([{ introduced: '1.0.0' }, { introduced: '1.5.0' }, { fixed: '1.8.0' }]), '>=1.0.0 <1.8.0');
+    assert.equal(osvEventsToRange([{ introduced: '0' }, { introduced: '1.5.0' }]), '*');
+  });
+});
+
+describe('advisory database', () => {
+  it('loads npm records and skips withdrawn and other ecosystems', () => {
+    const database = loadAdvisoryDatabase(DATABASE_DIR);
+
+    assert.equal(database.count, 2);
+    assert.deepEqual(database.errors, []);
+    assert.deepEqual([...database.advisories.keys()].sort(), ['multi-major', 'reintroduced']);
+    assert.equal(database.advisories.get('multi-major')[0].range, '>=2.0.0 <2.1.4 || >=3.0.0 <3.0.2');
+    assert.equal(database.advisories.get('reintroduced')[0].range, '>=1.0.0 <1.8.0 || >=4.0.0');
+    assert.equal(database.updatedAt, '2026-10-01T08:00:00Z');
+    assert.equal(getDatabaseAge(database, new Date('2026-10-18T08:00:00Z')), 17);
+  });
+
+  it('throws for a missing directory', () => {
+    assert.throws(() => loadAdvisoryDatabase(path.join(DATABASE_DIR, 'missing')), /Advisory database not found/);
+  });
+
+  it('matches installed versions and derives the patched range', () => {
+    const database = loadAdvisoryDatabase(DATABASE_DIR);
+    const findings = matchAdvisories(buildDependencyGraph(LOCK), database);
+    const byPackage = Object.fromEntries(findings.map(finding => [finding.package, finding]));
+
+    assert.deepEqual(findings.map(finding => finding.id), ['GHSA-aaaa-bbbb-cccc', 'GHSA-dddd-eeee-ffff']);
+
+    const multiMajor = byPackage['multi-major'];
+    assert.equal(multiMajor.severity, 'high');
+    assert.equal(multiMajor.patched, '>=2.1.4 <3.0.0 || >=3.0.2');
+    assert.equal(multiMajor.fixAvailable, true);
+    assert.equal(multiMajor.isDirect, true);
+    assert.equal(multiMajor.url, 'https://github.com/advisories/GHSA-aaaa-bbbb-cccc');
+
+    // 1.2.0 is covered by the first introduced event; 4.1.0 has no fix yet
+    const reintroduced = byPackage.reintroduced;
+    assert.equal(reintroduced.severity, 'moderate');
+    assert.deepEqual(reintroduced.nodes, ['node_modules/reintroduced', 'node_modules/wrapper/node_modules/reintroduced']);
+    assert.deepEqual(reintroduced.introducedBy, ['wrapper']);
+    assert.equal(reintroduced.patched, '>=1.8.0 <4.0.0');
+    assert.equal(reintroduced.fixAvailable, false);
+  });
+});
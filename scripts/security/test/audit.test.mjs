@@ -0,0 +1,190 @@
+/**
+ * npm audit normalisation (lib/audit.mjs): v1 and v2 reports
+ * (fixtures/npm-audit-v1.json, fixtures/npm-audit-v2.json) and patched
+ * versions derived from vulnerable ranges
+ */
+
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import path from 'node:path';
+import { describe, it } from 'node:test';
+import { fileURLToPath } from 'node:url';
+import {
+  derivePatchedRange,
+  isPatchedVersion,
+  normalizeAuditReport,
+  partitionFindings,
+  suggestPatchedVersion
+} from '../lib/audit.mjs';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const readReport = name => JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8'));
+
+// Two maintained majors, each fixed in its own release
+const MULTI_INTERVAL = '>=2.0.0 <2.1.4 || >=3.0.0 <3.0.2';
+
+describe('patched versions', () => {
+  it('derives the patched range of a single interval', () => {
+    assert.equal(derivePatchedRange('<1.2.3'), '>=1.2.3');
+    assert.equal(derivePatchedRange('<=1.2.3'), '>1.2.3');
+    assert.equal(derivePatchedRange('>=1.0.0 <2'), '>=2.0.0');
+  });
+
+  it('keeps the fixed versions between the intervals of a multi-interval range', () => {
+    assert.equal(derivePatchedRange(MULTI_INTERVAL), '>=2.1.4 <3.0.0 || >=3.0.2');
+    assert.equal(derivePatchedRange('>=3.0.0 <3.0.2 || <2.1.4'), '>=2.1.4 <3.0.0 || >=3.0.2');
+    assert.equal(derivePatchedRange('<1.0.0 || >=2.0.0'), '>=1.0.0 <2.0.0');
+    // Overlapping intervals merge
+    assert.equal(derivePatchedRange('>=1.0.0 <1.5.0 || >=1.2.0 <1.8.0'), '>=1.8.0');
+  });
+
+  it('reports no patched range when every newer version is vulnerable', () => {
+    assert.equal(derivePatchedRange('>=1.0.0'), null);
+    assert.equal(derivePatchedRange('*'), null);
+    assert.equal(derivePatchedRange('not a range'), null);
+  });
+
+  it('treats versions outside the vulnerable range and above the installed one as patched', () => {
+    const options = { vulnerable: MULTI_INTERVAL, installed: '2.1.0' };
+
+    assert.equal(isPatchedVersion('2.1.4', options), true);
+    assert.equal(isPatchedVersion('2.5.0', options), true);
+    assert.equal(isPatchedVersion('3.0.2', options), true);
+    assert.equal(isPatchedVersion('2.1.3', options), false);
+    assert.equal(isPatchedVersion('3.0.1', options), false);
+    // Not vulnerable, but a downgrade
+    assert.equal(isPatchedVersion('1.9.0', options), false);
+  });
+
+  it('falls back to the patched range without a vulnerable range', () => {
+    assert.equal(isPatchedVersion('1.2.3', { patched: '>=1.2.3' }), true);
+    assert.equal(isPatchedVersion('1.2.2', { vulnerable: 'unknown', patched: '>=1.2.3' }), false);
+    assert.equal(isPatchedVersion('1.2.3', { patched: 'none' }), false);
+  });
+
+  it('suggests the fix within the installed major', () => {
+    assert.equal(suggestPatchedVersion(MULTI_INTERVAL, '2.1.0'), '2.1.4');
+    assert.equal(suggestPatchedVersion(MULTI_INTERVAL, '3.0.0'), '3.0.2');
+    assert.equal(suggestPatchedVersion(MULTI_INTERVAL), '2.1.4');
+    assert.equal(suggestPatchedVersion('>=1.0.0', '1.2.0'), null);
+  });
+
+  it('records the patched range on v2 findings', () => {
+    const [finding] = normalizeAuditReport({
+      auditReportVersion: 2,
+      vulnerabilities: {
+        'multi-major': {
+          name: 'multi-major',
+          severity: 'high',
+          isDirect: true,
+          via: [{ source: 1101, name: 'multi-major', title: 'Prototype pollution', severity: 'high', range: MULTI_INTERVAL }],
+          effects: [],
+          range: MULTI_INTERVAL,
+          nodes: ['node_modules/multi-major'],
+          fixAvailable: true
+        }
+      }
+    });
+
+    assert.equal(finding.patched, '>=2.1.4 <3.0.0 || >=3.0.2');
+  });
+});
+
+describe('normalizeAuditReport', () => {
+  it('normalises a v2 report to one finding per advisory', () => {
+    const findings = normalizeAuditReport(readReport('npm-audit-v2.json'));
+
+    // express is only listed through debug, so it has no finding of its own
+    assert.deepEqual(findings.map(finding => [finding.id, finding.package, finding.severity]), [
+      ['GHSA-jf85-cpcp-j695', 'lodash', 'critical'],
+      ['GHSA-35jh-r3h4-6jhm', 'lodash', 'high'],
+      ['GHSA-gxpj-cx7g-858c', 'debug', 'moderate']
+    ]);
+
+    const [pollution, injection, debug] = findings;
+    assert.deepEqual(pollution, {
+      id: 'GHSA-jf85-cpcp-j695',
+      source: 1106913,
+      ghsa: 'GHSA-jf85-cpcp-j695',
+      package: 'lodash',
+      severity: 'critical',
+      title: 'Prototype Pollution in lodash',
+      url: 'https://github.com/advisories/GHSA-jf85-cpcp-j695',
+      range: '<4.17.12',
+      patched: '>=4.17.12',
+      cwe: ['CWE-20', 'CWE-1321'],
+      cvss: 9.1,
+      created: null,
+      isDirect: true,
+      introducedBy: [],
+      effects: [],
+      fixAvailable: true,
+      nodes: ['node_modules/lodash']
+    });
+    // Each advisory keeps its own range rather than the package's combined one
+    assert.equal(injection.range, '<4.17.21');
+    assert.equal(injection.patched, '>=4.17.21');
+
+    assert.equal(debug.isDirect, false);
+    assert.deepEqual(debug.introducedBy, ['express']);
+    assert.deepEqual(debug.effects, ['express']);
+    assert.deepEqual(debug.fixAvailable, { name: 'express', version: '4.19.2', isSemVerMajor: false });
+  });
+
+  it('normalises a v1 report to the same model', () => {
+    const findings = normalizeAuditReport(readReport('npm-audit-v1.json'));
+
+    assert.deepEqual(findings.map(finding => [finding.id, finding.package, finding.severity]), [
+      ['GHSA-jf85-cpcp-j695', 'lodash', 'critical'],
+      ['GHSA-gxpj-cx7g-858c', 'debug', 'moderate'],
+      ['1000', 'legacy-parser', 'low']
+    ]);
+
+    const [lodash, debug, legacy] = findings;
+    assert.deepEqual(lodash, {
+      id: 'GHSA-jf85-cpcp-j695',
+      source: 1106913,
+      ghsa: 'GHSA-jf85-cpcp-j695',
+      package: 'lodash',
+      severity: 'critical',
+      title: 'Prototype Pollution in lodash',
+      url: 'https://github.com/advisories/GHSA-jf85-cpcp-j695',
+      range: '<4.17.12',
+      patched: '>=4.17.12',
+      cwe: ['CWE-20'],
+      cvss: 9.1,
+      created: '2019-07-10T19:45:23.000Z',
+      // Installed both directly and through async
+      isDirect: true,
+      introducedBy: ['async'],
+      effects: [],
+      fixAvailable: true,
+      nodes: []
+    });
+
+    assert.equal(debug.isDirect, false);
+    assert.deepEqual(debug.introducedBy, ['express', 'mocha']);
+    assert.deepEqual(debug.cwe, ['CWE-1333']);
+
+    // npm 6 marks advisories without a fix with patched_versions "<0.0.0"
+    assert.equal(legacy.ghsa, null);
+    assert.equal(legacy.patched, null);
+    assert.equal(legacy.fixAvailable, false);
+  });
+
+  it('recognises v2 reports without a version field and ignores anything else', () => {
+    const { auditReportVersion, ...unversioned } = readReport('npm-audit-v2.json');
+
+    assert.deepEqual(normalizeAuditReport(unversioned), normalizeAuditReport(readReport('npm-audit-v2.json')));
+    assert.deepEqual(normalizeAuditReport(null), []);
+    assert.deepEqual(normalizeAuditReport('npm ERR! audit endpoint returned an error'), []);
+    assert.deepEqual(normalizeAuditReport({ auditReportVersion: 2, vulnerabilities: {} }), []);
+  });
+
+  it('partitions findings into direct and transitive ones', () => {
+    const { direct, transitive } = partitionFindings(normalizeAuditReport(readReport('npm-audit-v2.json')));
+
+    assert.deepEqual(direct.map(finding => finding.id), ['GHSA-jf85-cpcp-j695', 'GHSA-35jh-r3h4-6jhm']);
+    assert.deepEqual(transitive.map(finding => finding.id), ['GHSA-gxpj-cx7g-858c']);
+  });
+});
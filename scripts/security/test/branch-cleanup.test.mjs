@@ -0,0 +1,161 @@
+/**
+ * Security branch cleanup (lib/branch-cleanup.mjs and aikido-branch-manager
+ * cleanup) against fixture repositories with a remote
+ */
+
+import assert from 'node:assert/strict';
+import { afterEach, beforeEach, describe, it } from 'node:test';
+import { cleanupSecurityBranches, findSecurityBranches } from '../aikido-branch-manager.mjs';
+import { deleteBranch, findCleanupCandidates, rebaseBranch } from '../lib/branch-cleanup.mjs';
+import { createFixtureRepository, createGitService } from '../lib/git.mjs';
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+const daysAgo = days => new Date(Date.now() - days * DAY_MS).toISOString();
+const manifest = dependencies => ({ name: 'fixture', version: '1.0.0', dependencies });
+
+// main moves lodash past the aikido branch; the stale branch only pins npm settings
+const COMMITS = [
+  { files: { 'package.json': manifest({ lodash: '4.17.11', express: '4.18.0' }) }, message: 'Initial commit', date: daysAgo(100) },
+  { branch: 'aikido/lodash-4.17.20', files: { 'package.json': manifest({ lodash: '4.17.20', express: '4.18.0' }) }, message: 'Upgrade lodash to 4.17.20', date: daysAgo(10) },
+  { branch: 'security/stale-pin', from: 'main', files: { '.npmrc': 'save-exact=true\n' }, message: 'Pin exact versions', date: daysAgo(60) },
+  { branch: 'dependabot/npm_and_yarn/express-4.19.2', from: 'main', files: { 'package.json': manifest({ lodash: '4.17.11', express: '4.19.2' }) }, message: 'Bump express', date: daysAgo(2) },
+  { files: { 'package.json': manifest({ lodash: '4.17.21', express: '4.18.0' }) }, message: 'Upgrade lodash to 4.17.21', date: daysAgo(5) }
+];
+
+function captureLog(t) {
+  const log = t.mock.method(console, 'log', () => {});
+  return () => log.mock.calls.map(call => call.arguments.join(' ')).join('\n');
+}
+
+describe('security branch cleanup', () => {
+  let repository;
+  let git;
+  let remoteGit;
+
+  beforeEach(() => {
+    repository = createFixtureRepository({ commits: COMMITS, remote: true });
+    git = repository.git;
+    remoteGit = createGitService(repository.remoteDir);
+    // A local branch already merged into main
+    git.run(['branch', 'security/merged-fix', 'main~1']);
+  });
+
+  afterEach(() => {
+    repository.remove();
+  });
+
+  it('reads local and remote security branches from the repository', () => {
+    const { branches, pullRequests } = findSecurityBranches({ git });
+    const names = branches.map(branch => branch.name).sort();
+
+    assert.equal(pullRequests, 'disabled');
+    assert.deepEqual(names, [
+      'aikido/lodash-4.17.20',
+      'dependabot/npm_and_yarn/express-4.19.2',
+      'origin/aikido/lodash-4.17.20',
+      'origin/dependabot/npm_and_yarn/express-4.19.2',
+      'origin/security/stale-pin',
+      'security/merged-fix',
+      'security/stale-pin'
+    ]);
+
+    const stale = branches.find(branch => branch.name === 'origin/security/stale-pin');
+    assert.equal(stale.remote, 'origin');
+    assert.equal(stale.ageDays, 60);
+    assert.deepEqual(stale.risk.reasons, ['pull request state unknown', 'no commits for 60 days']);
+  });
+
+  it('classifies merged, superseded and stale branches', () => {
+    const { branches } = findSecurityBranches({ git });
+    const candidates = findCleanupCandidates(branches, { target: 'main', staleDays: 30, git });
+    const byName = Object.fromEntries(candidates.map(candidate => [candidate.name, candidate]));
+
+    assert.deepEqual(Object.keys(byName).sort(), ['aikido/lodash-4.17.20', 'security/merged-fix', 'security/stale-pin']);
+
+    assert.equal(byName['security/merged-fix'].reason, 'merged');
+    assert.equal(byName['security/merged-fix'].action, 'delete');
+    assert.deepEqual(byName['security/merged-fix'].remotes, []);
+
+    assert.equal(byName['aikido/lodash-4.17.20'].reason, 'superseded');
+    assert.deepEqual(byName['aikido/lodash-4.17.20'].details, ['lodash 4.17.20 (main has 4.17.21)']);
+    assert.equal(byName['aikido/lodash-4.17.20'].local, true);
+    assert.deepEqual(byName['aikido/lodash-4.17.20'].remotes, ['origin']);
+
+    assert.equal(byName['security/stale-pin'].reason, 'stale');
+    assert.equal(byName['security/stale-pin'].action, 'rebase');
+    assert.deepEqual(byName['security/stale-pin'].details, ['no commits for 60 days', '1 commit(s) behind main']);
+  });
+
+  it('previews the git commands of a dry run without changing any branch', async (t) => {
+    const output = captureLog(t);
+    const before = git.run(['for-each-ref']);
+
+    const summary = await cleanupSecurityBranches({ target: 'main', staleDays: 30, dryRun: true, git });
+
+    assert.equal(summary.candidates.length, 3);
+    assert.ok(summary.candidates.every(candidate => candidate.result === undefined));
+    assert.match(output(), /\$ git branch -D aikido\/lodash-4\.17\.20\n\s+\$ git push origin --delete aikido\/lodash-4\.17\.20/);
+    assert.match(output(), /\$ git rebase main/);
+    assert.match(output(), /Dry run: no branches were changed/);
+    assert.equal(git.run(['for-each-ref']), before);
+  });
+
+  it('deletes merged and superseded branches and rebases stale ones with --yes', async (t) => {
+    captureLog(t);
+    const staleHead = git.resolve('security/stale-pin');
+
+    const summary = await cleanupSecurityBranches({ target: 'main', staleDays: 30, yes: true, git });
+
+    assert.ok(summary.candidates.every(candidate => candidate.result.success));
+    assert.equal(git.hasBranch('security/merged-fix'), false);
+    assert.equal(git.hasBranch('aikido/lodash-4.17.20'), false);
+    assert.equal(remoteGit.hasBranch('aikido/lodash-4.17.20'), false);
+    assert.equal(git.resolve('refs/remotes/origin/aikido/lodash-4.17.20'), null);
+
+    const rebased = git.resolve('security/stale-pin');
+    assert.notEqual(rebased, staleHead);
+    assert.ok(git.isAncestor('main', rebased));
+    assert.equal(remoteGit.resolve('refs/heads/security/stale-pin'), rebased);
+    assert.equal(git.readFile(rebased, '.npmrc'), 'save-exact=true\n');
+
+    // The untouched branch and the main checkout are left alone
+    assert.ok(git.hasBranch('dependabot/npm_and_yarn/express-4.19.2'));
+    assert.equal(git.getCurrentBranch(), 'main');
+  });
+
+  it('keeps remote branches with --local-only', () => {
+    const { branches } = findSecurityBranches({ git });
+    const candidate = findCleanupCandidates(branches, { target: 'main', staleDays: 30, git })
+      .find(entry => entry.reason === 'superseded');
+
+    const result = deleteBranch(candidate, { git, remote: false });
+
+    assert.deepEqual(result.steps.map(step => step.command), ['git branch -D aikido/lodash-4.17.20']);
+    assert.equal(git.hasBranch('aikido/lodash-4.17.20'), false);
+    assert.ok(remoteGit.hasBranch('aikido/lodash-4.17.20'));
+  });
+
+  it('aborts a conflicting rebase and leaves the branch unchanged', (t) => {
+    const conflicting = createFixtureRepository({
+      commits: [
+        { files: { 'README.md': 'Fixture\n' }, date: daysAgo(90) },
+        { branch: 'security/stale-readme', files: { 'README.md': 'Security fixes\n' }, date: daysAgo(60) },
+        { files: { 'README.md': 'Fixture repository\n' }, date: daysAgo(1) }
+      ]
+    });
+    t.after(() => conflicting.remove());
+
+    const candidate = {
+      name: 'security/stale-readme',
+      local: true,
+      remotes: [],
+      head: conflicting.git.resolve('security/stale-readme')
+    };
+    const result = rebaseBranch(candidate, { target: 'main', git: conflicting.git });
+
+    assert.equal(result.success, false);
+    assert.deepEqual(result.conflicts, ['README.md']);
+    assert.equal(conflicting.git.resolve('security/stale-readme'), candidate.head);
+    assert.equal(conflicting.git.run(['worktree', 'list', '--porcelain']).match(/^worktree /gm).length, 1);
+  });
+});
@@ -0,0 +1,193 @@
+/**
+ * Pull request, check and review state of security branches, read from the
+ * fixture provider (lib/github.mjs) and reported by aikido-branch-manager
+ */
+
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { after, before, describe, it } from 'node:test';
+import { findSecurityBranches, listSecurityBranches } from '../aikido-branch-manager.mjs';
+import { assessBranchRisk } from '../lib/branch-status.mjs';
+import { createFixtureRepository } from '../lib/git.mjs';
+import { createFixtureProvider } from '../lib/github.mjs';
+
+const PULL_REQUESTS = [
+  {
+    number: 12,
+    title: 'Upgrade lodash to 4.17.21',
+    branch: 'aikido/fix-lodash',
+    checks: 'passing',
+    review: 'approved',
+    mergeable: 'mergeable',
+    body: 'Fixes GHSA-jf85-cpcp-j695'
+  },
+  {
+    number: 13,
+    title: 'Bump express from 4.18.0 to 4.19.2',
+    branch: 'dependabot/npm_and_yarn/express-4.19.2',
+    checks: 'failing',
+    review: 'changes-requested',
+    mergeable: 'conflicting'
+  },
+  {
+    number: 14,
+    title: 'Unrelated feature',
+    branch: 'feature/dark-mode'
+  }
+];
+
+function captureLog(t) {
+  const log = t.mock.method(console, 'log', () => {});
+  return () => log.mock.calls.map(call => call.arguments.join(' ')).join('\n');
+}
+
+describe('createFixtureProvider', () => {
+  let dir;
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'branch-status-test-'));
+    fs.writeFileSync(path.join(dir, 'pull-requests.json'), JSON.stringify({ pullRequests: PULL_REQUESTS }));
+  });
+
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('reads pull requests with their check, review and merge state', () => {
+    const [lodash, express] = createFixtureProvider(path.join(dir, 'pull-requests.json')).listPullRequests();
+
+    assert.equal(lodash.number, 12);
+    assert.equal(lodash.branch, 'aikido/fix-lodash');
+    assert.equal(lodash.checks, 'passing');
+    assert.equal(lodash.review, 'approved');
+    assert.equal(lodash.mergeable, 'mergeable');
+    assert.equal(express.checks, 'failing');
+    assert.equal(express.review, 'changes-requested');
+    assert.equal(express.mergeable, 'conflicting');
+  });
+
+  it('fills defaults for fields left out of the fixture', () => {
+    const unrelated = createFixtureProvider(path.join(dir, 'pull-requests.json')).listPullRequests()[2];
+
+    assert.equal(unrelated.draft, false);
+    assert.equal(unrelated.checks, 'none');
+    assert.equal(unrelated.review, 'none');
+    assert.equal(unrelated.mergeable, 'unknown');
+    assert.equal(unrelated.body, '');
+  });
+
+  it('throws when the fixture file is missing', () => {
+    assert.throws(() => createFixtureProvider(path.join(dir, 'missing.json')).listPullRequests(), /ENOENT/);
+  });
+});
+
+describe('assessBranchRisk', () => {
+  const pr = { checks: 'passing', review: 'approved', mergeable: 'mergeable', draft: false };
+
+  it('rates a passing, approved and mergeable pull request ready', () => {
+    assert.deepEqual(assessBranchRisk({ pr, ageDays: 1 }), { level: 'ready', reasons: [] });
+  });
+
+  it('blocks failing checks, conflicts and requested changes', () => {
+    const risk = assessBranchRisk({ pr: { ...pr, checks: 'failing', mergeable: 'conflicting', review: 'changes-requested' }, ageDays: 1 });
+    assert.deepEqual(risk, { level: 'blocked', reasons: ['checks failing', 'merge conflicts', 'changes requested'] });
+  });
+
+  it('asks for attention without a pull request, with unknown state or when stale', () => {
+    assert.deepEqual(assessBranchRisk({ pr: null, ageDays: 1 }).reasons, ['no open pull request']);
+    assert.deepEqual(assessBranchRisk({ pr: undefined, ageDays: 1 }).reasons, ['pull request state unknown']);
+    assert.deepEqual(assessBranchRisk({ pr, ageDays: 45 }, { staleDays: 30 }), { level: 'attention', reasons: ['no commits for 45 days'] });
+  });
+});
+
+describe('aikido-branch-manager branch status', () => {
+  let repository;
+  let fixtureFile;
+
+  before(() => {
+    repository = createFixtureRepository({
+      commits: [
+        { files: { 'package.json': { name: 'fixture', dependencies: { lodash: '4.17.11', express: '4.18.0' } } }, message: 'Initial commit' },
+        { branch: 'aikido/fix-lodash', files: { 'package.json': { name: 'fixture', dependencies: { lodash: '4.17.21', express: '4.18.0' } } }, message: 'Upgrade lodash' },
+        { branch: 'dependabot/npm_and_yarn/express-4.19.2', from: 'main', files: { 'package.json': { name: 'fixture', dependencies: { lodash: '4.17.11', express: '4.19.2' } } }, message: 'Bump express' },
+        { branch: 'security/pin-debug', from: 'main', files: { '.npmrc': 'save-exact=true\n' }, message: 'Pin debug' },
+        { branch: 'feature/dark-mode', from: 'main', files: { 'theme.json': { dark: true } }, message: 'Dark mode' }
+      ]
+    });
+    fixtureFile = path.join(repository.dir, 'pull-requests.json');
+    fs.writeFileSync(fixtureFile, JSON.stringify({ pullRequests: PULL_REQUESTS }));
+  });
+
+  after(() => {
+    repository.remove();
+  });
+
+  it('attaches each pull request and rates the branch from its state', () => {
+    const { branches, pullRequests } = findSecurityBranches({ provider: createFixtureProvider(fixtureFile), git: repository.git });
+    const byName = Object.fromEntries(branches.map(branch => [branch.name, branch]));
+
+    assert.equal(pullRequests, 'loaded');
+    assert.deepEqual(Object.keys(byName).sort(), ['aikido/fix-lodash', 'dependabot/npm_and_yarn/express-4.19.2', 'security/pin-debug']);
+
+    const lodash = byName['aikido/fix-lodash'];
+    assert.equal(lodash.tool, 'aikido');
+    assert.equal(lodash.pr.number, 12);
+    assert.equal(lodash.pr.body, undefined);
+    assert.deepEqual(lodash.advisories, ['GHSA-jf85-cpcp-j695']);
+    assert.deepEqual(lodash.risk, { level: 'ready', reasons: [] });
+
+    const express = byName['dependabot/npm_and_yarn/express-4.19.2'];
+    assert.equal(express.tool, 'dependabot');
+    assert.deepEqual(express.risk, { level: 'blocked', reasons: ['checks failing', 'merge conflicts', 'changes requested'] });
+
+    const manual = byName['security/pin-debug'];
+    assert.equal(manual.pr, null);
+    assert.deepEqual(manual.risk, { level: 'attention', reasons: ['no open pull request'] });
+  });
+
+  it('lists the check, review and merge state of each branch, blocked first', (t) => {
+    const output = captureLog(t);
+    const names = listSecurityBranches({ provider: createFixtureProvider(fixtureFile), git: repository.git });
+
+    assert.deepEqual(names, ['dependabot/npm_and_yarn/express-4.19.2', 'security/pin-debug', 'aikido/fix-lodash']);
+    assert.match(output(), /Found 3 security branch\(es\): 1 ready, 1 need attention, 1 blocked \(sorted by risk\)/);
+    assert.match(output(), /🔗 #12 Upgrade lodash to 4\.17\.21\n\s+checks: passing · review: approved · mergeable/);
+    assert.match(output(), /🔗 #13 Bump express from 4\.18\.0 to 4\.19\.2\n\s+checks: failing · review: changes-requested · conflicting/);
+    assert.match(output(), /security\/pin-debug · 0 day\(s\) old\n\s+🔗 No open pull request/);
+    assert.match(output(), /🛡️ {2}Fixes: GHSA-jf85-cpcp-j695/);
+    assert.doesNotMatch(output(), /state unavailable/);
+  });
+
+  it('lists branches without pull request state when the provider is unavailable', (t) => {
+    const warn = t.mock.method(console, 'warn', () => {});
+    const output = captureLog(t);
+    const provider = createFixtureProvider(path.join(repository.dir, 'missing.json'));
+
+    const { branches, pullRequests } = findSecurityBranches({ provider, git: repository.git });
+    assert.equal(pullRequests, 'unavailable');
+    branches.forEach(branch => {
+      assert.equal(branch.pr, undefined);
+      assert.deepEqual(branch.risk, { level: 'attention', reasons: ['pull request state unknown'] });
+    });
+    assert.match(warn.mock.calls[0].arguments[0], /ENOENT.*; listing branches without pull request data/);
+
+    const names = listSecurityBranches({ provider, git: repository.git });
+    assert.equal(names.length, 3);
+    assert.match(output(), /Found 3 security branch\(es\): 0 ready, 3 need attention, 0 blocked/);
+    assert.doesNotMatch(output(), /🔗/);
+    assert.match(output(), /Pull request, check and review state unavailable; use --fixture <file> or install the gh CLI/);
+  });
+
+  it('reports pull request data as disabled without a provider', (t) => {
+    const output = captureLog(t);
+    const { branches, pullRequests } = findSecurityBranches({ git: repository.git });
+
+    assert.equal(pullRequests, 'disabled');
+    assert.ok(branches.every(branch => branch.pr === undefined));
+
+    listSecurityBranches({ git: repository.git });
+    assert.match(output(), /state unavailable/);
+  });
+});
@@ -0,0 +1,61 @@
+/**
+ * Dependency paths (lib/dependency-paths.mjs) on graphs built from
+ * lockfile fixtures
+ */
+
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { findAllPaths, findShortestPath, formatPath } from '../lib/dependency-paths.mjs';
+import { buildDependencyGraph } from '../lib/lockfile.mjs';
+
+// ms is reached three ways: directly, through debug and through send → debug;
+// debug and supports-color depend on each other
+const LOCK = {
+  name: 'app',
+  lockfileVersion: 3,
+  packages: {
+    '': { name: 'app', version: '1.0.0', dependencies: { debug: '^4.3.4', send: '^0.18.0', ms: '^2.1.3' } },
+    'node_modules/debug': { version: '4.3.4', dependencies: { ms: '2.1.2', 'supports-color': '^8.1.1' } },
+    'node_modules/debug/node_modules/ms': { version: '2.1.2' },
+    'node_modules/send': { version: '0.18.0', dependencies: { debug: '^4.3.4' } },
+    'node_modules/ms': { version: '2.1.3' },
+    'node_modules/supports-color': { version: '8.1.1', dependencies: { debug: '^4.0.0' } }
+  }
+};
+
+const format = paths => paths.map(steps => formatPath(steps));
+
+describe('findAllPaths', () => {
+  it('finds every path to every installed copy, shortest first', () => {
+    const { paths, truncated } = findAllPaths(buildDependencyGraph(LOCK), 'ms');
+
+    assert.equal(truncated, false);
+    assert.deepEqual(format(paths), [
+      'app › ms@2.1.3',
+      'app › debug@4.3.4 › ms@2.1.2',
+      'app › send@0.18.0 › debug@4.3.4 › ms@2.1.2'
+    ]);
+    assert.equal(formatPath(findShortestPath(buildDependencyGraph(LOCK), 'ms', { accept: node => node.version === '2.1.2' })), 'app › debug@4.3.4 › ms@2.1.2');
+  });
+
+  it('is not truncated when exactly the limit of paths exists', () => {
+    const { paths, truncated } = findAllPaths(buildDependencyGraph(LOCK), 'debug', { limit: 2 });
+
+    assert.equal(paths.length, 2);
+    assert.equal(truncated, false);
+  });
+
+  it('reports paths left out beyond the limit', () => {
+    const { paths, truncated } = findAllPaths(buildDependencyGraph(LOCK), 'debug', { limit: 1 });
+
+    assert.equal(paths.length, 1);
+    assert.equal(truncated, true);
+  });
+
+  it('applies the limit to each installed copy', () => {
+    const { paths, truncated } = findAllPaths(buildDependencyGraph(LOCK), 'ms', { limit: 1 });
+
+    assert.equal(paths.length, 2);
+    assert.equal(truncated, true);
+  });
+});
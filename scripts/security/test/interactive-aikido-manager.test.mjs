@@ -0,0 +1,657 @@
+/**
+ * Interactive dashboard menus (interactive-aikido-manager.mjs) driven
+ * through scripted terminal streams and a scripted git backend
+ *
+ * Each test answers the prompts in order and checks what the menu printed
+ * and which git commands or scripts it ran; branch cleanup runs against a
+ * fixture repository with a remote, nothing touches the real repository.
+ * Reports and plans the dashboard writes to reports/ are removed afterwards.
+ */
+
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { PassThrough } from 'node:stream';
+import { after, before, describe, it } from 'node:test';
+import { fileURLToPath } from 'node:url';
+import InteractiveAikidoManager from '../interactive-aikido-manager.mjs';
+import { EXIT_CODES } from '../lib/cli.mjs';
+import { createFixtureRepository, createGitService, createScriptedBackend } from '../lib/git.mjs';
+import { buildDependencyGraph } from '../lib/lockfile.mjs';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const reportsDir = path.resolve(__dirname, '../../../reports');
+
+const MAIN_SHA = '1'.repeat(40);
+const BASE_SHA = '2'.repeat(40);
+const BRANCH_SHA = '3'.repeat(40);
+const MERGE_SHA = '4'.repeat(40);
+const REVERT_SHA = '5'.repeat(40);
+
+const LOG_FORMAT = '--format=%H%x00%s%x00%an%x00%cI';
+const BRANCH_FORMAT = '--format=%(refname)%00%(objectname)%00%(committerdate:iso-strict)%00%(contents:subject)';
+const record = (...fields) => fields.join('\0');
+
+// A clean checkout of main with origin/HEAD pointing at it
+const REPOSITORY = {
+  'remote': 'origin',
+  'remote get-url origin': 'git@github.com:example/app.git',
+  'symbolic-ref --short refs/remotes/origin/HEAD': 'origin/main',
+  'branch --show-current': 'main',
+  'status --porcelain': '',
+  'rev-parse --verify --quiet HEAD^{commit}': MAIN_SHA
+};
+
+const VULNERABILITY = {
+  type: 'npm',
+  severity: 'high',
+  title: 'Inefficient Regular Expression Complexity in debug',
+  package: 'debug',
+  source: 'npm',
+  range: '<2.6.9',
+  url: 'https://github.com/advisories/GHSA-gxpj-cx7g-858c',
+  fixAvailable: { name: 'express', version: '4.19.2', isSemVerMajor: false }
+};
+
+/**
+ * Terminal streams that answer each prompt with the next scripted answer
+ */
+function createTerminal(answers) {
+  const input = new PassThrough();
+  const output = new PassThrough();
+  const queue = [...answers];
+  const prompts = [];
+
+  output.on('data', chunk => {
+    prompts.push(chunk.toString());
+    if (queue.length > 0) input.write(`${queue.shift()}\n`);
+  });
+
+  return { input, output, prompts, remaining: () => queue.length };
+}
+
+/**
+ * A manager on scripted streams and git (or the given git service);
+ * `console` output is captured
+ */
+function createManager(t, { answers = [], responses = {}, cwd = os.tmpdir(), git = null } = {}) {
+  const terminal = createTerminal(answers);
+  const backend = createScriptedBackend({ ...REPOSITORY, ...responses });
+  const manager = new InteractiveAikidoManager({
+    input: terminal.input,
+    output: terminal.output,
+    git: git || createGitService(cwd, { backend })
+  });
+  t.after(() => manager.rl?.close());
+
+  t.mock.method(console, 'clear', () => {});
+  const log = t.mock.method(console, 'log', () => {});
+  const printed = () => log.mock.calls.map(call => call.arguments.join(' ')).join('\n');
+  const commands = () => backend.calls.map(call => call.args.join(' '));
+
+  return { manager, terminal, printed, commands };
+}
+
+describe('InteractiveAikidoManager', { timeout: 20000 }, () => {
+  let projectDir;
+  let existingReports;
+
+  before(() => {
+    projectDir = fs.mkdtempSync(path.join(os.tmpdir(), 'interactive-manager-test-'));
+    fs.writeFileSync(path.join(projectDir, 'package.json'), JSON.stringify({ name: 'fixture', version: '1.0.0' }));
+    existingReports = fs.existsSync(reportsDir) ? new Set(fs.readdirSync(reportsDir)) : null;
+  });
+
+  after(() => {
+    fs.rmSync(projectDir, { recursive: true, force: true });
+    if (!fs.existsSync(reportsDir)) return;
+    if (!existingReports) {
+      fs.rmSync(reportsDir, { recursive: true, force: true });
+      return;
+    }
+    fs.readdirSync(reportsDir)
+      .filter(file => !existingReports.has(file))
+      .forEach(file => fs.rmSync(path.join(reportsDir, file), { force: true }));
+  });
+
+  describe('emergencyRollback', () => {
+    const MERGES = {
+      [`log ${LOG_FORMAT} -n 50 --merges --first-parent main --`]: [
+        record(MERGE_SHA, 'Merge aikido/fix-lodash into main', 'Fixture', '2026-10-01T10:00:00+00:00'),
+        record(BRANCH_SHA, 'Merge feature/dark-mode into main', 'Fixture', '2026-09-30T10:00:00+00:00')
+      ].join('\n')
+    };
+
+    it('reverts the chosen security merge on the default branch', async (t) => {
+      const { manager, terminal, printed, commands } = createManager(t, {
+        answers: ['1', 'y', ''],
+        responses: {
+          ...MERGES,
+          [`revert --no-edit -m 1 ${MERGE_SHA}`]: '',
+          'rev-parse --verify --quiet HEAD^{commit}': REVERT_SHA
+        }
+      });
+
+      const revert = await manager.emergencyRollback();
+
+      assert.equal(revert, REVERT_SHA);
+      assert.match(printed(), /1\. 4444444 Merge aikido\/fix-lodash into main \(2026-10-01, Fixture\)/);
+      assert.doesNotMatch(printed(), /feature\/dark-mode/);
+      assert.match(terminal.prompts[1], /Revert 4444444 on main\? \[y\/N\]: $/);
+      assert.match(printed(), /Reverted Merge aikido\/fix-lodash into main \(5555555\)/);
+      assert.ok(commands().includes(`revert --no-edit -m 1 ${MERGE_SHA}`));
+      assert.equal(terminal.remaining(), 0);
+    });
+
+    it('aborts a conflicting revert', async (t) => {
+      const { manager, printed, commands } = createManager(t, {
+        answers: ['1', 'y', ''],
+        responses: {
+          ...MERGES,
+          [`revert --no-edit -m 1 ${MERGE_SHA}`]: new Error('git revert failed'),
+          'diff --name-only --diff-filter=U': 'package-lock.json',
+          'revert --abort': ''
+        }
+      });
+
+      assert.equal(await manager.emergencyRollback(), null);
+      assert.match(printed(), /Revert failed with conflicts in package-lock\.json; main is unchanged/);
+      assert.deepEqual(commands().slice(-3), [`revert --no-edit -m 1 ${MERGE_SHA}`, 'diff --name-only --diff-filter=U', 'revert --abort']);
+    });
+
+    it('reverts nothing when the revert is not confirmed', async (t) => {
+      const { manager, commands } = createManager(t, { answers: ['1', 'n'], responses: MERGES });
+
+      assert.equal(await manager.emergencyRollback(), null);
+      assert.ok(!commands().some(command => command.startsWith('revert')));
+    });
+
+    it('refuses to roll back outside a clean checkout of the default branch', async (t) => {
+      const { manager, printed, commands } = createManager(t, {
+        answers: [''],
+        responses: { 'branch --show-current': 'security/fix-debug' }
+      });
+
+      assert.equal(await manager.emergencyRollback(), null);
+      assert.match(printed(), /Check out main with a clean working tree to roll back/);
+      assert.ok(!commands().some(command => command.startsWith('log') || command.startsWith('revert')));
+    });
+  });
+
+  describe('createEmergencyBranch', () => {
+    it('creates a timestamped branch from the default branch and switches to it', async (t) => {
+      t.mock.timers.enable({ apis: ['Date'], now: new Date('2026-10-18T09:26:00Z') });
+      const { manager, terminal, printed, commands } = createManager(t, {
+        answers: ['y', ''],
+        responses: { 'switch --create security/emergency-20261018-0926 main': '' }
+      });
+
+      const branch = await manager.createEmergencyBranch();
+
+      assert.equal(branch, 'security/emergency-20261018-0926');
+      assert.match(terminal.prompts[0], /Create security\/emergency-20261018-0926 from main and switch to it\? \[y\/N\]: $/);
+      assert.ok(commands().includes('switch --create security/emergency-20261018-0926 main'));
+      assert.match(printed(), /aikido-branch-manager\.mjs merge security\/emergency-20261018-0926/);
+    });
+
+    it('offers the security updates when there are critical findings', async (t) => {
+      t.mock.timers.enable({ apis: ['Date'], now: new Date('2026-10-18T09:26:00Z') });
+      const { manager, printed } = createManager(t, {
+        answers: ['y', 'y', ''],
+        responses: { 'switch --create security/emergency-20261018-0926 main': '' }
+      });
+      manager.pendingFixes = [{ ...VULNERABILITY, severity: 'critical' }];
+      const runScript = t.mock.method(manager, 'runScript', () => EXIT_CODES.OK);
+      t.mock.method(manager, 'loadSecurityData', async () => {});
+
+      await manager.createEmergencyBranch();
+
+      assert.match(printed(), /1 critical vulnerabilities: debug/);
+      assert.deepEqual(runScript.mock.calls[0].arguments, ['dependency-manager.mjs', ['--auto-update']]);
+    });
+
+    it('refuses to create a branch with uncommitted changes', async (t) => {
+      const { manager, printed, commands } = createManager(t, {
+        answers: [''],
+        responses: { 'status --porcelain': ' M package.json' }
+      });
+
+      assert.equal(await manager.createEmergencyBranch(), null);
+      assert.match(printed(), /uncommitted changes; commit or stash them first/);
+      assert.ok(!commands().some(command => command.startsWith('switch')));
+    });
+  });
+
+  describe('createSecurityBranch', () => {
+    it('validates the name, creates the branch, switches to it and pushes it', async (t) => {
+      const { manager, printed, commands } = createManager(t, {
+        answers: ['security/fix-lodash', 'y', 'y', ''],
+        responses: {
+          'check-ref-format --branch security/fix-lodash': 'security/fix-lodash',
+          'rev-parse --verify --quiet refs/heads/security/fix-lodash': new Error('not found'),
+          'branch security/fix-lodash main': '',
+          'switch security/fix-lodash': '',
+          'push --set-upstream origin security/fix-lodash': '',
+          [`for-each-ref ${BRANCH_FORMAT} refs/heads refs/remotes`]: [
+            record('refs/heads/main', MAIN_SHA, '2026-10-18T09:00:00+00:00', 'Initial commit'),
+            record('refs/remotes/origin/security/fix-lodash', MAIN_SHA, '2026-10-18T09:00:00+00:00', 'Initial commit')
+          ].join('\n')
+        }
+      });
+
+      const branch = await manager.createSecurityBranch();
+
+      assert.equal(branch, 'security/fix-lodash');
+      assert.deepEqual(commands().filter(command => /^(check-ref-format|branch |switch|push)/.test(command)), [
+        'check-ref-format --branch security/fix-lodash',
+        'branch security/fix-lodash main',
+        'switch security/fix-lodash',
+        'push --set-upstream origin security/fix-lodash'
+      ]);
+      assert.match(printed(), /Created security\/fix-lodash from main/);
+      assert.match(printed(), /Pushed security\/fix-lodash/);
+      assert.deepEqual(manager.securityBranches.map(entry => `${entry.remote}/${entry.name}`), ['origin/security/fix-lodash']);
+    });
+
+    it('rejects an invalid branch name without creating anything', async (t) => {
+      const { manager, printed, commands } = createManager(t, {
+        answers: ['security/fix..lodash'],
+        responses: { 'check-ref-format --branch security/fix..lodash': new Error('not a valid branch name') }
+      });
+
+      assert.equal(await manager.createSecurityBranch(), null);
+      assert.match(printed(), /"security\/fix\.\.lodash" is not a valid branch name/);
+      assert.ok(!commands().some(command => command.startsWith('branch ')));
+    });
+
+    it('refuses a branch that already exists', async (t) => {
+      const { manager, printed, commands } = createManager(t, {
+        answers: ['security/fix-lodash'],
+        responses: {
+          'check-ref-format --branch security/fix-lodash': 'security/fix-lodash',
+          'rev-parse --verify --quiet refs/heads/security/fix-lodash': MAIN_SHA
+        }
+      });
+
+      assert.equal(await manager.createSecurityBranch(), null);
+      assert.match(printed(), /security\/fix-lodash already exists/);
+      assert.ok(!commands().some(command => command.startsWith('branch ')));
+    });
+  });
+
+  describe('mergeSpecificBranch', () => {
+    const BRANCH_DETAILS = {
+      [`log ${LOG_FORMAT} -n 5 origin/aikido/fix-lodash ^main --`]: record(BRANCH_SHA, 'Document the lodash upgrade', 'Aikido', '2026-10-17T12:00:00+00:00'),
+      'diff --name-status --no-renames main...origin/aikido/fix-lodash --': 'M\tSECURITY.md',
+      'diff --numstat --no-renames main...origin/aikido/fix-lodash --': '2\t0\tSECURITY.md',
+      'merge-base main origin/aikido/fix-lodash': BASE_SHA,
+      [`diff --name-status --no-renames ${BASE_SHA} origin/aikido/fix-lodash --`]: 'M\tSECURITY.md',
+      [`diff --numstat --no-renames ${BASE_SHA} origin/aikido/fix-lodash --`]: '2\t0\tSECURITY.md',
+      'rev-parse --verify --quiet main^{commit}': MAIN_SHA
+    };
+    const branches = () => [{ name: 'aikido/fix-lodash', remote: 'origin', type: 'aikido', status: 'pending' }];
+
+    it('previews the branch and merges nothing when cancelled', async (t) => {
+      const { manager, terminal, printed, commands } = createManager(t, {
+        answers: ['1', 'n'],
+        responses: { ...BRANCH_DETAILS, 'rev-parse --show-toplevel': projectDir }
+      });
+      manager.securityBranches = branches();
+
+      assert.equal(await manager.mergeSpecificBranch(), null);
+      assert.match(printed(), /Details for branch: origin\/aikido\/fix-lodash/);
+      assert.match(printed(), /• 3333333 Document the lodash upgrade/);
+      assert.match(printed(), /• M SECURITY\.md \(\+2 -0\)/);
+      assert.match(printed(), /No dependency changes against main/);
+      assert.match(terminal.prompts[1], /Merge origin\/aikido\/fix-lodash into main after install, test and lint pass\? \[y\/N\]: $/);
+      assert.match(printed(), /Merge cancelled/);
+      assert.ok(!commands().some(command => command.startsWith('worktree') || command.startsWith('update-ref')));
+      assert.equal(manager.securityBranches[0].status, 'pending');
+    });
+
+    it('merges through the pipeline and leaves main alone when it fails', async (t) => {
+      const worktree = path.join(projectDir, 'worktree');
+      t.mock.method(fs, 'mkdtempSync', () => worktree);
+      const { manager, printed, commands } = createManager(t, {
+        answers: ['1', 'y', ''],
+        responses: {
+          ...BRANCH_DETAILS,
+          'rev-parse --show-toplevel': projectDir,
+          'rev-parse --verify --quiet refs/heads/main': MAIN_SHA,
+          'rev-parse --verify --quiet origin/aikido/fix-lodash^{commit}': BRANCH_SHA,
+          'rev-parse --verify --quiet refs/heads/main^{commit}': MAIN_SHA,
+          [`merge-base --is-ancestor origin/aikido/fix-lodash ${MAIN_SHA}`]: new Error('not an ancestor'),
+          [`worktree add --detach ${worktree} ${MAIN_SHA}`]: Object.assign(new Error('git worktree add failed'), { stderr: 'fatal: could not create work tree dir' })
+        }
+      });
+      manager.securityBranches = branches();
+
+      const report = await manager.mergeSpecificBranch();
+
+      assert.equal(report.status, 'failed');
+      assert.equal(report.reason, 'could not create a temporary worktree');
+      assert.equal(manager.securityBranches[0].status, 'failed');
+      assert.ok(commands().includes(`worktree add --detach ${worktree} ${MAIN_SHA}`));
+      assert.ok(!commands().some(command => command.startsWith('merge --ff-only') || command.startsWith('update-ref')));
+      assert.match(printed(), /origin\/aikido\/fix-lodash → main: failed \(could not create a temporary worktree\)/);
+      assert.match(printed(), /main and your checkout were left unchanged/);
+      assert.equal(fs.readdirSync(path.join(projectDir, 'reports')).length, 1);
+    });
+
+    it('rejects a branch number that is not listed', async (t) => {
+      const { manager, printed, commands } = createManager(t, { answers: ['3'] });
+      manager.securityBranches = branches();
+
+      assert.equal(await manager.mergeSpecificBranch(), null);
+      assert.match(printed(), /Invalid branch selection/);
+      assert.deepEqual(commands(), []);
+    });
+  });
+
+  describe('deleteMergedBranches', () => {
+    const DAY_MS = 1000 * 60 * 60 * 24;
+    const daysAgo = days => new Date(Date.now() - days * DAY_MS).toISOString();
+    const manifest = (lodash, express = '4.18.0') => ({ name: 'fixture', version: '1.0.0', dependencies: { lodash, express } });
+
+    // main has moved past the aikido branch; the dependabot branch is still open
+    const COMMITS = [
+      { files: { 'package.json': manifest('4.17.11') }, message: 'Initial commit', date: daysAgo(20) },
+      { branch: 'aikido/lodash-4.17.20', files: { 'package.json': manifest('4.17.20') }, message: 'Upgrade lodash to 4.17.20', date: daysAgo(10) },
+      { branch: 'dependabot/npm_and_yarn/express-4.19.2', from: 'main', files: { 'package.json': manifest('4.17.11', '4.19.2') }, message: 'Bump express', date: daysAgo(2) },
+      { files: { 'package.json': manifest('4.17.21') }, message: 'Upgrade lodash to 4.17.21', date: daysAgo(5) }
+    ];
+    const SECURITY_BRANCHES = [
+      { name: 'aikido/lodash-4.17.20', remote: 'origin', type: 'aikido', status: 'pending' },
+      { name: 'dependabot/npm_and_yarn/express-4.19.2', remote: 'origin', type: 'dependabot', status: 'pending' }
+    ];
+
+    const createRepository = t => {
+      const repository = createFixtureRepository({ commits: COMMITS, remote: true });
+      t.after(() => repository.remove());
+      return { repository, remote: createGitService(repository.remoteDir) };
+    };
+
+    it('deletes superseded branches on the remote once confirmed', async (t) => {
+      const { repository, remote } = createRepository(t);
+      const { manager, terminal, printed } = createManager(t, { answers: ['y', ''], git: repository.git });
+      manager.securityBranches = SECURITY_BRANCHES.map(branch => ({ ...branch }));
+
+      await manager.deleteMergedBranches();
+
+      assert.match(printed(), /1 branch\(es\) can be deleted:\n {2}• aikido\/lodash-4\.17\.20 \(superseded: lodash 4\.17\.20 \(main has 4\.17\.21\)\)\n {6}\$ git push origin --delete aikido\/lodash-4\.17\.20/);
+      assert.match(terminal.prompts[0], /Delete these branches\? \[y\/N\]: $/);
+      assert.match(printed(), /Deleted aikido\/lodash-4\.17\.20/);
+      assert.equal(remote.hasBranch('aikido/lodash-4.17.20'), false);
+      assert.ok(remote.hasBranch('dependabot/npm_and_yarn/express-4.19.2'));
+      // The list is reloaded from the repository
+      assert.deepEqual(manager.securityBranches.map(branch => branch.name), ['dependabot/npm_and_yarn/express-4.19.2']);
+      assert.equal(terminal.remaining(), 0);
+    });
+
+    it('deletes nothing when not confirmed', async (t) => {
+      const { repository, remote } = createRepository(t);
+      const { manager, terminal } = createManager(t, { answers: ['n'], git: repository.git });
+      manager.securityBranches = SECURITY_BRANCHES.map(branch => ({ ...branch }));
+
+      await manager.deleteMergedBranches();
+
+      assert.ok(remote.hasBranch('aikido/lodash-4.17.20'));
+      assert.equal(manager.securityBranches.length, 2);
+      assert.equal(terminal.prompts.length, 1);
+    });
+
+    it('reports when no branch can be deleted', async (t) => {
+      const { repository } = createRepository(t);
+      const { manager, terminal, printed } = createManager(t, { answers: [''], git: repository.git });
+      manager.securityBranches = [SECURITY_BRANCHES[1]];
+
+      await manager.deleteMergedBranches();
+
+      assert.match(printed(), /No merged or superseded security branches/);
+      assert.match(terminal.prompts[0], /Press Enter to continue/);
+    });
+  });
+
+  describe('performActions', () => {
+    // Sorts after any plan a real run left in reports/, so it is listed first
+    const PLAN = 'update-plan-9999-12-31T00-00-00-000Z.json';
+
+    it('runs the verified security updates and reloads the findings', async (t) => {
+      const { manager, terminal } = createManager(t, { answers: ['1', ''] });
+      const runScript = t.mock.method(manager, 'runScript', () => EXIT_CODES.OK);
+      const reload = t.mock.method(manager, 'loadSecurityData', async () => {});
+
+      await manager.performActions();
+
+      assert.deepEqual(runScript.mock.calls.map(call => call.arguments), [['dependency-manager.mjs', ['--auto-update']]]);
+      assert.equal(reload.mock.callCount(), 1);
+      assert.match(terminal.prompts[1], /Press Enter to continue/);
+    });
+
+    it('applies the chosen update plan', async (t) => {
+      fs.mkdirSync(reportsDir, { recursive: true });
+      fs.writeFileSync(path.join(reportsDir, PLAN), '{}\n');
+      const { manager, printed } = createManager(t, { answers: ['3', '1', ''] });
+      const runScript = t.mock.method(manager, 'runScript', () => EXIT_CODES.OK);
+      const reload = t.mock.method(manager, 'loadSecurityData', async () => {});
+
+      await manager.performActions();
+
+      assert.match(printed(), new RegExp(`1\\. ${PLAN.replace(/\./g, '\\.')}`));
+      assert.deepEqual(runScript.mock.calls.map(call => call.arguments), [['dependency-manager.mjs', ['apply', '--plan', path.join(reportsDir, PLAN)]]]);
+      assert.equal(reload.mock.callCount(), 1);
+    });
+
+    it('rejects a plan number that is not listed', async (t) => {
+      fs.mkdirSync(reportsDir, { recursive: true });
+      fs.writeFileSync(path.join(reportsDir, PLAN), '{}\n');
+      const { manager, terminal, printed } = createManager(t, { answers: ['3', 'latest', ''] });
+      const runScript = t.mock.method(manager, 'runScript', () => EXIT_CODES.OK);
+
+      await manager.performActions();
+
+      assert.match(printed(), /Invalid plan selection/);
+      assert.equal(runScript.mock.callCount(), 0);
+      assert.match(terminal.prompts[2], /Press Enter to continue/);
+    });
+
+    it('leaves the menu on any other choice without running anything', async (t) => {
+      const { manager, terminal } = createManager(t, { answers: ['q'] });
+      const runScript = t.mock.method(manager, 'runScript', () => EXIT_CODES.OK);
+
+      await manager.performActions();
+
+      assert.equal(runScript.mock.callCount(), 0);
+      assert.equal(terminal.prompts.length, 1);
+    });
+  });
+
+  describe('showVulnerabilityDetails', () => {
+    it('shows the advisory, installed copies, paths and fixing branches', async (t) => {
+      const { manager, terminal, printed } = createManager(t, { answers: [''] });
+      manager.dependencyGraphs = {
+        root: buildDependencyGraph({
+          packages: {
+            '': { name: 'fixture', dependencies: { express: '^4.18.0' } },
+            'node_modules/express': { version: '4.18.0', dependencies: { debug: '2.6.8' } },
+            'node_modules/debug': { version: '2.6.8' }
+          }
+        })
+      };
+      manager.securityBranches = [{ name: 'security/fix-debug', remote: 'origin', type: 'security', status: 'pending', analysis: { fixed: [{ package: 'debug' }] } }];
+
+      await manager.showVulnerabilityDetails(VULNERABILITY);
+
+      assert.match(printed(), /Title: {9}Inefficient Regular Expression Complexity in debug/);
+      assert.match(printed(), /Vulnerable: {4}<2\.6\.9/);
+      assert.match(printed(), /Advisory: {6}https:\/\/github\.com\/advisories\/GHSA-gxpj-cx7g-858c/);
+      assert.match(printed(), /Fix available: ✅ express@4\.19\.2/);
+      assert.match(printed(), /📁 root: installed 2\.6\.8\n {3}fixture › express@4\.18\.0 › debug@2\.6\.8/);
+      assert.match(printed(), /Fixed by: origin\/security\/fix-debug/);
+      assert.match(terminal.prompts[0], /Press Enter to continue/);
+    });
+  });
+
+  describe('createCustomFix', () => {
+    const vulnerability = { ...VULNERABILITY, package: 'fixture-only-package', range: '<1.3.0', fixAvailable: true };
+
+    it('writes a one-change plan with the suggested version', async (t) => {
+      const { manager, printed } = createManager(t, { answers: ['', 'n', ''] });
+      manager.dependencyGraphs = {};
+      const runScript = t.mock.method(manager, 'runScript', () => EXIT_CODES.OK);
+
+      const planFile = await manager.createCustomFix(vulnerability);
+      const plan = JSON.parse(fs.readFileSync(planFile, 'utf8'));
+      const [change] = plan.workspaces.root.changes;
+
+      assert.equal(path.dirname(planFile), reportsDir);
+      assert.ok(fs.existsSync(planFile.replace(/\.json$/, '.md')));
+      assert.equal(plan.mode, 'custom');
+      assert.equal(plan.commit, MAIN_SHA);
+      assert.equal(change.package, 'fixture-only-package');
+      assert.equal(change.section, 'overrides');
+      assert.equal(change.from, null);
+      assert.equal(change.to, '^1.3.0');
+      assert.equal(change.type, 'security');
+      assert.match(printed(), /Transitive dependency: the version is forced through root overrides/);
+      assert.match(printed(), /Apply later with: node scripts\/security\/dependency-manager\.mjs apply --plan reports\//);
+      assert.equal(runScript.mock.callCount(), 0);
+    });
+
+    it('applies the plan through dependency-manager when confirmed', async (t) => {
+      const { manager } = createManager(t, { answers: ['1.4.0', 'y', ''] });
+      manager.dependencyGraphs = {};
+      const runScript = t.mock.method(manager, 'runScript', () => EXIT_CODES.OK);
+      const reload = t.mock.method(manager, 'loadSecurityData', async () => {});
+
+      const planFile = await manager.createCustomFix(vulnerability);
+
+      assert.equal(JSON.parse(fs.readFileSync(planFile, 'utf8')).workspaces.root.changes[0].to, '^1.4.0');
+      assert.deepEqual(runScript.mock.calls[0].arguments, ['dependency-manager.mjs', ['apply', '--plan', planFile]]);
+      assert.equal(reload.mock.callCount(), 1);
+    });
+
+    it('creates no plan for an answer that is not a version', async (t) => {
+      const { manager, printed } = createManager(t, { answers: ['latest'] });
+      manager.dependencyGraphs = {};
+
+      assert.equal(await manager.createCustomFix(vulnerability), null);
+      assert.match(printed(), /"latest" is not a version; no fix created/);
+    });
+  });
+
+  describe('runSecurityScan', () => {
+    it('runs the dependency scan, reloads and flags incomplete data', async (t) => {
+      const { manager, printed } = createManager(t, { answers: [''] });
+      const runScript = t.mock.method(manager, 'runScript', () => EXIT_CODES.INCOMPLETE);
+      t.mock.method(manager, 'loadSecurityData', async () => {
+        manager.pendingFixes = [{ ...VULNERABILITY, severity: 'critical' }];
+      });
+
+      const status = await manager.runSecurityScan();
+
+      assert.equal(status, EXIT_CODES.INCOMPLETE);
+      assert.deepEqual(runScript.mock.calls[0].arguments, ['dependency-manager.mjs', ['--scan']]);
+      assert.match(printed(), /Critical: \x1b\[31m1/);
+      assert.match(printed(), /Vulnerability data is incomplete; results may miss findings/);
+    });
+  });
+
+  describe('configureNotifications', () => {
+    const createNotificationManager = t => ({
+      setupNotifications: t.mock.fn(async () => {}),
+      createTestAlert: t.mock.fn(severity => ({ severity, title: `Test ${severity} alert` })),
+      sendSecurityAlert: t.mock.fn(async () => ({ email: 'skipped', slack: 'sent', teams: 'failed' }))
+    });
+
+    it('sends a test alert with the chosen severity', async (t) => {
+      const { manager, printed } = createManager(t, { answers: ['2', 'critical', ''] });
+      const notifications = createNotificationManager(t);
+      t.mock.method(manager, 'loadNotificationManager', async () => notifications);
+
+      await manager.configureNotifications();
+
+      assert.deepEqual(notifications.createTestAlert.mock.calls[0].arguments, ['critical']);
+      assert.deepEqual(notifications.sendSecurityAlert.mock.calls[0].arguments, [{ severity: 'critical', title: 'Test critical alert' }]);
+      assert.match(printed(), /ℹ️ email: skipped\n {3}✅ slack: sent\n {3}❌ teams: failed/);
+    });
+
+    it('alerts on the current critical and high findings', async (t) => {
+      const { manager } = createManager(t, { answers: ['3', ''] });
+      const notifications = createNotificationManager(t);
+      t.mock.method(manager, 'loadNotificationManager', async () => notifications);
+      manager.pendingFixes = [{ ...VULNERABILITY, severity: 'critical' }, VULNERABILITY, { ...VULNERABILITY, package: 'ms', severity: 'low' }];
+
+      await manager.configureNotifications();
+
+      const [alert] = notifications.sendSecurityAlert.mock.calls[0].arguments;
+      assert.equal(alert.severity, 'critical');
+      assert.equal(alert.title, '2 critical vulnerabilities');
+      assert.deepEqual(alert.vulnerabilities.map(entry => entry.severity), ['critical', 'high']);
+    });
+
+    it('shows the channel setup', async (t) => {
+      const { manager } = createManager(t, { answers: ['1', ''] });
+      const notifications = createNotificationManager(t);
+      t.mock.method(manager, 'loadNotificationManager', async () => notifications);
+
+      await manager.configureNotifications();
+
+      assert.equal(notifications.setupNotifications.mock.callCount(), 1);
+      assert.equal(notifications.sendSecurityAlert.mock.callCount(), 0);
+    });
+
+    it('leaves the menu on any other choice without loading the notification manager', async (t) => {
+      const { manager, terminal } = createManager(t, { answers: ['x'] });
+      const load = t.mock.method(manager, 'loadNotificationManager', async () => null);
+
+      await manager.configureNotifications();
+
+      assert.equal(load.mock.callCount(), 0);
+      assert.equal(terminal.prompts.length, 1);
+    });
+  });
+
+  describe('generateEmergencyReport', () => {
+    it('writes the critical and high findings and branch verdicts as JSON and Markdown', async (t) => {
+      const { manager, printed } = createManager(t, { answers: [''] });
+      manager.pendingFixes = [
+        { ...VULNERABILITY, path: 'fixture › express@4.18.0 › debug@2.6.8' },
+        { ...VULNERABILITY, package: 'lodash', title: 'Prototype Pollution in lodash', severity: 'critical', fixAvailable: false },
+        { ...VULNERABILITY, package: 'ms', severity: 'low' }
+      ];
+      manager.incompleteSources = ['npm audit'];
+      manager.securityBranches = [{
+        name: 'aikido/fix-lodash',
+        remote: 'origin',
+        type: 'aikido',
+        status: 'pending',
+        analysis: {
+          fixed: [{ id: 'GHSA-jf85-cpcp-j695' }],
+          verdict: { fixed: { critical: 1 }, introduced: {} },
+          status: 'complete',
+          failures: []
+        }
+      }];
+
+      const markdownFile = await manager.generateEmergencyReport();
+      const report = JSON.parse(fs.readFileSync(markdownFile.replace(/\.md$/, '.json'), 'utf8'));
+      const markdown = fs.readFileSync(markdownFile, 'utf8');
+
+      assert.equal(path.dirname(markdownFile), reportsDir);
+      assert.equal(report.commit, MAIN_SHA);
+      assert.deepEqual(report.summary, { critical: 1, high: 1, fixAvailable: 1, branches: 1 });
+      assert.deepEqual(report.findings.map(fix => fix.package), ['lodash', 'debug']);
+      assert.deepEqual(report.branches, [{ name: 'origin/aikido/fix-lodash', type: 'aikido', status: 'pending', verdict: 'fixes 1 critical, introduces 0', fixes: ['GHSA-jf85-cpcp-j695'] }]);
+
+      assert.match(markdown, /\*\*1 critical, 1 high\*\* \(1 with a fix available\)/);
+      assert.match(markdown, /Incomplete data: npm audit could not be read/);
+      assert.match(markdown, /\| critical \| `lodash` \| Prototype Pollution in lodash \| ❌ \| - \|/);
+      assert.match(markdown, /\| high \| `debug` \| .* \| ✅ \| fixture › express@4\.18\.0 › debug@2\.6\.8 \|/);
+      assert.match(markdown, /- `origin\/aikido\/fix-lodash` \(aikido\): fixes 1 critical, introduces 0/);
+      assert.doesNotMatch(markdown, /`ms`/);
+      assert.match(printed(), /Emergency report saved: reports\/emergency-report-/);
+    });
+  });
+});
@@ -0,0 +1,131 @@
+/**
+ * License normalisation and classification (lib/spdx.mjs, lib/licenses.mjs)
+ * and license acknowledgements written to .securityrc (lib/policy.mjs)
+ */
+
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { afterEach, beforeEach, describe, it } from 'node:test';
+import { classifyExpression } from '../lib/licenses.mjs';
+import { POLICY_FILE, addLicenseAcknowledgements } from '../lib/policy.mjs';
+import { normalizeLicense } from '../lib/spdx.mjs';
+
+describe('normalizeLicense', () => {
+  it('maps aliases, legacy objects and arrays to SPDX expressions', () => {
+    assert.equal(normalizeLicense('Apache 2.0').expression, 'Apache-2.0');
+    assert.equal(normalizeLicense('(mit or apache-2.0)').expression, '(MIT OR Apache-2.0)');
+    assert.equal(normalizeLicense('GPL-2.0 WITH Classpath-exception-2.0').expression, 'GPL-2.0-only WITH Classpath-exception-2.0');
+    assert.equal(normalizeLicense({ type: 'MIT', url: 'https://opensource.org/licenses/MIT' }).expression, 'MIT');
+    assert.equal(normalizeLicense(['MIT', 'Apache 2.0']).expression, 'MIT OR Apache-2.0');
+    assert.deepEqual(normalizeLicense(undefined), { expression: null, ids: [], unknown: [] });
+  });
+
+  it('turns free text into a single LicenseRef id', () => {
+    assert.deepEqual(normalizeLicense('BSD 3-Clause'), {
+      expression: 'LicenseRef-BSD-3-Clause',
+      ids: ['LicenseRef-BSD-3-Clause'],
+      unknown: ['LicenseRef-BSD-3-Clause']
+    });
+    assert.equal(normalizeLicense('Custom Corporate License').expression, 'LicenseRef-Custom-Corporate-License');
+    assert.equal(normalizeLicense('(MIT').expression, 'LicenseRef-MIT');
+    assert.equal(normalizeLicense('MIT OR').expression, 'LicenseRef-MIT-OR');
+  });
+
+  it('does not guess the variant of a bare BSD license', () => {
+    assert.deepEqual(normalizeLicense('BSD').unknown, ['LicenseRef-BSD']);
+  });
+});
+
+describe('classifyExpression', () => {
+  it('picks the most favourable OR option and the least favourable AND term', () => {
+    assert.equal(classifyExpression('MIT OR GPL-3.0-only'), 'allow');
+    assert.equal(classifyExpression('MIT AND GPL-3.0-only'), 'deny');
+    assert.equal(classifyExpression('(MIT AND MPL-2.0) OR GPL-3.0-only'), 'review');
+    assert.equal(classifyExpression('GPL-2.0-only WITH Classpath-exception-2.0'), 'deny');
+  });
+
+  it('reviews free text and LicenseRef ids', () => {
+    assert.equal(classifyExpression(normalizeLicense('BSD 3-Clause').expression), 'review');
+    assert.equal(classifyExpression(normalizeLicense('BSD').expression), 'review');
+    assert.equal(classifyExpression(null), 'review');
+  });
+
+  it('reviews expressions with tokens left over', () => {
+    assert.equal(classifyExpression('MIT Apache-2.0'), 'review');
+    assert.equal(classifyExpression('BSD-2-Clause LicenseRef-3-Clause'), 'review');
+    assert.equal(classifyExpression('MIT) OR ISC'), 'review');
+    assert.equal(classifyExpression('(MIT OR ISC'), 'review');
+  });
+});
+
+describe('addLicenseAcknowledgements', () => {
+  const ENTRY = { package: 'b', license: 'LGPL-3.0-only', reason: 'Reviewed by "legal"' };
+  const FORMATTED = '{ "package": "b", "license": "LGPL-3.0-only", "reason": "Reviewed by \\"legal\\"" }';
+  let projectRoot;
+
+  const writePolicy = text => fs.writeFileSync(path.join(projectRoot, POLICY_FILE), text);
+  const acknowledge = () => {
+    addLicenseAcknowledgements(projectRoot, null, [ENTRY]);
+    const text = fs.readFileSync(path.join(projectRoot, POLICY_FILE), 'utf8');
+    assert.doesNotThrow(() => JSON.parse(text));
+    return text;
+  };
+
+  beforeEach(() => {
+    projectRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'licenses-test-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(projectRoot, { recursive: true, force: true });
+  });
+
+  it('creates the policy file when there is none', () => {
+    const policy = JSON.parse(acknowledge());
+
+    assert.equal(policy.version, 1);
+    assert.deepEqual(policy.licenses.acknowledged, [ENTRY]);
+  });
+
+  it('adds a licenses section when the policy has none', () => {
+    writePolicy('{\n  "version": 1\n}\n');
+
+    assert.equal(acknowledge(), `{\n  "version": 1,\n  "licenses": { "acknowledged": [${FORMATTED}] }\n}\n`);
+  });
+
+  it('adds the acknowledged list to an existing licenses section', () => {
+    writePolicy('{\n  "licenses": { "deny": ["GPL-3.0-only"] }\n}\n');
+
+    assert.equal(acknowledge(), `{\n  "licenses": { "deny": ["GPL-3.0-only"], "acknowledged": [${FORMATTED}] }\n}\n`);
+  });
+
+  it('fills an empty acknowledged list one entry per line', () => {
+    writePolicy('{\n  "licenses": {\n    "acknowledged": []\n  }\n}\n');
+
+    assert.equal(acknowledge(), `{\n  "licenses": {\n    "acknowledged": [\n      ${FORMATTED}\n    ]\n  }\n}\n`);
+  });
+
+  it('follows a multi-line list', () => {
+    writePolicy('{\n  "licenses": {\n    "acknowledged": [\n      { "package": "a" }\n    ]\n  }\n}\n');
+
+    assert.equal(acknowledge(), `{\n  "licenses": {\n    "acknowledged": [\n      { "package": "a" },\n      ${FORMATTED}\n    ]\n  }\n}\n`);
+  });
+
+  it('follows an inline list', () => {
+    writePolicy('{\n  "licenses": { "acknowledged": [{ "package": "a" }] }\n}\n');
+
+    assert.equal(acknowledge(), `{\n  "licenses": { "acknowledged": [{ "package": "a" }, ${FORMATTED}] }\n}\n`);
+  });
+
+  it('skips brackets and keys inside strings with escaped quotes', () => {
+    const ignore = '"ignore": [{ "id": "GHSA-1", "justification": "says \\"licenses\\": { ] }" }]';
+    const existing = '{ "package": "a", "reason": "quoted \\"]\\" bracket" }';
+    writePolicy(`{\n  ${ignore},\n  "licenses": {\n    "acknowledged": [\n      ${existing}\n    ]\n  }\n}\n`);
+
+    const text = acknowledge();
+
+    assert.equal(text, `{\n  ${ignore},\n  "licenses": {\n    "acknowledged": [\n      ${existing},\n      ${FORMATTED}\n    ]\n  }\n}\n`);
+    assert.equal(JSON.parse(text).ignore[0].justification, 'says "licenses": { ] }');
+  });
+});
@@ -0,0 +1,172 @@
+/**
+ * Safe merge pipeline (lib/merge-pipeline.mjs) against fixture repositories
+ *
+ * The install step runs a node one-liner that rewrites the lockfile from the
+ * merged manifest, so no test touches the registry.
+ */
+
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import path from 'node:path';
+import { afterEach, beforeEach, describe, it } from 'node:test';
+import { runMergePipeline, writeMergeReport } from '../lib/merge-pipeline.mjs';
+import { createFixtureRepository } from '../lib/git.mjs';
+import { DEFAULT_POLICY } from '../lib/policy.mjs';
+
+const INSTALL_COMMAND = `node -e "const fs = require('fs'); const { dependencies } = JSON.parse(fs.readFileSync('package.json')); fs.writeFileSync('package-lock.json', JSON.stringify({ lockfileVersion: 3, packages: { '': { dependencies } } }, null, 2) + '\\n')"`;
+
+const manifest = dependencies => ({ name: 'fixture', version: '1.0.0', dependencies });
+const lockfile = dependencies => ({ lockfileVersion: 3, packages: { '': { dependencies } } });
+const withVerify = verify => ({ ...DEFAULT_POLICY, updates: { ...DEFAULT_POLICY.updates, verify } });
+
+const COMMITS = [
+  { files: { 'package.json': manifest({ lodash: '4.17.11' }), 'package-lock.json': lockfile({ lodash: '4.17.11' }), 'README.md': 'Fixture\n' }, message: 'Initial commit' },
+  { branch: 'aikido/fix-lodash', files: { 'package.json': manifest({ lodash: '4.17.21' }) }, message: 'Upgrade lodash' },
+  { branch: 'dependabot/npm_and_yarn/debug-4.3.1', from: 'main', files: { 'package.json': manifest({ lodash: '4.17.11', debug: '4.3.1' }), 'package-lock.json': lockfile({ lodash: '4.17.11', debug: '4.3.1' }) }, message: 'Add debug' },
+  { branch: 'security/readme', from: 'main', files: { 'README.md': 'Security notes\n' }, message: 'Document the fix' },
+  { files: { 'package-lock.json': lockfile({ lodash: '4.17.11', ms: '2.1.3' }), 'README.md': 'Fixture repository\n' }, message: 'Refresh the lockfile' }
+];
+
+describe('runMergePipeline', () => {
+  let repository;
+  let git;
+  let base;
+
+  beforeEach(() => {
+    repository = createFixtureRepository({ commits: COMMITS });
+    git = repository.git;
+    base = git.resolve('main');
+  });
+
+  afterEach(() => {
+    repository.remove();
+  });
+
+  const merge = (branch, options = {}) => runMergePipeline({
+    git,
+    branch,
+    target: 'main',
+    policy: withVerify(['node -e "process.exit(0)"']),
+    installCommand: INSTALL_COMMAND,
+    log: () => {},
+    ...options
+  });
+
+  const countWorktrees = () => git.run(['worktree', 'list', '--porcelain']).match(/^worktree /gm).length;
+
+  it('merges a verified branch and fast-forwards the checked out target', () => {
+    const report = merge('aikido/fix-lodash');
+
+    assert.equal(report.status, 'merged');
+    assert.equal(report.reason, null);
+    assert.deepEqual(report.steps.map(step => step.name), [
+      'create worktree',
+      'merge',
+      INSTALL_COMMAND,
+      'root: node -e "process.exit(0)"',
+      'commit',
+      'fast-forward main'
+    ]);
+    assert.ok(report.steps.every(step => step.success));
+    assert.deepEqual(report.lockfiles, ['package-lock.json']);
+
+    assert.equal(git.resolve('main'), report.mergeCommit);
+    assert.equal(git.getCommit('main').subject, 'Merge aikido/fix-lodash into main');
+    assert.equal(JSON.parse(git.readFile('main', 'package-lock.json')).packages[''].dependencies.lodash, '4.17.21');
+    // The main checkout follows the fast-forward
+    assert.equal(JSON.parse(fs.readFileSync(path.join(repository.dir, 'package.json'), 'utf8')).dependencies.lodash, '4.17.21');
+    assert.equal(countWorktrees(), 1);
+  });
+
+  it('moves a target that is not checked out with a compare-and-swap', () => {
+    git.run(['checkout', '--quiet', 'security/readme']);
+
+    const report = merge('aikido/fix-lodash');
+
+    assert.equal(report.status, 'merged');
+    assert.equal(git.resolve('main'), report.mergeCommit);
+    assert.equal(git.getCurrentBranch(), 'security/readme');
+  });
+
+  it('reports a branch already in the target as up to date', () => {
+    git.run(['branch', 'security/merged-fix', 'main~1']);
+
+    const report = merge('security/merged-fix');
+
+    assert.equal(report.status, 'up-to-date');
+    assert.deepEqual(report.steps, []);
+    assert.equal(git.resolve('main'), base);
+  });
+
+  it('regenerates a conflicting lockfile from the merged manifests', () => {
+    const report = merge('dependabot/npm_and_yarn/debug-4.3.1');
+
+    assert.equal(report.status, 'merged');
+    assert.deepEqual(report.conflicts, ['package-lock.json']);
+    assert.ok(report.steps.some(step => step.name === 'resolve lockfile conflicts' && step.success));
+    assert.deepEqual(JSON.parse(git.readFile('main', 'package-lock.json')).packages[''].dependencies, { lodash: '4.17.11', debug: '4.3.1' });
+  });
+
+  it('fails on conflicts outside lockfiles and leaves the target unchanged', () => {
+    const report = merge('security/readme');
+
+    assert.equal(report.status, 'failed');
+    assert.equal(report.reason, 'merge conflicts in README.md');
+    assert.deepEqual(report.conflicts, ['README.md']);
+    assert.equal(report.mergeCommit, null);
+    assert.equal(git.resolve('main'), base);
+    assert.equal(fs.readFileSync(path.join(repository.dir, 'README.md'), 'utf8'), 'Fixture repository\n');
+    assert.equal(countWorktrees(), 1);
+  });
+
+  it('fails when a verification command fails and keeps its output', () => {
+    const report = merge('aikido/fix-lodash', { policy: withVerify(['node -e "console.error(\'lint failed\'); process.exit(1)"']) });
+
+    assert.equal(report.status, 'failed');
+    assert.match(report.reason, /^verification failed in root: /);
+    assert.match(report.steps.at(-1).output, /lint failed/);
+    assert.equal(git.resolve('main'), base);
+    assert.equal(countWorktrees(), 1);
+  });
+
+  it('verifies the root with its own scripts when test and lint fan out to workspaces', () => {
+    const scripts = {
+      test: 'npm run test:security && npm run test:mobile',
+      'test:security': 'node -e "process.exit(0)"',
+      'test:mobile': 'cd mobile && npm test',
+      lint: 'npm run lint:mobile',
+      'lint:mobile': 'cd mobile && npm run lint'
+    };
+    const monorepo = createFixtureRepository({
+      commits: [
+        { files: { 'package.json': { ...manifest({ lodash: '4.17.11' }), scripts }, 'package-lock.json': lockfile({ lodash: '4.17.11' }) }, message: 'Initial commit' },
+        { branch: 'aikido/fix-lodash', files: { 'package.json': { ...manifest({ lodash: '4.17.21' }), scripts } }, message: 'Upgrade lodash' }
+      ]
+    });
+
+    try {
+      const report = merge('aikido/fix-lodash', { git: monorepo.git, policy: DEFAULT_POLICY });
+
+      assert.equal(report.status, 'merged', report.reason);
+      assert.deepEqual(report.steps.filter(step => step.name.startsWith('root: ')).map(step => step.name), ['root: npm run test:security']);
+    } finally {
+      monorepo.remove();
+    }
+  });
+
+  it('fails when the install command fails', () => {
+    const report = merge('aikido/fix-lodash', { installCommand: 'node -e "process.exit(1)"' });
+
+    assert.equal(report.status, 'failed');
+    assert.equal(report.reason, 'node -e "process.exit(1)" failed');
+    assert.equal(git.resolve('main'), base);
+  });
+
+  it('writes the report to the reports directory', () => {
+    const report = merge('aikido/fix-lodash');
+    const file = writeMergeReport(report, path.join(repository.dir, 'reports'));
+
+    assert.equal(path.basename(file), `merge-aikido-fix-lodash-${report.startedAt.slice(0, 10)}.json`);
+    assert.deepEqual(JSON.parse(fs.readFileSync(file, 'utf8')), report);
+  });
+});
@@ -0,0 +1,181 @@
+/**
+ * Security policy (lib/policy.mjs): schema validation, ignore entries and
+ * per-workspace overrides
+ */
+
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { afterEach, beforeEach, describe, it } from 'node:test';
+import { fileURLToPath } from 'node:url';
+import {
+  DEFAULT_POLICY,
+  POLICY_FILE,
+  POLICY_SCHEMA_PATH,
+  applyIgnores,
+  loadPolicy,
+  resolveWorkspacePolicy,
+  validateAgainstSchema
+} from '../lib/policy.mjs';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const schema = JSON.parse(fs.readFileSync(POLICY_SCHEMA_PATH, 'utf8'));
+const validate = content => validateAgainstSchema(content, schema);
+
+const IGNORE_ENTRY = { id: 'GHSA-jf85-cpcp-j695', expires: '2026-10-18', justification: 'Only reachable from build tooling' };
+
+const finding = (overrides = {}) => ({
+  id: 'GHSA-jf85-cpcp-j695',
+  ghsa: 'GHSA-jf85-cpcp-j695',
+  source: 1106913,
+  package: 'lodash',
+  severity: 'critical',
+  ...overrides
+});
+
+describe('validateAgainstSchema', () => {
+  it("accepts the repository's policy file", () => {
+    const content = JSON.parse(fs.readFileSync(path.join(__dirname, '..', '..', '..', POLICY_FILE), 'utf8'));
+    assert.deepEqual(validate(content), []);
+  });
+
+  it('follows $ref into definitions', () => {
+    assert.deepEqual(validate({ version: 1, sla: { high: -1 } }), ['/sla/high: must be >= 0']);
+    assert.deepEqual(validate({ version: 1, updates: { autoUpdateSeverities: ['urgent'] } }), [
+      '/updates/autoUpdateSeverities/0: must be one of critical, high, moderate, low, info'
+    ]);
+  });
+
+  it('rejects unknown properties and validates additionalProperties schemas', () => {
+    assert.deepEqual(validate({ version: 1, slas: {} }), ['(root): unknown property "slas"']);
+    assert.deepEqual(validate({ version: 1, workspaces: { mobile: { sla: { critical: 1.5 } }, api: { trustedSources: [] } } }), [
+      '/workspaces/mobile/sla/critical: expected integer, got number',
+      '/workspaces/api: unknown property "trustedSources"'
+    ]);
+  });
+
+  it('checks required properties and types', () => {
+    assert.deepEqual(validate({}), ['(root): missing required property "version"']);
+    assert.deepEqual(validate({ version: 1, ignore: {} }), ['/ignore: expected array, got object']);
+    assert.deepEqual(validate({ version: 1, ignore: [{ id: 'GHSA-1', expires: '2026-10-18', justification: 'short' }] }), [
+      '/ignore/0/justification: must be at least 10 characters'
+    ]);
+  });
+
+  it('only accepts real calendar dates', () => {
+    const withExpiry = expires => validate({ version: 1, ignore: [{ ...IGNORE_ENTRY, expires }] });
+
+    assert.deepEqual(withExpiry('2028-02-29'), []);
+    for (const expires of ['2026-02-30', '2027-02-29', '2026-13-01', '18/10/2026', '2026-10-18T00:00:00Z']) {
+      assert.deepEqual(withExpiry(expires), ['/ignore/0/expires: must be a date (YYYY-MM-DD)'], expires);
+    }
+  });
+});
+
+describe('applyIgnores', () => {
+  const policy = { ignore: [IGNORE_ENTRY] };
+
+  it('suppresses findings until the end of the expiry day', () => {
+    const { active, ignored, expired } = applyIgnores([finding()], policy, new Date('2026-10-18T23:59:59Z'));
+
+    assert.deepEqual(active, []);
+    assert.deepEqual(expired, []);
+    assert.deepEqual(ignored, [{ ...finding(), ignoredBy: IGNORE_ENTRY }]);
+  });
+
+  it('reports the exception as expired from the next day', () => {
+    const { active, ignored, expired } = applyIgnores([finding()], policy, new Date('2026-10-19T00:00:00Z'));
+
+    assert.deepEqual(active, [finding()]);
+    assert.deepEqual(ignored, []);
+    assert.deepEqual(expired, [{ finding: finding(), entry: IGNORE_ENTRY }]);
+  });
+
+  it('matches the GHSA id, the npm advisory number and an optional package', () => {
+    const now = new Date('2026-10-01T00:00:00Z');
+    const bySource = { ignore: [{ ...IGNORE_ENTRY, id: '1106913', package: 'lodash' }] };
+    const findings = [finding({ id: 'npm-1106913' }), finding({ package: 'lodash-es' })];
+
+    const { active, ignored } = applyIgnores(findings, bySource, now);
+    assert.deepEqual(ignored.map(entry => entry.id), ['npm-1106913']);
+    assert.deepEqual(active.map(entry => entry.package), ['lodash-es']);
+
+    assert.equal(applyIgnores([finding({ id: 'other' })], policy, now).ignored.length, 1);
+    assert.equal(applyIgnores([finding({ id: 'other', ghsa: null })], policy, now).active.length, 1);
+  });
+});
+
+describe('resolveWorkspacePolicy', () => {
+  const policy = {
+    ...DEFAULT_POLICY,
+    ignore: [IGNORE_ENTRY],
+    licenses: { ...DEFAULT_POLICY.licenses, acknowledged: [{ package: 'global-ack', justification: 'Reviewed globally', date: '2026-10-01' }] },
+    workspaces: {
+      mobile: {
+        sla: { high: 14 },
+        updates: { exclude: ['react-native'] },
+        ignore: [{ ...IGNORE_ENTRY, id: 'GHSA-mobile' }],
+        licenses: { acknowledged: [{ package: 'mobile-ack', justification: 'Reviewed for mobile', date: '2026-10-02' }] }
+      }
+    }
+  };
+
+  it('merges the overrides of a workspace over the global policy', () => {
+    const resolved = resolveWorkspacePolicy(policy, 'mobile', '@glossia/mobile');
+
+    assert.equal(resolved.workspaces, undefined);
+    assert.deepEqual(resolved.sla, { critical: 7, high: 14, moderate: 90, low: 365 });
+    // Lists replace the global list, except ignore entries and acknowledgements
+    assert.deepEqual(resolved.updates, { ...DEFAULT_POLICY.updates, exclude: ['react-native'] });
+    assert.deepEqual(resolved.ignore.map(entry => entry.id), ['GHSA-jf85-cpcp-j695', 'GHSA-mobile']);
+    assert.deepEqual(resolved.licenses.acknowledged.map(entry => entry.package), ['global-ack', 'mobile-ack']);
+    assert.deepEqual(resolved.licenses.allow, DEFAULT_POLICY.licenses.allow);
+  });
+
+  it('finds overrides by package name and falls back to the global policy', () => {
+    const byName = { ...policy, workspaces: { '@glossia/mobile': policy.workspaces.mobile } };
+
+    assert.equal(resolveWorkspacePolicy(byName, 'mobile', '@glossia/mobile').sla.high, 14);
+
+    const { workspaces, ...global } = policy;
+    assert.deepEqual(resolveWorkspacePolicy(policy, 'api', '@glossia/api'), global);
+  });
+});
+
+describe('loadPolicy', () => {
+  let projectRoot;
+
+  beforeEach(() => {
+    projectRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'policy-test-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(projectRoot, { recursive: true, force: true });
+  });
+
+  it('falls back to the default policy without a policy file', () => {
+    assert.deepEqual(loadPolicy(projectRoot), { policy: DEFAULT_POLICY, path: null });
+    assert.throws(() => loadPolicy(projectRoot, path.join(projectRoot, 'missing.json')), /Policy file not found/);
+  });
+
+  it('merges the file over the defaults', () => {
+    const file = path.join(projectRoot, POLICY_FILE);
+    fs.writeFileSync(file, JSON.stringify({ $schema: './scripts/security/securityrc.schema.json', version: 1, sla: { critical: 3 } }));
+
+    const { policy, path: policyPath } = loadPolicy(projectRoot);
+
+    assert.equal(policyPath, file);
+    assert.equal(policy.$schema, undefined);
+    assert.deepEqual(policy.sla, { ...DEFAULT_POLICY.sla, critical: 3 });
+  });
+
+  it('lists every problem of an invalid file', () => {
+    fs.writeFileSync(path.join(projectRoot, POLICY_FILE), JSON.stringify({ version: 2, ignore: [{ ...IGNORE_ENTRY, expires: '2026-02-30' }] }));
+
+    assert.throws(() => loadPolicy(projectRoot), error =>
+      error.message.includes('/version: must be one of 1') &&
+      error.message.includes('/ignore/0/expires: must be a date (YYYY-MM-DD)')
+    );
+  });
+});
@@ -0,0 +1,129 @@
+/**
+ * SARIF output (lib/sarif.mjs) validated against the official SARIF 2.1.0
+ * JSON schema (fixtures/sarif-schema-2.1.0.json, draft-04)
+ */
+
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { after, before, describe, it } from 'node:test';
+import { fileURLToPath } from 'node:url';
+import Ajv from 'ajv-draft-04';
+import addFormats from 'ajv-formats';
+import { normalizeAuditReport } from '../lib/audit.mjs';
+import { SARIF_VERSION, buildSarifLog } from '../lib/sarif.mjs';
+import { discoverWorkspaces } from '../lib/workspaces.mjs';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const schema = JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures', 'sarif-schema-2.1.0.json'), 'utf8'));
+
+function createValidator() {
+  // The schema's language pattern is not a valid Unicode regular expression
+  const ajv = new Ajv({ allErrors: true, strict: false, unicodeRegExp: false });
+  addFormats(ajv);
+  return ajv.compile(schema);
+}
+
+function assertValidSarif(log) {
+  const validate = createValidator();
+  assert.ok(validate(log), JSON.stringify(validate.errors, null, 2));
+}
+
+function writeJson(file, content) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(content, null, 2) + '\n');
+}
+
+// npm audit v2 report: a direct and a transitive finding
+const AUDIT_REPORT = {
+  auditReportVersion: 2,
+  vulnerabilities: {
+    debug: {
+      name: 'debug',
+      severity: 'high',
+      isDirect: false,
+      via: [{ source: 1094219, name: 'debug', title: 'Inefficient Regular Expression Complexity', url: 'https://github.com/advisories/GHSA-gxpj-cx7g-858c', severity: 'high', cwe: ['CWE-1333'], cvss: { score: 7.5 }, range: '>=4.0.0 <4.3.1' }],
+      effects: ['express'],
+      range: '>=4.0.0 <4.3.1',
+      nodes: ['node_modules/debug'],
+      fixAvailable: true
+    },
+    express: {
+      name: 'express',
+      severity: 'high',
+      isDirect: true,
+      via: ['debug'],
+      effects: [],
+      range: '<4.19.2',
+      nodes: ['node_modules/express'],
+      fixAvailable: true
+    },
+    lodash: {
+      name: 'lodash',
+      severity: 'critical',
+      isDirect: true,
+      via: [{ source: 1106913, name: 'lodash', title: 'Prototype Pollution in lodash', url: 'https://github.com/advisories/GHSA-jf85-cpcp-j695', severity: 'critical', range: '<4.17.12' }],
+      effects: [],
+      range: '<4.17.12',
+      nodes: ['node_modules/lodash'],
+      fixAvailable: true
+    }
+  }
+};
+
+describe('buildSarifLog', () => {
+  let projectRoot;
+  let workspaces;
+
+  before(() => {
+    projectRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'sarif-test-'));
+    writeJson(path.join(projectRoot, 'package.json'), { name: 'monorepo', private: true, workspaces: ['app', 'api'], dependencies: { lodash: '^4.17.11' } });
+    writeJson(path.join(projectRoot, 'app', 'package.json'), { name: 'app', dependencies: { express: '^4.18.0' } });
+    writeJson(path.join(projectRoot, 'api', 'package.json'), { name: 'api', devDependencies: { lodash: '4.17.11' } });
+    ({ workspaces } = discoverWorkspaces(projectRoot));
+  });
+
+  after(() => {
+    fs.rmSync(projectRoot, { recursive: true, force: true });
+  });
+
+  it('produces a valid log without findings', () => {
+    const scanResults = Object.fromEntries(Object.keys(workspaces).map(key => [key, { findings: [] }]));
+    const log = buildSarifLog(scanResults, workspaces, { projectRoot });
+
+    assertValidSarif(log);
+    assert.equal(log.version, SARIF_VERSION);
+    assert.equal(log.runs.length, 3);
+    log.runs.forEach(run => assert.deepEqual(run.results, []));
+  });
+
+  it('produces a valid log with findings across several workspaces', () => {
+    const findings = normalizeAuditReport(AUDIT_REPORT);
+    const scanResults = {
+      root: { findings: findings.filter(finding => finding.package === 'lodash') },
+      app: { findings: findings.filter(finding => finding.package === 'debug') },
+      api: { findings: findings.filter(finding => finding.package === 'lodash') }
+    };
+    const log = buildSarifLog(scanResults, workspaces, { projectRoot });
+
+    assertValidSarif(log);
+    assert.equal(log.runs.length, 3);
+
+    const app = log.runs.find(run => run.automationDetails.id === 'dependency-manager/app/');
+    assert.equal(app.results[0].ruleId, 'GHSA-gxpj-cx7g-858c');
+    assert.equal(app.results[0].level, 'error');
+    // The transitive finding points at the dependency that pulls it in
+    assert.equal(app.results[0].locations[0].physicalLocation.artifactLocation.uri, 'app/package.json');
+    assert.equal(app.results[0].locations[0].physicalLocation.region.startLine, 4);
+
+    const api = log.runs.find(run => run.automationDetails.id === 'dependency-manager/api/');
+    assert.equal(api.tool.driver.rules[0].id, 'GHSA-jf85-cpcp-j695');
+    assert.equal(api.results[0].locations[0].physicalLocation.region.startLine, 4);
+  });
+
+  it('rejects a log the schema does not allow', () => {
+    const validate = createValidator();
+    assert.equal(validate({ version: SARIF_VERSION, runs: [{ results: [] }] }), false);
+  });
+});
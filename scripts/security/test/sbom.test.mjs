@@ -0,0 +1,157 @@
+/**
+ * SBOM output (lib/sbom.mjs): CycloneDX validated against the official
+ * CycloneDX 1.5 JSON schema (fixtures/cyclonedx, draft-07) and SPDX 2.3
+ * checked for the document rules its consumers enforce
+ */
+
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import path from 'node:path';
+import { describe, it } from 'node:test';
+import { fileURLToPath } from 'node:url';
+import Ajv from 'ajv';
+import addFormats from 'ajv-formats';
+import { normalizeAuditReport } from '../lib/audit.mjs';
+import { buildDependencyGraph } from '../lib/lockfile.mjs';
+import { buildCycloneDx, buildSpdx } from '../lib/sbom.mjs';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const readSchema = name => JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures', 'cyclonedx', name), 'utf8'));
+
+function createValidator() {
+  const ajv = new Ajv({ allErrors: true, strict: false });
+  addFormats(ajv);
+  // bom-1.5 references both by their $id
+  ajv.addSchema(readSchema('spdx.schema.json'));
+  ajv.addSchema(readSchema('jsf-0.82.schema.json'));
+  return ajv.compile(readSchema('bom-1.5.schema.json'));
+}
+
+// Documents are validated as written to disk
+const serialize = document => JSON.parse(JSON.stringify(document));
+
+const INTEGRITY = `sha512-${Buffer.alloc(64, 7).toString('base64')}`;
+
+// An UNLICENSED app with licenses in the shapes npm packages declare them
+const LOCK = {
+  name: 'app',
+  lockfileVersion: 3,
+  packages: {
+    '': {
+      name: 'app',
+      version: '1.0.0',
+      license: 'UNLICENSED',
+      dependencies: { lodash: '^4.17.11', '@scope/widget': '^2.0.0', legacy: '^1.0.0' },
+      devDependencies: { 'dual-licensed': '^1.0.0' },
+      optionalDependencies: { fsevents: '^2.3.0' }
+    },
+    'node_modules/lodash': { version: '4.17.11', license: 'MIT', integrity: INTEGRITY, resolved: 'https://registry.npmjs.org/lodash/-/lodash-4.17.11.tgz' },
+    'node_modules/@scope/widget': { version: '2.1.0', license: 'SEE LICENSE IN LICENSE.md', dependencies: { lodash: '^4.17.0' } },
+    'node_modules/legacy': { version: '1.0.0', license: 'Proprietary' },
+    'node_modules/dual-licensed': { version: '1.0.0', license: '(MIT OR Apache-2.0)', dev: true },
+    'node_modules/fsevents': { version: '2.3.3', license: 'MIT', optional: true, hasInstallScript: true }
+  }
+};
+
+const AUDIT_REPORT = {
+  auditReportVersion: 2,
+  vulnerabilities: {
+    lodash: {
+      name: 'lodash',
+      severity: 'critical',
+      isDirect: true,
+      via: [{ source: 1106913, name: 'lodash', title: 'Prototype Pollution in lodash', url: 'https://github.com/advisories/GHSA-jf85-cpcp-j695', severity: 'critical', cwe: ['CWE-1321'], range: '<4.17.12' }],
+      effects: [],
+      range: '<4.17.12',
+      nodes: ['node_modules/lodash'],
+      fixAvailable: true
+    }
+  }
+};
+
+const OPTIONS = { name: 'app', version: '1.0.0', timestamp: '2026-10-18T12:00:00.000Z' };
+
+describe('buildCycloneDx', () => {
+  it('produces a valid BOM without findings', () => {
+    const validate = createValidator();
+    const bom = serialize(buildCycloneDx(buildDependencyGraph(LOCK), OPTIONS));
+
+    assert.ok(validate(bom), JSON.stringify(validate.errors, null, 2));
+    assert.equal(bom.components.length, 5);
+    assert.equal(bom.vulnerabilities, undefined);
+  });
+
+  it('produces a valid BOM with active, ignored and triaged findings', () => {
+    const validate = createValidator();
+    const [finding] = normalizeAuditReport(AUDIT_REPORT);
+    const bom = serialize(buildCycloneDx(buildDependencyGraph(LOCK), {
+      ...OPTIONS,
+      findings: [finding],
+      ignored: [{ ...finding, id: 'GHSA-ignored', ignoredBy: { justification: 'Not reachable' } }],
+      triaged: [{ ...finding, id: 'GHSA-triaged', triage: { status: 'accepted_risk', reason: 'Server-side only' } }]
+    }));
+
+    assert.ok(validate(bom), JSON.stringify(validate.errors, null, 2));
+    assert.deepEqual(bom.vulnerabilities.map(vulnerability => vulnerability.analysis.state), ['in_triage', 'not_affected', 'exploitable']);
+    assert.deepEqual(bom.vulnerabilities[0].affects, [{ ref: 'pkg:npm/lodash@4.17.11' }]);
+  });
+
+  it('rejects a BOM the schema does not allow', () => {
+    const validate = createValidator();
+    const bom = serialize(buildCycloneDx(buildDependencyGraph(LOCK), OPTIONS));
+    bom.components[0].scope = 'sometimes';
+
+    assert.equal(validate(bom), false);
+  });
+});
+
+describe('buildSpdx', () => {
+  it('declares extracted licensing info for every LicenseRef', () => {
+    const document = serialize(buildSpdx(buildDependencyGraph(LOCK), OPTIONS));
+    const declared = document.packages.map(pkg => pkg.licenseDeclared);
+    const used = [...new Set(declared.flatMap(expression => expression.match(/LicenseRef-[A-Za-z0-9.-]+/g) || []))].sort();
+
+    assert.deepEqual(declared, ['LicenseRef-UNLICENSED', 'LicenseRef-file-LICENSE.md', '(MIT OR Apache-2.0)', 'MIT', 'LicenseRef-Proprietary', 'MIT']);
+    assert.deepEqual(document.hasExtractedLicensingInfos.map(info => info.licenseId).sort(), used);
+    assert.deepEqual(document.hasExtractedLicensingInfos.find(info => info.licenseId === 'LicenseRef-file-LICENSE.md'), {
+      licenseId: 'LicenseRef-file-LICENSE.md',
+      extractedText: 'SEE LICENSE IN LICENSE.md'
+    });
+    assert.ok(document.hasExtractedLicensingInfos.every(info => info.extractedText));
+  });
+
+  it('omits extracted licensing info when every license is an SPDX id', () => {
+    const lock = structuredClone(LOCK);
+    lock.packages[''].license = 'MIT';
+    lock.packages['node_modules/@scope/widget'].license = 'ISC';
+    delete lock.packages['node_modules/legacy'].license;
+
+    const document = serialize(buildSpdx(buildDependencyGraph(lock), OPTIONS));
+
+    assert.equal(document.hasExtractedLicensingInfos, undefined);
+    assert.equal(document.packages.find(pkg => pkg.name === 'legacy').licenseDeclared, 'NOASSERTION');
+  });
+
+  it('links every relationship and advisory to a declared package', () => {
+    const [finding] = normalizeAuditReport(AUDIT_REPORT);
+    const document = serialize(buildSpdx(buildDependencyGraph(LOCK), { ...OPTIONS, findings: [finding] }));
+    const ids = new Set(['SPDXRef-DOCUMENT', ...document.packages.map(pkg => pkg.SPDXID)]);
+
+    assert.equal(document.spdxVersion, 'SPDX-2.3');
+    assert.equal(document.creationInfo.created, '2026-10-18T12:00:00Z');
+    assert.equal(ids.size, document.packages.length + 1);
+    assert.ok(document.packages.every(pkg => /^SPDXRef-[A-Za-z0-9.-]+$/.test(pkg.SPDXID)));
+    document.relationships.forEach(relationship => {
+      assert.ok(ids.has(relationship.spdxElementId), relationship.spdxElementId);
+      assert.ok(ids.has(relationship.relatedSpdxElement), relationship.relatedSpdxElement);
+    });
+
+    const lodash = document.packages.find(pkg => pkg.name === 'lodash');
+    assert.deepEqual(lodash.externalRefs[1], {
+      referenceCategory: 'SECURITY',
+      referenceType: 'advisory',
+      referenceLocator: 'https://github.com/advisories/GHSA-jf85-cpcp-j695',
+      comment: 'GHSA-jf85-cpcp-j695 (critical): Prototype Pollution in lodash'
+    });
+  });
+});
@@ -0,0 +1,138 @@
+/**
+ * Triage decisions (lib/triage.mjs): matching findings like policy ignore
+ * entries, expiry and resurfacing, and the .security-triage.json file
+ */
+
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { afterEach, beforeEach, describe, it } from 'node:test';
+import { matchesFinding } from '../lib/policy.mjs';
+import { TRIAGE_FILE, applyTriage, findTriageEntry, getDefaultExpiry, loadTriage, recordTriageDecisions } from '../lib/triage.mjs';
+
+const finding = (overrides = {}) => ({
+  id: 'GHSA-jf85-cpcp-j695',
+  ghsa: 'GHSA-jf85-cpcp-j695',
+  source: 1106913,
+  package: 'lodash',
+  severity: 'critical',
+  ...overrides
+});
+
+const entry = (overrides = {}) => ({
+  id: 'GHSA-jf85-cpcp-j695',
+  package: 'lodash',
+  status: 'accepted_risk',
+  reason: 'Only reachable from build tooling',
+  author: 'Dana <dana@example.com>',
+  timestamp: '2026-09-18T09:00:00.000Z',
+  expires: '2026-10-18',
+  ...overrides
+});
+
+describe('matchesFinding', () => {
+  it('matches the advisory id, GHSA id or npm source id', () => {
+    assert.equal(matchesFinding(entry(), finding({ id: 'npm-1106913' })), true);
+    assert.equal(matchesFinding(entry({ id: '1106913' }), finding()), true);
+    assert.equal(matchesFinding(entry({ id: 'GHSA-other' }), finding()), false);
+  });
+
+  it('requires the package only when the entry names one', () => {
+    assert.equal(matchesFinding(entry(), finding({ package: 'lodash-es' })), false);
+    assert.equal(matchesFinding({ id: 'GHSA-jf85-cpcp-j695' }, finding({ package: 'lodash-es' })), true);
+  });
+});
+
+describe('applyTriage', () => {
+  it('suppresses findings until the end of the expiry day', () => {
+    const { active, triaged, expired } = applyTriage([finding()], [entry()], { now: new Date('2026-10-18T23:59:59Z') });
+
+    assert.deepEqual(active, []);
+    assert.deepEqual(expired, []);
+    assert.deepEqual(triaged, [{ ...finding(), triage: entry() }]);
+  });
+
+  it('resurfaces the finding of an expired decision', () => {
+    const { active, triaged, expired } = applyTriage([finding(), finding({ id: 'GHSA-other', ghsa: 'GHSA-other' })], [entry()], {
+      now: new Date('2026-10-19T00:00:00Z')
+    });
+
+    assert.deepEqual(active.map(item => item.id), ['GHSA-jf85-cpcp-j695', 'GHSA-other']);
+    assert.deepEqual(triaged, []);
+    assert.deepEqual(expired, [{ finding: finding(), entry: entry() }]);
+  });
+
+  it('keeps a finding triaged while a newer decision still holds', () => {
+    const entries = [entry({ expires: '2026-10-01' }), entry({ status: 'false_positive', expires: '2027-03-01' })];
+    const { active, triaged, expired } = applyTriage([finding()], entries, { now: new Date('2026-10-18T12:00:00Z') });
+
+    assert.deepEqual(active, []);
+    assert.deepEqual(expired, []);
+    assert.equal(triaged[0].triage.status, 'false_positive');
+  });
+
+  it('limits workspace decisions to their workspace', () => {
+    const entries = [entry({ workspace: 'mobile', expires: '2027-01-01' })];
+    const now = new Date('2026-10-18T12:00:00Z');
+
+    assert.equal(applyTriage([finding()], entries, { workspace: 'mobile', now }).triaged.length, 1);
+    assert.equal(applyTriage([finding()], entries, { workspace: 'client', now }).active.length, 1);
+    assert.equal(findTriageEntry(finding(), entries), null);
+  });
+});
+
+describe('triage file', () => {
+  let projectRoot;
+
+  beforeEach(() => {
+    projectRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'triage-test-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(projectRoot, { recursive: true, force: true });
+  });
+
+  it('has no entries without a file', () => {
+    assert.deepEqual(loadTriage(projectRoot), { entries: [], path: null });
+  });
+
+  it('records decisions with their default expiry and replaces earlier ones', () => {
+    const now = new Date('2026-10-18T12:00:00Z');
+    const decision = { id: 'GHSA-jf85-cpcp-j695', package: 'lodash', status: 'ignored', reason: 'Waiting for the upstream fix', author: 'Dana' };
+
+    recordTriageDecisions(projectRoot, [decision, { ...decision, workspace: 'mobile' }], now);
+    const file = recordTriageDecisions(projectRoot, [{ ...decision, status: 'accepted_risk', reason: 'Only used by the build' }], now);
+
+    assert.equal(file, path.join(projectRoot, TRIAGE_FILE));
+    const { entries } = loadTriage(projectRoot);
+    assert.deepEqual(entries.map(item => [item.workspace || null, item.status, item.expires]), [
+      ['mobile', 'ignored', getDefaultExpiry('ignored', now)],
+      [null, 'accepted_risk', '2027-01-16']
+    ]);
+    assert.equal(entries[1].timestamp, '2026-10-18T12:00:00.000Z');
+  });
+
+  it('resurfaces recorded decisions once they expire', () => {
+    const now = new Date('2026-10-18T12:00:00Z');
+    recordTriageDecisions(projectRoot, [{ id: '1106913', package: 'lodash', status: 'ignored', reason: 'Waiting for the upstream fix', author: 'Dana' }], now);
+    const { entries } = loadTriage(projectRoot);
+
+    assert.equal(applyTriage([finding()], entries, { now: new Date('2026-11-17T12:00:00Z') }).triaged.length, 1);
+    assert.equal(applyTriage([finding()], entries, { now: new Date('2026-11-18T12:00:00Z') }).expired.length, 1);
+  });
+
+  it('writes nothing for an invalid decision and rejects an invalid file', () => {
+    assert.throws(
+      () => recordTriageDecisions(projectRoot, [{ id: 'GHSA-1', package: 'lodash', status: 'ignored', reason: 'short', author: 'Dana' }]),
+      /\/entries\/0\/reason: must be at least 10 characters/
+    );
+    assert.equal(fs.existsSync(path.join(projectRoot, TRIAGE_FILE)), false);
+
+    fs.writeFileSync(path.join(projectRoot, TRIAGE_FILE), JSON.stringify({ version: 1, entries: [entry({ expires: '2026-02-30' })] }));
+    assert.throws(() => loadTriage(projectRoot), /expires: must be a date/);
+
+    fs.writeFileSync(path.join(projectRoot, TRIAGE_FILE), '{ "version": 1,');
+    assert.throws(() => loadTriage(projectRoot), /is not valid JSON/);
+  });
+});
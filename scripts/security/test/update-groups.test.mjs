@@ -0,0 +1,126 @@
+/**
+ * Update groups (lib/update-groups.mjs): splitting planned changes by semver
+ * risk and ecosystem, and holding back Expo SDK pinned packages
+ */
+
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { DEFAULT_UPDATE_GROUPS, assignUpdateGroups, findUpdateGroup, groupChanges, usesExpo } from '../lib/update-groups.mjs';
+import { assessRisk } from '../lib/update-plan.mjs';
+
+// A planned change rated the way the plan command rates it
+const change = (name, from, to, overrides = {}) => ({ package: name, from, to, type: 'update', ...assessRisk(from, to), ...overrides });
+
+const summarize = groups => groups.map(group => [group.name, group.kind, group.changes.map(entry => entry.package)]);
+
+describe('assignUpdateGroups', () => {
+  it('splits changes by major, minor and patch upgrades', () => {
+    const changes = assignUpdateGroups([
+      change('lodash', '^4.17.11', '^4.17.21'),
+      change('axios', '^1.6.0', '^1.7.2'),
+      change('debug', '^4.3.1', '^4.3.4'),
+      change('vite', '^4.5.0', '^5.0.0'),
+      change('uuid', '^8.3.2', '^9.0.1'),
+      change('zod', '^3.21.0', '^3.23.8')
+    ]);
+
+    assert.deepEqual(changes.map(entry => [entry.package, entry.group]), [
+      ['lodash', 'patch'],
+      ['axios', 'minor'],
+      ['debug', 'patch'],
+      ['vite', 'major:vite'],
+      ['uuid', 'major:uuid'],
+      ['zod', 'minor']
+    ]);
+  });
+
+  it('isolates 0.x minors and changes of unknown risk', () => {
+    const changes = assignUpdateGroups([
+      change('esbuild', '^0.19.0', '^0.20.0'),
+      change('esbuild-plugin', '^0.19.0', '^0.19.4'),
+      change('forked', '^1.0.0', 'latest')
+    ]);
+
+    assert.deepEqual(changes.map(entry => entry.group), ['minor:esbuild', 'patch', 'unknown:forked']);
+  });
+
+  it('moves ecosystem packages together whatever their risk', () => {
+    const changes = assignUpdateGroups([
+      change('storybook', '^7.6.0', '^8.0.0'),
+      change('@storybook/react', '^7.6.0', '^7.6.17'),
+      change('react', '^18.2.0', '^18.3.1')
+    ]);
+
+    assert.deepEqual(changes.map(entry => entry.group), ['storybook', 'storybook', 'expo']);
+    assert.equal(changes.every(entry => entry.enabled === undefined), true);
+  });
+
+  it('keeps groups edited in a plan', () => {
+    const [edited] = assignUpdateGroups([change('vite', '^4.5.0', '^5.0.0', { group: 'build' })]);
+
+    assert.equal(edited.group, 'build');
+  });
+
+  it('holds back Expo SDK pinned packages in an Expo workspace', () => {
+    const changes = assignUpdateGroups([
+      change('expo', '~50.0.0', '~51.0.0'),
+      change('react-native', '0.73.6', '0.74.1'),
+      change('expo-camera', '~14.0.0', '~15.0.9', { sdkAligned: true }),
+      change('@expo/config', '~8.5.0', '~8.5.6', { type: 'security' }),
+      change('lodash', '^4.17.11', '^4.17.21', { sdkAligned: true })
+    ], { expo: true });
+
+    assert.deepEqual(changes.map(entry => [entry.package, entry.group, entry.enabled !== false]), [
+      ['expo', 'expo', true],
+      ['react-native', 'expo', false],
+      ['expo-camera', 'expo', true],
+      ['@expo/config', 'expo', true],
+      // Follows the SDK table, so it moves with expo
+      ['lodash', 'expo', true]
+    ]);
+    assert.match(changes[1].hints.at(-1), /version pinned by the Expo SDK/);
+  });
+});
+
+describe('groupChanges', () => {
+  it('orders patch, minor, ecosystem and single groups', () => {
+    const changes = assignUpdateGroups([
+      change('vite', '^4.5.0', '^5.0.0'),
+      change('storybook', '^7.6.0', '^7.6.17'),
+      change('axios', '^1.6.0', '^1.7.2'),
+      change('lodash', '^4.17.11', '^4.17.21'),
+      change('uuid', '^8.3.2', '^9.0.1'),
+      change('debug', '^4.3.1', '^4.3.4'),
+      change('moment', '^2.29.0', '^2.30.1', { enabled: false })
+    ]);
+
+    const groups = groupChanges(changes);
+
+    assert.deepEqual(summarize(groups), [
+      ['patch', 'patch', ['lodash', 'debug']],
+      ['minor', 'minor', ['axios']],
+      ['storybook', 'ecosystem', ['storybook']],
+      ['major:uuid', 'single', ['uuid']],
+      ['major:vite', 'single', ['vite']]
+    ]);
+    assert.equal(groups.find(group => group.name === 'storybook').expoSdk, false);
+  });
+
+  it('marks the Expo SDK group and uses the policy groups', () => {
+    const groups = [{ name: 'build', packages: ['vite', '@vitejs/*'] }];
+    const changes = assignUpdateGroups([change('vite', '^4.5.0', '^5.0.0'), change('@vitejs/plugin-react', '^4.0.0', '^4.2.1')], { groups });
+
+    assert.deepEqual(summarize(groupChanges(changes, { groups })), [['build', 'ecosystem', ['vite', '@vitejs/plugin-react']]]);
+    assert.equal(groupChanges(assignUpdateGroups([change('expo', '~50.0.0', '~51.0.0')]))[0].expoSdk, true);
+  });
+});
+
+describe('ecosystem lookup', () => {
+  it('matches package patterns and detects Expo workspaces', () => {
+    assert.equal(findUpdateGroup('@expo/vector-icons').name, 'expo');
+    assert.equal(findUpdateGroup('@storybook/addon-essentials', DEFAULT_UPDATE_GROUPS).name, 'storybook');
+    assert.equal(findUpdateGroup('react-native-web'), null);
+    assert.equal(usesExpo({ dependencies: { expo: '~51.0.0' } }), true);
+    assert.equal(usesExpo({ peerDependencies: { expo: '*' } }), false);
+  });
+});
@@ -0,0 +1,193 @@
+/**
+ * Update plans (lib/update-plan.mjs): risk assessment, reading hand-edited
+ * plan files and applying them to manifests
+ */
+
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { afterEach, beforeEach, describe, it } from 'node:test';
+import {
+  PLAN_VERSION,
+  applyPlanChanges,
+  assessRisk,
+  createPlan,
+  findPlanDrift,
+  getEnabledChanges,
+  readPlan,
+  renderPlanMarkdown
+} from '../lib/update-plan.mjs';
+
+const change = (overrides = {}) => ({
+  package: 'lodash',
+  manifest: 'client/package.json',
+  section: 'dependencies',
+  from: '^4.17.11',
+  to: '^4.17.21',
+  type: 'security',
+  risk: 'patch',
+  reason: 'GHSA-jf85-cpcp-j695 (critical)',
+  hints: [],
+  ...overrides
+});
+
+const manifest = () => ({
+  name: '@glossia/client',
+  dependencies: { lodash: '^4.17.11', react: '^18.2.0' },
+  devDependencies: { vite: '^4.5.0' }
+});
+
+describe('assessRisk', () => {
+  it('rates the semver bump of a spec change', () => {
+    assert.deepEqual(assessRisk('^4.17.11', '^4.17.21'), { risk: 'patch', hints: [], breaking: false });
+    assert.deepEqual(assessRisk('~1.2.0', '~1.3.0'), { risk: 'minor', hints: [], breaking: false });
+    // Same version written differently
+    assert.equal(assessRisk('1.2.0', '^1.2.0').risk, 'patch');
+  });
+
+  it('flags majors, 0.x minors and overrides as likely to break', () => {
+    const major = assessRisk('^4.5.0', '^5.0.0');
+    assert.equal(major.risk, 'major');
+    assert.equal(major.breaking, true);
+    assert.match(major.hints[0], /major upgrade 4\.5\.0 → 5\.0\.0/);
+
+    const zeroMinor = assessRisk('^0.3.1', '^0.4.0');
+    assert.equal(zeroMinor.risk, 'minor');
+    assert.equal(zeroMinor.breaking, true);
+    assert.match(zeroMinor.hints[0], /below 1\.0\.0/);
+
+    assert.match(assessRisk('1.0.0', '1.0.1', { override: true }).hints[0], /forced through root overrides/);
+  });
+
+  it('cannot rate specs that are not versions', () => {
+    const { risk, hints } = assessRisk(undefined, 'github:owner/repo');
+
+    assert.equal(risk, 'unknown');
+    assert.deepEqual(hints, ['"(none)" → "github:owner/repo" is not a plain version change: check it manually']);
+    assert.deepEqual(assessRisk('^2.0.0', '^2.1.0-beta.1').hints, ['2.1.0-beta.1 is a prerelease']);
+  });
+});
+
+describe('createPlan', () => {
+  it('summarises the changes of every workspace', () => {
+    const plan = createPlan({
+      workspaces: {
+        client: { dir: 'client', changes: [change(), change({ package: 'vite', section: 'devDependencies', type: 'update', risk: 'major', enabled: false })] },
+        api: { dir: 'api', changes: [] }
+      },
+      mode: 'security',
+      commit: 'abc123',
+      now: new Date('2026-10-18T12:00:00Z')
+    });
+
+    assert.equal(plan.version, PLAN_VERSION);
+    assert.equal(plan.generatedAt, '2026-10-18T12:00:00.000Z');
+    assert.deepEqual(plan.summary, { changes: 2, security: 1, major: 1, held: 1 });
+    assert.deepEqual(getEnabledChanges(plan.workspaces.client).map(entry => entry.package), ['lodash']);
+    assert.deepEqual(getEnabledChanges(undefined), []);
+  });
+
+  it('renders the plan for a pull request', () => {
+    const plan = createPlan({ workspaces: { client: { dir: 'client', changes: [change({ hints: ['check the changelog'] })] } }, mode: 'security', now: new Date('2026-10-18T12:00:00Z') });
+    const markdown = renderPlanMarkdown(plan, { planFile: 'reports/plan.json' });
+
+    assert.match(markdown, /\| - \| 🟢 patch \| `lodash` \| `\^4\.17\.11` → `\^4\.17\.21` \| GHSA-jf85-cpcp-j695 \(critical\) \|/);
+    assert.match(markdown, /- `lodash`: check the changelog/);
+    assert.match(markdown, /apply --plan reports\/plan\.json/);
+    assert.match(renderPlanMarkdown(createPlan({ workspaces: {}, mode: 'all' })), /No dependency changes proposed/);
+  });
+});
+
+describe('readPlan', () => {
+  let dir;
+
+  const writePlan = content => {
+    const file = path.join(dir, 'plan.json');
+    fs.writeFileSync(file, typeof content === 'string' ? content : JSON.stringify(content));
+    return file;
+  };
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'update-plan-test-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('reads a plan written by createPlan', () => {
+    const plan = createPlan({ workspaces: { client: { dir: 'client', changes: [change()] } }, mode: 'security' });
+
+    assert.deepEqual(readPlan(writePlan(plan)), plan);
+  });
+
+  it('lists every problem of a hand-edited plan', () => {
+    const file = writePlan({
+      version: 2,
+      workspaces: {
+        client: { changes: [change({ section: 'resolutions' }), change({ package: undefined, to: ' ' })] },
+        api: { changes: {} }
+      }
+    });
+
+    assert.throws(() => readPlan(file), error => {
+      assert.equal(error.message, [
+        `Invalid update plan ${file}:`,
+        `   • unsupported plan version 2 (expected ${PLAN_VERSION})`,
+        '   • client change 1 (lodash): "section" must be one of dependencies, devDependencies, optionalDependencies, peerDependencies, overrides',
+        '   • client change 2: missing "package"',
+        '   • client change 2: "to" must be a non-empty string',
+        '   • api: "changes" must be an array'
+      ].join('\n'));
+      return true;
+    });
+  });
+
+  it('reports unreadable files', () => {
+    assert.throws(() => readPlan(path.join(dir, 'missing.json')), /Cannot read update plan/);
+    assert.throws(() => readPlan(writePlan('{ "version": 1,')), /Cannot read update plan/);
+  });
+});
+
+describe('applying a plan', () => {
+  it('writes enabled changes into the manifests', () => {
+    const manifests = new Map([['client/package.json', manifest()]]);
+    const changes = [
+      change(),
+      change({ package: 'vite', section: 'devDependencies', from: '^4.5.0', to: '^5.0.0' }),
+      change({ package: 'semver', section: 'overrides', from: undefined, to: '^7.5.2' })
+    ];
+
+    assert.deepEqual(findPlanDrift(changes, manifests), []);
+    assert.deepEqual([...applyPlanChanges(changes, manifests)], ['client/package.json']);
+    assert.deepEqual(manifests.get('client/package.json'), {
+      name: '@glossia/client',
+      dependencies: { lodash: '^4.17.21', react: '^18.2.0' },
+      devDependencies: { vite: '^5.0.0' },
+      overrides: { semver: '^7.5.2' }
+    });
+  });
+
+  it('accepts manifests that already hold the planned version', () => {
+    const manifests = new Map([['client/package.json', { ...manifest(), dependencies: { lodash: '^4.17.21' } }]]);
+
+    assert.deepEqual(findPlanDrift([change()], manifests), []);
+    assert.equal(applyPlanChanges([change()], manifests).size, 0);
+  });
+
+  it('reports manifests that changed since the plan was made', () => {
+    const manifests = new Map([['client/package.json', { ...manifest(), dependencies: { lodash: '^4.17.15' } }]]);
+    const changes = [
+      change(),
+      change({ package: 'react', from: '^18.2.0', to: '^18.3.1', section: 'devDependencies' }),
+      change({ manifest: 'api/package.json' })
+    ];
+
+    assert.deepEqual(findPlanDrift(changes, manifests), [
+      'client/package.json: dependencies.lodash is "^4.17.15", planned from "^4.17.11"',
+      'client/package.json: devDependencies.react is not declared, planned from "^18.2.0"',
+      'api/package.json not found (planned change to lodash)'
+    ]);
+  });
+});
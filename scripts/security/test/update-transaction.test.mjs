@@ -0,0 +1,73 @@
+/**
+ * Update transactions (lib/update-transaction.mjs): restoring snapshots and
+ * choosing the scripts that verify a workspace
+ */
+
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { afterEach, beforeEach, describe, it } from 'node:test';
+import { getVerificationCommands, restoreSnapshot, snapshotFiles } from '../lib/update-transaction.mjs';
+
+describe('getVerificationCommands', () => {
+  it("uses the workspace's test and lint scripts", () => {
+    assert.deepEqual(getVerificationCommands({ scripts: { test: 'jest', lint: 'eslint .', build: 'tsc' } }), ['npm run test', 'npm run lint']);
+    assert.deepEqual(getVerificationCommands({ scripts: { test: 'echo "Error: no test specified" && exit 1' } }), []);
+    assert.deepEqual(getVerificationCommands({}), []);
+  });
+
+  it('prefers configured commands', () => {
+    assert.deepEqual(getVerificationCommands({ scripts: { test: 'jest' } }, ['npm run typecheck']), ['npm run typecheck']);
+  });
+
+  it('keeps only the own checks of a root that fans out to workspaces', () => {
+    const scripts = {
+      test: 'npm run test:security && npm run test:mobile && npm run test:server',
+      'test:security': 'node --test scripts/security/test/',
+      'test:mobile': 'cd mobile && npm test',
+      'test:server': 'cd server && npm test',
+      lint: 'npm run lint:mobile && npm run lint:server',
+      'lint:mobile': 'cd mobile && npm run lint',
+      'lint:server': 'cd server && npm run lint'
+    };
+
+    assert.deepEqual(getVerificationCommands({ scripts }), ['npm run test:security']);
+    assert.deepEqual(getVerificationCommands({ scripts: { test: 'npm test --workspaces', lint: 'npm run lint -ws' } }), []);
+  });
+
+  it('follows chains without looping and runs each script once', () => {
+    const scripts = { test: 'npm run check && npm run lint', check: 'npm run test', lint: 'eslint .' };
+
+    assert.deepEqual(getVerificationCommands({ scripts }), ['npm run lint']);
+  });
+});
+
+describe('snapshots', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'update-transaction-test-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('restores changed files and removes files created since', () => {
+    const manifest = path.join(dir, 'package.json');
+    const lockfile = path.join(dir, 'package-lock.json');
+    const readme = path.join(dir, 'README.md');
+    fs.writeFileSync(manifest, '{ "name": "app" }\n');
+    fs.writeFileSync(readme, 'App\n');
+
+    const snapshot = snapshotFiles([manifest, lockfile, readme, manifest]);
+    fs.writeFileSync(manifest, '{ "name": "app", "dependencies": {} }\n');
+    fs.writeFileSync(lockfile, '{}\n');
+
+    assert.deepEqual(restoreSnapshot(snapshot), [manifest, lockfile]);
+    assert.equal(fs.readFileSync(manifest, 'utf8'), '{ "name": "app" }\n');
+    assert.equal(fs.existsSync(lockfile), false);
+    assert.deepEqual(restoreSnapshot(snapshot), []);
+  });
+});